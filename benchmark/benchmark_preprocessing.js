@@ -0,0 +1,112 @@
+/*
+ Electric Brain is an easy to use platform for machine learning.
+ Copyright (C) 2016 Electric Brain Software Corporation
+
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU Affero General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU Affero General Public License for more details.
+
+ You should have received a copy of the GNU Affero General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+/**
+ * This script measures the throughput of the image preprocessing pipeline on the fixture
+ * images in benchmark/fixtures, and compares it with the jimp pipeline it replaced.
+ *
+ * It must be run from within an Electric Brain checkout, where this plugin lives in
+ * plugins/image, since the interpretation depends on the platform.
+ *
+ * Usage: node benchmark/benchmark_preprocessing.js [iterations] [concurrency]
+ */
+
+const
+    EBImageAugmentationTypes = require('../client/js/image_augmentation_types'),
+    EBImageInterpretation = require('../server/EBImageInterpretation'),
+    fs = require('fs'),
+    jimp = require('jimp'),
+    path = require('path'),
+    Promise = require('bluebird');
+
+const iterations = Number(process.argv[2]) || 5;
+const concurrency = Number(process.argv[3]) || require('os').cpus().length;
+const fixturesDirectory = path.join(__dirname, 'fixtures');
+const size = {width: 224, height: 224};
+
+const fixtures = fs.readdirSync(fixturesDirectory).sort().map((fileName) => fs.readFileSync(path.join(fixturesDirectory, fileName)));
+
+/**
+ * The deterministic preprocessing the old jimp pipeline did: decode, resize and encode as JPEG
+ */
+function jimpPipeline(value)
+{
+    return jimp.read(value).then((imageObj) =>
+    {
+        imageObj.resize(size.width, size.height);
+        return Promise.fromCallback((next) => imageObj.getBuffer(jimp.MIME_JPEG, next));
+    }).then((buffer) => buffer.toString('base64'));
+}
+
+/**
+ * Runs the given pipeline over every fixture the given number of times, and reports the throughput
+ */
+function benchmark(name, pipeline)
+{
+    const values = [];
+    for (let iteration = 0; iteration < iterations; iteration += 1)
+    {
+        fixtures.forEach((fixture) => values.push(fixture));
+    }
+
+    const start = Date.now();
+    return Promise.map(values, pipeline, {concurrency}).then(() =>
+    {
+        const seconds = (Date.now() - start) / 1000;
+        console.log(`${name}: ${values.length} images in ${seconds.toFixed(2)}s, ${(values.length / seconds).toFixed(1)} images/s`);
+    });
+}
+
+const interpretation = new EBImageInterpretation();
+const schema = (configuration) => ({
+    configuration: {
+        interpretation: Object.assign({
+            inputWidth: size.width,
+            inputHeight: size.height,
+            channels: 3,
+            resizeMode: 'stretch',
+            encoding: 'jpeg',
+            processingConcurrency: concurrency,
+            augmentations: []
+        }, configuration)
+    },
+    metadata: {statistics: {}}
+});
+
+const augmentations = EBImageAugmentationTypes.augmentationTypes.map((augmentationType) => Object.assign({}, augmentationType));
+
+// Each schema is made once, so that its images go through the same processing queue
+const deterministicSchema = schema({});
+const rawSchema = schema({encoding: 'raw'});
+const augmentedSchema = schema({augmentations});
+const cachedSchema = schema({augmentations, cacheEnabled: true});
+
+console.log(`Benchmarking ${fixtures.length} fixtures, ${iterations} iterations, concurrency ${concurrency}`);
+Promise.mapSeries([
+    ['jimp, deterministic', jimpPipeline],
+    ['sharp, deterministic', (value) => interpretation.transformValueForNeuralNetwork(value, deterministicSchema, 'prediction')],
+    ['sharp, deterministic, raw encoding', (value) => interpretation.transformValueForNeuralNetwork(value, rawSchema, 'prediction')],
+    ['sharp, every augmentation', (value) => interpretation.transformValueForNeuralNetwork(value, augmentedSchema, 'training')],
+    ['sharp, every augmentation, cached', (value) => interpretation.transformValueForNeuralNetwork(value, cachedSchema, 'training')]
+], (entry) => benchmark(entry[0], entry[1])).catch((err) =>
+{
+    console.error(err);
+    process.exit(1);
+});
@@ -0,0 +1,151 @@
+/*
+ Electric Brain is an easy to use platform for machine learning.
+ Copyright (C) 2016 Electric Brain Software Corporation
+
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU Affero General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU Affero General Public License for more details.
+
+ You should have received a copy of the GNU Affero General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+// This file is shared by the server and the configuration view. The server loads it as a
+// CommonJS module, and the browser registers it as an angular service.
+(function(factory)
+{
+    if (typeof module === 'object' && module.exports)
+    {
+        module.exports = factory(require('./image_augmentation_types'), require('./image_configuration_migrations'), require('./image_layer_shape_inference'), require('underscore'));
+    }
+    else
+    {
+        angular.module('eb').factory('EBImageArchitectureFile', function EBImageArchitectureFile(EBImageAugmentationTypes, EBImageConfigurationMigrations, EBImageLayerShapeInference)
+        {
+            return factory(EBImageAugmentationTypes, EBImageConfigurationMigrations, EBImageLayerShapeInference, _);
+        });
+    }
+})(function(EBImageAugmentationTypes, EBImageConfigurationMigrations, EBImageLayerShapeInference, underscore)
+{
+    // Identifies architecture files, so that other JSON files are rejected with a clear message
+    const architectureFileFormat = 'eb-image-architecture';
+
+    /**
+     * This class reads and writes architecture files, which hold the layers and the augmentations of an
+     * image field, so that they can be reused by other fields and in other projects.
+     *
+     * An architecture file is a JSON object of the form:
+     *      {
+     *          "format": "eb-image-architecture",
+     *          "configVersion": Number,
+     *          "name": String,
+     *          "layers": [Object],
+     *          "augmentations": [Object]
+     *      }
+     *
+     * where configVersion is the configuration version the layers and augmentations were written in.
+     * Files from older versions are upgraded with EBImageConfigurationMigrations when they are read.
+     */
+    class EBImageArchitectureFile
+    {
+        /**
+         * This method creates an architecture file from the configuration of an image field.
+         *
+         * @param {object} configuration The interpretation configuration of the field
+         * @param {string} [name] A name for the architecture
+         * @return {object} The architecture file
+         */
+        static createFromConfiguration(configuration, name)
+        {
+            const upgraded = EBImageConfigurationMigrations.upgrade(configuration);
+            return {
+                format: architectureFileFormat,
+                configVersion: upgraded.configVersion,
+                name: name || null,
+                layers: upgraded.layers,
+                augmentations: EBImageAugmentationTypes.getAugmentationsForConfiguration(upgraded)
+            };
+        }
+
+
+        /**
+         * This method reads an architecture file, upgrading it to the current configuration version
+         * and checking that its layers and augmentations are all of known types.
+         *
+         * @param {object} architecture The architecture file
+         * @return {object} An object with the layers and augmentations
+         */
+        static read(architecture)
+        {
+            if (!architecture || architecture.format !== architectureFileFormat)
+            {
+                throw new Error("This is not an image architecture file.");
+            }
+            else if (!Array.isArray(architecture.layers) || architecture.layers.length === 0)
+            {
+                throw new Error("The architecture file has no layers.");
+            }
+            else if (!Array.isArray(architecture.augmentations))
+            {
+                throw new Error("The architecture file has no list of augmentations.");
+            }
+
+            const upgraded = EBImageConfigurationMigrations.upgrade({
+                configVersion: architecture.configVersion,
+                layers: architecture.layers,
+                augmentations: architecture.augmentations
+            });
+
+            const augmentationTypes = underscore.pluck(EBImageAugmentationTypes.augmentationTypes, 'type');
+            upgraded.augmentations.forEach((augmentation) =>
+            {
+                if (augmentationTypes.indexOf(augmentation.type) === -1)
+                {
+                    throw new Error(`The architecture file has an unknown augmentation type: ${augmentation.type}`);
+                }
+            });
+
+            return {
+                layers: upgraded.layers,
+                augmentations: upgraded.augmentations
+            };
+        }
+
+
+        /**
+         * This method merges an architecture file into the configuration of an image field. The layers
+         * and augmentations come from the file, while everything else, such as the size, channels and
+         * normalization of the images, is kept from the field. The layers must fit the field's images.
+         *
+         * @param {object} configuration The interpretation configuration of the field
+         * @param {object} architecture The architecture file
+         * @param {object} inputShape The shape of the images going into the layers, as {planes, width, height}
+         * @return {object} The merged configuration. The given configuration is left untouched.
+         */
+        static applyToConfiguration(configuration, architecture, inputShape)
+        {
+            const contents = EBImageArchitectureFile.read(architecture);
+
+            const errors = EBImageLayerShapeInference.computeLayerShapes(contents.layers, inputShape).errors;
+            if (errors.length > 0)
+            {
+                throw new Error(`The architecture doesn't fit this field's ${inputShape.width}x${inputShape.height} images with ${inputShape.planes} channels:\n${errors.join('\n')}`);
+            }
+
+            const merged = EBImageConfigurationMigrations.upgrade(configuration);
+            merged.layers = contents.layers;
+            merged.augmentations = contents.augmentations;
+            return merged;
+        }
+    }
+
+    return EBImageArchitectureFile;
+});
@@ -0,0 +1,504 @@
+/*
+ Electric Brain is an easy to use platform for machine learning.
+ Copyright (C) 2016 Electric Brain Software Corporation
+
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU Affero General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU Affero General Public License for more details.
+
+ You should have received a copy of the GNU Affero General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+// This file is shared by the server and the configuration view. The server loads it as a
+// CommonJS module, and the browser registers it as an angular service.
+(function(factory)
+{
+    if (typeof module === 'object' && module.exports)
+    {
+        module.exports = factory();
+    }
+    else
+    {
+        angular.module('eb').factory('EBImageArchitecturePresets', function EBImageArchitecturePresets()
+        {
+            return factory();
+        });
+    }
+})(function()
+{
+    /**
+     * This class holds the built-in architectures that the image layers can be set to.
+     *
+     * Each preset generates its list of layers for a given input size and number of channels.
+     * The first convolution takes the right number of planes, and the number of downsampling
+     * stages is reduced for small images, so that the image is never shrunk below a single pixel.
+     */
+    class EBImageArchitecturePresets
+    {
+        /**
+         * This method returns a description of every preset, for showing to the user.
+         *
+         * @return {[object]} An array of objects with name, title and description
+         */
+        static getPresets()
+        {
+            return EBImageArchitecturePresets.presets.map((preset) =>
+            {
+                return {
+                    name: preset.name,
+                    title: preset.title,
+                    description: preset.description
+                };
+            });
+        }
+
+
+        /**
+         * This method generates the layers for a preset.
+         *
+         * @param {string} presetName The name of the preset
+         * @param {object} size An object with the width and height of the images going into the network
+         * @param {number} channels The number of channels in the images
+         * @return {[object]} The layers, in the same form as the layers in the interpretation configuration
+         */
+        static generateLayers(presetName, size, channels)
+        {
+            const preset = EBImageArchitecturePresets.presets.find((candidate) => candidate.name === presetName);
+            if (!preset)
+            {
+                throw new Error(`Unknown architecture preset: ${presetName}`);
+            }
+
+            const layers = preset.generate(Math.min(size.width, size.height), channels);
+            EBImageArchitecturePresets.numberLayers(layers);
+            return layers;
+        }
+
+
+        /**
+         * This method generates the default output stack, used when the image is an output of the
+         * network. The values coming into the stack are reshaped into a small seed image, which up to
+         * three stages of full convolution, batch normalization and ReLU double in size, halving the
+         * planes each stage. A final convolution produces the channels of the image.
+         *
+         * The seed size is found by halving the image size once per stage, rounding down. Each full
+         * convolution adds back the pixel lost to rounding, so that any image size comes out exactly.
+         *
+         * @param {object} size An object with the width and height of the images
+         * @param {number} channels The number of channels in the images
+         * @return {object} An object with the outputSeedPlanes, outputSeedWidth, outputSeedHeight and
+         *                  outputLayers, in the same form as they are in the interpretation configuration
+         */
+        static generateOutputStack(size, channels)
+        {
+            const stages = Math.min(3, EBImageArchitecturePresets.countHalvings(Math.min(size.width, size.height), 1));
+
+            // The sizes after each upsampling stage, from the seed up to the full image
+            const widths = [size.width];
+            const heights = [size.height];
+            for (let stage = 0; stage < stages; stage += 1)
+            {
+                widths.unshift(Math.floor(widths[0] / 2));
+                heights.unshift(Math.floor(heights[0] / 2));
+            }
+
+            const layers = [];
+            const seedPlanes = 16 * Math.pow(2, stages);
+            let planes = seedPlanes;
+            for (let stage = 0; stage < stages; stage += 1)
+            {
+                const outputPlanes = planes / 2;
+                layers.push({
+                    title: "FullConvolution",
+                    layerType: "fullconvolution",
+                    nInputPlane: planes,
+                    nOutputPlane: outputPlanes,
+                    kernelWidth: 4,
+                    kernelHeight: 4,
+                    stepWidth: 2,
+                    stepHeight: 2,
+                    paddingWidth: 1,
+                    paddingHeight: 1,
+                    adjWidth: widths[stage + 1] - 2 * widths[stage],
+                    adjHeight: heights[stage + 1] - 2 * heights[stage]
+                });
+                layers.push(EBImageArchitecturePresets.batchNormalization(outputPlanes));
+                layers.push(EBImageArchitecturePresets.relu());
+                planes = outputPlanes;
+            }
+            layers.push(EBImageArchitecturePresets.convolution(planes, channels, 3, 1, 1));
+            EBImageArchitecturePresets.numberLayers(layers);
+
+            return {
+                outputSeedPlanes: seedPlanes,
+                outputSeedWidth: widths[0],
+                outputSeedHeight: heights[0],
+                outputLayers: layers
+            };
+        }
+
+
+        /**
+         * This method numbers the layers in the order they appear, the same way the default configuration does.
+         *
+         * @param {[object]} layers The layers, which get their id set, including the nested layers
+         */
+        static numberLayers(layers)
+        {
+            let nextId = 1;
+            const numberList = (list) => list.forEach((layer) =>
+            {
+                layer.id = nextId;
+                nextId += 1;
+                numberList(layer.layers || []);
+                numberList(layer.shortcutLayers || []);
+            });
+            numberList(layers);
+        }
+
+
+        /**
+         * This method generates the original default architecture: up to three stages of
+         * convolution, batch normalization, ReLU, dropout and max pooling, doubling the planes each stage.
+         *
+         * @param {number} side The smaller of the width and height of the images
+         * @param {number} channels The number of channels in the images
+         * @return {[object]} The layers
+         */
+        static generateDefault(side, channels)
+        {
+            const layers = [];
+            const stages = Math.max(1, Math.min(3, EBImageArchitecturePresets.countHalvings(side, 1)));
+            let planes = channels;
+            for (let stage = 0; stage < stages; stage += 1)
+            {
+                const outputPlanes = 32 * Math.pow(2, stage);
+                layers.push(EBImageArchitecturePresets.convolution(planes, outputPlanes, 3, 1, 1));
+                layers.push(EBImageArchitecturePresets.batchNormalization(outputPlanes));
+                layers.push(EBImageArchitecturePresets.relu());
+                layers.push(EBImageArchitecturePresets.dropout(0.4));
+                if (EBImageArchitecturePresets.countHalvings(side, 1) > stage)
+                {
+                    layers.push(EBImageArchitecturePresets.maxPooling());
+                }
+                planes = outputPlanes;
+            }
+            return layers;
+        }
+
+
+        /**
+         * This method generates a LeNet style architecture, with two stages of 5x5 convolutions and max pooling.
+         *
+         * @param {number} side The smaller of the width and height of the images
+         * @param {number} channels The number of channels in the images
+         * @return {[object]} The layers
+         */
+        static generateLeNet(side, channels)
+        {
+            const layers = [];
+            const stagePlanes = [6, 16];
+            let planes = channels;
+            stagePlanes.forEach((outputPlanes, stage) =>
+            {
+                // The first stage keeps the size like the padded input of the original LeNet. The second stage
+                // shrinks the image by four pixels, unless it is too small to survive that and the pooling after it.
+                const padding = (stage === 0 || side < 6) ? 2 : 0;
+                layers.push(EBImageArchitecturePresets.convolution(planes, outputPlanes, 5, 1, padding));
+                layers.push(EBImageArchitecturePresets.relu());
+                side = side + 2 * padding - 4;
+                if (side >= 2)
+                {
+                    layers.push(EBImageArchitecturePresets.maxPooling());
+                    side = Math.floor(side / 2);
+                }
+                planes = outputPlanes;
+            });
+            layers.push(EBImageArchitecturePresets.dropout(0.5));
+            return layers;
+        }
+
+
+        /**
+         * This method generates a small VGG style architecture, with up to four stages of two 3x3
+         * convolutions followed by max pooling.
+         *
+         * @param {number} side The smaller of the width and height of the images
+         * @param {number} channels The number of channels in the images
+         * @return {[object]} The layers
+         */
+        static generateSmallVGG(side, channels)
+        {
+            const layers = [];
+            const stages = Math.max(1, Math.min(4, EBImageArchitecturePresets.countHalvings(side, 2)));
+            let planes = channels;
+            for (let stage = 0; stage < stages; stage += 1)
+            {
+                const outputPlanes = 32 * Math.pow(2, stage);
+                for (let convolution = 0; convolution < 2; convolution += 1)
+                {
+                    layers.push(EBImageArchitecturePresets.convolution(planes, outputPlanes, 3, 1, 1));
+                    layers.push(EBImageArchitecturePresets.batchNormalization(outputPlanes));
+                    layers.push(EBImageArchitecturePresets.relu());
+                    planes = outputPlanes;
+                }
+                if (EBImageArchitecturePresets.countHalvings(side, 1) > stage)
+                {
+                    layers.push(EBImageArchitecturePresets.maxPooling());
+                }
+                layers.push(EBImageArchitecturePresets.dropout(0.25));
+            }
+            return layers;
+        }
+
+
+        /**
+         * This method generates an architecture like ResNet-18: a stem followed by four stages of two
+         * residual blocks each, and global average pooling. Large images get the 7x7 stem of the original,
+         * while small images keep their full resolution going into the first stage.
+         *
+         * @param {number} side The smaller of the width and height of the images
+         * @param {number} channels The number of channels in the images
+         * @return {[object]} The layers
+         */
+        static generateResNet18(side, channels)
+        {
+            const layers = [];
+            if (side >= 64)
+            {
+                layers.push(EBImageArchitecturePresets.convolution(channels, 64, 7, 2, 3));
+                side = Math.ceil(side / 2);
+            }
+            else
+            {
+                layers.push(EBImageArchitecturePresets.convolution(channels, 64, 3, 1, 1));
+            }
+            layers.push(EBImageArchitecturePresets.batchNormalization(64));
+            layers.push(EBImageArchitecturePresets.relu());
+            if (side >= 64)
+            {
+                layers.push(EBImageArchitecturePresets.maxPooling());
+                side = Math.floor(side / 2);
+            }
+
+            let planes = 64;
+            [64, 128, 256, 512].forEach((outputPlanes, stage) =>
+            {
+                for (let block = 0; block < 2; block += 1)
+                {
+                    // Later stages halve the size in their first block, as long as the image stays at least 4 pixels across
+                    const step = (stage > 0 && block === 0 && side >= 8) ? 2 : 1;
+                    const shortcutLayers = (step === 1 && planes === outputPlanes) ? [] : [
+                        EBImageArchitecturePresets.convolution(planes, outputPlanes, 1, step, 0),
+                        EBImageArchitecturePresets.batchNormalization(outputPlanes)
+                    ];
+
+                    layers.push({
+                        title: "ResidualBlock",
+                        layerType: "residual",
+                        layers: [
+                            EBImageArchitecturePresets.convolution(planes, outputPlanes, 3, step, 1),
+                            EBImageArchitecturePresets.batchNormalization(outputPlanes),
+                            EBImageArchitecturePresets.relu(),
+                            EBImageArchitecturePresets.convolution(outputPlanes, outputPlanes, 3, 1, 1),
+                            EBImageArchitecturePresets.batchNormalization(outputPlanes)
+                        ],
+                        shortcutLayers: shortcutLayers
+                    });
+                    layers.push(EBImageArchitecturePresets.relu());
+
+                    side = Math.ceil(side / step);
+                    planes = outputPlanes;
+                }
+            });
+
+            layers.push({title: "GlobalAveragePooling", layerType: "globalaveragepooling"});
+            return layers;
+        }
+
+
+        /**
+         * This method generates a compact architecture for small images, built from depthwise
+         * separable convolutions: a depthwise 3x3 convolution followed by a pointwise 1x1 convolution.
+         * These need far fewer parameters than full 3x3 convolutions.
+         *
+         * @param {number} side The smaller of the width and height of the images
+         * @param {number} channels The number of channels in the images
+         * @return {[object]} The layers
+         */
+        static generateDepthwise(side, channels)
+        {
+            const layers = [
+                EBImageArchitecturePresets.convolution(channels, 16, 3, 1, 1),
+                EBImageArchitecturePresets.batchNormalization(16),
+                EBImageArchitecturePresets.relu()
+            ];
+
+            let planes = 16;
+            [32, 64, 128].forEach((outputPlanes) =>
+            {
+                const step = side >= 8 ? 2 : 1;
+                layers.push({
+                    title: "DepthwiseConvolution",
+                    layerType: "depthwiseconvolution",
+                    nInputPlane: planes,
+                    depthMultiplier: 1,
+                    kernelWidth: 3,
+                    kernelHeight: 3,
+                    stepWidth: step,
+                    stepHeight: step,
+                    paddingWidth: 1,
+                    paddingHeight: 1
+                });
+                layers.push(EBImageArchitecturePresets.batchNormalization(planes));
+                layers.push(EBImageArchitecturePresets.relu());
+                layers.push(EBImageArchitecturePresets.convolution(planes, outputPlanes, 1, 1, 0));
+                layers.push(EBImageArchitecturePresets.batchNormalization(outputPlanes));
+                layers.push(EBImageArchitecturePresets.relu());
+
+                side = Math.ceil(side / step);
+                planes = outputPlanes;
+            });
+
+            layers.push({title: "GlobalAveragePooling", layerType: "globalaveragepooling"});
+            layers.push(EBImageArchitecturePresets.dropout(0.2));
+            return layers;
+        }
+
+
+        /**
+         * This method counts how many times a size can be halved, rounding down, without going below a minimum.
+         *
+         * @param {number} side The size to halve
+         * @param {number} minimum The smallest size allowed
+         * @return {number} The number of halvings
+         */
+        static countHalvings(side, minimum)
+        {
+            let halvings = 0;
+            while (Math.floor(side / 2) >= minimum)
+            {
+                side = Math.floor(side / 2);
+                halvings += 1;
+            }
+            return halvings;
+        }
+
+
+        /**
+         * This method creates a convolution layer with a square kernel.
+         *
+         * @param {number} inputPlanes The number of planes going in
+         * @param {number} outputPlanes The number of planes coming out
+         * @param {number} kernel The width and height of the kernel
+         * @param {number} step The step in both directions
+         * @param {number} padding The padding on every side
+         * @return {object} The layer
+         */
+        static convolution(inputPlanes, outputPlanes, kernel, step, padding)
+        {
+            return {
+                title: "Convolution",
+                layerType: "convolution",
+                nInputPlane: inputPlanes,
+                nOutputPlane: outputPlanes,
+                kernelWidth: kernel,
+                kernelHeight: kernel,
+                stepWidth: step,
+                stepHeight: step,
+                paddingWidth: padding,
+                paddingHeight: padding
+            };
+        }
+
+
+        /**
+         * This method creates a batch normalization layer.
+         *
+         * @param {number} planes The number of planes going in
+         * @return {object} The layer
+         */
+        static batchNormalization(planes)
+        {
+            return {title: "BatchNormalization", layerType: "batchnormalization", nInputFeatures: planes};
+        }
+
+
+        /**
+         * This method creates a ReLU layer.
+         *
+         * @return {object} The layer
+         */
+        static relu()
+        {
+            return {title: "ReLu", layerType: "relu", nState: true};
+        }
+
+
+        /**
+         * This method creates a dropout layer.
+         *
+         * @param {number} ratio The fraction of values to drop
+         * @return {object} The layer
+         */
+        static dropout(ratio)
+        {
+            return {title: "Dropout", layerType: "dropout", nRatio: ratio};
+        }
+
+
+        /**
+         * This method creates a 2x2 max pooling layer, which halves the width and height.
+         *
+         * @return {object} The layer
+         */
+        static maxPooling()
+        {
+            return {title: "MaxPooling", layerType: "maxpooling", nKernelWidth: 2, nKernelHeight: 2, nStepWidth: 2, nStepHeight: 2};
+        }
+    }
+
+    EBImageArchitecturePresets.presets = [
+        {
+            name: 'default',
+            title: 'Default',
+            description: 'Three stages of convolution, batch normalization, ReLU, dropout and max pooling.',
+            generate: EBImageArchitecturePresets.generateDefault
+        },
+        {
+            name: 'lenet',
+            title: 'LeNet',
+            description: 'Two stages of 5x5 convolutions and max pooling. Small and quick to train, suited to simple images such as digits.',
+            generate: EBImageArchitecturePresets.generateLeNet
+        },
+        {
+            name: 'smallVGG',
+            title: 'Small VGG',
+            description: 'Up to four stages of paired 3x3 convolutions with batch normalization, followed by max pooling.',
+            generate: EBImageArchitecturePresets.generateSmallVGG
+        },
+        {
+            name: 'resnet18',
+            title: 'ResNet-18',
+            description: 'Four stages of two residual blocks each, ending in global average pooling. Deep and accurate, but slow to train.',
+            generate: EBImageArchitecturePresets.generateResNet18
+        },
+        {
+            name: 'depthwise',
+            title: 'Compact Depthwise',
+            description: 'Depthwise separable convolutions with few parameters, for small images.',
+            generate: EBImageArchitecturePresets.generateDepthwise
+        }
+    ];
+
+    return EBImageArchitecturePresets;
+});
@@ -0,0 +1,549 @@
+/*
+ Electric Brain is an easy to use platform for machine learning.
+ Copyright (C) 2016 Electric Brain Software Corporation
+
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU Affero General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU Affero General Public License for more details.
+
+ You should have received a copy of the GNU Affero General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+// This file is shared by the server and the configuration view. The server loads it as a
+// CommonJS module, and the browser registers it as an angular service.
+(function(factory)
+{
+    if (typeof module === 'object' && module.exports)
+    {
+        module.exports = factory(require('bluebird'), require('underscore'));
+    }
+    else
+    {
+        angular.module('eb').factory('EBImageAugmentation', function EBImageAugmentation($q)
+        {
+            return factory($q, _);
+        });
+    }
+})(function(Promise, underscore)
+{
+    /**
+     * This class applies the configurable list of random augmentations to images while training.
+     *
+     * Each augmentation is an object with a type, the probability that it gets applied to any
+     * given image, and parameters for the range of its strength. Every augmentation takes a
+     * bitmap at the network size and produces a bitmap at the network size. See EBImageProcessor
+     * for the format of bitmaps, and EBImageAugmentationTypes for the types of augmentation.
+     *
+     * The work that needs an image library, which is cropping, resizing, blurring and creating blank
+     * bitmaps, is done by a processor with the same methods as EBImageProcessor. The server passes
+     * EBImageProcessor, and the configuration view passes EBImageCanvasProcessor so that it can
+     * preview the augmentations in the browser.
+     */
+    class EBImageAugmentation
+    {
+        /**
+         * This method applies the given list of augmentations to an image.
+         *
+         * @param {object} bitmap The bitmap to augment, already at the network size
+         * @param {[object]} augmentations The list of augmentations to apply, in order
+         * @param {object} size An object with the width and height of the network input
+         * @param {EBImageRandom} random The random generator for the augmentations
+         * @param {object} background The {r, g, b, a} color used to fill in areas that are uncovered by a transform
+         * @param {object} processor The processor for the bitmaps, such as EBImageProcessor
+         * @return {Promise} A promise that resolves to the augmented bitmap
+         */
+        static applyAugmentations(bitmap, augmentations, size, random, background, processor)
+        {
+            const context = {size, random, background, processor};
+
+            // The augmentations must run one after another, so that the seeded random
+            // generator is always consumed in the same order
+            return augmentations.reduce((previous, augmentation) =>
+            {
+                return previous.then((bitmap) =>
+                {
+                    const method = augmentationMethods[augmentation.type];
+                    if (!method)
+                    {
+                        throw new Error(`Unknown image augmentation type: ${augmentation.type}`);
+                    }
+
+                    const probability = underscore.isNumber(augmentation.probability) ? augmentation.probability : 1;
+                    if (random.chance(probability))
+                    {
+                        return method(bitmap, augmentation, context);
+                    }
+                    return bitmap;
+                });
+            }, Promise.resolve(bitmap));
+        }
+
+
+        /**
+         * This method converts a CSS style hex color, such as #000000 or #00000000, into an
+         * object with r, g, b and a components in the range 0-255.
+         *
+         * @param {string} color The color to convert. Defaults to opaque black.
+         * @return {object} The color as {r, g, b, a}
+         */
+        static parseColor(color)
+        {
+            let hex = (color || '#000000').replace('#', '');
+            if (hex.length === 6)
+            {
+                hex += 'ff';
+            }
+
+            const rgba = parseInt(hex, 16);
+            if (hex.length !== 8 || isNaN(rgba))
+            {
+                throw new Error(`Invalid color: ${color}`);
+            }
+
+            return {
+                r: (rgba >>> 24) & 0xFF,
+                g: (rgba >>> 16) & 0xFF,
+                b: (rgba >>> 8) & 0xFF,
+                a: rgba & 0xFF
+            };
+        }
+
+
+        /**
+         * This method brings a bitmap back to the network size after a transform changed its
+         * size. Dimensions that are too large are cropped at a random position, and dimensions
+         * that are too small are padded evenly on both sides.
+         *
+         * @param {object} bitmap The bitmap to fit
+         * @param {object} context The size, random generator, background and processor for the augmentations
+         * @return {object} A bitmap at the network size
+         */
+        static fitToSize(bitmap, context)
+        {
+            const size = context.size;
+            const cropWidth = Math.min(bitmap.width, size.width);
+            const cropHeight = Math.min(bitmap.height, size.height);
+            const cropPointX = Math.floor(context.random.random() * (bitmap.width - cropWidth + 1));
+            const cropPointY = Math.floor(context.random.random() * (bitmap.height - cropHeight + 1));
+            const cropped = context.processor.cropBitmap(bitmap, cropPointX, cropPointY, cropWidth, cropHeight);
+
+            const offsetX = Math.floor((size.width - cropped.width) / 2);
+            const offsetY = Math.floor((size.height - cropped.height) / 2);
+            return EBImageAugmentation.placeOnCanvas(cropped, offsetX, offsetY, context);
+        }
+
+
+        /**
+         * This method places a bitmap onto a canvas of the network size filled with the
+         * background color, at the given offset. Parts that fall outside the canvas are cut off.
+         *
+         * @param {object} bitmap The bitmap to place
+         * @param {number} offsetX The horizontal position of the bitmap on the canvas
+         * @param {number} offsetY The vertical position of the bitmap on the canvas
+         * @param {object} context The size, random generator, background and processor for the augmentations
+         * @return {object} A new bitmap at the network size
+         */
+        static placeOnCanvas(bitmap, offsetX, offsetY, context)
+        {
+            const width = context.size.width;
+            const height = context.size.height;
+            const canvas = context.processor.createBlankBitmap({width, height}, context.background);
+
+            const left = Math.max(0, offsetX);
+            const right = Math.min(width, offsetX + bitmap.width);
+            if (right <= left)
+            {
+                return canvas;
+            }
+
+            for (let y = Math.max(0, offsetY); y < Math.min(height, offsetY + bitmap.height); y += 1)
+            {
+                const sourceStart = ((y - offsetY) * bitmap.width + (left - offsetX)) * 4;
+                canvas.data.set(bitmap.data.subarray(sourceStart, sourceStart + (right - left) * 4), (y * width + left) * 4);
+            }
+            return canvas;
+        }
+
+
+        /**
+         * This method fills a rectangle of a bitmap with the given color.
+         *
+         * @param {object} bitmap The bitmap to draw on
+         * @param {number} x The left edge of the rectangle
+         * @param {number} y The top edge of the rectangle
+         * @param {number} width The width of the rectangle
+         * @param {number} height The height of the rectangle
+         * @param {object} color The {r, g, b, a} color to fill with
+         */
+        static fillRectangle(bitmap, x, y, width, height, color)
+        {
+            for (let row = y; row < y + height; row += 1)
+            {
+                for (let column = x; column < x + width; column += 1)
+                {
+                    const index = (row * bitmap.width + column) * 4;
+                    bitmap.data[index] = color.r;
+                    bitmap.data[index + 1] = color.g;
+                    bitmap.data[index + 2] = color.b;
+                    bitmap.data[index + 3] = color.a;
+                }
+            }
+        }
+
+
+        /**
+         * This method produces a new bitmap of the same size by looking up, for every output
+         * pixel, which pixel of the source it comes from. Pixels that come from outside the
+         * source are filled with the background color.
+         *
+         * @param {object} bitmap The source bitmap
+         * @param {function} mapPoint A function that takes the output x and y, and returns the source [x, y]
+         * @param {object} background The {r, g, b, a} color for pixels from outside the source
+         * @param {object} processor The processor for the bitmaps, such as EBImageProcessor
+         * @return {object} A new bitmap
+         */
+        static remapBitmap(bitmap, mapPoint, background, processor)
+        {
+            const width = bitmap.width;
+            const height = bitmap.height;
+            const output = processor.createBlankBitmap({width, height}, background);
+            for (let y = 0; y < height; y += 1)
+            {
+                for (let x = 0; x < width; x += 1)
+                {
+                    const source = mapPoint(x, y);
+                    const sourceX = Math.round(source[0]);
+                    const sourceY = Math.round(source[1]);
+                    if (sourceX >= 0 && sourceX < width && sourceY >= 0 && sourceY < height)
+                    {
+                        const sourceIndex = (sourceY * width + sourceX) * 4;
+                        output.data.set(bitmap.data.subarray(sourceIndex, sourceIndex + 4), (y * width + x) * 4);
+                    }
+                }
+            }
+            return output;
+        }
+
+
+        /**
+         * This method applies a function to the color of every pixel of a bitmap, in place
+         *
+         * @param {object} bitmap The bitmap to modify
+         * @param {function} mapColor A function that takes red, green and blue values and returns a new [red, green, blue]
+         * @return {object} The same bitmap
+         */
+        static mapColors(bitmap, mapColor)
+        {
+            const data = bitmap.data;
+            for (let index = 0; index < data.length; index += 4)
+            {
+                const color = mapColor(data[index], data[index + 1], data[index + 2]);
+                data[index] = Math.max(0, Math.min(255, Math.round(color[0])));
+                data[index + 1] = Math.max(0, Math.min(255, Math.round(color[1])));
+                data[index + 2] = Math.max(0, Math.min(255, Math.round(color[2])));
+            }
+            return bitmap;
+        }
+
+
+        /**
+         * This method converts an RGB color, with components in the range 0-255, into HSL,
+         * with the hue in degrees and the saturation and lightness in the range 0-1.
+         *
+         * @param {number} red The red component
+         * @param {number} green The green component
+         * @param {number} blue The blue component
+         * @return {[number]} The [hue, saturation, lightness]
+         */
+        static rgbToHsl(red, green, blue)
+        {
+            red /= 255;
+            green /= 255;
+            blue /= 255;
+            const maximum = Math.max(red, green, blue);
+            const minimum = Math.min(red, green, blue);
+            const lightness = (maximum + minimum) / 2;
+            if (maximum === minimum)
+            {
+                return [0, 0, lightness];
+            }
+
+            const delta = maximum - minimum;
+            const saturation = lightness > 0.5 ? delta / (2 - maximum - minimum) : delta / (maximum + minimum);
+            let hue = 0;
+            if (maximum === red)
+            {
+                hue = (green - blue) / delta + (green < blue ? 6 : 0);
+            }
+            else if (maximum === green)
+            {
+                hue = (blue - red) / delta + 2;
+            }
+            else
+            {
+                hue = (red - green) / delta + 4;
+            }
+            return [hue * 60, saturation, lightness];
+        }
+
+
+        /**
+         * This method converts an HSL color back into RGB. See rgbToHsl for the ranges.
+         *
+         * @param {number} hue The hue, in degrees
+         * @param {number} saturation The saturation
+         * @param {number} lightness The lightness
+         * @return {[number]} The [red, green, blue]
+         */
+        static hslToRgb(hue, saturation, lightness)
+        {
+            if (saturation === 0)
+            {
+                return [lightness * 255, lightness * 255, lightness * 255];
+            }
+
+            const hueToComponent = (p, q, t) =>
+            {
+                t = ((t % 1) + 1) % 1;
+                if (t < 1 / 6)
+                {
+                    return p + (q - p) * 6 * t;
+                }
+                else if (t < 1 / 2)
+                {
+                    return q;
+                }
+                else if (t < 2 / 3)
+                {
+                    return p + (q - p) * (2 / 3 - t) * 6;
+                }
+                return p;
+            };
+
+            const q = lightness < 0.5 ? lightness * (1 + saturation) : lightness + saturation - lightness * saturation;
+            const p = 2 * lightness - q;
+            const h = hue / 360;
+            return [
+                hueToComponent(p, q, h + 1 / 3) * 255,
+                hueToComponent(p, q, h) * 255,
+                hueToComponent(p, q, h - 1 / 3) * 255
+            ];
+        }
+
+
+        /**
+         * This method solves for the projective transform that maps each of the four source
+         * points onto the matching destination point.
+         *
+         * @param {[[number]]} source Four [x, y] points
+         * @param {[[number]]} destination Four [x, y] points
+         * @return {[number]} The first eight entries of the 3x3 transform matrix, in row order. The last entry is 1.
+         */
+        static computeProjectiveTransform(source, destination)
+        {
+            // Build the 8x8 linear system, with the right hand side as an extra column
+            const rows = [];
+            for (let point = 0; point < 4; point += 1)
+            {
+                const x = source[point][0];
+                const y = source[point][1];
+                const u = destination[point][0];
+                const v = destination[point][1];
+                rows.push([x, y, 1, 0, 0, 0, -x * u, -y * u, u]);
+                rows.push([0, 0, 0, x, y, 1, -x * v, -y * v, v]);
+            }
+
+            // Gaussian elimination with partial pivoting
+            for (let column = 0; column < 8; column += 1)
+            {
+                let pivot = column;
+                for (let row = column + 1; row < 8; row += 1)
+                {
+                    if (Math.abs(rows[row][column]) > Math.abs(rows[pivot][column]))
+                    {
+                        pivot = row;
+                    }
+                }
+                const swap = rows[column];
+                rows[column] = rows[pivot];
+                rows[pivot] = swap;
+
+                for (let row = 0; row < 8; row += 1)
+                {
+                    if (row !== column)
+                    {
+                        const factor = rows[row][column] / rows[column][column];
+                        for (let entry = column; entry < 9; entry += 1)
+                        {
+                            rows[row][entry] -= factor * rows[column][entry];
+                        }
+                    }
+                }
+            }
+
+            return rows.map((row, index) => row[8] / row[index]);
+        }
+    }
+
+
+    /**
+     * The functions that implement each type of augmentation. Each one takes the bitmap, the
+     * augmentation configuration and the context, and returns either the augmented bitmap or
+     * a promise that resolves to it.
+     */
+    const augmentationMethods = {
+        horizontalFlip: (bitmap, augmentation, context) =>
+        {
+            return EBImageAugmentation.remapBitmap(bitmap, (x, y) => [bitmap.width - 1 - x, y], {r: 0, g: 0, b: 0, a: 0}, context.processor);
+        },
+        verticalFlip: (bitmap, augmentation, context) =>
+        {
+            return EBImageAugmentation.remapBitmap(bitmap, (x, y) => [x, bitmap.height - 1 - y], {r: 0, g: 0, b: 0, a: 0}, context.processor);
+        },
+        rotate: (bitmap, augmentation, context) =>
+        {
+            // Rotate around the center, keeping the same canvas
+            const radians = context.random.uniform(augmentation.minDegrees, augmentation.maxDegrees) * Math.PI / 180;
+            const cos = Math.cos(radians);
+            const sin = Math.sin(radians);
+            const centerX = (bitmap.width - 1) / 2;
+            const centerY = (bitmap.height - 1) / 2;
+            return EBImageAugmentation.remapBitmap(bitmap, (x, y) => [
+                centerX + (x - centerX) * cos + (y - centerY) * sin,
+                centerY - (x - centerX) * sin + (y - centerY) * cos
+            ], context.background, context.processor);
+        },
+        stretch: (bitmap, augmentation, context) =>
+        {
+            const newWidth = Math.max(1, Math.round(context.size.width * context.random.uniform(augmentation.minScale, augmentation.maxScale)));
+            const newHeight = Math.max(1, Math.round(context.size.height * context.random.uniform(augmentation.minScale, augmentation.maxScale)));
+            return context.processor.resizeBitmap(bitmap, newWidth, newHeight).then((resized) =>
+            {
+                return EBImageAugmentation.fitToSize(resized, context);
+            });
+        },
+        randomCrop: (bitmap, augmentation, context) =>
+        {
+            // Take a window covering a random fraction of the image area, then zoom it back up
+            const scale = Math.sqrt(context.random.uniform(augmentation.minArea, augmentation.maxArea));
+            const cropWidth = Math.max(1, Math.min(context.size.width, Math.round(context.size.width * scale)));
+            const cropHeight = Math.max(1, Math.min(context.size.height, Math.round(context.size.height * scale)));
+            const cropPointX = Math.floor(context.random.random() * (context.size.width - cropWidth + 1));
+            const cropPointY = Math.floor(context.random.random() * (context.size.height - cropHeight + 1));
+            const cropped = context.processor.cropBitmap(bitmap, cropPointX, cropPointY, cropWidth, cropHeight);
+            return context.processor.resizeBitmap(cropped, context.size.width, context.size.height);
+        },
+        translate: (bitmap, augmentation, context) =>
+        {
+            const offsetX = Math.round(context.size.width * context.random.uniform(-augmentation.maxTranslateX, augmentation.maxTranslateX));
+            const offsetY = Math.round(context.size.height * context.random.uniform(-augmentation.maxTranslateY, augmentation.maxTranslateY));
+            return EBImageAugmentation.placeOnCanvas(bitmap, offsetX, offsetY, context);
+        },
+        brightness: (bitmap, augmentation, context) =>
+        {
+            // Positive amounts move every value towards white, negative amounts towards black
+            const amount = Math.max(-1, Math.min(1, context.random.uniform(augmentation.min, augmentation.max)));
+            const adjust = (value) => amount < 0 ? value * (1 + amount) : value + (255 - value) * amount;
+            return EBImageAugmentation.mapColors(bitmap, (red, green, blue) => [adjust(red), adjust(green), adjust(blue)]);
+        },
+        contrast: (bitmap, augmentation, context) =>
+        {
+            const amount = Math.max(-0.99, Math.min(0.99, context.random.uniform(augmentation.min, augmentation.max)));
+            const factor = (amount + 1) / (1 - amount);
+            const adjust = (value) => factor * (value - 127) + 127;
+            return EBImageAugmentation.mapColors(bitmap, (red, green, blue) => [adjust(red), adjust(green), adjust(blue)]);
+        },
+        saturation: (bitmap, augmentation, context) =>
+        {
+            // The amount is in percent of the full saturation range
+            const amount = context.random.uniform(augmentation.min, augmentation.max) / 100;
+            return EBImageAugmentation.mapColors(bitmap, (red, green, blue) =>
+            {
+                const hsl = EBImageAugmentation.rgbToHsl(red, green, blue);
+                return EBImageAugmentation.hslToRgb(hsl[0], Math.max(0, Math.min(1, hsl[1] + amount)), hsl[2]);
+            });
+        },
+        hue: (bitmap, augmentation, context) =>
+        {
+            // The amount is in degrees around the color wheel
+            const amount = context.random.uniform(augmentation.min, augmentation.max);
+            return EBImageAugmentation.mapColors(bitmap, (red, green, blue) =>
+            {
+                const hsl = EBImageAugmentation.rgbToHsl(red, green, blue);
+                return EBImageAugmentation.hslToRgb(hsl[0] + amount, hsl[1], hsl[2]);
+            });
+        },
+        gaussianNoise: (bitmap, augmentation, context) =>
+        {
+            const standardDeviation = context.random.uniform(augmentation.minStd, augmentation.maxStd);
+            return EBImageAugmentation.mapColors(bitmap, (red, green, blue) =>
+            {
+                return [red, green, blue].map((value) =>
+                {
+                    // Box-Muller transform to get a normally distributed value
+                    const normal = Math.sqrt(-2 * Math.log(1 - context.random.random())) * Math.cos(2 * Math.PI * context.random.random());
+                    return value + normal * standardDeviation;
+                });
+            });
+        },
+        blur: (bitmap, augmentation, context) =>
+        {
+            // The radius is used as the standard deviation of a gaussian blur. sharp can't blur with less than 0.3.
+            const radius = context.random.uniform(augmentation.minRadius, augmentation.maxRadius);
+            if (radius < 0.3)
+            {
+                return bitmap;
+            }
+            return context.processor.blurBitmap(bitmap, radius);
+        },
+        cutout: (bitmap, augmentation, context) =>
+        {
+            for (let hole = 0; hole < (augmentation.count || 1); hole += 1)
+            {
+                const holeWidth = Math.max(1, Math.min(context.size.width, Math.round(context.size.width * context.random.uniform(augmentation.minSize, augmentation.maxSize))));
+                const holeHeight = Math.max(1, Math.min(context.size.height, Math.round(context.size.height * context.random.uniform(augmentation.minSize, augmentation.maxSize))));
+                const holeX = Math.floor(context.random.random() * (context.size.width - holeWidth + 1));
+                const holeY = Math.floor(context.random.random() * (context.size.height - holeHeight + 1));
+                EBImageAugmentation.fillRectangle(bitmap, holeX, holeY, holeWidth, holeHeight, context.background);
+            }
+            return bitmap;
+        },
+        perspective: (bitmap, augmentation, context) =>
+        {
+            const width = bitmap.width;
+            const height = bitmap.height;
+            const distortX = () => context.random.uniform(0, augmentation.maxDistortion) * width;
+            const distortY = () => context.random.uniform(0, augmentation.maxDistortion) * height;
+
+            // Each output corner samples from a corner of the source moved towards the center
+            const corners = [[0, 0], [width - 1, 0], [width - 1, height - 1], [0, height - 1]];
+            const sourceCorners = [
+                [distortX(), distortY()],
+                [width - 1 - distortX(), distortY()],
+                [width - 1 - distortX(), height - 1 - distortY()],
+                [distortX(), height - 1 - distortY()]
+            ];
+            const transform = EBImageAugmentation.computeProjectiveTransform(corners, sourceCorners);
+
+            return EBImageAugmentation.remapBitmap(bitmap, (x, y) =>
+            {
+                const denominator = transform[6] * x + transform[7] * y + 1;
+                return [
+                    (transform[0] * x + transform[1] * y + transform[2]) / denominator,
+                    (transform[3] * x + transform[4] * y + transform[5]) / denominator
+                ];
+            }, context.background, context.processor);
+        }
+    };
+
+    return EBImageAugmentation;
+});
@@ -0,0 +1,321 @@
+/*
+ Electric Brain is an easy to use platform for machine learning.
+ Copyright (C) 2016 Electric Brain Software Corporation
+
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU Affero General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU Affero General Public License for more details.
+
+ You should have received a copy of the GNU Affero General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+// This file is shared by the server and the configuration view. The server loads it as a
+// CommonJS module, and the browser registers it as an angular service.
+(function(factory)
+{
+    if (typeof module === 'object' && module.exports)
+    {
+        module.exports = factory(require('underscore'));
+    }
+    else
+    {
+        angular.module('eb').factory('EBImageAugmentationTypes', function EBImageAugmentationTypes()
+        {
+            return factory(_);
+        });
+    }
+})(function(underscore)
+{
+    /**
+     * This class holds the types of augmentation that can be configured for an image field, along
+     * with their default parameters and the JSON schema for their parameters. It is kept apart from
+     * EBImageAugmentation, which does the actual image processing, so that the configuration view
+     * and the configuration schema can use the types without loading any of the image code.
+     *
+     * Like EBImageLayerSchema, the schema is made of definitions meant to be placed in the definitions
+     * of the configuration schema. Every augmentation type has its own definition, named
+     * <type>Augmentation, and the "augmentation" definition accepts any one of them. The schema only
+     * checks each parameter on its own, so a minimum that is above its maximum is caught by
+     * validateAugmentations instead.
+     */
+    class EBImageAugmentationTypes
+    {
+        /**
+         * This method returns the list of augmentations for the given interpretation configuration.
+         * Configurations from before the augmentation list existed have their boolean flags
+         * converted into the equivalent augmentations.
+         *
+         * @param {object} configuration The interpretation configuration for the field
+         * @return {[object]} The list of augmentations, in the order they are applied
+         */
+        static getAugmentationsForConfiguration(configuration)
+        {
+            if (Array.isArray(configuration.augmentations))
+            {
+                return configuration.augmentations;
+            }
+
+            const augmentations = [];
+            if (configuration.mirrorHorizontally)
+            {
+                augmentations.push(EBImageAugmentationTypes.createAugmentation('horizontalFlip'));
+            }
+            if (configuration.stretchImage)
+            {
+                augmentations.push(EBImageAugmentationTypes.createAugmentation('stretch'));
+            }
+            if (configuration.rotateImage)
+            {
+                augmentations.push(EBImageAugmentationTypes.createAugmentation('rotate'));
+            }
+            return augmentations;
+        }
+
+
+        /**
+         * This method creates a new augmentation of the given type with its default parameters
+         *
+         * @param {string} type The type of augmentation
+         * @return {object} The augmentation
+         */
+        static createAugmentation(type)
+        {
+            const augmentationType = underscore.findWhere(EBImageAugmentationTypes.augmentationTypes, {type});
+            if (!augmentationType)
+            {
+                throw new Error(`Unknown image augmentation type: ${type}`);
+            }
+
+            return underscore.clone(augmentationType);
+        }
+
+
+        /**
+         * This method returns the JSON schema definitions for the augmentations.
+         *
+         * @return {object} The definitions, keyed by name
+         */
+        static definitions()
+        {
+            const range = (minimum, maximum) => ({"type": "number", "minimum": minimum, "maximum": maximum});
+            const nonNegative = () => ({"type": "number", "minimum": 0});
+
+            const augmentationTypes = {
+                horizontalFlip: {},
+                verticalFlip: {},
+                rotate: {minDegrees: range(-180, 180), maxDegrees: range(-180, 180)},
+                // Stretching never makes an image smaller than a pixel, so a scale of 0 is harmless
+                stretch: {minScale: nonNegative(), maxScale: nonNegative()},
+                randomCrop: {minArea: range(0, 1), maxArea: range(0, 1)},
+                translate: {maxTranslateX: range(0, 1), maxTranslateY: range(0, 1)},
+                brightness: {min: range(-1, 1), max: range(-1, 1)},
+                contrast: {min: range(-1, 1), max: range(-1, 1)},
+                // Saturation is in percent of the full range, and hue in degrees around the color wheel
+                saturation: {min: range(-100, 100), max: range(-100, 100)},
+                hue: {min: range(-180, 180), max: range(-180, 180)},
+                gaussianNoise: {minStd: nonNegative(), maxStd: nonNegative()},
+                blur: {minRadius: nonNegative(), maxRadius: nonNegative()},
+                cutout: {count: {"type": "integer", "minimum": 1}, minSize: range(0, 1), maxSize: range(0, 1)},
+                perspective: {maxDistortion: range(0, 0.5)}
+            };
+
+            const definitions = {
+                augmentation: {
+                    "oneOf": Object.keys(augmentationTypes).map((type) => ({"$ref": `#/definitions/${type}Augmentation`}))
+                }
+            };
+
+            Object.keys(augmentationTypes).forEach((type) =>
+            {
+                definitions[`${type}Augmentation`] = EBImageAugmentationTypes.augmentationDefinition(type, augmentationTypes[type]);
+            });
+
+            return definitions;
+        }
+
+
+        /**
+         * This method creates the definition for one augmentation type. Every parameter is required.
+         *
+         * @param {string} type The type of the augmentation
+         * @param {object} properties The schemas for the parameters of the augmentation, keyed by name
+         * @return {object} The definition
+         */
+        static augmentationDefinition(type, properties)
+        {
+            return {
+                "type": "object",
+                "properties": Object.assign({
+                    type: {"type": "string", "enum": [type]},
+                    title: {"type": "string"},
+                    probability: {"type": "number", "minimum": 0, "maximum": 1}
+                }, properties),
+                "required": ['type'].concat(Object.keys(properties))
+            };
+        }
+
+
+        /**
+         * This method checks the parts of a list of augmentations that the schema can't check,
+         * which are the ranges with a minimum above their maximum.
+         *
+         * @param {[object]} augmentations The list of augmentations to check
+         * @return {[string]} A message for every problem that was found. The list is empty when the augmentations are valid.
+         */
+        static validateAugmentations(augmentations)
+        {
+            const errors = [];
+            augmentations.forEach((augmentation, index) =>
+            {
+                EBImageAugmentationTypes.validateAugmentation(augmentation).forEach((error) =>
+                {
+                    errors.push(`Augmentation ${index + 1} (${augmentation.title || augmentation.type}): ${error}`);
+                });
+            });
+            return errors;
+        }
+
+
+        /**
+         * This method checks the ranges of a single augmentation, as described in validateAugmentations.
+         *
+         * @param {object} augmentation The augmentation to check
+         * @return {[string]} A message for every range with its minimum above its maximum
+         */
+        static validateAugmentation(augmentation)
+        {
+            const ranges = EBImageAugmentationTypes.rangeParameters[augmentation.type] || [];
+            return ranges.filter((range) => augmentation[range[0]] > augmentation[range[1]]).map((range) =>
+            {
+                return `${range[0]} (${augmentation[range[0]]}) is above ${range[1]} (${augmentation[range[1]]})`;
+            });
+        }
+    }
+
+    /**
+     * The available types of augmentation, along with their default parameters.
+     */
+    EBImageAugmentationTypes.augmentationTypes = [
+        {
+            "type": "horizontalFlip",
+            "title": "Flip Horizontally",
+            "probability": 0.5
+        },
+        {
+            "type": "verticalFlip",
+            "title": "Flip Vertically",
+            "probability": 0.5
+        },
+        {
+            "type": "rotate",
+            "title": "Rotate",
+            "probability": 1,
+            "minDegrees": -15,
+            "maxDegrees": 15
+        },
+        {
+            "type": "stretch",
+            "title": "Stretch",
+            "probability": 1,
+            "minScale": 0.7,
+            "maxScale": 1.3
+        },
+        {
+            "type": "randomCrop",
+            "title": "Random Crop",
+            "probability": 1,
+            "minArea": 0.6,
+            "maxArea": 1
+        },
+        {
+            "type": "translate",
+            "title": "Translate",
+            "probability": 1,
+            "maxTranslateX": 0.1,
+            "maxTranslateY": 0.1
+        },
+        {
+            "type": "brightness",
+            "title": "Brightness Jitter",
+            "probability": 1,
+            "min": -0.2,
+            "max": 0.2
+        },
+        {
+            "type": "contrast",
+            "title": "Contrast Jitter",
+            "probability": 1,
+            "min": -0.2,
+            "max": 0.2
+        },
+        {
+            "type": "saturation",
+            "title": "Saturation Jitter",
+            "probability": 1,
+            "min": -30,
+            "max": 30
+        },
+        {
+            "type": "hue",
+            "title": "Hue Jitter",
+            "probability": 1,
+            "min": -10,
+            "max": 10
+        },
+        {
+            "type": "gaussianNoise",
+            "title": "Gaussian Noise",
+            "probability": 0.5,
+            "minStd": 0,
+            "maxStd": 10
+        },
+        {
+            "type": "blur",
+            "title": "Blur",
+            "probability": 0.3,
+            "minRadius": 1,
+            "maxRadius": 2
+        },
+        {
+            "type": "cutout",
+            "title": "Cutout",
+            "probability": 0.5,
+            "count": 1,
+            "minSize": 0.1,
+            "maxSize": 0.3
+        },
+        {
+            "type": "perspective",
+            "title": "Perspective Warp",
+            "probability": 0.5,
+            "maxDistortion": 0.1
+        }
+    ];
+
+    /**
+     * The pairs of parameters that give the minimum and maximum of a range, for each type of augmentation.
+     */
+    EBImageAugmentationTypes.rangeParameters = {
+        rotate: [['minDegrees', 'maxDegrees']],
+        stretch: [['minScale', 'maxScale']],
+        randomCrop: [['minArea', 'maxArea']],
+        brightness: [['min', 'max']],
+        contrast: [['min', 'max']],
+        saturation: [['min', 'max']],
+        hue: [['min', 'max']],
+        gaussianNoise: [['minStd', 'maxStd']],
+        blur: [['minRadius', 'maxRadius']],
+        cutout: [['minSize', 'maxSize']]
+    };
+
+    return EBImageAugmentationTypes;
+});
@@ -0,0 +1,261 @@
+/*
+ Electric Brain is an easy to use platform for machine learning.
+ Copyright (C) 2016 Electric Brain Software Corporation
+
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU Affero General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU Affero General Public License for more details.
+
+ You should have received a copy of the GNU Affero General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+/**
+ * This service does the image work for the augmentation preview in the configuration view. It has
+ * the methods of EBImageProcessor that EBImageAugmentation and the preview need, with the same
+ * bitmaps, but uses a canvas in place of sharp. Images are decoded by the browser, which also turns
+ * them the right way up based on their EXIF orientation. Resizing and blurring are done by the
+ * canvas, so they can differ slightly from the server's.
+ */
+angular.module('eb').service('EBImageCanvasProcessor', function EBImageCanvasProcessor($q)
+{
+    var service = {};
+
+    /**
+     * This function creates a canvas of the given size.
+     *
+     * @param {number} width The width of the canvas
+     * @param {number} height The height of the canvas
+     * @return {HTMLCanvasElement} The canvas
+     */
+    function createCanvas(width, height)
+    {
+        var canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+
+    /**
+     * This function draws a bitmap onto a new canvas of the same size.
+     *
+     * @param {object} bitmap The bitmap to draw
+     * @return {HTMLCanvasElement} The canvas
+     */
+    function toCanvas(bitmap)
+    {
+        var canvas = createCanvas(bitmap.width, bitmap.height);
+        var context = canvas.getContext('2d');
+        var imageData = context.createImageData(bitmap.width, bitmap.height);
+        imageData.data.set(bitmap.data);
+        context.putImageData(imageData, 0, 0);
+        return canvas;
+    }
+
+    /**
+     * This function reads the pixels of a canvas into a bitmap.
+     *
+     * @param {HTMLCanvasElement} canvas The canvas to read
+     * @return {object} A new bitmap
+     */
+    function fromCanvas(canvas)
+    {
+        return {
+            data: canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height).data,
+            width: canvas.width,
+            height: canvas.height
+        };
+    }
+
+    /**
+     * This method decodes an image and resizes it with the given fit mode, like EBImageProcessor.decodeBaseImage.
+     *
+     * @param {string} value The image, as a base64 string
+     * @param {string} resizeMode One of 'stretch', 'centerCrop', 'letterbox' or 'randomCrop'
+     * @param {object} size An object with the width and height that the image should have
+     * @param {object} background The {r, g, b, a} color used to pad letterboxed images
+     * @return {Promise} A promise that resolves to a bitmap. For random crops, it covers the size rather than matching it.
+     */
+    service.decodeBaseImage = function(value, resizeMode, size, background)
+    {
+        var deferred = $q.defer();
+        var image = new Image();
+        image.onload = function()
+        {
+            var width = image.naturalWidth;
+            var height = image.naturalHeight;
+            var canvas = null;
+            var scale = 0;
+            if (resizeMode === 'stretch')
+            {
+                canvas = createCanvas(size.width, size.height);
+                canvas.getContext('2d').drawImage(image, 0, 0, size.width, size.height);
+            }
+            else if (resizeMode === 'centerCrop' || resizeMode === 'letterbox')
+            {
+                // Center crops cover the size, and letterboxes fit inside it
+                scale = resizeMode === 'centerCrop' ? Math.max(size.width / width, size.height / height) : Math.min(size.width / width, size.height / height);
+                canvas = createCanvas(size.width, size.height);
+                var context = canvas.getContext('2d');
+                if (resizeMode === 'letterbox')
+                {
+                    context.fillStyle = 'rgba(' + background.r + ',' + background.g + ',' + background.b + ',' + (background.a / 255) + ')';
+                    context.fillRect(0, 0, size.width, size.height);
+                }
+                context.drawImage(image, (size.width - width * scale) / 2, (size.height - height * scale) / 2, width * scale, height * scale);
+            }
+            else if (resizeMode === 'randomCrop')
+            {
+                scale = Math.max(size.width / width, size.height / height);
+                canvas = createCanvas(Math.max(size.width, Math.round(width * scale)), Math.max(size.height, Math.round(height * scale)));
+                canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+            }
+            else
+            {
+                deferred.reject(new Error("Unknown image resize mode: " + resizeMode));
+                return;
+            }
+
+            deferred.resolve(fromCanvas(canvas));
+        };
+        image.onerror = function()
+        {
+            deferred.reject(new Error("The image could not be decoded."));
+        };
+        image.src = 'data:image/png;base64,' + value;
+        return deferred.promise;
+    };
+
+    /**
+     * This method takes the random window out of the base image of a random crop. See EBImageProcessor.finishBaseImage.
+     *
+     * @param {object} base The bitmap from decodeBaseImage
+     * @param {string} resizeMode The resize mode that the base image was decoded with
+     * @param {object} size An object with the width and height of the network input
+     * @param {EBImageRandom} [random] The random generator used for random crops
+     * @return {object} A bitmap at the network size
+     */
+    service.finishBaseImage = function(base, resizeMode, size, random)
+    {
+        if (resizeMode !== 'randomCrop')
+        {
+            return base;
+        }
+
+        var cropPointX = Math.floor(random.random() * (base.width - size.width + 1));
+        var cropPointY = Math.floor(random.random() * (base.height - size.height + 1));
+        return service.cropBitmap(base, cropPointX, cropPointY, size.width, size.height);
+    };
+
+    /**
+     * This method creates a bitmap filled with a single color.
+     *
+     * @param {object} size An object with the width and height of the bitmap
+     * @param {object} color The {r, g, b, a} color to fill it with
+     * @return {object} A new bitmap
+     */
+    service.createBlankBitmap = function(size, color)
+    {
+        var data = new Uint8ClampedArray(size.width * size.height * 4);
+        for (var index = 0; index < data.length; index += 4)
+        {
+            data[index] = color.r;
+            data[index + 1] = color.g;
+            data[index + 2] = color.b;
+            data[index + 3] = color.a;
+        }
+        return {data: data, width: size.width, height: size.height};
+    };
+
+    /**
+     * This method copies a rectangle out of a bitmap.
+     *
+     * @param {object} bitmap The bitmap to crop
+     * @param {number} x The left edge of the rectangle
+     * @param {number} y The top edge of the rectangle
+     * @param {number} width The width of the rectangle
+     * @param {number} height The height of the rectangle
+     * @return {object} A new bitmap
+     */
+    service.cropBitmap = function(bitmap, x, y, width, height)
+    {
+        var data = new Uint8ClampedArray(width * height * 4);
+        for (var row = 0; row < height; row += 1)
+        {
+            var start = ((y + row) * bitmap.width + x) * 4;
+            data.set(bitmap.data.subarray(start, start + width * 4), row * width * 4);
+        }
+        return {data: data, width: width, height: height};
+    };
+
+    /**
+     * This method resizes a bitmap to exactly the given size, ignoring its aspect ratio.
+     *
+     * @param {object} bitmap The bitmap to resize
+     * @param {number} width The new width
+     * @param {number} height The new height
+     * @return {Promise} A promise that resolves to a new bitmap
+     */
+    service.resizeBitmap = function(bitmap, width, height)
+    {
+        var canvas = createCanvas(width, height);
+        canvas.getContext('2d').drawImage(toCanvas(bitmap), 0, 0, width, height);
+        return $q.resolve(fromCanvas(canvas));
+    };
+
+    /**
+     * This method applies a gaussian blur to a bitmap.
+     *
+     * @param {object} bitmap The bitmap to blur
+     * @param {number} sigma The standard deviation of the gaussian, in pixels
+     * @return {Promise} A promise that resolves to a new bitmap
+     */
+    service.blurBitmap = function(bitmap, sigma)
+    {
+        var canvas = createCanvas(bitmap.width, bitmap.height);
+        var context = canvas.getContext('2d');
+        context.filter = 'blur(' + sigma + 'px)';
+        context.drawImage(toCanvas(bitmap), 0, 0);
+        return $q.resolve(fromCanvas(canvas));
+    };
+
+    /**
+     * This method converts a bitmap to greyscale in place, using the Rec. 709 luma weights like EBImageProcessor.
+     *
+     * @param {object} bitmap The bitmap to convert
+     * @return {object} The same bitmap
+     */
+    service.greyscaleBitmap = function(bitmap)
+    {
+        var data = bitmap.data;
+        for (var index = 0; index < data.length; index += 4)
+        {
+            var grey = Math.round(0.2126 * data[index] + 0.7152 * data[index + 1] + 0.0722 * data[index + 2]);
+            data[index] = grey;
+            data[index + 1] = grey;
+            data[index + 2] = grey;
+        }
+        return bitmap;
+    };
+
+    /**
+     * This method encodes a bitmap as a PNG.
+     *
+     * @param {object} bitmap The bitmap to encode
+     * @return {string} The PNG, as a base64 string
+     */
+    service.encodeBitmap = function(bitmap)
+    {
+        return toCanvas(bitmap).toDataURL('image/png').replace(/^data:image\/png;base64,/, '');
+    };
+
+    return service;
+});
@@ -0,0 +1,140 @@
+/*
+ Electric Brain is an easy to use platform for machine learning.
+ Copyright (C) 2016 Electric Brain Software Corporation
+
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU Affero General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU Affero General Public License for more details.
+
+ You should have received a copy of the GNU Affero General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+// This file is shared by the server and the configuration view. The server loads it as a
+// CommonJS module, and the browser registers it as an angular service.
+(function(factory)
+{
+    if (typeof module === 'object' && module.exports)
+    {
+        module.exports = factory(require('./image_augmentation_types'));
+    }
+    else
+    {
+        angular.module('eb').factory('EBImageConfigurationMigrations', function EBImageConfigurationMigrations(EBImageAugmentationTypes)
+        {
+            return factory(EBImageAugmentationTypes);
+        });
+    }
+})(function(EBImageAugmentationTypes)
+{
+    // The size that every image was resized to before the size could be configured
+    const legacyImageSize = 100;
+
+    /**
+     * This class upgrades saved image interpretation configurations to the current format.
+     *
+     * Every configuration carries a configVersion. Configurations saved before versioning have no
+     * configVersion, and count as version 1. Whenever the format changes, such as a parameter being
+     * renamed, a migration is added to the end of EBImageConfigurationMigrations.migrations. Each
+     * migration takes a configuration of the previous version and changes it, in place, into its own
+         * version. Upgrading runs every migration newer than the configuration, in order.
+     *
+     * The server upgrades configurations when it reads them, through
+     * EBImageInterpretation.getConfigurationForSchema, and the configuration view upgrades them
+     * once when they are loaded, so that they pass validation when they are saved again.
+     */
+    class EBImageConfigurationMigrations
+    {
+        /**
+         * This method upgrades a configuration to the current version. The given configuration is left untouched.
+         *
+         * @param {object} configuration The interpretation configuration
+         * @return {object} The upgraded configuration
+         */
+        static upgrade(configuration)
+        {
+            const version = EBImageConfigurationMigrations.getVersion(configuration);
+            if (version > EBImageConfigurationMigrations.currentVersion)
+            {
+                throw new Error(`The image configuration is version ${version}, which is newer than the newest version this plugin understands, ${EBImageConfigurationMigrations.currentVersion}.`);
+            }
+
+            const upgraded = JSON.parse(JSON.stringify(configuration));
+            EBImageConfigurationMigrations.migrations.forEach((migration) =>
+            {
+                if (migration.version > version)
+                {
+                    migration.migrate(upgraded);
+                }
+            });
+            upgraded.configVersion = EBImageConfigurationMigrations.currentVersion;
+            return upgraded;
+        }
+
+
+        /**
+         * This method returns the version of a configuration.
+         *
+         * @param {object} configuration The interpretation configuration
+         * @return {number} The version
+         */
+        static getVersion(configuration)
+        {
+            return configuration.configVersion || 1;
+        }
+    }
+
+    EBImageConfigurationMigrations.migrations = [
+        {
+            version: 2,
+            description: "Replace the rotateImage, stretchImage and mirrorHorizontally flags with the list of augmentations.",
+            migrate: (configuration) =>
+            {
+                configuration.augmentations = EBImageAugmentationTypes.getAugmentationsForConfiguration(configuration);
+                delete configuration.rotateImage;
+                delete configuration.stretchImage;
+                delete configuration.mirrorHorizontally;
+            }
+        },
+        {
+            version: 3,
+            description: "Store the normalization explicitly. Configurations from before it could be chosen scaled pixels to [0, 1].",
+            migrate: (configuration) =>
+            {
+                configuration.normalization = configuration.normalization || 'scale';
+            }
+        },
+        {
+            version: 4,
+            description: "Store the input size and channels explicitly. Configurations from before they could be chosen used 100x100 images, with one channel when greyScale was set and three otherwise.",
+            migrate: (configuration) =>
+            {
+                configuration.inputWidth = configuration.inputWidth || legacyImageSize;
+                configuration.inputHeight = configuration.inputHeight || legacyImageSize;
+                if (!configuration.channels)
+                {
+                    configuration.channels = configuration.greyScale ? 1 : 3;
+
+                    // The default first layer of those configurations always expected three planes
+                    const firstLayer = (configuration.layers || [])[0];
+                    if (firstLayer && firstLayer.nInputPlane === 3)
+                    {
+                        firstLayer.nInputPlane = configuration.channels;
+                    }
+                }
+            }
+        }
+    ];
+
+    EBImageConfigurationMigrations.currentVersion = EBImageConfigurationMigrations.migrations[EBImageConfigurationMigrations.migrations.length - 1].version;
+
+    return EBImageConfigurationMigrations;
+});
@@ -0,0 +1,58 @@
+/*
+ Electric Brain is an easy to use platform for machine learning.
+ Copyright (C) 2016 Electric Brain Software Corporation
+
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU Affero General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU Affero General Public License for more details.
+
+ You should have received a copy of the GNU Affero General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+// This file is shared by the server and the configuration view. The server loads it as a
+// CommonJS module, and the browser registers it as an angular service.
+(function(factory)
+{
+    if (typeof module === 'object' && module.exports)
+    {
+        module.exports = factory();
+    }
+    else
+    {
+        angular.module('eb').factory('EBImageExifFields', function EBImageExifFields()
+        {
+            return factory();
+        });
+    }
+})(function()
+{
+    const service = {};
+
+    /**
+     * The EXIF fields that can be exposed as derived fields of an image field, with the type of
+     * each. EBImageExif reads these fields out of the images.
+     */
+    service.fields = [
+        {name: 'captureTime', title: 'Capture Time', type: 'string'},
+        {name: 'cameraMake', title: 'Camera Make', type: 'string'},
+        {name: 'cameraModel', title: 'Camera Model', type: 'string'},
+        {name: 'gpsLatitude', title: 'GPS Latitude', type: 'number'},
+        {name: 'gpsLongitude', title: 'GPS Longitude', type: 'number'},
+        {name: 'gpsAltitude', title: 'GPS Altitude', type: 'number'},
+        {name: 'exposureTime', title: 'Exposure Time', type: 'number'},
+        {name: 'fNumber', title: 'F Number', type: 'number'},
+        {name: 'isoSpeed', title: 'ISO Speed', type: 'number'},
+        {name: 'focalLength', title: 'Focal Length', type: 'number'}
+    ];
+
+    return service;
+});
@@ -21,16 +21,18 @@
 /**
  * Represents a single field being configured within the neural network
  */
-angular.module('eb').directive('ebImageInterpretationConfiguration', function ebImageInterpretationConfiguration($timeout, EBDataSourceService, EBImageNetworkLayerTypes)
+angular.module('eb').directive('ebImageInterpretationConfiguration', function ebImageInterpretationConfiguration($q, $timeout, EBDataSourceService, EBImageNetworkLayerTypes, EBImageArchitectureFile, EBImageArchitecturePresets, EBImageAugmentation, EBImageAugmentationTypes, EBImageCanvasProcessor, EBImageConfigurationMigrations, EBImageExifFields, EBImageLayerShapeInference, EBImageRandom, EBImageWeightsCompatibility)
 {
     function controller($scope, $element, $attrs)
     {
         $scope.removeConvNetLayer = function(scope)
         {
-            // console.log($scope.field.configuration.interpretation.layers.length);
-            if ($scope.field.configuration.interpretation.layers.length > 1)
+            // Layers nested inside of blocks and output layers can always be removed, but the top level needs at least one layer
+            var layers = $scope.field.configuration.interpretation.layers;
+            if (scope.depth() > 1 || scope.$parentNodesScope.$modelValue !== layers || layers.length > 1)
             {
                 scope.remove();
+                $scope.fillInputPlanes();
             }
         };
         $scope.toggleConvNetDetails = function(scope)
@@ -40,31 +42,455 @@ angular.module('eb').directive('ebImageInterpretationConfiguration', function eb
 
         $scope.layers = EBImageNetworkLayerTypes.layerTypes;
 
+        $scope.augmentationTypes = EBImageAugmentationTypes.augmentationTypes;
+
+        $scope.$watch('field.configuration.interpretation', function(configuration)
+        {
+            // Bring configurations saved by older versions of the plugin up to date when they are loaded, filling in the settings that they didn't have, so that they pass validation when saved
+            if (configuration && EBImageConfigurationMigrations.getVersion(configuration) !== EBImageConfigurationMigrations.currentVersion)
+            {
+                angular.copy(EBImageConfigurationMigrations.upgrade(configuration), configuration);
+            }
+        });
+
+        $scope.addAugmentation = function(augmentationType)
+        {
+            $scope.field.configuration.interpretation.augmentations.push(_.clone(augmentationType));
+        };
+
+        $scope.removeAugmentation = function(scope)
+        {
+            scope.remove();
+        };
+
+        $scope.augmentationErrors = function(augmentation)
+        {
+            return EBImageAugmentationTypes.validateAugmentation(augmentation);
+        };
+
+        $scope.preview = {
+            examples: [],
+            loading: false,
+            error: null
+        };
+
+        // The examples are run through the same steps as EBImageInterpretation.prepareImageForNeuralNetwork,
+        // using the unsaved configuration. Each refresh is numbered, so that a slow refresh that
+        // finishes after a newer one doesn't overwrite it.
+        var previewCount = 0;
+        $scope.refreshPreview = function()
+        {
+            var configuration = $scope.field.configuration.interpretation;
+            var examples = ($scope.field.metadata.examples || []).slice(0, 4);
+            var size = {width: Number(configuration.inputWidth), height: Number(configuration.inputHeight)};
+            var augmentations = EBImageAugmentationTypes.getAugmentationsForConfiguration(configuration);
+            var errors = EBImageAugmentationTypes.validateAugmentations(augmentations);
+            var background = null;
+            try
+            {
+                background = EBImageAugmentation.parseColor(configuration.paddingColor);
+            }
+            catch (err)
+            {
+                errors.push(err.message);
+            }
+
+            if (!(size.width >= 1 && size.height >= 1))
+            {
+                errors.push("The preview can't be shown until the input width and height are set");
+            }
+
+            previewCount += 1;
+            var count = previewCount;
+            if (examples.length === 0 || errors.length > 0)
+            {
+                $scope.preview.examples = [];
+                $scope.preview.error = errors.length > 0 ? errors.join('. ') + '.' : null;
+                $scope.preview.loading = false;
+                return $q.resolve();
+            }
+
+            var greyScale = configuration.greyScale || Number(configuration.channels) === 1;
+            var prepare = function(example, mode, epoch)
+            {
+                var augment = mode === 'training';
+                var random = augment ? EBImageRandom.createForSample(configuration.augmentationSeed, example, epoch) : null;
+                var resizeMode = configuration.resizeMode || 'stretch';
+                if (resizeMode === 'randomCrop' && !augment)
+                {
+                    resizeMode = 'centerCrop';
+                }
+
+                return EBImageCanvasProcessor.decodeBaseImage(example, resizeMode, size, background).then(function(base)
+                {
+                    var bitmap = EBImageCanvasProcessor.finishBaseImage(base, resizeMode, size, random);
+                    return augment ? EBImageAugmentation.applyAugmentations(bitmap, augmentations, size, random, background, EBImageCanvasProcessor) : bitmap;
+                }).then(function(bitmap)
+                {
+                    return EBImageCanvasProcessor.encodeBitmap(greyScale ? EBImageCanvasProcessor.greyscaleBitmap(bitmap) : bitmap);
+                });
+            };
+
+            // Each sample is previewed as it would look in a different epoch
+            $scope.preview.loading = true;
+            return $q.all(examples.map(function(example)
+            {
+                return $q.all([prepare(example, 'prediction')].concat(_.range(5).map(function(epoch)
+                {
+                    return prepare(example, 'training', epoch);
+                }))).then(function(images)
+                {
+                    return {original: images[0], augmented: images.slice(1)};
+                });
+            })).then(function(preview)
+            {
+                if (count === previewCount)
+                {
+                    $scope.preview.examples = preview;
+                    $scope.preview.error = null;
+                    $scope.preview.loading = false;
+                }
+            }, function(err)
+            {
+                if (count === previewCount)
+                {
+                    $scope.preview.error = "The preview could not be generated. " + err.message;
+                    $scope.preview.loading = false;
+                }
+            });
+        };
+
+        // Refresh the preview whenever the settings that affect the image change, waiting until
+        // the user stops typing so that every keystroke doesn't redraw all of the examples
+        var previewTimeout = null;
+        $scope.$watch(function()
+        {
+            var configuration = $scope.field.configuration.interpretation;
+            return _.omit(configuration, 'layers', 'outputLayers');
+        }, function()
+        {
+            if (previewTimeout)
+            {
+                $timeout.cancel(previewTimeout);
+            }
+            previewTimeout = $timeout($scope.refreshPreview, 300);
+        }, true);
+
+        $scope.channelOptions = [
+            {value: 1, label: "Greyscale (1 channel)"},
+            {value: 3, label: "RGB (3 channels)"},
+            {value: 4, label: "RGBA (4 channels)"}
+        ];
+
+        $scope.exifFields = EBImageExifFields.fields;
+
+        $scope.isExifFieldSelected = function(name)
+        {
+            return ($scope.field.configuration.interpretation.exifFields || []).indexOf(name) !== -1;
+        };
+
+        $scope.toggleExifField = function(name)
+        {
+            var configuration = $scope.field.configuration.interpretation;
+            if ($scope.isExifFieldSelected(name))
+            {
+                configuration.exifFields = _.without(configuration.exifFields, name);
+            }
+            else
+            {
+                configuration.exifFields = (configuration.exifFields || []).concat([name]);
+            }
+        };
+
+        $scope.architecture = {
+            presets: EBImageArchitecturePresets.getPresets(),
+            presetName: null,
+            error: null,
+            undo: null
+        };
+
+        $scope.applyPreset = function()
+        {
+            var configuration = $scope.field.configuration.interpretation;
+            var preset = _.find($scope.architecture.presets, function(candidate)
+            {
+                return candidate.name === $scope.architecture.presetName;
+            });
+            var size = {width: Number(configuration.inputWidth), height: Number(configuration.inputHeight)};
+            var channels = Number(configuration.channels);
+            if (!preset)
+            {
+                return;
+            }
+            else if (!(size.width >= 1 && size.height >= 1 && channels >= 1))
+            {
+                $scope.architecture.error = "The input width, height and channels must be set before a preset can be applied.";
+                return;
+            }
+
+            // The preset is generated for the current size and channels, so it fits the images as they are configured now
+            $scope.architecture.undo = {
+                title: preset.title,
+                layers: configuration.layers,
+                augmentations: configuration.augmentations
+            };
+            configuration.layers = EBImageArchitecturePresets.generateLayers(preset.name, size, channels);
+            $scope.architecture.error = null;
+        };
+
+        $scope.undoArchitectureChange = function()
+        {
+            var configuration = $scope.field.configuration.interpretation;
+            configuration.layers = $scope.architecture.undo.layers;
+            configuration.augmentations = $scope.architecture.undo.augmentations;
+            $scope.architecture.undo = null;
+        };
+
+        $scope.exportArchitecture = function()
+        {
+            var architecture = EBImageArchitectureFile.createFromConfiguration($scope.field.configuration.interpretation);
+            var blob = new Blob([angular.toJson(architecture, true)], {type: 'application/json'});
+            var link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = 'image-architecture.json';
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(link.href);
+            $scope.architecture.error = null;
+        };
+
+        $scope.importArchitecture = function(text)
+        {
+            var configuration = $scope.field.configuration.interpretation;
+            var inputShape = {
+                planes: Number(configuration.channels),
+                width: Number(configuration.inputWidth),
+                height: Number(configuration.inputHeight)
+            };
+
+            // The file is checked, and its layers must fit this field's images, before anything is replaced
+            var merged = null;
+            try
+            {
+                merged = EBImageArchitectureFile.applyToConfiguration(configuration, JSON.parse(text), inputShape);
+            }
+            catch (err)
+            {
+                $scope.architecture.error = err instanceof SyntaxError ? "The architecture file is not valid JSON." : err.message;
+                return;
+            }
+
+            $scope.architecture.undo = {
+                title: "Import",
+                layers: configuration.layers,
+                augmentations: configuration.augmentations
+            };
+            configuration.layers = merged.layers;
+            configuration.augmentations = merged.augmentations;
+            $scope.architecture.error = null;
+        };
+
+        // File inputs don't work with ng-model, so the chosen file is read when the change event bubbles up
+        $element.on('change', function(event)
+        {
+            var input = event.target;
+            if (!angular.element(input).hasClass('image-architecture-import') || !input.files[0])
+            {
+                return;
+            }
+
+            var reader = new FileReader();
+            reader.onload = function()
+            {
+                $scope.$apply(function()
+                {
+                    $scope.importArchitecture(reader.result);
+                });
+            };
+            reader.readAsText(input.files[0]);
+
+            // Clear the input so that choosing the same file again still triggers a change
+            input.value = '';
+        });
+
+        // Which list of layers the add buttons put new layers into, either 'layers' or 'outputLayers'
+        $scope.layerTarget = {name: 'layers'};
+
         $scope.addNewLayers = function(newLayer)
         {
-            $scope.field.configuration.interpretation.layers.push(_.clone(newLayer));
+            var configuration = $scope.field.configuration.interpretation;
+            if (!configuration[$scope.layerTarget.name])
+            {
+                configuration[$scope.layerTarget.name] = [];
+            }
+
+            // Blocks hold nested layers, which have to be copied too
+            configuration[$scope.layerTarget.name].push(angular.copy(newLayer));
+            $scope.fillInputPlanes();
         };
 
-        $scope.moveLastToTheBeginning = function ()
+        $scope.fillInputPlanes = function()
         {
-            // var a = $scope.data.pop();
-            // $scope.data.splice(0,0, a);
+            var configuration = $scope.field.configuration.interpretation;
+            EBImageNetworkLayerTypes.fillInputPlanes(configuration.layers, configuration.channels);
+            if (configuration.outputLayers)
+            {
+                EBImageNetworkLayerTypes.fillInputPlanes(configuration.outputLayers, configuration.outputSeedPlanes);
+            }
+        };
+
+        $scope.outputStack = {
+            error: null
+        };
+
+        // Replaces the output layers with the default ones for the current image size and channels
+        $scope.generateOutputStack = function()
+        {
+            var configuration = $scope.field.configuration.interpretation;
+            var size = {width: Number(configuration.inputWidth), height: Number(configuration.inputHeight)};
+            var channels = Number(configuration.channels);
+            if (!(size.width >= 1 && size.height >= 1 && channels >= 1))
+            {
+                $scope.outputStack.error = "The input width, height and channels must be set before the output layers can be generated.";
+                return;
+            }
+
+            _.extend(configuration, EBImageArchitecturePresets.generateOutputStack(size, channels));
+            $scope.outputStack.error = null;
         };
-        $scope.newSubItem = function(scope)
+
+        $scope.layerTreeOptions = {
+            dropped: function()
+            {
+                $scope.fillInputPlanes();
+            }
+        };
+
+        $scope.layerSummary = {
+            summary: null,
+            nodes: [],
+            summaries: [],
+            error: null
+        };
+
+        // Pairs every layer object with its summary, walking the layers and the summary the same way
+        function indexLayerSummaries(layers, summaries)
         {
-            var nodeData = scope.$modelValue;
-            var tempData = {
-                "id": nodeData.id,
-                "title": nodeData.title,
-                "layerType": nodeData.layerType
+            _.each(layers, function(layer, index)
+            {
+                var summary = summaries && summaries[index];
+                if (!summary)
+                {
+                    return;
+                }
+                $scope.layerSummary.nodes.push(layer);
+                $scope.layerSummary.summaries.push(summary);
+                indexLayerSummaries(layer.layers, summary.layers);
+                indexLayerSummaries(layer.shortcutLayers, summary.shortcutLayers);
+            });
+        }
+
+        // The parts of the configuration that the layer summary depends on
+        var layerSummaryFields = ['inputWidth', 'inputHeight', 'channels', 'layers', 'outputSeedPlanes', 'outputSeedWidth', 'outputSeedHeight', 'outputLayers'];
+
+        $scope.refreshLayerSummary = function()
+        {
+            var configuration = $scope.field.configuration.interpretation;
+            var inputShape = {
+                planes: Number(configuration.channels),
+                width: Number(configuration.inputWidth),
+                height: Number(configuration.inputHeight)
             };
-            $scope.field.configuration.interpretation.layers.push(tempData);
+
+            $scope.layerSummary.nodes = [];
+            $scope.layerSummary.summaries = [];
+            if (!(inputShape.planes >= 1 && inputShape.width >= 1 && inputShape.height >= 1))
+            {
+                $scope.layerSummary.summary = null;
+                $scope.layerSummary.error = "The layers can't be summarized until the input width, height and channels are set.";
+                return;
+            }
+
+            var summary = EBImageLayerShapeInference.summarizeStack(configuration.layers || [], inputShape);
+            if (_.isArray(configuration.outputLayers))
+            {
+                var seedShape = {
+                    planes: Number(configuration.outputSeedPlanes),
+                    width: Number(configuration.outputSeedWidth),
+                    height: Number(configuration.outputSeedHeight)
+                };
+                summary.output = EBImageLayerShapeInference.summarizeOutputStack(configuration.outputLayers, seedShape, inputShape);
+            }
+
+            $scope.layerSummary.summary = summary;
+            $scope.layerSummary.error = null;
+            indexLayerSummaries(configuration.layers, summary.layers);
+            if (summary.output)
+            {
+                indexLayerSummaries(configuration.outputLayers, summary.output.layers);
+            }
         };
-        $scope.collapseAll = function() {
-            $scope.$broadcast('collapseAll');
+
+        $scope.getLayerSummary = function(layer)
+        {
+            var index = $scope.layerSummary.nodes.indexOf(layer);
+            return index === -1 ? null : $scope.layerSummary.summaries[index];
         };
-        $scope.expandAll = function() {
-            $scope.$broadcast('expandAll');
+
+        $scope.describeShape = EBImageNetworkLayerTypes.describeShape;
+
+        $scope.formatBytes = EBImageNetworkLayerTypes.formatBytes;
+
+        $scope.$watch(function()
+        {
+            var configuration = $scope.field.configuration.interpretation;
+            return _.pick(configuration, layerSummaryFields);
+        }, function()
+        {
+            $scope.refreshLayerSummary();
+        }, true);
+
+        $scope.pretrainedWeightsCheck = {
+            error: null
+        };
+
+        // The parts of the configuration that whether the pretrained weights fit depends on
+        var pretrainedWeightsFields = ['inputWidth', 'inputHeight', 'channels', 'layers', 'pretrainedWeights', 'pretrainedWeightsFile', 'pretrainedPreset', 'frozenLayerCount'];
+
+        // The weights files are on the server, so only the settings can be checked here, along with
+        // the layers of a preset's weights. The server reads the weights when training starts.
+        $scope.checkPretrainedWeights = function()
+        {
+            var configuration = $scope.field.configuration.interpretation;
+            var errors = EBImageWeightsCompatibility.checkSettings(configuration);
+            var inputShape = {
+                planes: Number(configuration.channels),
+                width: Number(configuration.inputWidth),
+                height: Number(configuration.inputHeight)
+            };
+
+            if (errors.length === 0 && configuration.pretrainedWeights === 'preset' && inputShape.planes >= 1 && inputShape.width >= 1 && inputShape.height >= 1)
+            {
+                var modules = EBImageWeightsCompatibility.getPresetModules(configuration.pretrainedPreset, inputShape);
+                errors = EBImageWeightsCompatibility.compareWeights(modules, configuration.layers || [], inputShape);
+            }
+
+            $scope.pretrainedWeightsCheck.error = errors.length > 0 ? errors.join('\n') : null;
+        };
+
+        $scope.$watch(function()
+        {
+            var configuration = $scope.field.configuration.interpretation;
+            return _.pick(configuration, pretrainedWeightsFields);
+        }, function()
+        {
+            $scope.checkPretrainedWeights();
+        }, true);
+
+        $scope.addBranch = function(block)
+        {
+            block.layers.push(angular.copy(EBImageNetworkLayerTypes.branch));
         };
     }
 
@@ -26,7 +26,42 @@ angular.module('eb').directive('ebImageInterpretationMetadata', function ebImage
 {
     function controller($scope, $element, $attrs)
     {
+        var channelLabels = {1: 'Greyscale', 2: 'Greyscale with alpha', 3: 'RGB', 4: 'RGB with alpha'};
 
+        $scope.percentage = function(count)
+        {
+            var total = $scope.field.metadata.statistics.imageCount;
+            return total ? count / total * 100 : 0;
+        };
+
+        $scope.$watch('field.metadata.statistics', function(statistics)
+        {
+            if (!statistics)
+            {
+                return;
+            }
+
+            $scope.channelCounts = _.map(statistics.imageChannelCounts || {}, function(count, channels)
+            {
+                return {label: channelLabels[channels] || (channels + ' channels'), count: count};
+            });
+
+            // The mean of each channel, as a css color
+            var means = statistics.channelMeans;
+            if (means && statistics.imageCount)
+            {
+                var hex = function(value)
+                {
+                    var digits = Math.round(value).toString(16);
+                    return digits.length < 2 ? '0' + digits : digits;
+                };
+                $scope.meanColor = '#' + hex(means.red) + hex(means.green) + hex(means.blue);
+            }
+            else
+            {
+                $scope.meanColor = null;
+            }
+        });
     }
 
     return {
@@ -0,0 +1,660 @@
+/*
+ Electric Brain is an easy to use platform for machine learning.
+ Copyright (C) 2016 Electric Brain Software Corporation
+
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU Affero General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU Affero General Public License for more details.
+
+ You should have received a copy of the GNU Affero General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+// This file is shared by the server and the configuration view. The server loads it as a
+// CommonJS module, and the browser registers it as an angular service.
+(function(factory)
+{
+    if (typeof module === 'object' && module.exports)
+    {
+        module.exports = factory();
+    }
+    else
+    {
+        angular.module('eb').factory('EBImageLayerShapeInference', function EBImageLayerShapeInference()
+        {
+            return factory();
+        });
+    }
+})(function()
+{
+    // Torch stores the parameters and activations as 32 bit floats
+    const bytesPerValue = 4;
+
+    /**
+     * This class propagates the shape of an image through the configured stack of layers,
+     * so that impossible configurations can be caught before any Lua code is generated.
+     *
+     * Shapes are objects of the form {planes, height, width}.
+     *
+     * Besides plain layers, the list can hold blocks, which contain their own lists of layers:
+     *
+     *  - A 'residual' block adds the output of its layers to the output of its shortcutLayers,
+     *    which pass the input through unchanged when empty. Both must produce the same shape.
+     *  - A 'concat' block holds 'branch' entries, each with its own layers. Every branch gets the
+     *    same input, and their outputs are stacked along the planes, so they must all produce the
+     *    same width and height.
+     */
+    class EBImageLayerShapeInference
+    {
+        /**
+         * This method computes the output shape of every layer in the given list.
+         *
+         * @param {[object]} layers The layers from the interpretation configuration
+         * @param {object} inputShape The shape of the image going into the first layer
+         * @return {object} An object with the following structure:
+         *                      {
+         *                          "shapes": [object || null],
+         *                          "errors": [string]
+         *                      }
+         *                  The shapes array has one entry per layer. Once a layer produces an
+         *                  impossible shape, that layer and all the layers after it get null.
+         */
+        static computeLayerShapes(layers, inputShape)
+        {
+            const shapes = [];
+            const errors = [];
+
+            let shape = inputShape;
+            layers.forEach((layer, index) =>
+            {
+                if (!shape)
+                {
+                    shapes.push(null);
+                    return;
+                }
+
+                const layerErrors = [];
+                shape = EBImageLayerShapeInference.computeLayerOutputShape(layer, shape, layerErrors);
+                shapes.push(shape);
+
+                layerErrors.forEach((error) =>
+                {
+                    errors.push(`Layer ${index + 1} (${layer.title || layer.layerType}): ${error}`);
+                });
+            });
+
+            return {shapes, errors};
+        }
+
+
+        /**
+         * This method computes the shape coming out of the whole stack of layers, throwing an
+         * error describing every bad layer if the configuration is impossible.
+         *
+         * @param {[object]} layers The layers from the interpretation configuration
+         * @param {object} inputShape The shape of the image going into the first layer
+         * @return {object} The shape coming out of the last layer
+         */
+        static computeOutputShape(layers, inputShape)
+        {
+            const result = EBImageLayerShapeInference.computeLayerShapes(layers, inputShape);
+            if (result.errors.length > 0)
+            {
+                throw new Error(`Invalid image layer configuration:\n${result.errors.join('\n')}`);
+            }
+
+            return result.shapes.length > 0 ? result.shapes[result.shapes.length - 1] : inputShape;
+        }
+
+
+        /**
+         * This method summarizes a stack of layers for the layer editor, giving the shape, the number of
+         * parameters and the memory used by the output of every layer, along with any problems.
+         *
+         * @param {[object]} layers The layers from the interpretation configuration
+         * @param {object} inputShape The shape of the image going into the first layer
+         * @return {object} An object with the following structure:
+         *                      {
+         *                          "layers": [object],
+         *                          "outputShape": object || null,
+         *                          "parameterCount": Number,
+         *                          "parameterBytes": Number,
+         *                          "activationBytes": Number,
+         *                          "errors": [string]
+         *                      }
+         *                  where layers has a summary for each layer, as returned by summarizeLayer.
+         */
+        static summarizeStack(layers, inputShape)
+        {
+            const summaries = EBImageLayerShapeInference.summarizeLayers(layers, inputShape);
+            const parameterCount = summaries.reduce((total, summary) => total + summary.parameterCount, 0);
+
+            return {
+                layers: summaries,
+                outputShape: summaries.length > 0 ? summaries[summaries.length - 1].shape : inputShape,
+                parameterCount: parameterCount,
+                parameterBytes: parameterCount * bytesPerValue,
+                activationBytes: summaries.reduce((total, summary) => total + summary.activationBytes, 0),
+                errors: EBImageLayerShapeInference.computeLayerShapes(layers, inputShape).errors
+            };
+        }
+
+
+        /**
+         * This method summarizes the output layers, which turn the seed shape into an image of the
+         * field's shape, when the image is an output of the network. Besides the problems with the
+         * layers themselves, the errors say if the layers don't produce exactly the image shape.
+         *
+         * @param {[object]} layers The output layers from the interpretation configuration
+         * @param {object} seedShape The shape going into the first output layer
+         * @param {object} imageShape The shape of the images of the field
+         * @return {object} A summary in the same form as summarizeStack returns
+         */
+        static summarizeOutputStack(layers, seedShape, imageShape)
+        {
+            const summary = EBImageLayerShapeInference.summarizeStack(layers, seedShape);
+            if (summary.errors.length === 0 && !EBImageLayerShapeInference.isSameShape(summary.outputShape, imageShape))
+            {
+                summary.errors.push(`The output layers produce ${EBImageLayerShapeInference.describeShape(summary.outputShape)} images, but the images are ${EBImageLayerShapeInference.describeShape(imageShape)}`);
+            }
+            return summary;
+        }
+
+
+        /**
+         * This method summarizes each layer in a list.
+         *
+         * @param {[object]} layers The layers
+         * @param {object} inputShape The shape going into the first layer
+         * @return {[object]} The summary of each layer, as returned by summarizeLayer
+         */
+        static summarizeLayers(layers, inputShape)
+        {
+            let shape = inputShape;
+            return layers.map((layer) =>
+            {
+                const summary = EBImageLayerShapeInference.summarizeLayer(layer, shape);
+                shape = summary.shape;
+                return summary;
+            });
+        }
+
+
+        /**
+         * This method summarizes a single layer. Blocks also get summaries for their nested layers,
+         * laid out the same way as the layers themselves, and their counts include the nested layers.
+         *
+         * @param {object} layer The layer configuration
+         * @param {object} shape The shape going into the layer, or null if an earlier layer is invalid
+         * @return {object} An object with the following structure:
+         *                      {
+         *                          "shape": object || null,
+         *                          "parameterCount": Number,
+         *                          "activationBytes": Number,
+         *                          "errors": [string],
+         *                          "layers": [object],
+         *                          "shortcutLayers": [object]
+         *                      }
+         *                  where activationBytes is the memory taken by the output for a single image,
+         *                  and the nested layers and shortcutLayers are only given for blocks.
+         */
+        static summarizeLayer(layer, shape)
+        {
+            const errors = [];
+            const outputShape = shape ? EBImageLayerShapeInference.computeLayerOutputShape(layer, shape, errors) : null;
+            const summary = {
+                shape: outputShape,
+                parameterCount: outputShape ? EBImageLayerShapeInference.countParameters(layer) : 0,
+                activationBytes: outputShape ? outputShape.planes * outputShape.width * outputShape.height * bytesPerValue : 0,
+                errors: errors
+            };
+
+            let nested = [];
+            if (layer.layerType === 'residual')
+            {
+                summary.layers = EBImageLayerShapeInference.summarizeLayers(layer.layers || [], shape);
+                summary.shortcutLayers = EBImageLayerShapeInference.summarizeLayers(layer.shortcutLayers || [], shape);
+                nested = summary.layers.concat(summary.shortcutLayers);
+            }
+            else if (layer.layerType === 'concat')
+            {
+                // The entries of a concat block are branches, which all get the block's input
+                summary.layers = (layer.layers || []).map((branch) => EBImageLayerShapeInference.summarizeBranch(branch, shape));
+                nested = summary.layers;
+            }
+
+            nested.forEach((nestedSummary) =>
+            {
+                summary.parameterCount += nestedSummary.parameterCount;
+                summary.activationBytes += nestedSummary.activationBytes;
+            });
+
+            return summary;
+        }
+
+
+        /**
+         * This method summarizes a branch of a concat block. Its shape is the shape coming out of its
+         * last layer, and its counts are the totals of its layers.
+         *
+         * @param {object} branch The branch configuration
+         * @param {object} shape The shape going into the concat block, or null if an earlier layer is invalid
+         * @return {object} A summary in the same form as summarizeLayer returns
+         */
+        static summarizeBranch(branch, shape)
+        {
+            const layers = EBImageLayerShapeInference.summarizeLayers(branch.layers || [], shape);
+            return {
+                shape: layers.length > 0 ? layers[layers.length - 1].shape : shape,
+                parameterCount: layers.reduce((total, summary) => total + summary.parameterCount, 0),
+                activationBytes: layers.reduce((total, summary) => total + summary.activationBytes, 0),
+                errors: [],
+                layers: layers
+            };
+        }
+
+
+        /**
+         * This method counts the trainable parameters of a layer, not including any nested layers.
+         *
+         * @param {object} layer The layer configuration, which should already have been checked
+         * @return {number} The number of parameters
+         */
+        static countParameters(layer)
+        {
+            if (layer.layerType === 'convolution' || layer.layerType === 'dilatedconvolution' || layer.layerType === 'fullconvolution')
+            {
+                // A weight for every input plane at every kernel position, for every output plane, plus a bias
+                return layer.nOutputPlane * (layer.nInputPlane * layer.kernelWidth * layer.kernelHeight + 1);
+            }
+            else if (layer.layerType === 'depthwiseconvolution')
+            {
+                return layer.nInputPlane * layer.depthMultiplier * (layer.kernelWidth * layer.kernelHeight + 1);
+            }
+            else if (layer.layerType === 'batchnormalization')
+            {
+                // A scale and a shift for every plane. The running statistics aren't trained.
+                return 2 * layer.nInputFeatures;
+            }
+            else if (layer.layerType === 'prelu')
+            {
+                return layer.nOutputPlane === 0 ? 1 : layer.nOutputPlane;
+            }
+            return 0;
+        }
+
+
+        /**
+         * This method computes the shape coming out of a single layer.
+         *
+         * @param {object} layer The layer configuration
+         * @param {object} shape The shape going into the layer
+         * @param {[string]} errors An array that any problems with the layer get pushed onto
+         * @return {object} The output shape, or null if the layer can't produce a valid shape
+         */
+        static computeLayerOutputShape(layer, shape, errors)
+        {
+            if (layer.layerType === 'convolution')
+            {
+                EBImageLayerShapeInference.checkParameters(layer, ['nInputPlane', 'nOutputPlane', 'kernelWidth', 'kernelHeight', 'stepWidth', 'stepHeight'], 1, errors);
+                EBImageLayerShapeInference.checkParameters(layer, ['paddingWidth', 'paddingHeight'], 0, errors);
+                if (errors.length > 0)
+                {
+                    return null;
+                }
+
+                if (layer.nInputPlane !== shape.planes)
+                {
+                    errors.push(`nInputPlane is ${layer.nInputPlane} but the previous layer outputs ${shape.planes} planes`);
+                }
+
+                return EBImageLayerShapeInference.computeWindowedShape(layer.nOutputPlane, shape, layer.kernelWidth, layer.kernelHeight, layer.stepWidth, layer.stepHeight, layer.paddingWidth, layer.paddingHeight, errors);
+            }
+            else if (layer.layerType === 'dilatedconvolution')
+            {
+                EBImageLayerShapeInference.checkParameters(layer, ['nInputPlane', 'nOutputPlane', 'kernelWidth', 'kernelHeight', 'stepWidth', 'stepHeight', 'dilationWidth', 'dilationHeight'], 1, errors);
+                EBImageLayerShapeInference.checkParameters(layer, ['paddingWidth', 'paddingHeight'], 0, errors);
+                if (errors.length > 0)
+                {
+                    return null;
+                }
+
+                if (layer.nInputPlane !== shape.planes)
+                {
+                    errors.push(`nInputPlane is ${layer.nInputPlane} but the previous layer outputs ${shape.planes} planes`);
+                }
+
+                // A dilated kernel covers the same area as a solid kernel with the gaps filled in
+                const effectiveKernelWidth = layer.dilationWidth * (layer.kernelWidth - 1) + 1;
+                const effectiveKernelHeight = layer.dilationHeight * (layer.kernelHeight - 1) + 1;
+                return EBImageLayerShapeInference.computeWindowedShape(layer.nOutputPlane, shape, effectiveKernelWidth, effectiveKernelHeight, layer.stepWidth, layer.stepHeight, layer.paddingWidth, layer.paddingHeight, errors);
+            }
+            else if (layer.layerType === 'depthwiseconvolution')
+            {
+                EBImageLayerShapeInference.checkParameters(layer, ['nInputPlane', 'depthMultiplier', 'kernelWidth', 'kernelHeight', 'stepWidth', 'stepHeight'], 1, errors);
+                EBImageLayerShapeInference.checkParameters(layer, ['paddingWidth', 'paddingHeight'], 0, errors);
+                if (errors.length > 0)
+                {
+                    return null;
+                }
+
+                if (layer.nInputPlane !== shape.planes)
+                {
+                    errors.push(`nInputPlane is ${layer.nInputPlane} but the previous layer outputs ${shape.planes} planes`);
+                }
+
+                // Each plane is convolved separately, producing depthMultiplier planes each
+                return EBImageLayerShapeInference.computeWindowedShape(layer.nInputPlane * layer.depthMultiplier, shape, layer.kernelWidth, layer.kernelHeight, layer.stepWidth, layer.stepHeight, layer.paddingWidth, layer.paddingHeight, errors);
+            }
+            else if (layer.layerType === 'fullconvolution')
+            {
+                EBImageLayerShapeInference.checkParameters(layer, ['nInputPlane', 'nOutputPlane', 'kernelWidth', 'kernelHeight', 'stepWidth', 'stepHeight'], 1, errors);
+                EBImageLayerShapeInference.checkParameters(layer, ['paddingWidth', 'paddingHeight', 'adjWidth', 'adjHeight'], 0, errors);
+                if (errors.length > 0)
+                {
+                    return null;
+                }
+
+                if (layer.nInputPlane !== shape.planes)
+                {
+                    errors.push(`nInputPlane is ${layer.nInputPlane} but the previous layer outputs ${shape.planes} planes`);
+                }
+                if (layer.adjWidth >= layer.stepWidth || layer.adjHeight >= layer.stepHeight)
+                {
+                    errors.push(`adjWidth and adjHeight must be smaller than stepWidth and stepHeight, but are ${layer.adjWidth}x${layer.adjHeight} with steps of ${layer.stepWidth}x${layer.stepHeight}`);
+                    return null;
+                }
+
+                // The reverse of a convolution, using the same formula as Torch
+                const width = (shape.width - 1) * layer.stepWidth - 2 * layer.paddingWidth + layer.kernelWidth + layer.adjWidth;
+                const height = (shape.height - 1) * layer.stepHeight - 2 * layer.paddingHeight + layer.kernelHeight + layer.adjHeight;
+                if (width < 1 || height < 1)
+                {
+                    errors.push(`the padding is too large, leaving a ${width}x${height} output`);
+                    return null;
+                }
+
+                return {planes: layer.nOutputPlane, width: width, height: height};
+            }
+            else if (layer.layerType === 'upsampling')
+            {
+                EBImageLayerShapeInference.checkParameters(layer, ['scaleFactor'], 1, errors);
+                if (errors.length > 0)
+                {
+                    return null;
+                }
+
+                return {planes: shape.planes, width: shape.width * layer.scaleFactor, height: shape.height * layer.scaleFactor};
+            }
+            else if (layer.layerType === 'batchnormalization')
+            {
+                EBImageLayerShapeInference.checkParameters(layer, ['nInputFeatures'], 1, errors);
+                if (errors.length === 0 && layer.nInputFeatures !== shape.planes)
+                {
+                    errors.push(`nInputFeatures is ${layer.nInputFeatures} but the previous layer outputs ${shape.planes} planes`);
+                }
+
+                return shape;
+            }
+            else if (layer.layerType === 'relu' || layer.layerType === 'tanh' || layer.layerType === 'sigmoid')
+            {
+                return shape;
+            }
+            else if (layer.layerType === 'leakyrelu')
+            {
+                EBImageLayerShapeInference.checkNumberParameters(layer, ['nNegativeSlope'], 0, errors);
+                return shape;
+            }
+            else if (layer.layerType === 'elu')
+            {
+                EBImageLayerShapeInference.checkNumberParameters(layer, ['nAlpha'], 0, errors);
+                return shape;
+            }
+            else if (layer.layerType === 'prelu')
+            {
+                // Zero planes means a single slope is shared by all of the planes
+                EBImageLayerShapeInference.checkParameters(layer, ['nOutputPlane'], 0, errors);
+                if (errors.length === 0 && layer.nOutputPlane !== 0 && layer.nOutputPlane !== shape.planes)
+                {
+                    errors.push(`nOutputPlane is ${layer.nOutputPlane} but the previous layer outputs ${shape.planes} planes. Use 0 to share one slope between all planes.`);
+                }
+                return shape;
+            }
+            else if (layer.layerType === 'dropout' || layer.layerType === 'spatialdropout')
+            {
+                if (typeof layer.nRatio !== 'number' || layer.nRatio < 0 || layer.nRatio >= 1)
+                {
+                    errors.push(`nRatio must be a number in the range [0, 1), but is ${layer.nRatio}`);
+                }
+
+                return shape;
+            }
+            else if (layer.layerType === 'maxpooling' || layer.layerType === 'averagepooling')
+            {
+                EBImageLayerShapeInference.checkParameters(layer, ['nKernelWidth', 'nKernelHeight', 'nStepWidth', 'nStepHeight'], 1, errors);
+                if (errors.length > 0)
+                {
+                    return null;
+                }
+
+                return EBImageLayerShapeInference.computeWindowedShape(shape.planes, shape, layer.nKernelWidth, layer.nKernelHeight, layer.nStepWidth, layer.nStepHeight, 0, 0, errors);
+            }
+            else if (layer.layerType === 'globalaveragepooling')
+            {
+                return {planes: shape.planes, width: 1, height: 1};
+            }
+            else if (layer.layerType === 'residual')
+            {
+                if (!layer.layers || layer.layers.length === 0)
+                {
+                    errors.push("a residual block needs at least one layer");
+                    return null;
+                }
+
+                const mainShape = EBImageLayerShapeInference.computeBlockShape(layer.layers, shape, '', errors);
+                const shortcutShape = EBImageLayerShapeInference.computeBlockShape(layer.shortcutLayers || [], shape, 'shortcut, ', errors);
+                if (!mainShape || !shortcutShape)
+                {
+                    return null;
+                }
+
+                if (!EBImageLayerShapeInference.isSameShape(mainShape, shortcutShape))
+                {
+                    errors.push(`the layers output ${EBImageLayerShapeInference.describeShape(mainShape)} but the shortcut outputs ${EBImageLayerShapeInference.describeShape(shortcutShape)}, so they can't be added together. Add shortcut layers, such as a 1x1 convolution, to make them match.`);
+                    return null;
+                }
+                return mainShape;
+            }
+            else if (layer.layerType === 'concat')
+            {
+                const branches = layer.layers || [];
+                if (branches.length === 0)
+                {
+                    errors.push("a concat block needs at least one branch");
+                    return null;
+                }
+
+                const branchShapes = branches.map((branch, index) =>
+                {
+                    if (branch.layerType !== 'branch')
+                    {
+                        errors.push(`entry ${index + 1} must be a branch, but is ${branch.layerType}`);
+                        return null;
+                    }
+                    return EBImageLayerShapeInference.computeBlockShape(branch.layers || [], shape, `branch ${index + 1}, `, errors);
+                });
+                if (branchShapes.indexOf(null) !== -1)
+                {
+                    return null;
+                }
+
+                const first = branchShapes[0];
+                if (branchShapes.some((branchShape) => branchShape.width !== first.width || branchShape.height !== first.height))
+                {
+                    errors.push(`every branch must output the same width and height, but they output ${branchShapes.map(EBImageLayerShapeInference.describeShape).join(', ')}`);
+                    return null;
+                }
+
+                return {
+                    planes: branchShapes.reduce((total, branchShape) => total + branchShape.planes, 0),
+                    width: first.width,
+                    height: first.height
+                };
+            }
+            else if (layer.layerType === 'branch')
+            {
+                errors.push("branches can only be used inside of a concat block");
+                return null;
+            }
+            else if (layer.layerType === 'lrn')
+            {
+                EBImageLayerShapeInference.checkParameters(layer, ['size'], 1, errors);
+                EBImageLayerShapeInference.checkNumberParameters(layer, ['alpha', 'beta', 'k'], 0, errors);
+                if (errors.length === 0 && layer.size > shape.planes)
+                {
+                    errors.push(`size is ${layer.size} but the previous layer only outputs ${shape.planes} planes`);
+                }
+                return shape;
+            }
+            else
+            {
+                errors.push(`Unknown layer type ${layer.layerType}`);
+                return null;
+            }
+        }
+
+
+        /**
+         * This method computes the shape coming out of a list of layers nested inside of a block.
+         *
+         * @param {[object]} layers The nested layers
+         * @param {object} shape The shape going into the block
+         * @param {string} prefix Text put in front of the errors from the nested layers, to say where they are
+         * @param {[string]} errors An array that any problems with the nested layers get pushed onto
+         * @return {object} The shape coming out of the last nested layer, or null if any of them are invalid
+         */
+        static computeBlockShape(layers, shape, prefix, errors)
+        {
+            const result = EBImageLayerShapeInference.computeLayerShapes(layers, shape);
+            result.errors.forEach((error) => errors.push(`${prefix}${error.charAt(0).toLowerCase()}${error.substr(1)}`));
+            if (result.errors.length > 0)
+            {
+                return null;
+            }
+            return result.shapes.length > 0 ? result.shapes[result.shapes.length - 1] : shape;
+        }
+
+
+        /**
+         * This method checks whether two shapes are the same
+         *
+         * @param {object} first A shape
+         * @param {object} second Another shape
+         * @return {boolean} True if the shapes are the same
+         */
+        static isSameShape(first, second)
+        {
+            return first.planes === second.planes && first.width === second.width && first.height === second.height;
+        }
+
+
+        /**
+         * This method describes a shape for error messages, in the planes x height x width order that Torch uses.
+         *
+         * @param {object} shape The shape
+         * @return {string} The description
+         */
+        static describeShape(shape)
+        {
+            return `${shape.planes}x${shape.height}x${shape.width}`;
+        }
+
+
+        /**
+         * This method computes the shape coming out of a layer that slides a window across the
+         * image, such as a convolution or a pooling layer, using the same formula as Torch.
+         *
+         * @param {number} planes The number of planes coming out of the layer
+         * @param {object} shape The shape going into the layer
+         * @param {number} kernelWidth The width of the window
+         * @param {number} kernelHeight The height of the window
+         * @param {number} stepWidth The horizontal step between windows
+         * @param {number} stepHeight The vertical step between windows
+         * @param {number} paddingWidth The padding added to the left and right of the image
+         * @param {number} paddingHeight The padding added to the top and bottom of the image
+         * @param {[string]} errors An array that any problems with the layer get pushed onto
+         * @return {object} The output shape, or null if the window doesn't fit in the image
+         */
+        static computeWindowedShape(planes, shape, kernelWidth, kernelHeight, stepWidth, stepHeight, paddingWidth, paddingHeight, errors)
+        {
+            const paddedWidth = shape.width + 2 * paddingWidth;
+            const paddedHeight = shape.height + 2 * paddingHeight;
+
+            if (kernelWidth > paddedWidth || kernelHeight > paddedHeight)
+            {
+                errors.push(`the ${kernelWidth}x${kernelHeight} kernel is larger than the ${paddedWidth}x${paddedHeight} input (including padding)`);
+                return null;
+            }
+
+            return {
+                planes: planes,
+                width: Math.floor((paddedWidth - kernelWidth) / stepWidth) + 1,
+                height: Math.floor((paddedHeight - kernelHeight) / stepHeight) + 1
+            };
+        }
+
+
+        /**
+         * This method checks that the given parameters of a layer are integers no smaller than
+         * the given minimum.
+         *
+         * @param {object} layer The layer configuration
+         * @param {[string]} parameters The names of the parameters to check
+         * @param {number} minimum The smallest allowed value
+         * @param {[string]} errors An array that any problems with the layer get pushed onto
+         */
+        static checkParameters(layer, parameters, minimum, errors)
+        {
+            parameters.forEach((parameter) =>
+            {
+                const value = layer[parameter];
+                if (typeof value !== 'number' || Math.floor(value) !== value || value < minimum)
+                {
+                    errors.push(`${parameter} must be an integer no smaller than ${minimum}, but is ${value}`);
+                }
+            });
+        }
+
+
+        /**
+         * This method checks that the given parameters of a layer are numbers no smaller than
+         * the given minimum. Unlike checkParameters, fractions are allowed.
+         *
+         * @param {object} layer The layer configuration
+         * @param {[string]} parameters The names of the parameters to check
+         * @param {number} minimum The smallest allowed value
+         * @param {[string]} errors An array that any problems with the layer get pushed onto
+         */
+        static checkNumberParameters(layer, parameters, minimum, errors)
+        {
+            parameters.forEach((parameter) =>
+            {
+                const value = layer[parameter];
+                if (typeof value !== 'number' || !isFinite(value) || value < minimum)
+                {
+                    errors.push(`${parameter} must be a number no smaller than ${minimum}, but is ${value}`);
+                }
+            });
+        }
+    }
+
+    return EBImageLayerShapeInference;
+});
@@ -0,0 +1,197 @@
+
+/*
+ Electric Brain is an easy to use platform for machine learning.
+ Copyright (C) 2016 Electric Brain Software Corporation
+
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU Affero General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU Affero General Public License for more details.
+
+ You should have received a copy of the GNU Affero General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+"use strict";
+
+/**
+ * Represents a segmentation mask field being configured within the neural network
+ */
+angular.module('eb').directive('ebImageMaskInterpretationConfiguration', function ebImageMaskInterpretationConfiguration(EBImageArchitecturePresets, EBImageLayerShapeInference, EBImageNetworkLayerTypes)
+{
+    function controller($scope, $element, $attrs)
+    {
+        $scope.layers = EBImageNetworkLayerTypes.layerTypes;
+
+        $scope.addClass = function()
+        {
+            var classes = $scope.field.configuration.interpretation.classes;
+            var labels = _.pluck(classes, 'label').concat([$scope.field.configuration.interpretation.ignoreLabel]);
+            var label = 0;
+            while (labels.indexOf(label) !== -1)
+            {
+                label += 1;
+            }
+            classes.push({label: label, name: 'Class ' + label, color: null});
+        };
+
+        $scope.removeClass = function(index)
+        {
+            // A mask needs at least two classes to be learned
+            var classes = $scope.field.configuration.interpretation.classes;
+            if (classes.length > 2)
+            {
+                classes.splice(index, 1);
+            }
+        };
+
+        $scope.removeConvNetLayer = function(scope)
+        {
+            // Output layers are the only layers of a mask, so the top level needs at least one layer
+            var outputLayers = $scope.field.configuration.interpretation.outputLayers;
+            if (scope.depth() > 1 || outputLayers.length > 1)
+            {
+                scope.remove();
+                $scope.fillInputPlanes();
+            }
+        };
+        $scope.toggleConvNetDetails = function(scope)
+        {
+            scope.toggle();
+        };
+
+        $scope.addBranch = function(block)
+        {
+            block.layers.push(angular.copy(EBImageNetworkLayerTypes.branch));
+        };
+
+        $scope.addNewLayers = function(newLayer)
+        {
+            // Blocks hold nested layers, which have to be copied too
+            $scope.field.configuration.interpretation.outputLayers.push(angular.copy(newLayer));
+            $scope.fillInputPlanes();
+        };
+
+        $scope.fillInputPlanes = function()
+        {
+            var configuration = $scope.field.configuration.interpretation;
+            EBImageNetworkLayerTypes.fillInputPlanes(configuration.outputLayers, configuration.outputSeedPlanes);
+        };
+
+        $scope.layerTreeOptions = {
+            dropped: function()
+            {
+                $scope.fillInputPlanes();
+            }
+        };
+
+        $scope.outputStack = {
+            error: null
+        };
+
+        // Replaces the output layers with the default ones for the current mask size and number of classes
+        $scope.generateOutputStack = function()
+        {
+            var configuration = $scope.field.configuration.interpretation;
+            var size = {width: Number(configuration.maskWidth), height: Number(configuration.maskHeight)};
+            var channels = (configuration.classes || []).length;
+            if (!(size.width >= 1 && size.height >= 1 && channels >= 1))
+            {
+                $scope.outputStack.error = "The mask width, height and classes must be set before the output layers can be generated.";
+                return;
+            }
+
+            _.extend(configuration, EBImageArchitecturePresets.generateOutputStack(size, channels));
+            $scope.outputStack.error = null;
+        };
+
+        $scope.layerSummary = {
+            summary: null,
+            nodes: [],
+            summaries: [],
+            error: null
+        };
+
+        // Pairs every layer object with its summary, walking the layers and the summary the same way
+        function indexLayerSummaries(layers, summaries)
+        {
+            _.each(layers, function(layer, index)
+            {
+                var summary = summaries && summaries[index];
+                if (!summary)
+                {
+                    return;
+                }
+                $scope.layerSummary.nodes.push(layer);
+                $scope.layerSummary.summaries.push(summary);
+                indexLayerSummaries(layer.layers, summary.layers);
+                indexLayerSummaries(layer.shortcutLayers, summary.shortcutLayers);
+            });
+        }
+
+        // The parts of the configuration that the layer summary depends on
+        var layerSummaryFields = ['maskWidth', 'maskHeight', 'classes', 'outputSeedPlanes', 'outputSeedWidth', 'outputSeedHeight', 'outputLayers'];
+
+        $scope.refreshLayerSummary = function()
+        {
+            // The mask goes through the output layers as an image with one plane per class
+            var configuration = $scope.field.configuration.interpretation;
+            var maskShape = {
+                planes: (configuration.classes || []).length,
+                width: Number(configuration.maskWidth),
+                height: Number(configuration.maskHeight)
+            };
+            var seedShape = {
+                planes: Number(configuration.outputSeedPlanes),
+                width: Number(configuration.outputSeedWidth),
+                height: Number(configuration.outputSeedHeight)
+            };
+
+            $scope.layerSummary.nodes = [];
+            $scope.layerSummary.summaries = [];
+            if (!(maskShape.planes >= 1 && maskShape.width >= 1 && maskShape.height >= 1))
+            {
+                $scope.layerSummary.summary = null;
+                $scope.layerSummary.error = "The layers can't be summarized until the mask width, height and classes are set.";
+                return;
+            }
+
+            var summary = {output: EBImageLayerShapeInference.summarizeOutputStack(configuration.outputLayers || [], seedShape, maskShape)};
+            $scope.layerSummary.summary = summary;
+            $scope.layerSummary.error = null;
+            indexLayerSummaries(configuration.outputLayers, summary.output.layers);
+        };
+
+        $scope.getLayerSummary = function(layer)
+        {
+            var index = $scope.layerSummary.nodes.indexOf(layer);
+            return index === -1 ? null : $scope.layerSummary.summaries[index];
+        };
+
+        $scope.describeShape = EBImageNetworkLayerTypes.describeShape;
+
+        $scope.formatBytes = EBImageNetworkLayerTypes.formatBytes;
+
+        $scope.$watch(function()
+        {
+            var configuration = $scope.field.configuration.interpretation;
+            return _.pick(configuration, layerSummaryFields);
+        }, function()
+        {
+            $scope.refreshLayerSummary();
+        }, true);
+    }
+
+    return {
+        templateUrl: "/plugins/image/views/image_mask_interpretation_configuration.html",
+        controller,
+        restrict: "A",
+        scope: {
+            field: '='
+        }
+    };
+});
@@ -66,8 +66,288 @@ angular.module('eb').service('EBImageNetworkLayerTypes', function EBImageNetwork
             "title": "Dropout",
             "layerType": "dropout",
             "nRatio": 0.4
+        },
+        {
+            "id": 6,
+            "title": "SpatialAveragePooling",
+            "layerType": "averagepooling",
+            "nKernelWidth": 2,
+            "nKernelHeight": 2,
+            "nStepWidth": 2,
+            "nStepHeight": 2
+        },
+        {
+            "id": 7,
+            "title": "GlobalAveragePooling",
+            "layerType": "globalaveragepooling"
+        },
+        {
+            "id": 8,
+            "title": "LeakyReLU",
+            "layerType": "leakyrelu",
+            "nNegativeSlope": 0.01
+        },
+        {
+            "id": 9,
+            "title": "ELU",
+            "layerType": "elu",
+            "nAlpha": 1
+        },
+        {
+            "id": 10,
+            "title": "PReLU",
+            "layerType": "prelu",
+            "nOutputPlane": 0
+        },
+        {
+            "id": 11,
+            "title": "Tanh",
+            "layerType": "tanh"
+        },
+        {
+            "id": 12,
+            "title": "Sigmoid",
+            "layerType": "sigmoid"
+        },
+        {
+            "id": 13,
+            "title": "SpatialDropout",
+            "layerType": "spatialdropout",
+            "nRatio": 0.2
+        },
+        {
+            "id": 14,
+            "title": "SpatialDilatedConvolution",
+            "layerType": "dilatedconvolution",
+            "nInputPlane": 32,
+            "nOutputPlane": 32,
+            "kernelWidth": 3,
+            "kernelHeight": 3,
+            "stepWidth": 1,
+            "stepHeight": 1,
+            "paddingWidth": 2,
+            "paddingHeight": 2,
+            "dilationWidth": 2,
+            "dilationHeight": 2
+        },
+        {
+            "id": 15,
+            "title": "SpatialCrossMapLRN",
+            "layerType": "lrn",
+            "size": 5,
+            "alpha": 0.0001,
+            "beta": 0.75,
+            "k": 1
+        },
+        {
+            "id": 16,
+            "title": "ResidualBlock",
+            "layerType": "residual",
+            "layers": [
+                {
+                    "id": 1,
+                    "title": "SpatialConvolution",
+                    "layerType": "convolution",
+                    "nInputPlane": 32,
+                    "nOutputPlane": 32,
+                    "kernelWidth": 3,
+                    "kernelHeight": 3,
+                    "stepWidth": 1,
+                    "stepHeight": 1,
+                    "paddingWidth": 1,
+                    "paddingHeight": 1
+                },
+                {
+                    "id": 2,
+                    "title": "SpatialBatchNormalization",
+                    "layerType": "batchnormalization",
+                    "nInputFeatures": 32
+                },
+                {
+                    "id": 3,
+                    "title": "ReLU",
+                    "layerType": "relu",
+                    "nState": true
+                }
+            ],
+            "shortcutLayers": []
+        },
+        {
+            "id": 17,
+            "title": "ConcatBlock",
+            "layerType": "concat",
+            "layers": [
+                {
+                    "title": "Branch",
+                    "layerType": "branch",
+                    "layers": [
+                        {
+                            "id": 1,
+                            "title": "SpatialConvolution",
+                            "layerType": "convolution",
+                            "nInputPlane": 32,
+                            "nOutputPlane": 16,
+                            "kernelWidth": 1,
+                            "kernelHeight": 1,
+                            "stepWidth": 1,
+                            "stepHeight": 1,
+                            "paddingWidth": 0,
+                            "paddingHeight": 0
+                        }
+                    ]
+                },
+                {
+                    "title": "Branch",
+                    "layerType": "branch",
+                    "layers": [
+                        {
+                            "id": 1,
+                            "title": "SpatialConvolution",
+                            "layerType": "convolution",
+                            "nInputPlane": 32,
+                            "nOutputPlane": 16,
+                            "kernelWidth": 3,
+                            "kernelHeight": 3,
+                            "stepWidth": 1,
+                            "stepHeight": 1,
+                            "paddingWidth": 1,
+                            "paddingHeight": 1
+                        }
+                    ]
+                }
+            ]
+        },
+        {
+            "id": 18,
+            "title": "SpatialDepthWiseConvolution",
+            "layerType": "depthwiseconvolution",
+            "nInputPlane": 32,
+            "depthMultiplier": 1,
+            "kernelWidth": 3,
+            "kernelHeight": 3,
+            "stepWidth": 1,
+            "stepHeight": 1,
+            "paddingWidth": 1,
+            "paddingHeight": 1
+        },
+        {
+            "id": 19,
+            "title": "SpatialFullConvolution",
+            "layerType": "fullconvolution",
+            "nInputPlane": 32,
+            "nOutputPlane": 32,
+            "kernelWidth": 4,
+            "kernelHeight": 4,
+            "stepWidth": 2,
+            "stepHeight": 2,
+            "paddingWidth": 1,
+            "paddingHeight": 1,
+            "adjWidth": 0,
+            "adjHeight": 0
+        },
+        {
+            "id": 20,
+            "title": "UpSampling",
+            "layerType": "upsampling",
+            "scaleFactor": 2
         }
     ];
 
+    // A branch of a ConcatBlock. Branches can only be added inside of a ConcatBlock, so this isn't in layerTypes.
+    service.branch = {
+        "title": "Branch",
+        "layerType": "branch",
+        "layers": []
+    };
+
+    /**
+     * Sets the input planes of every layer to match the planes coming out of the layer before it,
+     * so that the stack stays consistent as layers are added, removed and moved around.
+     *
+     * @param {[object]} layers The layers to update, including the layers nested in blocks
+     * @param {number} planes The number of planes going into the first layer
+     * @return {number} The number of planes coming out of the last layer
+     */
+    service.fillInputPlanes = function(layers, planes)
+    {
+        _.each(layers, function(layer)
+        {
+            planes = service.fillLayerInputPlanes(layer, planes);
+        });
+        return planes;
+    };
+
+    /**
+     * Sets the input planes of a single layer, and of the layers nested inside of it.
+     *
+     * @param {object} layer The layer to update
+     * @param {number} planes The number of planes going into the layer
+     * @return {number} The number of planes coming out of the layer
+     */
+    service.fillLayerInputPlanes = function(layer, planes)
+    {
+        if (layer.layerType === 'convolution' || layer.layerType === 'dilatedconvolution' || layer.layerType === 'fullconvolution')
+        {
+            layer.nInputPlane = planes;
+            return layer.nOutputPlane;
+        }
+        else if (layer.layerType === 'depthwiseconvolution')
+        {
+            layer.nInputPlane = planes;
+            return planes * layer.depthMultiplier;
+        }
+        else if (layer.layerType === 'batchnormalization')
+        {
+            layer.nInputFeatures = planes;
+        }
+        else if (layer.layerType === 'prelu' && layer.nOutputPlane !== 0)
+        {
+            // Zero means a single shared slope, which works with any number of planes
+            layer.nOutputPlane = planes;
+        }
+        else if (layer.layerType === 'residual')
+        {
+            service.fillInputPlanes(layer.shortcutLayers, planes);
+            return service.fillInputPlanes(layer.layers, planes);
+        }
+        else if (layer.layerType === 'concat')
+        {
+            return _.reduce(layer.layers, function(total, branch)
+            {
+                return total + service.fillInputPlanes(branch.layers, planes);
+            }, 0);
+        }
+        return planes;
+    };
+
+    /**
+     * Describes the shape of a layer's output, in the planes x height x width order that Torch uses.
+     *
+     * @param {object} shape The shape, or null if it couldn't be computed
+     * @return {string} The description
+     */
+    service.describeShape = function(shape)
+    {
+        return shape ? shape.planes + 'x' + shape.height + 'x' + shape.width : '?';
+    };
+
+    /**
+     * Formats a number of bytes in the largest unit that keeps it above 1.
+     *
+     * @param {number} bytes The number of bytes
+     * @return {string} The formatted size, such as "1.5 MB"
+     */
+    service.formatBytes = function(bytes)
+    {
+        var units = ['B', 'KB', 'MB', 'GB'];
+        var unit = 0;
+        while (bytes >= 1024 && unit < units.length - 1)
+        {
+            bytes /= 1024;
+            unit += 1;
+        }
+        return (unit === 0 ? bytes : bytes.toFixed(1)) + ' ' + units[unit];
+    };
+
     return service;
 });
\ No newline at end of file
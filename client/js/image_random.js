@@ -0,0 +1,163 @@
+/*
+ Electric Brain is an easy to use platform for machine learning.
+ Copyright (C) 2016 Electric Brain Software Corporation
+
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU Affero General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU Affero General Public License for more details.
+
+ You should have received a copy of the GNU Affero General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+// This file is shared by the server and the configuration view. The server loads it as a
+// CommonJS module, and the browser registers it as an angular service.
+//
+// Samples are hashed differently in each. The server uses md5, which the browser doesn't have,
+// so the configuration view hashes the base64 text of its examples with FNV-1a instead. Seeded
+// previews are repeatable, but they don't show the exact augmentations of a training run.
+(function(factory)
+{
+    if (typeof module === 'object' && module.exports)
+    {
+        const crypto = require('crypto');
+        module.exports = factory((value) =>
+        {
+            const hash = crypto.createHash('md5').update(value).digest();
+            return [hash.readUInt32LE(0), hash.readUInt32LE(4)];
+        });
+    }
+    else
+    {
+        angular.module('eb').factory('EBImageRandom', function EBImageRandom()
+        {
+            return factory(function(value)
+            {
+                var first = 0x811C9DC5;
+                var second = 0x050C5D1F;
+                for (var index = 0; index < value.length; index += 1)
+                {
+                    first = Math.imul(first ^ value.charCodeAt(index), 0x01000193) >>> 0;
+                    second = Math.imul(second ^ value.charCodeAt(index), 0x01000193) >>> 0;
+                }
+                return [first, second];
+            });
+        });
+    }
+})(function(hashSample)
+{
+    /**
+     * A source of random numbers for image augmentation. When given a seed, it produces
+     * the same sequence every time, so that augmented training runs can be reproduced.
+     * Without a seed it falls back to Math.random.
+     */
+    class EBImageRandom
+    {
+        /**
+         * Constructor
+         *
+         * @param {number} [seed] An optional 32 bit integer seed.
+         */
+        constructor(seed)
+        {
+            this.seeded = seed !== undefined && seed !== null;
+            this.state = this.seeded ? (seed >>> 0) : 0;
+        }
+
+
+        /**
+         * This method returns a random number in the range [0, 1)
+         *
+         * @return {number} The random number
+         */
+        random()
+        {
+            if (!this.seeded)
+            {
+                return Math.random();
+            }
+
+            // This is the mulberry32 generator, which is small, fast and good enough for augmentation
+            this.state = (this.state + 0x6D2B79F5) >>> 0;
+            let value = this.state;
+            value = Math.imul(value ^ (value >>> 15), value | 1);
+            value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+            return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+        }
+
+
+        /**
+         * This method returns a random number in the range [minimum, maximum)
+         *
+         * @param {number} minimum The lower end of the range
+         * @param {number} maximum The upper end of the range
+         * @return {number} The random number
+         */
+        uniform(minimum, maximum)
+        {
+            return minimum + this.random() * (maximum - minimum);
+        }
+
+
+        /**
+         * This method returns true with the given probability
+         *
+         * @param {number} probability A number in the range [0, 1]
+         * @return {boolean} Whether the event happened
+         */
+        chance(probability)
+        {
+            return this.random() < probability;
+        }
+
+
+        /**
+         * This method creates the random generator for augmenting one sample in one epoch. When
+         * there is a seed, the generator is seeded from the seed, the contents of the sample and
+         * the epoch, so that a training run can be reproduced exactly regardless of the order in
+         * which samples are processed, while every epoch still sees different augmentations.
+         *
+         * @param {number} [seed] An optional 32 bit integer seed. Without it, the generator is unseeded.
+         * @param {Buffer|string} value The contents of the sample being augmented
+         * @param {number} [epoch] The number of the pass over the data. Defaults to 0.
+         * @return {EBImageRandom} The random generator
+         */
+        static createForSample(seed, value, epoch)
+        {
+            if (seed === undefined || seed === null)
+            {
+                return new EBImageRandom();
+            }
+
+            const hash = hashSample(value);
+            return new EBImageRandom(EBImageRandom.combineSeeds([seed, hash[0], hash[1], epoch || 0]));
+        }
+
+
+        /**
+         * This method combines several integers into a single 32 bit seed
+         *
+         * @param {[number]} values The integers to combine
+         * @return {number} The combined seed
+         */
+        static combineSeeds(values)
+        {
+            let seed = 0x811C9DC5;
+            values.forEach((value) =>
+            {
+                seed = Math.imul(seed ^ (value >>> 0), 0x01000193) >>> 0;
+            });
+            return seed;
+        }
+    }
+
+    return EBImageRandom;
+});
@@ -0,0 +1,146 @@
+/*
+ Electric Brain is an easy to use platform for machine learning.
+ Copyright (C) 2016 Electric Brain Software Corporation
+
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU Affero General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU Affero General Public License for more details.
+
+ You should have received a copy of the GNU Affero General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+// This file is shared by the server and the configuration view. The server loads it as a
+// CommonJS module, and the browser registers it as an angular service.
+(function(factory)
+{
+    if (typeof module === 'object' && module.exports)
+    {
+        module.exports = factory(require('./image_architecture_presets'), require('./image_layer_shape_inference'));
+    }
+    else
+    {
+        angular.module('eb').factory('EBImageWeightsCompatibility', function EBImageWeightsCompatibility(EBImageArchitecturePresets, EBImageLayerShapeInference)
+        {
+            return factory(EBImageArchitecturePresets, EBImageLayerShapeInference);
+        });
+    }
+})(function(EBImageArchitecturePresets, EBImageLayerShapeInference)
+{
+    /**
+     * This class holds the checks of the pretrained weights settings that don't need the weights
+     * themselves. EBImagePretrainedWeights runs them on the server, before it reads the weights file,
+     * and the configuration view runs them while the settings are edited.
+     *
+     * Weights are compared with the configured layers through lists of modules, one for each top
+     * level layer, of the form {torchClass, parameterCount}. On the server the modules are read
+     * out of the weights file. The view can't see the files on the server, but it can compare the
+     * layers with the layers of the preset that the weights of a preset were trained for.
+     */
+    class EBImageWeightsCompatibility
+    {
+        /**
+         * This method checks the pretrained weights settings of a configuration.
+         *
+         * @param {object} configuration The interpretation configuration of the field
+         * @return {[string]} A description of every problem. It is empty when the settings are valid,
+         *                    or when the field doesn't use pretrained weights.
+         */
+        static checkSettings(configuration)
+        {
+            const source = configuration.pretrainedWeights || 'none';
+            if (source === 'none')
+            {
+                return [];
+            }
+
+            const errors = [];
+            if (source === 'file')
+            {
+                if (!configuration.pretrainedWeightsFile)
+                {
+                    errors.push("No pretrained weights file was chosen for the image layers.");
+                }
+            }
+            else if (source === 'preset')
+            {
+                if (!EBImageArchitecturePresets.presets.some((preset) => preset.name === configuration.pretrainedPreset))
+                {
+                    errors.push(`Unknown architecture preset for the pretrained weights: ${configuration.pretrainedPreset}`);
+                }
+            }
+            else
+            {
+                errors.push(`Unknown source of pretrained weights: ${source}`);
+            }
+
+            const layerCount = (configuration.layers || []).length;
+            const frozenLayerCount = configuration.frozenLayerCount || 0;
+            if (Math.floor(frozenLayerCount) !== frozenLayerCount || frozenLayerCount < 0 || frozenLayerCount > layerCount)
+            {
+                errors.push(`The number of frozen layers must be an integer between 0 and the ${layerCount} configured layers, but is ${frozenLayerCount}.`);
+            }
+
+            return errors;
+        }
+
+
+        /**
+         * This method compares the layers of pretrained weights with the configured layers.
+         *
+         * @param {[object]} modules The layers of the weights, as {torchClass, parameterCount}
+         * @param {[object]} layers The layers from the interpretation configuration
+         * @param {object} inputShape The shape of the images going into the layers, as {planes, width, height}
+         * @return {[string]} A description of every mismatch. It is empty when the weights match.
+         */
+        static compareWeights(modules, layers, inputShape)
+        {
+            const summary = EBImageLayerShapeInference.summarizeStack(layers, inputShape);
+            if (summary.errors.length > 0)
+            {
+                return summary.errors;
+            }
+            else if (modules.length !== layers.length)
+            {
+                return [`The weights hold ${modules.length} layers, but there are ${layers.length} configured layers.`];
+            }
+
+            const errors = [];
+            summary.layers.forEach((layerSummary, index) =>
+            {
+                if (modules[index].parameterCount !== layerSummary.parameterCount)
+                {
+                    errors.push(`Layer ${index + 1} (${layers[index].layerType}) has ${layerSummary.parameterCount} parameters, but the layer in the weights (${modules[index].torchClass}) has ${modules[index].parameterCount}.`);
+                }
+            });
+            return errors;
+        }
+
+
+        /**
+         * This method returns the modules that the weights for a preset hold, for images of the given shape.
+         *
+         * @param {string} presetName The name of the preset
+         * @param {object} inputShape The shape of the images going into the layers, as {planes, width, height}
+         * @return {[object]} The modules, as {torchClass, parameterCount}, where the torchClass is the type of the preset's layer
+         */
+        static getPresetModules(presetName, inputShape)
+        {
+            const layers = EBImageArchitecturePresets.generateLayers(presetName, {width: inputShape.width, height: inputShape.height}, inputShape.planes);
+            return EBImageLayerShapeInference.summarizeStack(layers, inputShape).layers.map((summary, index) =>
+            {
+                return {torchClass: layers[index].layerType, parameterCount: summary.parameterCount};
+            });
+        }
+    }
+
+    return EBImageWeightsCompatibility;
+});
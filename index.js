@@ -17,7 +17,9 @@
  */
 
 const EBImageInterpretation = require('./server/EBImageInterpretation');
+const EBImageMaskInterpretation = require('./server/EBImageMaskInterpretation');
 const EBNeuralNetworkImageComponent = require('./server/EBNeuralNetworkImageComponent');
+const EBNeuralNetworkImageMaskComponent = require('./server/EBNeuralNetworkImageMaskComponent');
 
 /*
  * Plugins must define a series of standard methods.
@@ -27,7 +29,13 @@ module.exports = {
     "name": "image",
     "folder": __dirname,
     "dataSources": {},
-    "interpretations": {'image': EBImageInterpretation},
-    "neuralNetworkComponents": {'image': EBNeuralNetworkImageComponent}
+    "interpretations": {
+        'image': EBImageInterpretation,
+        'imageMask': EBImageMaskInterpretation
+    },
+    "neuralNetworkComponents": {
+        'image': EBNeuralNetworkImageComponent,
+        'imageMask': EBNeuralNetworkImageMaskComponent
+    }
 };
 
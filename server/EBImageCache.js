@@ -0,0 +1,347 @@
+/*
+ Electric Brain is an easy to use platform for machine learning.
+ Copyright (C) 2016 Electric Brain Software Corporation
+
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU Affero General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU Affero General Public License for more details.
+
+ You should have received a copy of the GNU Affero General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const
+    crypto = require('crypto'),
+    fs = require('fs'),
+    path = require('path'),
+    Promise = require('bluebird');
+
+// The number of bytes in the header of each cached bitmap
+const cacheHeaderSize = 4;
+
+// How old a temporary file has to be before it is assumed to have been left behind by a
+// process that died while writing it, rather than being written right now by another process
+const staleTemporaryFileAge = 10 * 60 * 1000;
+
+/**
+ * This class is a content-addressed cache on disk for decoded and resized base images. Each
+ * entry is keyed by a hash of the original image bytes and a variant name, within a namespace
+ * given by a hash of the deterministic preprocessing configuration. When the configuration changes, all of
+ * the entries from the old configuration are deleted. When the cache grows beyond its size
+ * limit, the least recently used entries are deleted.
+ *
+ * Entries are stored as bitmaps, described in EBImageProcessor, with the width and height in
+ * front as big-endian uint16s.
+ */
+class EBImageCache
+{
+    /**
+     * Constructor. Any entries already in the directory are picked up in the background,
+     * ordered by when they were last used. Lookups and writes wait for that to finish.
+     *
+     * @param {string} directory The directory to store the cache in. It is created if needed.
+     * @param {number} maxBytes The maximum total size of the cache
+     */
+    constructor(directory, maxBytes)
+    {
+        this.directory = directory;
+        this.maxBytes = maxBytes;
+        this.configurationHash = null;
+
+        // A map from file name to size, ordered from least to most recently used
+        this.entries = new Map();
+        this.totalBytes = 0;
+
+        // Resolves once the existing entries have been picked up. A cache whose directory
+        // can't be read just starts out empty.
+        this.ready = this.scan().catch(() => {});
+    }
+
+
+    /**
+     * This method picks up the entries already in the cache directory, and deletes the
+     * temporary files left behind by writes that never finished.
+     *
+     * @return {Promise} A promise that resolves when the directory has been scanned
+     */
+    scan()
+    {
+        return EBImageCache.makeDirectory(this.directory).then(() =>
+        {
+            return Promise.fromCallback((next) => fs.readdir(this.directory, next));
+        }).then((fileNames) =>
+        {
+            const files = fileNames.filter((fileName) => ['.bin', '.tmp'].indexOf(path.extname(fileName)) !== -1);
+            return Promise.map(files, (fileName) =>
+            {
+                const filePath = path.join(this.directory, fileName);
+                return Promise.fromCallback((next) => fs.stat(filePath, next)).then((stat) => ({fileName, stat}), () => null);
+            }, {concurrency: 16});
+        }).then((files) =>
+        {
+            const now = Date.now();
+            const present = files.filter((file) => file);
+            const staleTemporaryFiles = present.filter((file) => path.extname(file.fileName) === '.tmp' && now - file.stat.mtime.getTime() > staleTemporaryFileAge);
+
+            present.filter((file) => path.extname(file.fileName) === '.bin')
+                .sort((a, b) => a.stat.mtime.getTime() - b.stat.mtime.getTime())
+                .forEach((file) =>
+                {
+                    this.entries.set(file.fileName, file.stat.size);
+                    this.totalBytes += file.stat.size;
+                });
+
+            return Promise.map(staleTemporaryFiles, (file) => Promise.fromCallback((next) => fs.unlink(path.join(this.directory, file.fileName), next)).catch(() => {}));
+        }).then(() =>
+        {
+            this.removeStaleEntries();
+            this.evict();
+        });
+    }
+
+
+    /**
+     * This method sets the deterministic preprocessing configuration that the cached images
+     * were produced with. If it differs from the configuration of the entries in the cache,
+     * those entries are deleted.
+     *
+     * @param {object} configuration Every configuration value that affects the base image
+     */
+    setConfiguration(configuration)
+    {
+        const configurationHash = EBImageCache.hash(JSON.stringify(configuration)).substr(0, 16);
+        if (configurationHash === this.configurationHash)
+        {
+            return;
+        }
+
+        this.configurationHash = configurationHash;
+        this.removeStaleEntries();
+    }
+
+
+    /**
+     * This method deletes every entry that wasn't produced with the current configuration.
+     */
+    removeStaleEntries()
+    {
+        if (!this.configurationHash)
+        {
+            return;
+        }
+
+        Array.from(this.entries.keys()).forEach((fileName) =>
+        {
+            if (fileName.indexOf(`${this.configurationHash}-`) !== 0)
+            {
+                this.removeEntry(fileName);
+            }
+        });
+    }
+
+
+    /**
+     * This method looks up a base image.
+     *
+     * @param {string} fileName The file name of the entry, from getFileName
+     * @return {Promise} A promise that resolves to the cached bitmap, or null if it isn't in the cache
+     */
+    get(fileName)
+    {
+        return this.ready.then(() => this.getEntry(fileName));
+    }
+
+
+    /**
+     * This method looks up a base image, once the existing entries have been picked up.
+     *
+     * @param {string} fileName The file name of the entry, from getFileName
+     * @return {Promise} A promise that resolves to the cached bitmap, or null if it isn't in the cache
+     */
+    getEntry(fileName)
+    {
+        if (!this.entries.has(fileName))
+        {
+            return Promise.resolve(null);
+        }
+
+        // Move the entry to the most recently used end
+        const size = this.entries.get(fileName);
+        this.entries.delete(fileName);
+        this.entries.set(fileName, size);
+
+        const filePath = path.join(this.directory, fileName);
+        return Promise.fromCallback((next) => fs.readFile(filePath, next)).then((buffer) =>
+        {
+            // Record the use on disk too, so the order survives restarts. Failures don't matter.
+            const now = new Date();
+            fs.utimes(filePath, now, now, () => {});
+
+            return {
+                width: buffer.readUInt16BE(0),
+                height: buffer.readUInt16BE(2),
+                data: buffer.slice(cacheHeaderSize)
+            };
+        }, () =>
+        {
+            // The file was removed from underneath us, so treat it as a miss
+            this.forgetEntry(fileName);
+            return null;
+        });
+    }
+
+
+    /**
+     * This method stores a base image.
+     *
+     * @param {string} fileName The file name of the entry, from getFileName
+     * @param {object} bitmap The base image
+     * @return {Promise} A promise that resolves when the image has been written
+     */
+    put(fileName, bitmap)
+    {
+        return this.ready.then(() => this.putEntry(fileName, bitmap));
+    }
+
+
+    /**
+     * This method stores a base image, once the existing entries have been picked up.
+     *
+     * @param {string} fileName The file name of the entry, from getFileName
+     * @param {object} bitmap The base image
+     * @return {Promise} A promise that resolves when the image has been written
+     */
+    putEntry(fileName, bitmap)
+    {
+        const buffer = new Buffer(cacheHeaderSize + bitmap.data.length);
+        buffer.writeUInt16BE(bitmap.width, 0);
+        buffer.writeUInt16BE(bitmap.height, 2);
+        bitmap.data.copy(buffer, cacheHeaderSize);
+
+        if (buffer.length > this.maxBytes)
+        {
+            return Promise.resolve();
+        }
+
+        this.forgetEntry(fileName);
+        this.entries.set(fileName, buffer.length);
+        this.totalBytes += buffer.length;
+        this.evict();
+
+        // Write to a temporary file first, so that readers never see a partial entry
+        const filePath = path.join(this.directory, fileName);
+        const temporaryPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+        return Promise.fromCallback((next) => fs.writeFile(temporaryPath, buffer, next)).then(() =>
+        {
+            return Promise.fromCallback((next) => fs.rename(temporaryPath, filePath, next));
+        }).catch(() =>
+        {
+            // A cache that can't be written to just doesn't cache
+            this.forgetEntry(fileName);
+        });
+    }
+
+
+    /**
+     * This method deletes the least recently used entries until the cache fits in its size limit.
+     */
+    evict()
+    {
+        const iterator = this.entries.keys();
+        while (this.totalBytes > this.maxBytes)
+        {
+            this.removeEntry(iterator.next().value);
+        }
+    }
+
+
+    /**
+     * This method deletes an entry, both from the index and from the disk.
+     *
+     * @param {string} fileName The file name of the entry
+     */
+    removeEntry(fileName)
+    {
+        this.forgetEntry(fileName);
+        fs.unlink(path.join(this.directory, fileName), () => {});
+    }
+
+
+    /**
+     * This method removes an entry from the index, without touching the disk.
+     *
+     * @param {string} fileName The file name of the entry
+     */
+    forgetEntry(fileName)
+    {
+        if (this.entries.has(fileName))
+        {
+            this.totalBytes -= this.entries.get(fileName);
+            this.entries.delete(fileName);
+        }
+    }
+
+
+    /**
+     * This method returns the file name of the entry for the given original image bytes.
+     *
+     * @param {Buffer} value The original image bytes
+     * @param {string} variant Distinguishes the different base images that the same configuration
+     *                         can produce from one image, such as for training and for prediction
+     * @return {string} The file name
+     */
+    getFileName(value, variant)
+    {
+        if (!this.configurationHash)
+        {
+            throw new Error("The configuration must be set before using the image cache.");
+        }
+
+        return `${this.configurationHash}-${variant}-${EBImageCache.hash(value)}.bin`;
+    }
+
+
+    /**
+     * This method computes the hex sha1 hash of the given data
+     *
+     * @param {Buffer|string} data The data to hash
+     * @return {string} The hash
+     */
+    static hash(data)
+    {
+        return crypto.createHash('sha1').update(data).digest('hex');
+    }
+
+
+    /**
+     * This method creates a directory and any missing parents.
+     *
+     * @param {string} directory The directory to create
+     * @return {Promise} A promise that resolves when the directory exists
+     */
+    static makeDirectory(directory)
+    {
+        return Promise.fromCallback((next) => fs.mkdir(directory, next)).catch((err) =>
+        {
+            if (err.code === 'EEXIST')
+            {
+                return null;
+            }
+            else if (err.code === 'ENOENT' && path.dirname(directory) !== directory)
+            {
+                return EBImageCache.makeDirectory(path.dirname(directory)).then(() => EBImageCache.makeDirectory(directory));
+            }
+            throw err;
+        });
+    }
+}
+
+module.exports = EBImageCache;
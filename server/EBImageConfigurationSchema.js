@@ -0,0 +1,134 @@
+/*
+ Electric Brain is an easy to use platform for machine learning.
+ Copyright (C) 2016 Electric Brain Software Corporation
+
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU Affero General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU Affero General Public License for more details.
+
+ You should have received a copy of the GNU Affero General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const
+    EBImageArchitecturePresets = require('../client/js/image_architecture_presets'),
+    EBImageAugmentationTypes = require('../client/js/image_augmentation_types'),
+    EBImageConfigurationMigrations = require('../client/js/image_configuration_migrations'),
+    EBImageExif = require('./EBImageExif'),
+    EBImageLayerSchema = require('./EBImageLayerSchema'),
+    underscore = require('underscore');
+
+/**
+ * This class describes the interpretation configuration of an image field in JSON schema. It is
+ * kept apart from EBImageInterpretation so that configurations can be checked without loading
+ * the image processing code or the platform.
+ *
+ * Configurations saved by older versions of the plugin don't always match the schema. They must be
+ * upgraded with EBImageConfigurationMigrations first.
+ */
+class EBImageConfigurationSchema
+{
+    /**
+     * This method returns the schema for the configuration of an image field
+     *
+     * @return {jsonschema} A schema representing the configuration
+     */
+    static configurationSchema()
+    {
+        return {
+            "id": "EBImageInterpretation.configurationSchema",
+            "type": "object",
+            "definitions": Object.assign(EBImageLayerSchema.definitions(), EBImageAugmentationTypes.definitions()),
+            "properties": {
+                configVersion: {"type": "integer", "minimum": 1, "maximum": EBImageConfigurationMigrations.currentVersion},
+                inputWidth: {"type": "number", "minimum": 1},
+                inputHeight: {"type": "number", "minimum": 1},
+                channels: {
+                    "type": "number",
+                    "enum": [1, 3, 4]
+                },
+                normalization: {
+                    "type": "string",
+                    "enum": ["none", "scale", "datasetMeanStd", "imagenet"]
+                },
+                encoding: {
+                    "type": "string",
+                    "enum": ["jpeg", "png", "raw"]
+                },
+                augmentationSeed: {"type": ["integer", "null"]},
+                processingConcurrency: {"type": "integer", "minimum": 1},
+                rootDirectory: {"type": ["string", "null"]},
+                maxImageBytes: {"type": "number", "minimum": 1},
+                maxImagePixels: {"type": "number", "minimum": 1},
+                // Skipping isn't supported, but configurations saved with it are still valid, see EBImageInterpretation.transformSchemaForNeuralNetwork
+                badSamplePolicy: {
+                    "type": "string",
+                    "enum": ["blank", "fail", "skip"]
+                },
+                exifFields: {
+                    "type": "array",
+                    "items": {
+                        "type": "string",
+                        "enum": underscore.pluck(EBImageExif.fields, 'name')
+                    }
+                },
+                stripExif: {"type": "boolean"},
+                cacheEnabled: {"type": "boolean"},
+                cacheDirectory: {"type": ["string", "null"]},
+                cacheMaxSizeMB: {"type": "number", "minimum": 1},
+                resizeMode: {
+                    "type": "string",
+                    "enum": ["stretch", "centerCrop", "letterbox", "randomCrop"]
+                },
+                paddingColor: {
+                    "type": "string",
+                    "pattern": "^#([0-9a-fA-F]{6}|[0-9a-fA-F]{8})$"
+                },
+                augmentations: {
+                    "type": "array",
+                    "items": {"$ref": "#/definitions/augmentation"}
+                },
+                greyScale: {"type": "boolean"},
+                pretrainedWeights: {
+                    "type": "string",
+                    "enum": ["none", "file", "preset"]
+                },
+                pretrainedWeightsFile: {"type": ["string", "null"]},
+                pretrainedPreset: {
+                    "type": ["string", "null"],
+                    "enum": underscore.pluck(EBImageArchitecturePresets.presets, 'name').concat([null])
+                },
+                frozenLayerCount: {"type": "integer", "minimum": 0},
+                layers: {
+                    "type": "array",
+                    "minItems": 1,
+                    "items": {"$ref": "#/definitions/layer"}
+                },
+                // The output stack is only used when the image is an output of the network. Configurations without it get the default one.
+                outputSeedPlanes: {"type": "integer", "minimum": 1},
+                outputSeedWidth: {"type": "integer", "minimum": 1},
+                outputSeedHeight: {"type": "integer", "minimum": 1},
+                outputJpegQuality: {"type": "integer", "minimum": 1, "maximum": 100},
+                outputLayers: {
+                    "type": "array",
+                    "items": {"$ref": "#/definitions/layer"}
+                },
+                // These flags were replaced by the augmentations, and are only found in configurations from before configVersion 2
+                rotateImage: {"type": "boolean"},
+                stretchImage: {"type": "boolean"},
+                mirrorHorizontally: {"type": "boolean"}
+            },
+            "required": ["inputWidth", "inputHeight", "layers"]
+        };
+    }
+}
+
+module.exports = EBImageConfigurationSchema;
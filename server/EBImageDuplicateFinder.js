@@ -0,0 +1,224 @@
+/*
+ Electric Brain is an easy to use platform for machine learning.
+ Copyright (C) 2016 Electric Brain Software Corporation
+
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU Affero General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU Affero General Public License for more details.
+
+ You should have received a copy of the GNU Affero General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const
+    EBImagePerceptualHash = require('./EBImagePerceptualHash'),
+    underscore = require('underscore');
+
+/**
+ * This class groups images into clusters of exact and near duplicates as they are added.
+ *
+ * Exact duplicates are found by a hash of the image bytes. Near duplicates are images whose
+ * perceptual hashes are within the maximum hamming distance of each other. The perceptual
+ * hashes are kept in a BK-tree, which finds every hash within a distance without comparing
+ * against all of them. Images that are near duplicates of each other are joined into the same
+ * cluster with a union-find, so clusters can chain, where A is close to B and B is close to C.
+ *
+ * Each image can have a small thumbnail attached, so that clusters can be shown. Only the first
+ * maxThumbnails thumbnails are kept, to bound the memory used on large datasets.
+ */
+class EBImageDuplicateFinder
+{
+    /**
+     * Constructor
+     *
+     * @param {number} maxDistance The largest hamming distance between perceptual hashes that counts as a near duplicate
+     * @param {number} maxThumbnails The maximum number of thumbnails to keep
+     */
+    constructor(maxDistance, maxThumbnails)
+    {
+        this.maxDistance = maxDistance;
+        this.maxThumbnails = maxThumbnails;
+
+        // For each image, the index of its parent in the union-find, and whether it is an exact copy of an earlier image
+        this.parents = [];
+        this.exactCopies = [];
+
+        this.thumbnails = new Map();
+        this.imageIndexesByContentHash = new Map();
+        this.tree = null;
+    }
+
+
+    /**
+     * This method adds an image.
+     *
+     * @param {string} contentHash A hash of the image bytes
+     * @param {string} perceptualHash The perceptual hash of the image, from EBImagePerceptualHash
+     * @param {string} [thumbnail] A small thumbnail of the image, as a base64 string
+     */
+    addImage(contentHash, perceptualHash, thumbnail)
+    {
+        const index = this.parents.length;
+        this.parents.push(index);
+        this.exactCopies.push(false);
+        if (thumbnail && this.thumbnails.size < this.maxThumbnails)
+        {
+            this.thumbnails.set(index, thumbnail);
+        }
+
+        // Exact copies have the same perceptual hash as the original, so they don't need to go in the tree
+        if (this.imageIndexesByContentHash.has(contentHash))
+        {
+            this.exactCopies[index] = true;
+            this.union(index, this.imageIndexesByContentHash.get(contentHash));
+            return;
+        }
+        this.imageIndexesByContentHash.set(contentHash, index);
+
+        this.findWithinDistance(perceptualHash).forEach((otherIndex) => this.union(index, otherIndex));
+        this.insertIntoTree(perceptualHash, index);
+    }
+
+
+    /**
+     * This method returns the clusters of duplicates, largest first.
+     *
+     * @param {number} maxClusters The maximum number of clusters to describe
+     * @param {number} maxThumbnailsPerCluster The maximum number of thumbnails to include with each cluster
+     * @return {object} An object of the form
+     *                  {
+     *                      "duplicateImageCount": Number,
+     *                      "exactDuplicateImageCount": Number,
+     *                      "duplicateClusterCount": Number,
+     *                      "duplicateClusters": [{"size": Number, "exactDuplicates": Number, "thumbnails": [String]}]
+     *                  }
+     *                  where duplicateImageCount is the number of images that could be removed, leaving one from each cluster.
+     */
+    getClusters(maxClusters, maxThumbnailsPerCluster)
+    {
+        const members = underscore.groupBy(underscore.range(this.parents.length), (index) => this.find(index));
+        const clusters = underscore.filter(members, (indexes) => indexes.length > 1);
+
+        const describedClusters = underscore.sortBy(clusters, (indexes) => -indexes.length).slice(0, maxClusters).map((indexes) =>
+        {
+            return {
+                size: indexes.length,
+                exactDuplicates: indexes.filter((index) => this.exactCopies[index]).length,
+                thumbnails: indexes.filter((index) => this.thumbnails.has(index)).slice(0, maxThumbnailsPerCluster).map((index) => this.thumbnails.get(index))
+            };
+        });
+
+        return {
+            duplicateImageCount: clusters.reduce((total, indexes) => total + indexes.length - 1, 0),
+            exactDuplicateImageCount: this.exactCopies.filter((exactCopy) => exactCopy).length,
+            duplicateClusterCount: clusters.length,
+            duplicateClusters: describedClusters
+        };
+    }
+
+
+    /**
+     * This method finds the images whose perceptual hashes are within the maximum distance of the given hash.
+     *
+     * @param {string} perceptualHash The hash to search around
+     * @return {[number]} The indexes of the images
+     */
+    findWithinDistance(perceptualHash)
+    {
+        const found = [];
+        const pending = this.tree ? [this.tree] : [];
+        while (pending.length > 0)
+        {
+            const node = pending.pop();
+            const distance = EBImagePerceptualHash.hammingDistance(perceptualHash, node.hash);
+            if (distance <= this.maxDistance)
+            {
+                found.push(node.index);
+            }
+
+            // By the triangle inequality, only children at these distances can hold matches
+            for (let childDistance = distance - this.maxDistance; childDistance <= distance + this.maxDistance; childDistance += 1)
+            {
+                if (node.children.has(childDistance))
+                {
+                    pending.push(node.children.get(childDistance));
+                }
+            }
+        }
+        return found;
+    }
+
+
+    /**
+     * This method inserts a perceptual hash into the BK-tree.
+     *
+     * @param {string} perceptualHash The hash to insert
+     * @param {number} index The index of the image with that hash
+     */
+    insertIntoTree(perceptualHash, index)
+    {
+        const newNode = {hash: perceptualHash, index: index, children: new Map()};
+        if (!this.tree)
+        {
+            this.tree = newNode;
+            return;
+        }
+
+        let node = this.tree;
+        for (;;)
+        {
+            const distance = EBImagePerceptualHash.hammingDistance(perceptualHash, node.hash);
+            if (!node.children.has(distance))
+            {
+                node.children.set(distance, newNode);
+                return;
+            }
+            node = node.children.get(distance);
+        }
+    }
+
+
+    /**
+     * This method finds the root of the cluster that an image is in.
+     *
+     * @param {number} index The index of the image
+     * @return {number} The index of the root image of the cluster
+     */
+    find(index)
+    {
+        while (this.parents[index] !== index)
+        {
+            // Point every other node at its grandparent as we go, which keeps the trees flat
+            this.parents[index] = this.parents[this.parents[index]];
+            index = this.parents[index];
+        }
+        return index;
+    }
+
+
+    /**
+     * This method joins the clusters that two images are in.
+     *
+     * @param {number} first The index of an image
+     * @param {number} second The index of another image
+     */
+    union(first, second)
+    {
+        const firstRoot = this.find(first);
+        const secondRoot = this.find(second);
+        if (firstRoot !== secondRoot)
+        {
+            this.parents[Math.max(firstRoot, secondRoot)] = Math.min(firstRoot, secondRoot);
+        }
+    }
+}
+
+module.exports = EBImageDuplicateFinder;
@@ -0,0 +1,366 @@
+/*
+ Electric Brain is an easy to use platform for machine learning.
+ Copyright (C) 2016 Electric Brain Software Corporation
+
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU Affero General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU Affero General Public License for more details.
+
+ You should have received a copy of the GNU Affero General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const
+    EBImageExifFields = require('../client/js/image_exif_fields');
+
+// The number of bytes in each component of each TIFF field type
+const tiffTypeSizes = {1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8};
+
+// The tags that are read, in the IFD that each is found in
+const imageTags = {make: 0x010F, model: 0x0110, orientation: 0x0112, exifPointer: 0x8769, gpsPointer: 0x8825};
+const exifTags = {exposureTime: 0x829A, fNumber: 0x829D, isoSpeed: 0x8827, dateTimeOriginal: 0x9003, focalLength: 0x920A};
+const gpsTags = {latitudeRef: 1, latitude: 2, longitudeRef: 3, longitude: 4, altitudeRef: 5, altitude: 6};
+
+// The marker of the JPEG segment that holds EXIF data, and the identifier that starts it
+const jpegExifMarker = 0xE1;
+const exifIdentifier = new Buffer('Exif\0\0', 'binary');
+
+/**
+ * This class reads and strips the EXIF metadata of images.
+ *
+ * Only the handful of fields in EBImageExif.fields are read. They can be exposed as derived
+ * fields of an image field, and used as features. Stripping removes everything except the
+ * orientation, which is kept so that the image still displays the right way up.
+ */
+class EBImageExif
+{
+    /**
+     * This method reads the supported fields out of raw EXIF data, as given by sharp's metadata.
+     *
+     * @param {Buffer} exif The EXIF data, starting with the "Exif" identifier or directly with the TIFF header
+     * @return {object} An object with a value for each field in EBImageExif.fields that is present
+     */
+    static parse(exif)
+    {
+        const result = {};
+        if (!exif)
+        {
+            return result;
+        }
+
+        const tiff = exif.slice(0, exifIdentifier.length).equals(exifIdentifier) ? exif.slice(exifIdentifier.length) : exif;
+        try
+        {
+            const reader = EBImageExif.createTiffReader(tiff);
+            const image = reader.readIFD(reader.readUInt32(4));
+            const exifIFD = image[imageTags.exifPointer] ? reader.readIFD(image[imageTags.exifPointer]) : {};
+            const gps = image[imageTags.gpsPointer] ? reader.readIFD(image[imageTags.gpsPointer]) : {};
+
+            const assign = (name, value) =>
+            {
+                if (value !== undefined && value !== null && !(typeof value === 'number' && !isFinite(value)))
+                {
+                    result[name] = value;
+                }
+            };
+
+            assign('cameraMake', image[imageTags.make]);
+            assign('cameraModel', image[imageTags.model]);
+            assign('captureTime', EBImageExif.parseDateTime(exifIFD[exifTags.dateTimeOriginal]));
+            assign('exposureTime', exifIFD[exifTags.exposureTime]);
+            assign('fNumber', exifIFD[exifTags.fNumber]);
+            assign('isoSpeed', exifIFD[exifTags.isoSpeed]);
+            assign('focalLength', exifIFD[exifTags.focalLength]);
+
+            if (gps[gpsTags.latitude] && gps[gpsTags.longitude])
+            {
+                assign('gpsLatitude', EBImageExif.parseCoordinate(gps[gpsTags.latitude], gps[gpsTags.latitudeRef], 'S'));
+                assign('gpsLongitude', EBImageExif.parseCoordinate(gps[gpsTags.longitude], gps[gpsTags.longitudeRef], 'W'));
+            }
+            if (gps[gpsTags.altitude] !== undefined)
+            {
+                assign('gpsAltitude', gps[gpsTags.altitudeRef] === 1 ? -gps[gpsTags.altitude] : gps[gpsTags.altitude]);
+            }
+        }
+        catch (err)
+        {
+            // Damaged EXIF data just doesn't provide any fields. The pixels are still fine.
+        }
+
+        return result;
+    }
+
+
+    /**
+     * This method creates an object for reading values out of TIFF data in its byte order.
+     *
+     * @param {Buffer} tiff The TIFF data, starting with the byte order mark
+     * @return {object} The reader
+     */
+    static createTiffReader(tiff)
+    {
+        const byteOrder = tiff.toString('binary', 0, 2);
+        if (byteOrder !== 'II' && byteOrder !== 'MM')
+        {
+            throw new Error("The EXIF data does not have a valid TIFF header.");
+        }
+        const littleEndian = byteOrder === 'II';
+
+        const reader = {
+            readUInt16: (offset) => littleEndian ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset),
+            readUInt32: (offset) => littleEndian ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset),
+            readInt32: (offset) => littleEndian ? tiff.readInt32LE(offset) : tiff.readInt32BE(offset)
+        };
+
+        reader.readValue = (type, count, offset) =>
+        {
+            const values = [];
+            for (let index = 0; index < count; index += 1)
+            {
+                const position = offset + index * tiffTypeSizes[type];
+                if (type === 1 || type === 7)
+                {
+                    values.push(tiff[position]);
+                }
+                else if (type === 3)
+                {
+                    values.push(reader.readUInt16(position));
+                }
+                else if (type === 4)
+                {
+                    values.push(reader.readUInt32(position));
+                }
+                else if (type === 9)
+                {
+                    values.push(reader.readInt32(position));
+                }
+                else if (type === 5)
+                {
+                    values.push(reader.readUInt32(position) / reader.readUInt32(position + 4));
+                }
+                else if (type === 10)
+                {
+                    values.push(reader.readInt32(position) / reader.readInt32(position + 4));
+                }
+            }
+            return count === 1 ? values[0] : values;
+        };
+
+        // Reads an image file directory into an object mapping tags to values
+        reader.readIFD = (offset) =>
+        {
+            const entries = {};
+            const count = reader.readUInt16(offset);
+            for (let index = 0; index < count; index += 1)
+            {
+                const entry = offset + 2 + index * 12;
+                const tag = reader.readUInt16(entry);
+                const type = reader.readUInt16(entry + 2);
+                const valueCount = reader.readUInt32(entry + 4);
+                if (!tiffTypeSizes[type])
+                {
+                    continue;
+                }
+
+                // Values that fit in four bytes are stored in the entry, and anything larger is pointed to
+                const size = tiffTypeSizes[type] * valueCount;
+                const valueOffset = size <= 4 ? entry + 8 : reader.readUInt32(entry + 8);
+                if (valueOffset + size > tiff.length)
+                {
+                    continue;
+                }
+
+                if (type === 2)
+                {
+                    entries[tag] = tiff.toString('binary', valueOffset, valueOffset + size).replace(/\0+$/, '').trim();
+                }
+                else
+                {
+                    entries[tag] = reader.readValue(type, valueCount, valueOffset);
+                }
+            }
+            return entries;
+        };
+
+        return reader;
+    }
+
+
+    /**
+     * This method converts an EXIF date, which looks like "2016:08:21 14:05:33", into ISO 8601.
+     * EXIF dates have no time zone, so the result doesn't either.
+     *
+     * @param {string} dateTime The EXIF date
+     * @return {string} The ISO 8601 date, or null if the date can't be read
+     */
+    static parseDateTime(dateTime)
+    {
+        const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(dateTime || '');
+        return match ? `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}` : null;
+    }
+
+
+    /**
+     * This method converts a GPS coordinate from degrees, minutes and seconds into signed decimal degrees.
+     *
+     * @param {[number]} degreesMinutesSeconds The three parts of the coordinate
+     * @param {string} reference The hemisphere, such as "N" or "W"
+     * @param {string} negativeReference The hemisphere that makes the coordinate negative
+     * @return {number} The coordinate in decimal degrees
+     */
+    static parseCoordinate(degreesMinutesSeconds, reference, negativeReference)
+    {
+        const value = degreesMinutesSeconds[0] + degreesMinutesSeconds[1] / 60 + degreesMinutesSeconds[2] / 3600;
+        return reference === negativeReference ? -value : value;
+    }
+
+
+    /**
+     * This method removes the EXIF metadata from a JPEG or PNG image without re-encoding it.
+     * The orientation is kept in a minimal EXIF block, since the pixels are still stored in
+     * their original orientation. Images in other formats are returned unchanged.
+     *
+     * @param {Buffer} image The encoded image
+     * @param {number} [orientation] The EXIF orientation of the image, from 1 to 8
+     * @return {Buffer} The image without EXIF metadata
+     */
+    static strip(image, orientation)
+    {
+        if (image[0] === 0xFF && image[1] === 0xD8)
+        {
+            return EBImageExif.stripJPEG(image, orientation);
+        }
+        else if (image.toString('binary', 1, 4) === 'PNG')
+        {
+            return EBImageExif.stripPNG(image);
+        }
+        return image;
+    }
+
+
+    /**
+     * This method removes the EXIF segments from a JPEG, putting a minimal one with only the orientation in their place.
+     *
+     * @param {Buffer} image The JPEG
+     * @param {number} [orientation] The EXIF orientation of the image
+     * @return {Buffer} The JPEG without EXIF metadata
+     */
+    static stripJPEG(image, orientation)
+    {
+        const parts = [image.slice(0, 2)];
+        if (orientation && orientation !== 1)
+        {
+            parts.push(EBImageExif.createOrientationSegment(orientation));
+        }
+
+        // Walk through the segments up to the start of the scan, after which there is only image data
+        let position = 2;
+        while (position + 4 <= image.length && image[position] === 0xFF)
+        {
+            const marker = image[position + 1];
+            if (marker === 0xDA)
+            {
+                break;
+            }
+
+            const length = image.readUInt16BE(position + 2);
+            const segment = image.slice(position, position + 2 + length);
+            const isExif = marker === jpegExifMarker && segment.slice(4, 4 + exifIdentifier.length).equals(exifIdentifier);
+            if (!isExif)
+            {
+                parts.push(segment);
+            }
+            position += 2 + length;
+        }
+
+        parts.push(image.slice(position));
+        return Buffer.concat(parts);
+    }
+
+
+    /**
+     * This method removes the eXIf chunks from a PNG. Orientation is rarely used in PNG files,
+     * and browsers ignore it there, so it is not kept.
+     *
+     * @param {Buffer} image The PNG
+     * @return {Buffer} The PNG without EXIF metadata
+     */
+    static stripPNG(image)
+    {
+        const parts = [image.slice(0, 8)];
+        let position = 8;
+        while (position + 12 <= image.length)
+        {
+            const length = image.readUInt32BE(position);
+            const type = image.toString('binary', position + 4, position + 8);
+            const chunk = image.slice(position, position + 12 + length);
+            if (type !== 'eXIf')
+            {
+                parts.push(chunk);
+            }
+            position += 12 + length;
+        }
+        parts.push(image.slice(position));
+        return Buffer.concat(parts);
+    }
+
+
+    /**
+     * This method creates a JPEG APP1 segment holding EXIF data with only an orientation.
+     *
+     * @param {number} orientation The EXIF orientation, from 1 to 8
+     * @return {Buffer} The segment
+     */
+    static createOrientationSegment(orientation)
+    {
+        // A big-endian TIFF header, then an IFD with a single SHORT entry, then no next IFD
+        const tiff = new Buffer(26);
+        tiff.fill(0);
+        tiff.write('MM', 0, 'binary');
+        tiff.writeUInt16BE(42, 2);
+        tiff.writeUInt32BE(8, 4);
+        tiff.writeUInt16BE(1, 8);
+        tiff.writeUInt16BE(imageTags.orientation, 10);
+        tiff.writeUInt16BE(3, 12);
+        tiff.writeUInt32BE(1, 14);
+        tiff.writeUInt16BE(orientation, 18);
+
+        const header = new Buffer(4);
+        header[0] = 0xFF;
+        header[1] = jpegExifMarker;
+        header.writeUInt16BE(2 + exifIdentifier.length + tiff.length, 2);
+        return Buffer.concat([header, exifIdentifier, tiff]);
+    }
+
+
+    /**
+     * This method returns the size of an image as displayed, after its EXIF orientation is applied.
+     *
+     * @param {object} metadata The sharp metadata for the image
+     * @return {object} An object with width and height
+     */
+    static getOrientedSize(metadata)
+    {
+        // Orientations 5 to 8 are rotated by a quarter turn, which swaps the width and height
+        if (metadata.orientation >= 5 && metadata.orientation <= 8)
+        {
+            return {width: metadata.height, height: metadata.width};
+        }
+        return {width: metadata.width, height: metadata.height};
+    }
+}
+
+/**
+ * The EXIF fields that can be exposed, with the type of each. The list is shared with the configuration view.
+ */
+EBImageExif.fields = EBImageExifFields.fields;
+
+module.exports = EBImageExif;
@@ -19,19 +19,87 @@
 "use strict";
 
 const
-    fileType = require('file-type'),
+    crypto = require('crypto'),
     fs = require('fs'),
     EBFieldAnalysisAccumulatorBase = require('./../../../server/components/datasource/EBFieldAnalysisAccumulatorBase'),
     EBFieldMetadata = require('../../../shared/models/EBFieldMetadata'),
+    EBImageArchitecturePresets = require('../client/js/image_architecture_presets'),
+    EBImageAugmentation = require('../client/js/image_augmentation'),
+    EBImageAugmentationTypes = require('../client/js/image_augmentation_types'),
+    EBImageCache = require('./EBImageCache'),
+    EBImageConfigurationMigrations = require('../client/js/image_configuration_migrations'),
+    EBImageConfigurationSchema = require('./EBImageConfigurationSchema'),
+    EBImageDuplicateFinder = require('./EBImageDuplicateFinder'),
+    EBImageExif = require('./EBImageExif'),
+    EBImagePerceptualHash = require('./EBImagePerceptualHash'),
+    EBImagePretrainedWeights = require('./EBImagePretrainedWeights'),
+    EBImageProcessingQueue = require('./EBImageProcessingQueue'),
+    EBImageProcessor = require('./EBImageProcessor'),
+    EBImageRandom = require('../client/js/image_random'),
+    EBImageRejection = require('./EBImageRejection'),
+    EBImageSource = require('./EBImageSource'),
     EBInterpretationBase = require('./../../../server/components/datasource/EBInterpretationBase'),
     EBNumberHistogram = require('../../../shared/models/EBNumberHistogram'),
-    jimp = require('jimp'),
+    os = require('os'),
+    path = require('path'),
     sharp = require('sharp'),
     Promise = require('bluebird'),
     underscore = require('underscore');
 
 let imageN = 0;
 
+// The image size used when there is no data to derive one from
+const defaultImageSize = 100;
+
+// The number of channels used when there is no data to derive one from
+const defaultImageChannels = 3;
+
+// The limits that images are checked against before being decoded, when none are configured
+const defaultMaxImageBytes = 64 * 1024 * 1024;
+const defaultMaxImagePixels = 100 * 1000 * 1000;
+
+// The largest hamming distance between perceptual hashes at which images count as near duplicates
+const duplicateHashDistance = 5;
+
+// The limits on how much is kept and reported about duplicate clusters during analysis
+const duplicateThumbnailSize = 40;
+const maxDuplicateThumbnails = 10000;
+const maxReportedDuplicateClusters = 20;
+const maxThumbnailsPerDuplicateCluster = 6;
+
+// Where the cache of base images goes when no directory is configured
+const defaultCacheDirectory = path.join(os.tmpdir(), 'eb-image-cache');
+
+// The default size limit of the cache of base images, in megabytes
+const defaultCacheMaxSizeMB = 1024;
+
+// The JPEG quality of images produced by the network, for fields that use the JPEG encoding
+const defaultOutputJpegQuality = 90;
+
+// The size images are shrunk to when computing pixel statistics during analysis
+const pixelStatisticsImageSize = 64;
+
+// The upgraded copies of configurations saved by older versions of the plugin, see getConfigurationForSchema
+const upgradedConfigurations = new WeakMap();
+
+// The hashes of the images already counted in the statistics of each field, see countRejectedSample
+const countedRejectedSamples = new WeakMap();
+
+// Skipping bad samples is kept in the configuration schema, so that configurations saved with it stay
+// valid, but the platform builds the batches itself and has no way for a field to leave a sample out
+const skipPolicyMessage = "Skipping bad images isn't supported, because a sample can't be left out of its batch. Choose to replace bad images with blank ones, or to fail.";
+
+// The names of the channels in an image with the given number of channels
+const channelNamesByCount = {
+    1: ['grey'],
+    3: ['red', 'green', 'blue'],
+    4: ['red', 'green', 'blue', 'alpha']
+};
+
+// The standard ImageNet normalization constants, in the range [0, 1]. The alpha channel is just scaled.
+const imagenetChannelMeans = {red: 0.485, green: 0.456, blue: 0.406, grey: 0.449, alpha: 0};
+const imagenetChannelStandardDeviations = {red: 0.229, green: 0.224, blue: 0.225, grey: 0.226, alpha: 1};
+
 /**
  * The image interpretation applies when you have binary data containing some sort of image
  */
@@ -43,6 +111,12 @@ class EBImageInterpretation extends EBInterpretationBase
     constructor()
     {
         super('image');
+
+        // The caches of base images, keyed by their directory
+        this.caches = new Map();
+
+        // The cache for each field configuration, so that looking it up for every image is cheap
+        this.cachesByConfiguration = new WeakMap();
     }
 
 
@@ -58,7 +132,8 @@ class EBImageInterpretation extends EBInterpretationBase
      */
     getUpstreamInterpretations()
     {
-        return ['binary'];
+        // Images can also be stored as strings, see EBImageSource for the forms that are accepted
+        return ['binary', 'string'];
     }
 
 
@@ -81,22 +156,23 @@ class EBImageInterpretation extends EBInterpretationBase
      * interpretation.
      *
      * @param {*} value Can be practically anything.
+     * @param {EBSchema} [schema] The schema for the field, used to resolve file paths once the field is configured
      * @return {Promise} A promise that resolves to either true or false on whether that value
      *                   can be handled by that interpretation.
      */
-    checkValue(value)
+    checkValue(value, schema)
     {
-        if (value instanceof Buffer)
+        const configuration = EBImageInterpretation.getConfigurationForSchema(schema);
+
+        // Check that the data, once loaded, has some sort of image mime-type and a header that actually decodes
+        return EBImageSource.loadForDetection(value, configuration.rootDirectory).then((buffer) =>
         {
-            // Check if the data has some sort of image mime-type
-            const type = fileType(value);
-            if (type.mime.indexOf('image') === 0)
+            if (!buffer)
             {
-                return Promise.resolve(true);
+                return false;
             }
-        }
-
-        return Promise.resolve(false);
+            return EBImageProcessor.readHeader(buffer).then(() => true, () => false);
+        });
     }
 
 
@@ -105,12 +181,32 @@ class EBImageInterpretation extends EBInterpretationBase
      * This method should transform a given schema for a value following this interpretation.
      * It should return a new schema for the interpreted version.
      *
+     * When EXIF fields are selected in the configuration, they are described in the derivedFields
+     * of the new schema, so that the rest of the schema can use them as features. Their values
+     * come from extractExifFields.
+     *
      * @param {EBSchema} schema The schema for a field that wants to be interpreted by this interpretation.
      * @return {Promise} A promise that resolves to a new EBSchema object.
      */
     transformSchema(schema)
     {
-        return Promise.resolve(schema);
+        const exifFields = EBImageInterpretation.getExifFieldsForSchema(schema);
+        if (exifFields.length === 0)
+        {
+            return Promise.resolve(schema);
+        }
+
+        const transformed = Object.assign(Object.create(Object.getPrototypeOf(schema)), schema);
+        transformed.derivedFields = {};
+        exifFields.forEach((field) =>
+        {
+            transformed.derivedFields[field.name] = {
+                type: [field.type, 'null'],
+                title: field.title,
+                source: 'exif'
+            };
+        });
+        return Promise.resolve(transformed);
     }
 
 
@@ -119,12 +215,51 @@ class EBImageInterpretation extends EBInterpretationBase
     /**
      * This method should transform a given value, assuming its following this interpretation.
      *
+     * When the field is configured with stripExif, the EXIF metadata is removed from the image,
+     * except for its orientation, so that things like the GPS position don't travel any further.
+     *
      * @param {*} value The value to be transformed
+     * @param {EBSchema} [schema] The schema for the field
      * @return {Promise} A promise that resolves to a new value.
      */
-    transformValue(value)
+    transformValue(value, schema)
     {
-        return Promise.resolve(value);
+        const configuration = EBImageInterpretation.getConfigurationForSchema(schema);
+        if (!configuration || !configuration.stripExif)
+        {
+            return Promise.resolve(value);
+        }
+
+        return EBImageSource.loadRequired(value, configuration.rootDirectory).then((image) =>
+        {
+            return Promise.resolve(sharp(image).metadata()).then((metadata) => EBImageExif.strip(image, metadata.orientation));
+        });
+    }
+
+
+    /**
+     * This method reads the EXIF fields selected in the configuration of a field out of an image.
+     *
+     * @param {*} value The image, in any of the forms accepted by EBImageSource
+     * @param {EBSchema} schema The schema for the field
+     * @return {Promise} A promise that resolves to an object with a value for each selected field, which is null when the image doesn't have it
+     */
+    extractExifFields(value, schema)
+    {
+        const configuration = EBImageInterpretation.getConfigurationForSchema(schema);
+        return EBImageSource.loadRequired(value, configuration.rootDirectory).then((image) =>
+        {
+            return Promise.resolve(sharp(image).metadata());
+        }).then((metadata) =>
+        {
+            const exif = EBImageExif.parse(metadata.exif);
+            const values = {};
+            EBImageInterpretation.getExifFieldsForSchema(schema).forEach((field) =>
+            {
+                values[field.name] = exif[field.name] === undefined ? null : exif[field.name];
+            });
+            return values;
+        });
     }
 
 
@@ -135,104 +270,397 @@ class EBImageInterpretation extends EBInterpretationBase
      * in this transformation in order to allow the data to be stored easily.
      *
      * @param {*} value The value to be transformed
+     * @param {EBSchema} [schema] The schema for the field, used to resolve file paths
      * @return {Promise} A promise that resolves to a new object that is similar to the old one to a human, but with size truncated for easy storage.
      */
-    transformExample(value)
+    transformExample(value, schema)
     {
-        return jimp.read(value).then((imageObj) =>
+        const configuration = EBImageInterpretation.getConfigurationForSchema(schema);
+        return EBImageSource.loadRequired(value, configuration.rootDirectory).then((image) => EBImageProcessor.createThumbnail(image, 50)).then((buffer) =>
         {
-            return Promise.fromCallback((next) =>
-            {
-                imageObj.contain(50,50).getBuffer(jimp.MIME_JPEG, next);
-            }).then((buffer) =>
-            {
-                return buffer.toString('base64');
-            });
+            return buffer.toString('base64');
+        });
+    }
+
+
+    /**
+     * This method computes the perceptual hash of an image, as described in EBImagePerceptualHash.
+     * Images that look alike have hashes that differ in few bits, so this can be used to find
+     * duplicates, or to keep near duplicates on the same side of a training and testing split.
+     *
+     * @param {*} value The image, in any of the forms accepted by EBImageSource
+     * @param {EBSchema} [schema] The schema for the field, used to resolve file paths
+     * @return {Promise} A promise that resolves to the hash, as a 16 character hex string
+     */
+    computePerceptualHash(value, schema)
+    {
+        const configuration = EBImageInterpretation.getConfigurationForSchema(schema);
+        return EBImageSource.loadRequired(value, configuration.rootDirectory).then((image) =>
+        {
+            return EBImageProcessor.computePerceptualHash(image);
         });
     }
 
 
+    /**
+     * This method counts how many bits differ between two perceptual hashes from computePerceptualHash.
+     *
+     * @param {string} first A perceptual hash
+     * @param {string} second Another perceptual hash
+     * @return {number} The hamming distance between the hashes, from 0 to 64
+     */
+    static perceptualHashDistance(first, second)
+    {
+        return EBImagePerceptualHash.hammingDistance(first, second);
+    }
+
+
     /**
      * This method should transform the given schema for input to the neural network.
      *
+     * This is called once before the network is trained, so it is also where the parts of the
+     * configuration that the configuration schema can't check are validated: the bad sample policy,
+     * the ranges of the augmentations, and the pretrained weights, which are read to check that they
+     * match the layers.
+     *
      * @param {EBSchema} schema The schema to be transformed
      * @return {Promise} A promise that resolves to a new value.
      */
     transformSchemaForNeuralNetwork(schema)
     {
-        return schema;
+        const configuration = EBImageInterpretation.getConfigurationForSchema(schema);
+        if (configuration.badSamplePolicy === 'skip')
+        {
+            return Promise.reject(new Error(`The bad images of ${schema.variableName} can't be skipped. ${skipPolicyMessage}`));
+        }
+
+        const augmentations = EBImageAugmentationTypes.getAugmentationsForConfiguration(configuration);
+        const errors = EBImageAugmentationTypes.validateAugmentations(augmentations);
+        if (errors.length > 0)
+        {
+            return Promise.reject(new Error(`The image augmentations for ${schema.variableName} are invalid. ${errors.join('. ')}.`));
+        }
+
+        return EBImagePretrainedWeights.checkWeights(configuration, EBImageInterpretation.getInputShapeForSchema(schema)).then(() => schema);
     }
 
 
     /**
      * This method should prepare a given value for input into the neural network
      *
+     * Random augmentations are only applied when the mode is 'training'. In the 'validation'
+     * and 'prediction' modes, the same image always produces the same output. When the field
+     * has an augmentation seed, training output depends only on the seed, the image and the
+     * epoch, so callers pass the epoch to get different augmentations on every pass.
+     *
+     * Images that are unrecognized, corrupt or over the size limits are handled according to
+     * the badSamplePolicy of the field, and counted in its statistics. See handleBadSample.
+     *
      * @param {*} value The value to be transformed
      * @param {EBSchema} schema The schema for the value to be transformed
+     * @param {string} [mode] One of 'training', 'validation' or 'prediction'. Defaults to 'prediction'.
+     * @param {number} [epoch] The number of the pass over the training data. Defaults to 0.
      * @return {Promise} A promise that resolves to a new value.
      */
-    transformValueForNeuralNetwork(value, schema)
+    transformValueForNeuralNetwork(value, schema, mode, epoch)
     {
-        const configuration = schema.configuration.interpretation;
-        return jimp.read(value).then((imageObj) =>
+        const configuration = EBImageInterpretation.getConfigurationForSchema(schema);
+        const channels = EBImageInterpretation.getImageChannelsForSchema(schema);
+        const encoding = EBImageInterpretation.getEncodingForSchema(schema);
+        const limits = EBImageInterpretation.getImageLimitsForSchema(schema);
+        return EBImageSource.loadRequired(value, configuration.rootDirectory).then((image) =>
+        {
+            return EBImageProcessor.validate(image, limits).then(() => this.prepareImageForNeuralNetwork(image, schema, mode, epoch));
+        }).catch((err) =>
+        {
+            return this.handleBadSample(err, value, schema);
+        }).then((bitmap) =>
         {
-            let mirrorHorizontal = false;
-            if (configuration.mirrorHorizontally)
+            return EBImageProcessor.encodeBitmap(bitmap, encoding, channels).then((buffer) =>
             {
-                if (Math.random() > 0.5)
-                {
-                    mirrorHorizontal = true;
-                }
-            }
-            if (mirrorHorizontal)
+                return buffer.toString('base64');
+            });
+        });
+    }
+
+
+    /**
+     * This method decides what happens to a sample whose image can't be used, based on the
+     * badSamplePolicy of the field:
+     *
+     *  - 'fail' rejects, which stops whatever the sample was being prepared for
+     *  - 'blank' replaces the image with one filled with the padding color
+     *  - 'skip' rejects, explaining that samples can't be skipped. Training refuses it before it starts.
+     *
+     * Whatever the policy, images rejected for a reason in EBImageRejection.reasons are counted in
+     * the field statistics. See countRejectedSample.
+     *
+     * @param {Error} err The error from preparing the image
+     * @param {*} value The value that the image came from
+     * @param {EBSchema} schema The schema for the field
+     * @return {Promise} A promise that resolves to a bitmap
+     */
+    handleBadSample(err, value, schema)
+    {
+        const configuration = EBImageInterpretation.getConfigurationForSchema(schema);
+        const policy = configuration.badSamplePolicy || 'fail';
+
+        // Errors without a rejection reason aren't caused by the image, so they always get through
+        if (!err.rejectionReason)
+        {
+            return Promise.reject(err);
+        }
+
+        EBImageInterpretation.countRejectedSample(err, value, schema);
+        if (policy === 'fail')
+        {
+            return Promise.reject(err);
+        }
+        else if (policy === 'skip')
+        {
+            return Promise.reject(new Error(`${err.message} ${skipPolicyMessage}`));
+        }
+        else if (policy === 'blank')
+        {
+            const size = EBImageInterpretation.getImageSizeForSchema(schema);
+            const channels = EBImageInterpretation.getImageChannelsForSchema(schema);
+            const bitmap = EBImageProcessor.createBlankBitmap(size, EBImageInterpretation.parseColor(configuration.paddingColor));
+            if (configuration.greyScale || channels === 1)
             {
-                imageObj.flip(true, false);
+                EBImageProcessor.greyscaleBitmap(bitmap);
             }
+            return Promise.resolve(bitmap);
+        }
+        else
+        {
+            return Promise.reject(new Error(`Unknown bad sample policy: ${policy}`));
+        }
+    }
+
+
+    /**
+     * This method counts an image that was rejected while being prepared for the neural network in
+     * the transformRejectedImageCounts of the field statistics, which are kept apart from the
+     * rejectedImageCounts found by the analysis. Each image is only counted once, no matter how
+     * many epochs it is rejected in. The counts are kept on the statistics object of the schema,
+     * so they are saved with it if the platform saves the schema after training.
+     *
+     * @param {Error} err The rejection, with its rejectionReason
+     * @param {*} value The value that the image came from
+     * @param {EBSchema} schema The schema for the field
+     */
+    static countRejectedSample(err, value, schema)
+    {
+        const statistics = schema.metadata && schema.metadata.statistics;
+        if (!statistics)
+        {
+            return;
+        }
 
-            if (configuration.stretchImage)
+        if (!countedRejectedSamples.has(statistics))
+        {
+            countedRejectedSamples.set(statistics, new Set());
+        }
+        const hash = crypto.createHash('sha1').update(Buffer.isBuffer(value) ? value : String(value)).digest('hex');
+        if (countedRejectedSamples.get(statistics).has(hash))
+        {
+            return;
+        }
+        countedRejectedSamples.get(statistics).add(hash);
+
+        if (!statistics.transformRejectedImageCounts)
+        {
+            statistics.transformRejectedImageCounts = {};
+            EBImageRejection.reasons.forEach((reason) =>
             {
-                // Determine the amount of horizontal scaling
-                const scalingFactor = 0.3;
-                const widthDiff = ((Math.random() * scalingFactor * 2) - scalingFactor) * 100;
-                const heightDiff = ((Math.random() * scalingFactor * 2) - scalingFactor) * 100;
+                statistics.transformRejectedImageCounts[reason] = 0;
+            });
+        }
+        statistics.transformRejectedImageCounts[err.rejectionReason] += 1;
+    }
 
-                const newWidth = 100 + widthDiff;
-                const newHeight = 100 + heightDiff;
 
-                const cropPointX = Math.max(0, Math.floor(Math.random() * widthDiff));
-                const cropPointY = Math.max(0, Math.floor(Math.random() * heightDiff));
+    /**
+     * This method runs the preprocessing and augmentation pipeline on an image, producing the
+     * image exactly as the neural network will see it, before it gets encoded.
+     *
+     * @param {Buffer} value The image to be prepared
+     * @param {EBSchema} schema The schema for the value to be transformed
+     * @param {string} [mode] One of 'training', 'validation' or 'prediction'. Defaults to 'prediction'.
+     * @param {number} [epoch] The number of the pass over the training data, used to seed the augmentations. Defaults to 0.
+     * @return {Promise} A promise that resolves to a bitmap, as described in EBImageProcessor
+     */
+    prepareImageForNeuralNetwork(value, schema, mode, epoch)
+    {
+        const configuration = EBImageInterpretation.getConfigurationForSchema(schema);
+        const size = EBImageInterpretation.getImageSizeForSchema(schema);
+        const channels = EBImageInterpretation.getImageChannelsForSchema(schema);
+        const background = EBImageInterpretation.parseColor(configuration.paddingColor);
+        const augment = EBImageInterpretation.shouldAugment(mode);
+        const random = augment ? EBImageRandom.createForSample(configuration.augmentationSeed, value, epoch) : null;
 
-                imageObj.resize(newWidth, newHeight);
-                imageObj.crop(cropPointX, cropPointY, Math.min(newWidth, 100), Math.min(newHeight, 100) );
-                imageObj.contain(100, 100);
-            }
+        // Random crops become center crops when not augmenting, so that the output is deterministic
+        let resizeMode = configuration.resizeMode || 'stretch';
+        if (resizeMode === 'randomCrop' && !augment)
+        {
+            resizeMode = 'centerCrop';
+        }
 
-            if (configuration.rotateImage)
+        return EBImageProcessingQueue.forConfiguration(configuration).run(() =>
+        {
+            // Every image must come out at exactly the network size, regardless of what
+            // augmentations are turned on.
+            return this.loadBaseImage(value, schema, resizeMode, size, background).then((base) =>
             {
-                const rotationFactor = 15;
-                const degrees = (Math.random() * rotationFactor * 2) - rotationFactor;
-                imageObj.rotate(degrees);
-                imageObj.resize(100, 100);
-            }
+                return EBImageProcessor.finishBaseImage(base, resizeMode, size, random);
+            }).then((bitmap) =>
+            {
+                if (augment)
+                {
+                    const augmentations = EBImageAugmentationTypes.getAugmentationsForConfiguration(configuration);
+                    return EBImageAugmentation.applyAugmentations(bitmap, augmentations, size, random, background, EBImageProcessor);
+                }
+                return bitmap;
+            }).then((bitmap) =>
+            {
+                if (configuration.greyScale || channels === 1)
+                {
+                    EBImageProcessor.greyscaleBitmap(bitmap);
+                }
+                return bitmap;
+            });
+        });
+    }
+
+
+    /**
+     * This method produces the deterministic base image for an image, as described in
+     * EBImageProcessor.decodeBaseImage. When the cache is enabled for the field, base images
+     * are read from and written to it, so that only the random augmentations need to be
+     * redone on every epoch.
+     *
+     * @param {Buffer} value The original image
+     * @param {EBSchema} schema The schema for the field
+     * @param {string} resizeMode The resize mode actually being used, after random crops are replaced when not augmenting
+     * @param {object} size An object with the width and height of the network input
+     * @param {object} background The {r, g, b, a} padding color
+     * @return {Promise} A promise that resolves to the base image bitmap
+     */
+    loadBaseImage(value, schema, resizeMode, size, background)
+    {
+        const cache = this.getCacheForSchema(schema);
+        if (!cache)
+        {
+            return EBImageProcessor.decodeBaseImage(value, resizeMode, size, background);
+        }
 
-            if (configuration.greyScale)
+        const fileName = cache.getFileName(value, resizeMode);
+        return cache.get(fileName).then((cached) =>
+        {
+            if (cached)
             {
-                imageObj.greyscale();
+                return cached;
             }
 
-            return Promise.fromCallback((next) =>
+            return EBImageProcessor.decodeBaseImage(value, resizeMode, size, background).then((base) =>
             {
-                imageObj.getBuffer(jimp.MIME_JPEG, next);
-            }).then((buffer) =>
-            {
-                return buffer.toString('base64');
+                return cache.put(fileName, base).then(() => base);
             });
         });
     }
 
 
     /**
-     * This method should take output from the neural network and transform it back
+     * This method returns the cache of base images for a field, creating and configuring it
+     * the first time it is asked for with a given field configuration.
+     *
+     * @param {EBSchema} schema The schema for the field
+     * @return {EBImageCache} The cache, or null if caching is turned off for the field
+     */
+    getCacheForSchema(schema)
+    {
+        const configuration = EBImageInterpretation.getConfigurationForSchema(schema);
+        if (!configuration.cacheEnabled)
+        {
+            return null;
+        }
+
+        if (!this.cachesByConfiguration.has(configuration))
+        {
+            this.cachesByConfiguration.set(configuration, this.createCacheForSchema(schema));
+        }
+        return this.cachesByConfiguration.get(configuration);
+    }
+
+
+    /**
+     * This method sets up the cache of base images for a field configuration. Fields share
+     * the cache for their directory, which is created the first time it is needed.
+     *
+     * @param {EBSchema} schema The schema for the field
+     * @return {EBImageCache} The cache
+     */
+    createCacheForSchema(schema)
+    {
+        const configuration = EBImageInterpretation.getConfigurationForSchema(schema);
+
+        // Every field gets its own directory, so that fields with different configurations don't invalidate each other
+        const directory = path.join(configuration.cacheDirectory || defaultCacheDirectory, schema.variableName || 'default');
+        const maxBytes = (configuration.cacheMaxSizeMB || defaultCacheMaxSizeMB) * 1024 * 1024;
+        if (!this.caches.has(directory))
+        {
+            this.caches.set(directory, new EBImageCache(directory, maxBytes));
+        }
+
+        const cache = this.caches.get(directory);
+        if (cache.maxBytes !== maxBytes)
+        {
+            cache.maxBytes = maxBytes;
+            cache.evict();
+        }
+
+        // Everything that decodeBaseImage depends on, other than the image and the resize mode
+        const size = EBImageInterpretation.getImageSizeForSchema(schema);
+        const background = EBImageInterpretation.parseColor(configuration.paddingColor);
+        cache.setConfiguration({size, background, resizeMode: configuration.resizeMode || 'stretch', orientation: 'exif'});
+        return cache;
+    }
+
+
+    /**
+     * This method returns whether random augmentations should be applied in the given mode
+     *
+     * @param {string} [mode] One of 'training', 'validation' or 'prediction'. Defaults to 'prediction'.
+     * @return {boolean} True if augmentations should be applied
+     */
+    static shouldAugment(mode)
+    {
+        mode = mode || 'prediction';
+        if (EBImageInterpretation.modes.indexOf(mode) === -1)
+        {
+            throw new Error(`Unknown image transformation mode: ${mode}`);
+        }
+
+        return mode === 'training';
+    }
+
+
+    /**
+     * This method converts a CSS style hex color, such as #000000 or #00000000, into an
+     * object with r, g, b and a components in the range 0-255.
+     *
+     * @param {string} color The color to convert. Defaults to opaque black.
+     * @return {object} The color as {r, g, b, a}
+     */
+    static parseColor(color)
+    {
+        return EBImageAugmentation.parseColor(color);
+    }
+
+
+    /**
+     * This method should take output from the neural network and transform it back. The network
+     * produces images as base64 PNG or JPEG, see EBNeuralNetworkImageComponent.generateTensorOutputCode.
      *
      * @param {*} value The value to be transformed
      * @param {EBSchema} schema The schema for the value to be transformed
@@ -252,134 +680,38 @@ class EBImageInterpretation extends EBInterpretationBase
      */
     generateDefaultConfiguration(schema)
     {
-        return {
-            rotateImage: false,
-            stretchImage: false,
-            mirrorHorizontally: false,
+        const size = EBImageInterpretation.getDefaultImageSizeForSchema(schema);
+        const channels = EBImageInterpretation.getDefaultImageChannelsForSchema(schema);
+
+        return Object.assign({
+            configVersion: EBImageConfigurationMigrations.currentVersion,
+            inputWidth: size.width,
+            inputHeight: size.height,
+            channels: channels,
+            normalization: 'datasetMeanStd',
+            encoding: 'png',
+            augmentationSeed: null,
+            processingConcurrency: EBImageProcessingQueue.defaultConcurrency,
+            rootDirectory: null,
+            maxImageBytes: defaultMaxImageBytes,
+            maxImagePixels: defaultMaxImagePixels,
+            badSamplePolicy: 'blank',
+            exifFields: [],
+            stripExif: false,
+            cacheEnabled: false,
+            cacheDirectory: null,
+            cacheMaxSizeMB: defaultCacheMaxSizeMB,
+            resizeMode: 'stretch',
+            paddingColor: '#000000',
+            augmentations: [],
             greyScale: false,
-            layers: [
-                {
-                    "id": 1,
-                    "title": "Convolution",
-                    "layerType": "convolution",
-                    "nInputPlane": 3,
-                    "nOutputPlane": 32,
-                    "kernelWidth": 3,
-                    "kernelHeight": 3,
-                    "stepWidth": 1,
-                    "stepHeight": 1,
-                    "paddingWidth": 1,
-                    "paddingHeight": 1
-                },
-                {
-                    "id": 2,
-                    "title": "BatchNormalization",
-                    "layerType": "batchnormalization",
-                    "nInputFeatures": 32
-                },
-                {
-                    "id": 3,
-                    "title": "ReLu",
-                    "layerType": "relu",
-                    "nState": true
-                },
-                {
-                    "id": 4,
-                    "title": "Dropout",
-                    "layerType": "dropout",
-                    "nRatio": 0.4
-                },
-                {
-                    "id": 5,
-                    "title": "MaxPooling",
-                    "layerType": "maxpooling",
-                    "nKernelWidth":2,
-                    "nKernelHeight":2,
-                    "nStepWidth": 2,
-                    "nStepHeight": 2
-                },
-                {
-                    "id": 6,
-                    "title": "Convolution",
-                    "layerType": "convolution",
-                    "nInputPlane": 32,
-                    "nOutputPlane": 64,
-                    "kernelWidth": 3,
-                    "kernelHeight": 3,
-                    "stepWidth": 1,
-                    "stepHeight": 1,
-                    "paddingWidth": 1,
-                    "paddingHeight": 1
-                },
-                {
-                    "id": 7,
-                    "title": "BatchNormalization",
-                    "layerType": "batchnormalization",
-                    "nInputFeatures": 64
-                },
-                {
-                    "id": 8,
-                    "title": "ReLu",
-                    "layerType": "relu",
-                    "nState": true
-                },
-                {
-                    "id": 9,
-                    "title": "Dropout",
-                    "layerType": "dropout",
-                    "nRatio": 0.4
-                },
-                {
-                    "id": 10,
-                    "title": "MaxPooling",
-                    "layerType": "maxpooling",
-                    "nKernelWidth":2,
-                    "nKernelHeight":2,
-                    "nStepWidth": 2,
-                    "nStepHeight": 2
-                },
-                {
-                    "id": 11,
-                    "title": "Convolution",
-                    "layerType": "convolution",
-                    "nInputPlane": 64,
-                    "nOutputPlane": 128,
-                    "kernelWidth": 3,
-                    "kernelHeight": 3,
-                    "stepWidth": 1,
-                    "stepHeight": 1,
-                    "paddingWidth": 1,
-                    "paddingHeight": 1
-                },
-                {
-                    "id": 12,
-                    "title": "BatchNormalization",
-                    "layerType": "batchnormalization",
-                    "nInputFeatures": 128
-                },
-                {
-                    "id": 13,
-                    "title": "ReLu",
-                    "layerType": "relu",
-                    "nState": true
-                },
-                {
-                    "id": 14,
-                    "title": "Dropout",
-                    "layerType": "dropout",
-                    "nRatio": 0.4
-                },
-                {
-                    "id": 15,
-                    "title": "MaxPooling",
-                    "layerType": "maxpooling",
-                    "nKernelWidth":2,
-                    "nKernelHeight":2,
-                    "nStepWidth": 2,
-                    "nStepHeight": 2
-                }
-            ]
-        };
+            pretrainedWeights: 'none',
+            pretrainedWeightsFile: null,
+            pretrainedPreset: null,
+            frozenLayerCount: 0,
+            layers: EBImageArchitecturePresets.generateLayers('default', size, channels),
+            outputJpegQuality: defaultOutputJpegQuality
+        }, EBImageArchitecturePresets.generateOutputStack(size, channels));
     }
 
 
@@ -389,10 +721,14 @@ class EBImageInterpretation extends EBInterpretationBase
      * This accumulator can be used to analyze a bunch of values through the lens of this interpretation,
      * and calculate statistics that the user may use to analyze the situation.
      *
+     * @param {EBSchema} [schema] The schema for the field, used to resolve file paths and for the image limits
      * @return {EBFieldAnalysisAccumulatorBase} An instantiation of a field accumulator.
      */
-    createFieldAccumulator()
+    createFieldAccumulator(schema)
     {
+        const rootDirectory = EBImageInterpretation.getConfigurationForSchema(schema).rootDirectory;
+        const limits = EBImageInterpretation.getImageLimitsForSchema(schema);
+
         // Create a subclass and immediately instantiate it.
         return new (class extends EBFieldAnalysisAccumulatorBase
         {
@@ -401,30 +737,510 @@ class EBImageInterpretation extends EBInterpretationBase
                 super();
                 this.widths = [];
                 this.heights = [];
+                this.aspectRatios = [];
+                this.fileSizes = [];
+                this.channelCounts = {};
+                this.imageCount = 0;
+                this.alphaImageCount = 0;
+                this.animatedImageCount = 0;
+
+                // The number of images in each format, keyed by file extension
+                this.formats = {};
+
+                this.duplicateFinder = new EBImageDuplicateFinder(duplicateHashDistance, maxDuplicateThumbnails);
+
+                // The number of images that couldn't be analyzed, for each rejection reason
+                this.rejectedImageCounts = {};
+                EBImageRejection.reasons.forEach((reason) =>
+                {
+                    this.rejectedImageCounts[reason] = 0;
+                });
+
+                // Running sums used to compute the mean and standard deviation of each channel
+                this.pixelCount = 0;
+                this.pixelSums = {red: 0, green: 0, blue: 0, grey: 0, alpha: 0};
+                this.pixelSquareSums = {red: 0, green: 0, blue: 0, grey: 0, alpha: 0};
             }
 
             accumulateValue(value)
             {
-                const image = sharp(value);
-                return image.metadata().then((metadata) =>
+                return EBImageSource.loadRequired(value, rootDirectory).then((image) =>
+                {
+                    return Promise.join(image, EBImageProcessor.validate(image, limits));
+                }).spread((image, metadata) =>
+                {
+                    // The pixels go first, since that is where a truncated image fails
+                    return this.accumulatePixels(image).then(() =>
+                    {
+                        this.imageCount += 1;
+
+                        // Get the width, height and file size of the image, the way up that it gets used
+                        const size = EBImageExif.getOrientedSize(metadata);
+                        this.widths.push(size.width);
+                        this.heights.push(size.height);
+                        this.aspectRatios.push(size.width / size.height);
+                        this.fileSizes.push(image.length);
+
+                        // Count how many images have each number of channels
+                        this.channelCounts[metadata.channels] = (this.channelCounts[metadata.channels] || 0) + 1;
+                        if (metadata.hasAlpha)
+                        {
+                            this.alphaImageCount += 1;
+                        }
+
+                        // Count the formats. The image was already recognized when it was loaded, so the format is known.
+                        const format = EBImageSource.getFormat(image);
+                        if (!this.formats[format.ext])
+                        {
+                            this.formats[format.ext] = {format: format.ext, mime: format.mime, count: 0};
+                        }
+                        this.formats[format.ext].count += 1;
+
+                        if (EBImageSource.isAnimated(image))
+                        {
+                            this.animatedImageCount += 1;
+                        }
+
+                        return this.accumulateDuplicates(image);
+                    });
+                }).catch((err) =>
+                {
+                    // Bad images are counted rather than stopping the analysis
+                    if (!err.rejectionReason)
+                    {
+                        throw err;
+                    }
+                    this.rejectedImageCounts[err.rejectionReason] += 1;
+                });
+            }
+
+            accumulateDuplicates(image)
+            {
+                // Thumbnails are only made while there is room for them, since they are only used to show duplicates
+                const thumbnail = this.duplicateFinder.thumbnails.size < maxDuplicateThumbnails
+                    ? EBImageProcessor.createThumbnail(image, duplicateThumbnailSize).then((buffer) => buffer.toString('base64'))
+                    : null;
+
+                return Promise.join(EBImageProcessor.computePerceptualHash(image), thumbnail, (perceptualHash, thumbnail) =>
+                {
+                    const contentHash = crypto.createHash('sha1').update(image).digest('hex');
+                    this.duplicateFinder.addImage(contentHash, perceptualHash, thumbnail);
+                });
+            }
+
+            accumulatePixels(value)
+            {
+                // The statistics are computed on a small version of the image, which is
+                // plenty accurate for a mean and standard deviation and much faster.
+                return Promise.fromCallback((next) =>
+                {
+                    sharp(value).resize(pixelStatisticsImageSize, pixelStatisticsImageSize).ignoreAspectRatio().raw().toBuffer(next);
+                }, {multiArgs: true}).catch((err) =>
+                {
+                    throw EBImageRejection.create('corrupt', `The image could not be decoded: ${err.message}`);
+                }).spread((data, info) =>
                 {
-                    // Get the width and height of the image
-                    this.widths.push(metadata.width);
-                    this.heights.push(metadata.height);
+                    const hasColor = info.channels >= 3;
+                    const hasAlpha = info.channels === 2 || info.channels === 4;
+                    for (let index = 0; index < data.length; index += info.channels)
+                    {
+                        const red = data[index];
+                        const green = hasColor ? data[index + 1] : red;
+                        const blue = hasColor ? data[index + 2] : red;
+                        const alpha = hasAlpha ? data[index + info.channels - 1] : 255;
+                        const grey = hasColor ? EBImageProcessor.computeGreyValue(red, green, blue) : red;
+
+                        this.accumulatePixelValue('red', red);
+                        this.accumulatePixelValue('green', green);
+                        this.accumulatePixelValue('blue', blue);
+                        this.accumulatePixelValue('grey', grey);
+                        this.accumulatePixelValue('alpha', alpha);
+                        this.pixelCount += 1;
+                    }
                 });
             }
 
+            accumulatePixelValue(channel, pixel)
+            {
+                this.pixelSums[channel] += pixel;
+                this.pixelSquareSums[channel] += pixel * pixel;
+            }
+
             getFieldStatistics()
             {
+                const channelMeans = {};
+                const channelStandardDeviations = {};
+                Object.keys(this.pixelSums).forEach((channel) =>
+                {
+                    const mean = this.pixelCount > 0 ? this.pixelSums[channel] / this.pixelCount : 0;
+                    const variance = this.pixelCount > 0 ? this.pixelSquareSums[channel] / this.pixelCount - mean * mean : 0;
+                    channelMeans[channel] = mean;
+                    channelStandardDeviations[channel] = Math.sqrt(Math.max(0, variance));
+                });
+
+                const duplicates = this.duplicateFinder.getClusters(maxReportedDuplicateClusters, maxThumbnailsPerDuplicateCluster);
+
                 return {
+                    imageCount: this.imageCount,
                     imageWidthHistogram: EBNumberHistogram.computeHistogram(this.widths),
-                    imageHeightHistogram: EBNumberHistogram.computeHistogram(this.heights)
+                    imageHeightHistogram: EBNumberHistogram.computeHistogram(this.heights),
+                    imageAspectRatioHistogram: EBNumberHistogram.computeHistogram(this.aspectRatios),
+                    imageFileSizeHistogram: EBNumberHistogram.computeHistogram(this.fileSizes),
+                    imageFormats: underscore.sortBy(underscore.values(this.formats), (format) => -format.count),
+                    imageChannelCounts: this.channelCounts,
+                    alphaImageCount: this.alphaImageCount,
+                    animatedImageCount: this.animatedImageCount,
+                    rejectedImageCounts: this.rejectedImageCounts,
+                    duplicateImageCount: duplicates.duplicateImageCount,
+                    exactDuplicateImageCount: duplicates.exactDuplicateImageCount,
+                    duplicateClusterCount: duplicates.duplicateClusterCount,
+                    duplicateClusters: duplicates.duplicateClusters,
+                    channelMeans: channelMeans,
+                    channelStandardDeviations: channelStandardDeviations
                 };
             }
         })();
     }
 
 
+    /**
+     * This method returns the configuration for the given schema, upgraded to the current version
+     * with EBImageConfigurationMigrations. Configurations saved by older versions of the plugin are
+     * upgraded the first time they are read, and the upgraded copy is kept for as long as the
+     * saved configuration is, so they should not be changed after they have been used.
+     *
+     * @param {EBSchema} schema The schema to get the configuration for
+     * @return {object} The upgraded configuration, or an empty object if the field isn't configured yet
+     */
+    static getConfigurationForSchema(schema)
+    {
+        const configuration = schema && schema.configuration && schema.configuration.interpretation;
+        if (!configuration)
+        {
+            return {};
+        }
+        else if (EBImageConfigurationMigrations.getVersion(configuration) === EBImageConfigurationMigrations.currentVersion)
+        {
+            return configuration;
+        }
+
+        if (!upgradedConfigurations.has(configuration))
+        {
+            upgradedConfigurations.set(configuration, EBImageConfigurationMigrations.upgrade(configuration));
+        }
+        return upgradedConfigurations.get(configuration);
+    }
+
+
+    /**
+     * This method returns the EXIF fields that are selected in the configuration for the given schema.
+     *
+     * @param {EBSchema} schema The schema to get the EXIF fields for
+     * @return {[object]} The selected entries of EBImageExif.fields
+     */
+    static getExifFieldsForSchema(schema)
+    {
+        const configuration = EBImageInterpretation.getConfigurationForSchema(schema);
+        const selected = configuration.exifFields || [];
+        return EBImageExif.fields.filter((field) => selected.indexOf(field.name) !== -1);
+    }
+
+
+    /**
+     * This method returns the limits that images for the given schema are checked against
+     * before being decoded.
+     *
+     * @param {EBSchema} schema The schema to get the limits for
+     * @return {object} An object with maxBytes and maxPixels
+     */
+    static getImageLimitsForSchema(schema)
+    {
+        return EBImageInterpretation.getImageLimits(EBImageInterpretation.getConfigurationForSchema(schema));
+    }
+
+
+    /**
+     * This method returns the limits set in a configuration, with the defaults for the ones that
+     * aren't set. It is shared with EBImageMaskInterpretation, whose configurations have the same
+     * maxImageBytes and maxImagePixels settings.
+     *
+     * @param {object} configuration The configuration of the field
+     * @return {object} An object with maxBytes and maxPixels
+     */
+    static getImageLimits(configuration)
+    {
+        return {
+            maxBytes: configuration.maxImageBytes || defaultMaxImageBytes,
+            maxPixels: configuration.maxImagePixels || defaultMaxImagePixels
+        };
+    }
+
+
+    /**
+     * This method returns the size that images for the given schema are resized to before going
+     * into the neural network. This is the configured size if there is one, and otherwise the
+     * default derived from the data.
+     *
+     * @param {EBSchema} schema The schema to get the image size for
+     * @return {object} An object with width and height
+     */
+    static getImageSizeForSchema(schema)
+    {
+        const configuration = EBImageInterpretation.getConfigurationForSchema(schema);
+        if (configuration && configuration.inputWidth && configuration.inputHeight)
+        {
+            return {
+                width: configuration.inputWidth,
+                height: configuration.inputHeight
+            };
+        }
+
+        return EBImageInterpretation.getDefaultImageSizeForSchema(schema);
+    }
+
+
+    /**
+     * This method returns the shape of the images going into the layers of an image field.
+     *
+     * @param {EBSchema} schema The schema of the image field
+     * @return {object} The shape, as {planes, width, height}
+     */
+    static getInputShapeForSchema(schema)
+    {
+        const size = EBImageInterpretation.getImageSizeForSchema(schema);
+        return {
+            planes: EBImageInterpretation.getImageChannelsForSchema(schema),
+            width: size.width,
+            height: size.height
+        };
+    }
+
+
+    /**
+     * This method derives a default image size from the width and height histograms
+     * that were gathered when the field was analyzed. The most common width and height
+     * are used, so that the majority of images don't need to be resized at all.
+     *
+     * @param {EBSchema} schema The schema to get the default image size for
+     * @return {object} An object with width and height
+     */
+    static getDefaultImageSizeForSchema(schema)
+    {
+        const statistics = (schema.metadata && schema.metadata.statistics) || {};
+
+        return {
+            width: EBImageInterpretation.getMostCommonValueFromHistogram(statistics.imageWidthHistogram) || defaultImageSize,
+            height: EBImageInterpretation.getMostCommonValueFromHistogram(statistics.imageHeightHistogram) || defaultImageSize
+        };
+    }
+
+
+    /**
+     * This method returns the number of channels that images for the given schema are converted
+     * to before going into the neural network. This is the configured number if there is one,
+     * and otherwise the default derived from the data.
+     *
+     * @param {EBSchema} schema The schema to get the channels for
+     * @return {number} Either 1 for greyscale, 3 for RGB or 4 for RGBA
+     */
+    static getImageChannelsForSchema(schema)
+    {
+        const configuration = EBImageInterpretation.getConfigurationForSchema(schema);
+        if (configuration && configuration.channels)
+        {
+            return configuration.channels;
+        }
+        else if (configuration && configuration.greyScale)
+        {
+            return 1;
+        }
+
+        return EBImageInterpretation.getDefaultImageChannelsForSchema(schema);
+    }
+
+
+    /**
+     * This method derives a default number of channels from the channel counts gathered
+     * when the field was analyzed. The most common number of channels in the source images
+     * is used, with greyscale-plus-alpha images being promoted to RGBA.
+     *
+     * @param {EBSchema} schema The schema to get the default channels for
+     * @return {number} Either 1 for greyscale, 3 for RGB or 4 for RGBA
+     */
+    static getDefaultImageChannelsForSchema(schema)
+    {
+        const statistics = (schema.metadata && schema.metadata.statistics) || {};
+        const channelCounts = statistics.imageChannelCounts;
+        if (!channelCounts || Object.keys(channelCounts).length === 0)
+        {
+            return defaultImageChannels;
+        }
+
+        const mostCommon = Number(underscore.max(Object.keys(channelCounts), (channels) => channelCounts[channels]));
+        if (mostCommon === 1)
+        {
+            return 1;
+        }
+        else if (mostCommon === 2 || mostCommon === 4)
+        {
+            return 4;
+        }
+
+        return 3;
+    }
+
+
+    /**
+     * This method returns the format that images for the given schema are encoded in when they
+     * are sent to the Lua code. Configurations from before the encoding was configurable use
+     * JPEG, or PNG for RGBA images.
+     *
+     * @param {EBSchema} schema The schema to get the encoding for
+     * @return {string} One of 'jpeg', 'png' or 'raw'
+     */
+    static getEncodingForSchema(schema)
+    {
+        const configuration = EBImageInterpretation.getConfigurationForSchema(schema);
+        const channels = EBImageInterpretation.getImageChannelsForSchema(schema);
+        const encoding = configuration.encoding || (channels === 4 ? 'png' : 'jpeg');
+
+        if (['jpeg', 'png', 'raw'].indexOf(encoding) === -1)
+        {
+            throw new Error(`Unknown image encoding: ${encoding}`);
+        }
+        else if (encoding === 'jpeg' && channels === 4)
+        {
+            throw new Error("JPEG can't carry an alpha channel. Use the PNG or raw encoding for RGBA images.");
+        }
+
+        return encoding;
+    }
+
+
+    /**
+     * This method returns the format that images produced by the network, when the image is an
+     * output, are encoded in. Raw bitmaps aren't images that can be used outside of the network,
+     * so fields using the raw encoding produce lossless PNG images.
+     *
+     * @param {EBSchema} schema The schema to get the output encoding for
+     * @return {object} An object with the format, either 'jpeg' or 'png', and the quality for JPEG images
+     */
+    static getOutputEncodingForSchema(schema)
+    {
+        const configuration = EBImageInterpretation.getConfigurationForSchema(schema);
+        if (EBImageInterpretation.getEncodingForSchema(schema) === 'jpeg')
+        {
+            return {format: 'jpeg', quality: configuration.outputJpegQuality || defaultOutputJpegQuality};
+        }
+        return {format: 'png', quality: null};
+    }
+
+
+    /**
+     * This method returns the output stack for the given schema, which turns the values coming out
+     * of the rest of the network into an image when the image is an output. Configurations from
+     * before the output stack was configurable get the default one for their image size.
+     *
+     * @param {EBSchema} schema The schema to get the output stack for
+     * @return {object} An object with the following structure:
+     *                      {
+     *                          "seedShape": {planes, width, height},
+     *                          "layers": [object]
+     *                      }
+     */
+    static getOutputStackForSchema(schema)
+    {
+        const configuration = EBImageInterpretation.getConfigurationForSchema(schema);
+        const stack = Array.isArray(configuration.outputLayers)
+            ? configuration
+            : EBImageArchitecturePresets.generateOutputStack(EBImageInterpretation.getImageSizeForSchema(schema), EBImageInterpretation.getImageChannelsForSchema(schema));
+
+        return {
+            seedShape: {
+                planes: stack.outputSeedPlanes,
+                width: stack.outputSeedWidth,
+                height: stack.outputSeedHeight
+            },
+            layers: stack.outputLayers
+        };
+    }
+
+
+    /**
+     * This method returns the per-channel mean and standard deviation that images for the
+     * given schema are normalized with before going into the neural network. Both are given
+     * in the 0-255 range of the raw pixel bytes, one entry for each network channel.
+     *
+     * @param {EBSchema} schema The schema to get the normalization for
+     * @return {object} An object with mean and std arrays, or null if no normalization is applied
+     */
+    static getNormalizationForSchema(schema)
+    {
+        const configuration = EBImageInterpretation.getConfigurationForSchema(schema);
+        const statistics = (schema.metadata && schema.metadata.statistics) || {};
+        const channelNames = channelNamesByCount[EBImageInterpretation.getImageChannelsForSchema(schema)];
+        // Configurations from before normalization was added were scaled to [0, 1]
+        let normalization = configuration.normalization || 'scale';
+
+        // The default configuration asks for the dataset statistics, which aren't there until the field has been analyzed
+        if (normalization === 'datasetMeanStd' && (!statistics.channelMeans || !statistics.channelStandardDeviations))
+        {
+            normalization = 'scale';
+        }
+
+        let means = null;
+        let standardDeviations = null;
+        if (normalization === 'none')
+        {
+            return null;
+        }
+        else if (normalization === 'scale')
+        {
+            means = {red: 0, green: 0, blue: 0, grey: 0, alpha: 0};
+            standardDeviations = {red: 255, green: 255, blue: 255, grey: 255, alpha: 255};
+        }
+        else if (normalization === 'datasetMeanStd')
+        {
+            means = statistics.channelMeans;
+            standardDeviations = statistics.channelStandardDeviations;
+        }
+        else if (normalization === 'imagenet')
+        {
+            means = underscore.mapObject(imagenetChannelMeans, (mean) => mean * 255);
+            standardDeviations = underscore.mapObject(imagenetChannelStandardDeviations, (std) => std * 255);
+        }
+        else
+        {
+            throw new Error(`Unknown image normalization: ${normalization}`);
+        }
+
+        return {
+            mean: channelNames.map((channel) => means[channel]),
+            // Guard against dividing by zero for channels that never vary, such as a fully opaque alpha channel
+            std: channelNames.map((channel) => Math.max(standardDeviations[channel], 1e-3))
+        };
+    }
+
+
+    /**
+     * This method returns the center of the most frequent bucket in the given histogram, rounded
+     * to a whole number.
+     *
+     * @param {EBNumberHistogram} histogram The histogram to look at
+     * @return {number} The most common value, or null if the histogram is empty
+     */
+    static getMostCommonValueFromHistogram(histogram)
+    {
+        if (!histogram || !histogram.buckets || histogram.buckets.length === 0)
+        {
+            return null;
+        }
+
+        const bucket = underscore.max(histogram.buckets, (bucket) => bucket.frequency);
+        return Math.max(1, Math.round((bucket.lowerBound + bucket.upperBound) / 2));
+    }
+
+
     /**
      * This method should return a schema for the metadata associated with this interpretation
      *
@@ -436,33 +1252,106 @@ class EBImageInterpretation extends EBInterpretationBase
             "id": "EBFieldMetadata",
             "type": "object",
             "properties": {
+                imageCount: {"type": "number"},
                 imageWidthHistogram: EBNumberHistogram.schema(),
-                imageHeightHistogram: EBNumberHistogram.schema()
+                imageHeightHistogram: EBNumberHistogram.schema(),
+                imageAspectRatioHistogram: EBNumberHistogram.schema(),
+                imageFileSizeHistogram: EBNumberHistogram.schema(),
+                imageFormats: {
+                    "type": "array",
+                    "items": {
+                        "type": "object",
+                        "properties": {
+                            format: {"type": "string"},
+                            mime: {"type": "string"},
+                            count: {"type": "number"}
+                        }
+                    }
+                },
+                imageChannelCounts: {
+                    "type": "object",
+                    "additionalProperties": {"type": "number"}
+                },
+                alphaImageCount: {"type": "number"},
+                animatedImageCount: {"type": "number"},
+                duplicateImageCount: {"type": "number"},
+                exactDuplicateImageCount: {"type": "number"},
+                duplicateClusterCount: {"type": "number"},
+                duplicateClusters: {
+                    "type": "array",
+                    "items": {
+                        "type": "object",
+                        "properties": {
+                            size: {"type": "number"},
+                            exactDuplicates: {"type": "number"},
+                            thumbnails: {
+                                "type": "array",
+                                "items": {"type": "string"}
+                            }
+                        }
+                    }
+                },
+                channelMeans: EBImageInterpretation.channelStatisticsSchema(),
+                channelStandardDeviations: EBImageInterpretation.channelStatisticsSchema(),
+                rejectedImageCounts: EBImageInterpretation.rejectedImageCountsSchema(),
+                transformRejectedImageCounts: EBImageInterpretation.rejectedImageCountsSchema()
             }
         };
     }
 
 
     /**
-     * This method should return a schema for the configuration for this interpretation
+     * This method returns the schema for an object holding one number for each of the
+     * channels that an image can be converted to, in the range 0-255.
      *
-     * @return {jsonschema} A schema representing the configuration for this interpretation
+     * @return {jsonschema} A schema for the per-channel statistics
      */
-    static configurationSchema()
+    static channelStatisticsSchema()
+    {
+        return {
+            "type": "object",
+            "properties": {
+                red: {"type": "number"},
+                green: {"type": "number"},
+                blue: {"type": "number"},
+                grey: {"type": "number"},
+                alpha: {"type": "number"}
+            }
+        };
+    }
+
+
+    /**
+     * This method returns the schema for an object holding the number of rejected images for
+     * each of the EBImageRejection.reasons.
+     *
+     * @return {jsonschema} A schema for the rejected image counts
+     */
+    static rejectedImageCountsSchema()
     {
         return {
-            "id": "EBImageInterpretation.configurationSchema",
             "type": "object",
             "properties": {
-                rotateImage: {"type": "boolean"},
-                stretchImage: {"type": "boolean"},
-                mirrorHorizontally: {"type": "boolean"},
-                greyScale: {"type": "boolean"}
+                unrecognized: {"type": "number"},
+                corrupt: {"type": "number"},
+                tooManyBytes: {"type": "number"},
+                tooManyPixels: {"type": "number"}
             }
         };
     }
 
 
+    /**
+     * This method should return a schema for the configuration for this interpretation. See EBImageConfigurationSchema.
+     *
+     * @return {jsonschema} A schema representing the configuration for this interpretation
+     */
+    static configurationSchema()
+    {
+        return EBImageConfigurationSchema.configurationSchema();
+    }
+
+
     /**
      * This method should return a schema for accumulating accuracy results from values in this interpretation
      *
@@ -478,4 +1367,9 @@ class EBImageInterpretation extends EBInterpretationBase
     }
 }
 
+/**
+ * The modes that images can be transformed for the neural network in.
+ */
+EBImageInterpretation.modes = ['training', 'validation', 'prediction'];
+
 module.exports = EBImageInterpretation;
\ No newline at end of file
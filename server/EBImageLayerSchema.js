@@ -0,0 +1,128 @@
+/*
+ Electric Brain is an easy to use platform for machine learning.
+ Copyright (C) 2016 Electric Brain Software Corporation
+
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU Affero General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU Affero General Public License for more details.
+
+ You should have received a copy of the GNU Affero General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+/**
+ * This class describes the image layers in JSON schema, so that configurations with unknown
+ * layer types or missing and invalid parameters are caught when they are saved, rather than
+ * when the Lua code is generated.
+ *
+ * The definitions are meant to be placed in the definitions of the configuration schema. Every
+ * layer type has its own definition, named <layerType>Layer, and the "layer" definition accepts
+ * any one of them. Blocks refer back to the "layer" definition for their nested layers.
+ *
+ * The schema only checks each layer on its own. Whether the layers fit together, such as the
+ * planes coming out of one layer matching the planes going into the next, is checked by
+ * EBImageLayerShapeInference.
+ */
+class EBImageLayerSchema
+{
+    /**
+     * This method returns the JSON schema definitions for the layers.
+     *
+     * @return {object} The definitions, keyed by name
+     */
+    static definitions()
+    {
+        const integer = (minimum) => ({"type": "integer", "minimum": minimum});
+        const number = (minimum) => ({"type": "number", "minimum": minimum});
+        const layers = (minItems) => ({"type": "array", "minItems": minItems, "items": {"$ref": "#/definitions/layer"}});
+
+        const convolutionProperties = {
+            nInputPlane: integer(1),
+            kernelWidth: integer(1),
+            kernelHeight: integer(1),
+            stepWidth: integer(1),
+            stepHeight: integer(1),
+            paddingWidth: integer(0),
+            paddingHeight: integer(0)
+        };
+        const poolingProperties = {
+            nKernelWidth: integer(1),
+            nKernelHeight: integer(1),
+            nStepWidth: integer(1),
+            nStepHeight: integer(1)
+        };
+        // A ratio of exactly 1 is caught by EBImageLayerShapeInference, since exclusive maximums are written differently across JSON schema drafts
+        const dropoutProperties = {
+            nRatio: {"type": "number", "minimum": 0, "maximum": 1}
+        };
+
+        const layerTypes = {
+            convolution: Object.assign({nOutputPlane: integer(1)}, convolutionProperties),
+            dilatedconvolution: Object.assign({nOutputPlane: integer(1), dilationWidth: integer(1), dilationHeight: integer(1)}, convolutionProperties),
+            depthwiseconvolution: Object.assign({depthMultiplier: integer(1)}, convolutionProperties),
+            fullconvolution: Object.assign({nOutputPlane: integer(1), adjWidth: integer(0), adjHeight: integer(0)}, convolutionProperties),
+            upsampling: {scaleFactor: integer(1)},
+            batchnormalization: {nInputFeatures: integer(1)},
+            relu: {nState: {"type": "boolean"}},
+            tanh: {},
+            sigmoid: {},
+            leakyrelu: {nNegativeSlope: number(0)},
+            elu: {nAlpha: number(0)},
+            prelu: {nOutputPlane: integer(0)},
+            dropout: dropoutProperties,
+            spatialdropout: dropoutProperties,
+            maxpooling: poolingProperties,
+            averagepooling: poolingProperties,
+            globalaveragepooling: {},
+            lrn: {size: integer(1), alpha: number(0), beta: number(0), k: number(0)},
+            residual: {layers: layers(1), shortcutLayers: layers(0)},
+            concat: {layers: {"type": "array", "minItems": 1, "items": {"$ref": "#/definitions/branchLayer"}}}
+        };
+
+        const definitions = {
+            layer: {
+                "oneOf": Object.keys(layerTypes).map((layerType) => ({"$ref": `#/definitions/${layerType}Layer`}))
+            },
+            // Branches can only appear inside of concat blocks, so they aren't one of the layers
+            branchLayer: EBImageLayerSchema.layerDefinition('branch', {layers: layers(0)})
+        };
+
+        Object.keys(layerTypes).forEach((layerType) =>
+        {
+            definitions[`${layerType}Layer`] = EBImageLayerSchema.layerDefinition(layerType, layerTypes[layerType]);
+        });
+
+        return definitions;
+    }
+
+
+    /**
+     * This method creates the definition for one layer type. Every parameter is required.
+     *
+     * @param {string} layerType The type of the layer
+     * @param {object} properties The schemas for the parameters of the layer, keyed by name
+     * @return {object} The definition
+     */
+    static layerDefinition(layerType, properties)
+    {
+        return {
+            "type": "object",
+            "properties": Object.assign({
+                id: {"type": "integer"},
+                title: {"type": "string"},
+                layerType: {"type": "string", "enum": [layerType]}
+            }, properties),
+            "required": ['layerType'].concat(Object.keys(properties))
+        };
+    }
+}
+
+module.exports = EBImageLayerSchema;
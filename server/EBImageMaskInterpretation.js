@@ -0,0 +1,740 @@
+/*
+ Electric Brain is an easy to use platform for machine learning.
+ Copyright (C) 2016 Electric Brain Software Corporation
+
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU Affero General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU Affero General Public License for more details.
+
+ You should have received a copy of the GNU Affero General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const
+    EBFieldAnalysisAccumulatorBase = require('./../../../server/components/datasource/EBFieldAnalysisAccumulatorBase'),
+    EBImageArchitecturePresets = require('../client/js/image_architecture_presets'),
+    EBImageInterpretation = require('./EBImageInterpretation'),
+    EBImageLayerSchema = require('./EBImageLayerSchema'),
+    EBImageMaskPNG = require('./EBImageMaskPNG'),
+    EBImageProcessingQueue = require('./EBImageProcessingQueue'),
+    EBImageProcessor = require('./EBImageProcessor'),
+    EBImageRejection = require('./EBImageRejection'),
+    EBImageSource = require('./EBImageSource'),
+    EBInterpretationBase = require('./../../../server/components/datasource/EBInterpretationBase'),
+    EBNumberHistogram = require('../../../shared/models/EBNumberHistogram'),
+    Promise = require('bluebird'),
+    underscore = require('underscore');
+
+// The mask size used when there is no data to derive one from
+const defaultMaskSize = 100;
+
+// The size of the header in front of encoded class maps, the same as for raw images in EBImageRawBitmap
+const classMapHeaderSize = 5;
+
+// PNGs with more distinct labels than this aren't detected as masks, since they are more likely to be greyscale photos or drawings
+const maxDetectedLabels = 32;
+
+// The configuration of fields that aren't configured yet, shared so that they also share a processing queue
+const unconfiguredConfiguration = {};
+
+/**
+ * The image mask interpretation applies to segmentation masks, which are PNG images holding a
+ * class label for every pixel, such as the defects marked out on a photo. See EBImageMaskPNG for
+ * the masks that are recognized.
+ *
+ * Masks are meant to be outputs of the network. Each configured class gets a plane of scores
+ * coming out of the output stack, and the class with the highest score is picked for each pixel.
+ * Pixels with the configured ignore label, such as the 255 that many datasets use for borders
+ * and unlabeled areas, don't count towards the loss. Masks with any other label that isn't one
+ * of the classes are rejected with the 'unknownLabel' reason.
+ *
+ * Masks are resized to the mask size with the nearest label, but aren't augmented. Augmentations
+ * that move pixels around, such as rotations and crops, would have to be applied to the paired
+ * image and its mask in the same way, so they shouldn't be used on the image field either.
+ */
+class EBImageMaskInterpretation extends EBInterpretationBase
+{
+    /**
+     * Constructor
+     */
+    constructor()
+    {
+        super('imageMask');
+    }
+
+
+    /**
+     * This method should return the list of interpretations that this interpretation is dependent
+     * on. This interpretation won't be checked unless the dependent interpretation is the next
+     * one up in the chain.
+     *
+     * @return [String] An array of strings with the type-names for each of the higher interpretations
+     */
+    getUpstreamInterpretations()
+    {
+        // Masks can be stored in all the same ways as images, see EBImageSource
+        return ['binary', 'string'];
+    }
+
+
+    /**
+     * This method returns the raw javascript type of value that this interpretation applies to.
+     *
+     * @return {string} Can be one of: 'object', 'array', 'number', 'string', 'boolean', 'binary'
+     */
+    getJavascriptType()
+    {
+        return 'binary';
+    }
+
+
+    /**
+     * This method should look at the given value and decide whether it can be handled by this
+     * interpretation. Only indexed and greyscale PNGs can be masks, and since most of those are
+     * ordinary images, the pixels are decoded as well. A mask has a handful of labels, so PNGs
+     * with more than maxDetectedLabels distinct labels aren't detected as masks.
+     *
+     * @param {*} value Can be practically anything.
+     * @param {EBSchema} [schema] The schema for the field, used for file paths and the image limits once the field is configured
+     * @return {Promise} A promise that resolves to either true or false on whether that value
+     *                   can be handled by that interpretation.
+     */
+    checkValue(value, schema)
+    {
+        const configuration = EBImageMaskInterpretation.getConfigurationForSchema(schema);
+        return EBImageSource.loadForDetection(value, configuration.rootDirectory).then((buffer) =>
+        {
+            // Reading the header first avoids decoding all the other kinds of images
+            if (!buffer || !EBImageMaskPNG.readHeader(buffer))
+            {
+                return false;
+            }
+
+            return EBImageMaskInterpretation.decodeMask(buffer, configuration).then((mask) =>
+            {
+                return EBImageMaskPNG.countLabels(mask.labels) <= maxDetectedLabels;
+            }, () => false);
+        });
+    }
+
+
+    /**
+     * This method should transform a given schema for a value following this interpretation.
+     * It should return a new schema for the interpreted version.
+     *
+     * @param {EBSchema} schema The schema for a field that wants to be interpreted by this interpretation.
+     * @return {Promise} A promise that resolves to a new EBSchema object.
+     */
+    transformSchema(schema)
+    {
+        return Promise.resolve(schema);
+    }
+
+
+    /**
+     * This method should transform a given value, assuming its following this interpretation.
+     *
+     * @param {*} value The value to be transformed
+     * @return {Promise} A promise that resolves to a new value.
+     */
+    transformValue(value)
+    {
+        return Promise.resolve(value);
+    }
+
+
+    /**
+     * This method should transform an example into a value that is small enough to be
+     * stored with the schema and shown on the frontend.
+     *
+     * @param {*} value The value to be transformed
+     * @param {EBSchema} [schema] The schema for the field, used to resolve file paths
+     * @return {Promise} A promise that resolves to a new object that is similar to the old one to a human, but with size truncated for easy storage.
+     */
+    transformExample(value, schema)
+    {
+        const configuration = EBImageMaskInterpretation.getConfigurationForSchema(schema);
+        return EBImageSource.loadRequired(value, configuration.rootDirectory).then((image) => EBImageProcessor.createThumbnail(image, 50)).then((buffer) =>
+        {
+            return buffer.toString('base64');
+        });
+    }
+
+
+    /**
+     * This method should transform the given schema for input to the neural network.
+     *
+     * @param {EBSchema} schema The schema to be transformed
+     * @return {Promise} A promise that resolves to a new value.
+     */
+    transformSchemaForNeuralNetwork(schema)
+    {
+        return schema;
+    }
+
+
+    /**
+     * This method should prepare a given value for input into the neural network. The mask is
+     * resized to the mask size, and every label is replaced with the index of its class, or with
+     * ignoredClassIndex for the ignore label.
+     *
+     * @param {*} value The value to be transformed
+     * @param {EBSchema} schema The schema for the value to be transformed
+     * @return {Promise} A promise that resolves to the class map, as described in encodeClassMap, in base64
+     */
+    transformValueForNeuralNetwork(value, schema)
+    {
+        const configuration = schema.configuration.interpretation;
+        const size = EBImageMaskInterpretation.getMaskSizeForSchema(schema);
+        const classes = EBImageMaskInterpretation.getClassesForSchema(schema);
+
+        // Labels that are neither a class nor the ignore label are marked with -1
+        const classIndexes = new Array(256).fill(-1);
+        if (EBImageMaskInterpretation.hasIgnoreLabel(configuration))
+        {
+            classIndexes[configuration.ignoreLabel] = EBImageMaskInterpretation.ignoredClassIndex;
+        }
+        classes.forEach((maskClass, index) =>
+        {
+            classIndexes[maskClass.label] = index;
+        });
+
+        return EBImageMaskInterpretation.loadMask(value, configuration).then((decoded) =>
+        {
+            const mask = EBImageMaskPNG.resize(decoded, size.width, size.height);
+            const classMap = new Buffer(mask.labels.length);
+            for (let pixel = 0; pixel < mask.labels.length; pixel += 1)
+            {
+                const classIndex = classIndexes[mask.labels[pixel]];
+                if (classIndex === -1)
+                {
+                    throw EBImageRejection.create('unknownLabel', `The mask has pixels with the label ${mask.labels[pixel]}, which isn't the label of any class or the ignore label.`);
+                }
+                classMap[pixel] = classIndex;
+            }
+            return EBImageMaskInterpretation.encodeClassMap(size.width, size.height, classMap).toString('base64');
+        });
+    }
+
+
+    /**
+     * This method should take output from the neural network and transform it back. The network
+     * produces class maps, which are turned back into mask PNGs in the same format as the masks
+     * that were analyzed, using the label and color of each class.
+     *
+     * @param {*} value The value to be transformed
+     * @param {EBSchema} schema The schema for the value to be transformed
+     * @return {Buffer} The mask, as a PNG
+     */
+    transformValueBackFromNeuralNetwork(value, schema)
+    {
+        const classes = EBImageMaskInterpretation.getClassesForSchema(schema);
+        const classMap = EBImageMaskInterpretation.decodeClassMap(new Buffer(value, 'base64'));
+
+        const labels = new Buffer(classMap.classIndexes.length);
+        for (let pixel = 0; pixel < labels.length; pixel += 1)
+        {
+            labels[pixel] = classes[classMap.classIndexes[pixel]].label;
+        }
+
+        let palette = null;
+        if (EBImageMaskInterpretation.getMaskTypeForSchema(schema) === 'palette')
+        {
+            palette = underscore.range(underscore.max(underscore.pluck(classes, 'label')) + 1).map(() => '#000000');
+            classes.forEach((maskClass) =>
+            {
+                palette[maskClass.label] = maskClass.color || '#000000';
+            });
+        }
+
+        return EBImageMaskPNG.encode(classMap.width, classMap.height, labels, palette);
+    }
+
+
+    /**
+     * This method should generate the default configuration for the given schema
+     *
+     * @param {EBSchema} schema The schema for the value to be transformed
+     * @return {object} An object which follows the schema returned from configurationSchema
+     */
+    generateDefaultConfiguration(schema)
+    {
+        const statistics = (schema.metadata && schema.metadata.statistics) || {};
+        const size = {
+            width: EBImageInterpretation.getMostCommonValueFromHistogram(statistics.maskWidthHistogram) || defaultMaskSize,
+            height: EBImageInterpretation.getMostCommonValueFromHistogram(statistics.maskHeightHistogram) || defaultMaskSize
+        };
+        const maskType = EBImageMaskInterpretation.getMaskTypeForSchema(schema);
+
+        // Every label found in the masks becomes a class, with its color from the palette
+        let labels = underscore.pluck(statistics.classPixelCounts || [], 'label');
+        if (labels.length === 0)
+        {
+            labels = [0, 1];
+        }
+        const classes = labels.map((label) =>
+        {
+            return {
+                label: label,
+                name: `Class ${label}`,
+                color: (maskType === 'palette' && statistics.palette && statistics.palette[label]) || null
+            };
+        });
+
+        const limits = EBImageInterpretation.getImageLimits({});
+        return Object.assign({
+            maskWidth: size.width,
+            maskHeight: size.height,
+            maskType: maskType,
+            rootDirectory: null,
+            maxImageBytes: limits.maxBytes,
+            maxImagePixels: limits.maxPixels,
+            classes: classes,
+            ignoreLabel: null,
+            classWeighting: 'none',
+            seedLinearLayer: true
+        }, EBImageArchitecturePresets.generateOutputStack(size, classes.length));
+    }
+
+
+    /**
+     * This method should create a new field accumulator, a subclass of EBFieldAnalysisAccumulatorBase.
+     *
+     * The accumulator gathers the sizes of the masks, and how often each label appears.
+     *
+     * @param {EBSchema} [schema] The schema for the field, used for file paths and the image limits
+     * @return {EBFieldAnalysisAccumulatorBase} An instantiation of a field accumulator.
+     */
+    createFieldAccumulator(schema)
+    {
+        const configuration = EBImageMaskInterpretation.getConfigurationForSchema(schema);
+
+        // Create a subclass and immediately instantiate it.
+        return new (class extends EBFieldAnalysisAccumulatorBase
+        {
+            constructor()
+            {
+                super();
+                this.widths = [];
+                this.heights = [];
+                this.maskCount = 0;
+                this.maskTypeCounts = {palette: 0, greyscale: 0};
+
+                // The palette of the first indexed mask, used as the colors of the classes
+                this.palette = null;
+
+                // The number of pixels with each label, and the number of masks containing it
+                this.labelPixelCounts = new Array(256).fill(0);
+                this.labelMaskCounts = new Array(256).fill(0);
+
+                // The number of masks that couldn't be analyzed, for each rejection reason
+                this.rejectedMaskCounts = {};
+                EBImageRejection.reasons.forEach((reason) =>
+                {
+                    this.rejectedMaskCounts[reason] = 0;
+                });
+            }
+
+            accumulateValue(value)
+            {
+                return EBImageMaskInterpretation.loadMask(value, configuration).then((mask) =>
+                {
+                    this.maskCount += 1;
+                    this.widths.push(mask.width);
+                    this.heights.push(mask.height);
+                    this.maskTypeCounts[mask.maskType] += 1;
+                    if (mask.palette && !this.palette)
+                    {
+                        this.palette = mask.palette;
+                    }
+
+                    const counts = new Array(256).fill(0);
+                    for (let pixel = 0; pixel < mask.labels.length; pixel += 1)
+                    {
+                        counts[mask.labels[pixel]] += 1;
+                    }
+                    counts.forEach((count, label) =>
+                    {
+                        this.labelPixelCounts[label] += count;
+                        if (count > 0)
+                        {
+                            this.labelMaskCounts[label] += 1;
+                        }
+                    });
+                }).catch((err) =>
+                {
+                    // Bad masks are counted rather than stopping the analysis
+                    if (!err.rejectionReason)
+                    {
+                        throw err;
+                    }
+                    this.rejectedMaskCounts[err.rejectionReason] += 1;
+                });
+            }
+
+            getFieldStatistics()
+            {
+                const totalPixels = this.labelPixelCounts.reduce((total, count) => total + count, 0);
+                const classPixelCounts = [];
+                this.labelPixelCounts.forEach((pixelCount, label) =>
+                {
+                    if (pixelCount > 0)
+                    {
+                        classPixelCounts.push({
+                            label: label,
+                            pixelCount: pixelCount,
+                            maskCount: this.labelMaskCounts[label],
+                            frequency: pixelCount / totalPixels
+                        });
+                    }
+                });
+
+                return {
+                    maskCount: this.maskCount,
+                    maskWidthHistogram: EBNumberHistogram.computeHistogram(this.widths),
+                    maskHeightHistogram: EBNumberHistogram.computeHistogram(this.heights),
+                    maskTypeCounts: this.maskTypeCounts,
+                    palette: this.palette,
+                    classPixelCounts: classPixelCounts,
+                    rejectedMaskCounts: this.rejectedMaskCounts
+                };
+            }
+        })();
+    }
+
+
+    /**
+     * This method loads and decodes a mask, after checking it against the size limits.
+     *
+     * @param {*} value The value holding the mask
+     * @param {object} configuration The configuration of the field, for the root directory and the size limits
+     * @return {Promise} A promise that resolves to the mask, as returned by EBImageMaskPNG.decode
+     */
+    static loadMask(value, configuration)
+    {
+        return EBImageSource.loadRequired(value, configuration.rootDirectory).then((image) => EBImageMaskInterpretation.decodeMask(image, configuration));
+    }
+
+
+    /**
+     * This method decodes a mask, after checking it against the size limits. The decoding is run
+     * through the EBImageProcessingQueue of the field, the same as the processing of images.
+     *
+     * @param {Buffer} image The encoded mask
+     * @param {object} configuration The configuration of the field, for the size limits
+     * @return {Promise} A promise that resolves to the mask, as returned by EBImageMaskPNG.decode
+     */
+    static decodeMask(image, configuration)
+    {
+        return EBImageProcessingQueue.forConfiguration(configuration).run(() =>
+        {
+            return EBImageProcessor.validate(image, EBImageInterpretation.getImageLimits(configuration)).then(() => EBImageMaskPNG.decode(image));
+        });
+    }
+
+
+    /**
+     * This method encodes a map of class indexes, with one byte per pixel, row by row. It has the
+     * same layout as a single channel raw image from EBImageRawBitmap.encode: the width
+     * and height as big-endian uint16s, the number of channels, which is always 1, then the pixels.
+     *
+     * @param {number} width The width of the map
+     * @param {number} height The height of the map
+     * @param {Buffer} classIndexes The index of the class of every pixel, starting from 0, or ignoredClassIndex for ignored pixels
+     * @return {Buffer} The encoded class map
+     */
+    static encodeClassMap(width, height, classIndexes)
+    {
+        const buffer = new Buffer(classMapHeaderSize + classIndexes.length);
+        buffer.writeUInt16BE(width, 0);
+        buffer.writeUInt16BE(height, 2);
+        buffer.writeUInt8(1, 4);
+        classIndexes.copy(buffer, classMapHeaderSize);
+        return buffer;
+    }
+
+
+    /**
+     * This method decodes a class map from encodeClassMap.
+     *
+     * @param {Buffer} buffer The encoded class map
+     * @return {object} An object with the width, height and classIndexes
+     */
+    static decodeClassMap(buffer)
+    {
+        const width = buffer.readUInt16BE(0);
+        const height = buffer.readUInt16BE(2);
+        if (buffer.length !== classMapHeaderSize + width * height)
+        {
+            throw new Error(`The class map should be ${width}x${height}, but has ${buffer.length - classMapHeaderSize} pixels.`);
+        }
+
+        return {
+            width: width,
+            height: height,
+            classIndexes: buffer.slice(classMapHeaderSize)
+        };
+    }
+
+
+    /**
+     * This method returns the configuration for the given schema.
+     *
+     * @param {EBSchema} [schema] The schema to get the configuration for
+     * @return {object} The configuration, or an empty object if the field isn't configured yet
+     */
+    static getConfigurationForSchema(schema)
+    {
+        return (schema && schema.configuration && schema.configuration.interpretation) || unconfiguredConfiguration;
+    }
+
+
+    /**
+     * This method returns the size that masks for the given schema are resized to.
+     *
+     * @param {EBSchema} schema The schema to get the mask size for
+     * @return {object} An object with width and height
+     */
+    static getMaskSizeForSchema(schema)
+    {
+        const configuration = EBImageMaskInterpretation.getConfigurationForSchema(schema);
+        return {
+            width: configuration.maskWidth || defaultMaskSize,
+            height: configuration.maskHeight || defaultMaskSize
+        };
+    }
+
+
+    /**
+     * This method returns the classes for the given schema, in the order of the planes of scores
+     * coming out of the network.
+     *
+     * @param {EBSchema} schema The schema to get the classes for
+     * @return {[object]} The classes, each with a label, name and color
+     */
+    static getClassesForSchema(schema)
+    {
+        const configuration = EBImageMaskInterpretation.getConfigurationForSchema(schema);
+        if (!configuration.classes || configuration.classes.length < 2)
+        {
+            throw new Error("An image mask needs at least two classes.");
+        }
+        else if (configuration.classes.length > EBImageMaskInterpretation.ignoredClassIndex)
+        {
+            throw new Error(`An image mask can have at most ${EBImageMaskInterpretation.ignoredClassIndex} classes.`);
+        }
+        else if (EBImageMaskInterpretation.hasIgnoreLabel(configuration) && underscore.findWhere(configuration.classes, {label: configuration.ignoreLabel}))
+        {
+            throw new Error(`The ignore label ${configuration.ignoreLabel} is also the label of a class.`);
+        }
+        return configuration.classes;
+    }
+
+
+    /**
+     * This method returns whether an ignore label is configured.
+     *
+     * @param {object} configuration The interpretation configuration of an image mask
+     * @return {boolean} True if pixels with the ignoreLabel should be ignored
+     */
+    static hasIgnoreLabel(configuration)
+    {
+        return configuration.ignoreLabel !== null && configuration.ignoreLabel !== undefined;
+    }
+
+
+    /**
+     * This method returns whether the masks for the given schema are indexed or greyscale PNGs. This
+     * is the configured type if there is one, and otherwise the most common type in the data.
+     *
+     * @param {EBSchema} schema The schema to get the mask type for
+     * @return {string} Either 'palette' or 'greyscale'
+     */
+    static getMaskTypeForSchema(schema)
+    {
+        const configuration = EBImageMaskInterpretation.getConfigurationForSchema(schema);
+        const statistics = (schema.metadata && schema.metadata.statistics) || {};
+        if (configuration.maskType)
+        {
+            return configuration.maskType;
+        }
+
+        const counts = statistics.maskTypeCounts || {};
+        return (counts.greyscale || 0) > (counts.palette || 0) ? 'greyscale' : 'palette';
+    }
+
+
+    /**
+     * This method returns the weight of each class in the per-pixel cross entropy. With the
+     * 'inverseFrequency' weighting, rare classes are weighted up, so that small defects aren't
+     * drowned out by the background. A class that covers 1/N of the pixels, where N is the number
+     * of classes, gets a weight of 1. Pixels with the ignore label aren't counted, since they don't
+     * count towards the loss either. Classes never seen during analysis get a weight of 1.
+     *
+     * @param {EBSchema} schema The schema to get the class weights for
+     * @return {[number]} The weight of each class, in the same order as the classes
+     */
+    static getClassWeightsForSchema(schema)
+    {
+        const configuration = EBImageMaskInterpretation.getConfigurationForSchema(schema);
+        const statistics = (schema.metadata && schema.metadata.statistics) || {};
+        const classes = EBImageMaskInterpretation.getClassesForSchema(schema);
+        const weighting = configuration.classWeighting || 'none';
+
+        if (weighting === 'none')
+        {
+            return classes.map(() => 1);
+        }
+        else if (weighting === 'inverseFrequency')
+        {
+            const pixelCounts = underscore.indexBy(statistics.classPixelCounts || [], 'label');
+            const countedPixels = classes.reduce((total, maskClass) => total + (pixelCounts[maskClass.label] ? pixelCounts[maskClass.label].pixelCount : 0), 0);
+            return classes.map((maskClass) =>
+            {
+                const frequency = pixelCounts[maskClass.label] && pixelCounts[maskClass.label].pixelCount / countedPixels;
+                return frequency ? 1 / (classes.length * frequency) : 1;
+            });
+        }
+        else
+        {
+            throw new Error(`Unknown class weighting: ${weighting}`);
+        }
+    }
+
+
+    /**
+     * This method returns the JSON-schema that will be used to validate the statistics
+     * that are computed by the accumulator.
+     *
+     * @return {object} A JSON-Schema object
+     */
+    static statisticsSchema()
+    {
+        return {
+            "id": "EBFieldMetadata",
+            "type": "object",
+            "properties": {
+                maskCount: {"type": "number"},
+                maskWidthHistogram: EBNumberHistogram.schema(),
+                maskHeightHistogram: EBNumberHistogram.schema(),
+                maskTypeCounts: {
+                    "type": "object",
+                    "properties": {
+                        palette: {"type": "number"},
+                        greyscale: {"type": "number"}
+                    }
+                },
+                palette: {
+                    "type": ["array", "null"],
+                    "items": {"type": "string"}
+                },
+                classPixelCounts: {
+                    "type": "array",
+                    "items": {
+                        "type": "object",
+                        "properties": {
+                            label: {"type": "number"},
+                            pixelCount: {"type": "number"},
+                            maskCount: {"type": "number"},
+                            frequency: {"type": "number"}
+                        }
+                    }
+                },
+                rejectedMaskCounts: {
+                    "type": "object",
+                    "properties": {
+                        unrecognized: {"type": "number"},
+                        corrupt: {"type": "number"},
+                        tooManyBytes: {"type": "number"},
+                        tooManyPixels: {"type": "number"}
+                    }
+                }
+            }
+        };
+    }
+
+
+    /**
+     * This method should return a schema for the configuration of this interpretation
+     *
+     * @return {jsonschema} A schema
+     */
+    static configurationSchema()
+    {
+        return {
+            "id": "EBImageMaskInterpretation.configurationSchema",
+            "type": "object",
+            "definitions": EBImageLayerSchema.definitions(),
+            "properties": {
+                maskWidth: {"type": "integer", "minimum": 1},
+                maskHeight: {"type": "integer", "minimum": 1},
+                maskType: {
+                    "type": "string",
+                    "enum": ["palette", "greyscale"]
+                },
+                rootDirectory: {"type": ["string", "null"]},
+                maxImageBytes: {"type": "number", "minimum": 1},
+                maxImagePixels: {"type": "number", "minimum": 1},
+                classes: {
+                    "type": "array",
+                    "minItems": 2,
+                    "maxItems": 255,
+                    "items": {
+                        "type": "object",
+                        "properties": {
+                            label: {"type": "integer", "minimum": 0, "maximum": 255},
+                            name: {"type": "string"},
+                            color: {
+                                "type": ["string", "null"],
+                                "pattern": "^#[0-9a-fA-F]{6}$"
+                            }
+                        },
+                        "required": ["label"]
+                    }
+                },
+                ignoreLabel: {"type": ["integer", "null"], "minimum": 0, "maximum": 255},
+                classWeighting: {
+                    "type": "string",
+                    "enum": ["none", "inverseFrequency"]
+                },
+                seedLinearLayer: {"type": "boolean"},
+                outputSeedPlanes: {"type": "integer", "minimum": 1},
+                outputSeedWidth: {"type": "integer", "minimum": 1},
+                outputSeedHeight: {"type": "integer", "minimum": 1},
+                outputLayers: {
+                    "type": "array",
+                    "items": {"$ref": "#/definitions/layer"}
+                }
+            },
+            "required": ["maskWidth", "maskHeight", "classes", "outputSeedPlanes", "outputSeedWidth", "outputSeedHeight", "outputLayers"]
+        };
+    }
+
+
+    /**
+     * This method should return a schema for the metadata associated with this interpretation
+     *
+     * @return {jsonschema} A schema
+     */
+    static resultsSchema()
+    {
+        return {
+            "id": "EBImageMaskInterpretation.resultsSchema",
+            "type": "object",
+            "properties": {}
+        };
+    }
+}
+
+// The class index given to pixels with the ignore label. It is past the last class, since there are at most 255 classes.
+EBImageMaskInterpretation.ignoredClassIndex = 255;
+
+module.exports = EBImageMaskInterpretation;
@@ -0,0 +1,480 @@
+/*
+ Electric Brain is an easy to use platform for machine learning.
+ Copyright (C) 2016 Electric Brain Software Corporation
+
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU Affero General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU Affero General Public License for more details.
+
+ You should have received a copy of the GNU Affero General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const
+    EBImageRejection = require('./EBImageRejection'),
+    Promise = require('bluebird'),
+    zlib = require('zlib');
+
+// Every PNG file starts with these bytes
+const pngSignature = new Buffer([137, 80, 78, 71, 13, 10, 26, 10]);
+
+// The PNG color types that masks can be stored with
+const greyscaleColorType = 0;
+const paletteColorType = 3;
+
+// The CRC32 of every byte value, used for the checksums of the chunks in written files
+const crcTable = [];
+for (let value = 0; value < 256; value += 1)
+{
+    let crc = value;
+    for (let bit = 0; bit < 8; bit += 1)
+    {
+        crc = (crc & 1) ? (0xEDB88320 ^ (crc >>> 1)) : (crc >>> 1);
+    }
+    crcTable.push(crc >>> 0);
+}
+
+/**
+ * This class reads and writes segmentation masks, which are PNG images where the value of
+ * every pixel is the label of the class at that pixel, rather than a color.
+ *
+ * Masks are either indexed PNGs, where the label is the index into the palette, or greyscale
+ * PNGs, where the label is the grey value. sharp converts both into colors when decoding, which
+ * loses the labels, so the pixels are read straight from the PNG data here instead. Labels are
+ * read as stored, so a 1 bit greyscale mask has the labels 0 and 1, not 0 and 255.
+ *
+ * Decoded masks are objects of the form:
+ *      {
+ *          "width": Number,
+ *          "height": Number,
+ *          "maskType": "palette" || "greyscale",
+ *          "palette": ["#rrggbb"] || null,
+ *          "labels": Buffer
+ *      }
+ *
+ * where labels has one byte per pixel, row by row.
+ */
+class EBImageMaskPNG
+{
+    /**
+     * This method reads the header of a mask, without decoding its pixels.
+     *
+     * @param {Buffer} image The encoded image
+     * @return {object} An object with the width, height, bitDepth, colorType and interlace of the PNG, or null if the image isn't a PNG that can hold a mask
+     */
+    static readHeader(image)
+    {
+        if (image.length < pngSignature.length + 25 || !image.slice(0, pngSignature.length).equals(pngSignature))
+        {
+            return null;
+        }
+
+        // The IHDR chunk always comes first
+        const offset = pngSignature.length;
+        if (image.toString('ascii', offset + 4, offset + 8) !== 'IHDR')
+        {
+            return null;
+        }
+
+        const header = {
+            width: image.readUInt32BE(offset + 8),
+            height: image.readUInt32BE(offset + 12),
+            bitDepth: image[offset + 16],
+            colorType: image[offset + 17],
+            interlace: image[offset + 20]
+        };
+
+        if ((header.colorType !== greyscaleColorType && header.colorType !== paletteColorType) || header.bitDepth > 8)
+        {
+            return null;
+        }
+
+        return header;
+    }
+
+
+    /**
+     * This method decodes a mask. The data is decompressed asynchronously, but the filters and
+     * the packed labels are undone on the main thread, so callers should run this through
+     * an EBImageProcessingQueue to bound how many masks are decoded at once.
+     *
+     * @param {Buffer} image The encoded image
+     * @return {Promise} A promise that resolves to the mask, as described above. Images that aren't masks are rejected with an error from EBImageRejection.
+     */
+    static decode(image)
+    {
+        return Promise.try(() =>
+        {
+            const header = EBImageMaskPNG.readHeader(image);
+            if (!header)
+            {
+                throw EBImageRejection.create('unrecognized', "The mask must be an indexed or a greyscale PNG with at most 8 bits per pixel.");
+            }
+            else if (header.interlace !== 0)
+            {
+                throw EBImageRejection.create('unrecognized', "Interlaced PNG masks aren't supported.");
+            }
+
+            const chunks = EBImageMaskPNG.readChunks(image);
+            if (header.colorType === paletteColorType && !chunks.palette)
+            {
+                throw EBImageRejection.create('corrupt', "The indexed mask has no palette.");
+            }
+
+            return Promise.fromCallback((next) => zlib.inflate(chunks.data, next)).catch((err) =>
+            {
+                throw EBImageRejection.create('corrupt', `The mask data could not be decompressed: ${err.message}`);
+            }).then((filtered) =>
+            {
+                const rowBytes = Math.ceil(header.width * header.bitDepth / 8);
+                if (filtered.length < (rowBytes + 1) * header.height)
+                {
+                    throw EBImageRejection.create('corrupt', "The mask has fewer rows than its height.");
+                }
+
+                const rows = EBImageMaskPNG.unfilter(filtered, rowBytes, header.height);
+                return {
+                    width: header.width,
+                    height: header.height,
+                    maskType: header.colorType === paletteColorType ? 'palette' : 'greyscale',
+                    palette: header.colorType === paletteColorType ? chunks.palette : null,
+                    labels: EBImageMaskPNG.unpackLabels(rows, header.width, header.height, header.bitDepth)
+                };
+            });
+        });
+    }
+
+
+    /**
+     * This method reads the palette and the compressed data out of the chunks of a PNG.
+     *
+     * @param {Buffer} image The encoded image
+     * @return {object} An object with the palette, as "#rrggbb" colors or null if there isn't one, and the data from all the IDAT chunks
+     */
+    static readChunks(image)
+    {
+        let palette = null;
+        const dataChunks = [];
+        let offset = pngSignature.length;
+        while (offset + 8 <= image.length)
+        {
+            const length = image.readUInt32BE(offset);
+            const type = image.toString('ascii', offset + 4, offset + 8);
+            const data = image.slice(offset + 8, offset + 8 + length);
+            if (data.length !== length)
+            {
+                throw EBImageRejection.create('corrupt', `The mask is truncated in its ${type} chunk.`);
+            }
+
+            if (type === 'PLTE')
+            {
+                palette = [];
+                for (let entry = 0; entry + 2 < data.length; entry += 3)
+                {
+                    palette.push(EBImageMaskPNG.toHexColor(data[entry], data[entry + 1], data[entry + 2]));
+                }
+            }
+            else if (type === 'IDAT')
+            {
+                dataChunks.push(data);
+            }
+            else if (type === 'IEND')
+            {
+                break;
+            }
+
+            // Skip over the data and the checksum
+            offset += 12 + length;
+        }
+
+        return {
+            palette: palette,
+            data: Buffer.concat(dataChunks)
+        };
+    }
+
+
+    /**
+     * This method encodes a mask as an 8 bit PNG. Masks with a palette become indexed PNGs, and
+     * masks without one become greyscale PNGs.
+     *
+     * @param {number} width The width of the mask
+     * @param {number} height The height of the mask
+     * @param {Buffer} labels One label per pixel, row by row
+     * @param {[string]} [palette] The color of each label, as "#rrggbb"
+     * @return {Buffer} The encoded PNG
+     */
+    static encode(width, height, labels, palette)
+    {
+        const ihdr = new Buffer(13);
+        ihdr.writeUInt32BE(width, 0);
+        ihdr.writeUInt32BE(height, 4);
+        ihdr[8] = 8;
+        ihdr[9] = palette ? paletteColorType : greyscaleColorType;
+        ihdr[10] = 0;
+        ihdr[11] = 0;
+        ihdr[12] = 0;
+
+        // Every row gets the filter type 0, meaning the row is stored as is
+        const filtered = new Buffer((width + 1) * height);
+        for (let row = 0; row < height; row += 1)
+        {
+            filtered[row * (width + 1)] = 0;
+            labels.copy(filtered, row * (width + 1) + 1, row * width, (row + 1) * width);
+        }
+
+        const chunks = [pngSignature, EBImageMaskPNG.createChunk('IHDR', ihdr)];
+        if (palette)
+        {
+            const plte = new Buffer(palette.length * 3);
+            palette.forEach((color, index) =>
+            {
+                plte.writeUIntBE(parseInt(color.substr(1, 6), 16), index * 3, 3);
+            });
+            chunks.push(EBImageMaskPNG.createChunk('PLTE', plte));
+        }
+        chunks.push(EBImageMaskPNG.createChunk('IDAT', zlib.deflateSync(filtered)));
+        chunks.push(EBImageMaskPNG.createChunk('IEND', new Buffer(0)));
+        return Buffer.concat(chunks);
+    }
+
+
+    /**
+     * This method resizes a mask using the nearest label, since labels can't be blended together.
+     *
+     * @param {object} mask The mask, as returned by decode
+     * @param {number} width The new width
+     * @param {number} height The new height
+     * @return {object} The resized mask
+     */
+    static resize(mask, width, height)
+    {
+        if (mask.width === width && mask.height === height)
+        {
+            return mask;
+        }
+
+        const labels = new Buffer(width * height);
+        for (let y = 0; y < height; y += 1)
+        {
+            const sourceY = Math.min(mask.height - 1, Math.floor((y + 0.5) * mask.height / height));
+            for (let x = 0; x < width; x += 1)
+            {
+                const sourceX = Math.min(mask.width - 1, Math.floor((x + 0.5) * mask.width / width));
+                labels[y * width + x] = mask.labels[sourceY * mask.width + sourceX];
+            }
+        }
+
+        return Object.assign({}, mask, {width: width, height: height, labels: labels});
+    }
+
+
+    /**
+     * This method counts how many different labels a mask has.
+     *
+     * @param {Buffer} labels One label per pixel
+     * @return {number} The number of distinct labels
+     */
+    static countLabels(labels)
+    {
+        const seen = new Buffer(256).fill(0);
+        let count = 0;
+        for (let pixel = 0; pixel < labels.length; pixel += 1)
+        {
+            if (!seen[labels[pixel]])
+            {
+                seen[labels[pixel]] = 1;
+                count += 1;
+            }
+        }
+        return count;
+    }
+
+
+    /**
+     * This method reverses the PNG filters, which store each byte as a difference from the bytes
+     * to its left and above it. Masks have one byte or less per pixel, so the byte to the left is
+     * always the previous byte.
+     *
+     * @param {Buffer} filtered The decompressed data, with a filter type at the start of every row
+     * @param {number} rowBytes The number of bytes in each row, not counting the filter type
+     * @param {number} height The number of rows
+     * @return {Buffer} The rows, one after another
+     */
+    static unfilter(filtered, rowBytes, height)
+    {
+        const rows = new Buffer(rowBytes * height);
+        for (let row = 0; row < height; row += 1)
+        {
+            const filterType = filtered[row * (rowBytes + 1)];
+            const input = row * (rowBytes + 1) + 1;
+            const output = row * rowBytes;
+
+            // The first row has nothing above it, which the filters treat as zeros
+            const above = output - rowBytes;
+            const hasAbove = row > 0;
+
+            // The filter type is checked once per row, so that each of the loops stays simple
+            if (filterType === 0)
+            {
+                filtered.copy(rows, output, input, input + rowBytes);
+            }
+            else if (filterType === 1)
+            {
+                rows[output] = filtered[input];
+                for (let index = 1; index < rowBytes; index += 1)
+                {
+                    rows[output + index] = (filtered[input + index] + rows[output + index - 1]) & 0xFF;
+                }
+            }
+            else if (filterType === 2)
+            {
+                for (let index = 0; index < rowBytes; index += 1)
+                {
+                    const up = hasAbove ? rows[above + index] : 0;
+                    rows[output + index] = (filtered[input + index] + up) & 0xFF;
+                }
+            }
+            else if (filterType === 3)
+            {
+                for (let index = 0; index < rowBytes; index += 1)
+                {
+                    const left = index > 0 ? rows[output + index - 1] : 0;
+                    const up = hasAbove ? rows[above + index] : 0;
+                    rows[output + index] = (filtered[input + index] + ((left + up) >> 1)) & 0xFF;
+                }
+            }
+            else if (filterType === 4)
+            {
+                for (let index = 0; index < rowBytes; index += 1)
+                {
+                    const left = index > 0 ? rows[output + index - 1] : 0;
+                    const up = hasAbove ? rows[above + index] : 0;
+                    const upLeft = (index > 0 && hasAbove) ? rows[above + index - 1] : 0;
+                    rows[output + index] = (filtered[input + index] + EBImageMaskPNG.paethPredictor(left, up, upLeft)) & 0xFF;
+                }
+            }
+            else
+            {
+                throw EBImageRejection.create('corrupt', `The mask has an unknown filter type: ${filterType}`);
+            }
+        }
+        return rows;
+    }
+
+
+    /**
+     * This method picks whichever of the left, up and upper left bytes is closest to left + up - upLeft,
+     * as defined by the PNG specification.
+     *
+     * @param {number} left The byte to the left
+     * @param {number} up The byte above
+     * @param {number} upLeft The byte above and to the left
+     * @return {number} The predicted byte
+     */
+    static paethPredictor(left, up, upLeft)
+    {
+        const estimate = left + up - upLeft;
+        const leftDistance = Math.abs(estimate - left);
+        const upDistance = Math.abs(estimate - up);
+        const upLeftDistance = Math.abs(estimate - upLeft);
+        if (leftDistance <= upDistance && leftDistance <= upLeftDistance)
+        {
+            return left;
+        }
+        return upDistance <= upLeftDistance ? up : upLeft;
+    }
+
+
+    /**
+     * This method splits packed rows into one label per pixel. With fewer than 8 bits per pixel,
+     * several pixels share each byte, starting from the highest bits.
+     *
+     * @param {Buffer} rows The unfiltered rows
+     * @param {number} width The width of the mask
+     * @param {number} height The height of the mask
+     * @param {number} bitDepth The number of bits per pixel, one of 1, 2, 4 or 8
+     * @return {Buffer} One label per pixel
+     */
+    static unpackLabels(rows, width, height, bitDepth)
+    {
+        if (bitDepth === 8)
+        {
+            return rows;
+        }
+
+        const rowBytes = Math.ceil(width * bitDepth / 8);
+        const pixelsPerByte = 8 / bitDepth;
+        const mask = (1 << bitDepth) - 1;
+        const labels = new Buffer(width * height);
+        for (let row = 0; row < height; row += 1)
+        {
+            for (let x = 0; x < width; x += 1)
+            {
+                const byte = rows[row * rowBytes + Math.floor(x / pixelsPerByte)];
+                const shift = 8 - bitDepth * (x % pixelsPerByte + 1);
+                labels[row * width + x] = (byte >> shift) & mask;
+            }
+        }
+        return labels;
+    }
+
+
+    /**
+     * This method creates a PNG chunk, with its length and checksum.
+     *
+     * @param {string} type The four letter type of the chunk
+     * @param {Buffer} data The contents of the chunk
+     * @return {Buffer} The chunk
+     */
+    static createChunk(type, data)
+    {
+        const typeAndData = Buffer.concat([new Buffer(type, 'ascii'), data]);
+        const chunk = new Buffer(typeAndData.length + 8);
+        chunk.writeUInt32BE(data.length, 0);
+        typeAndData.copy(chunk, 4);
+        chunk.writeUInt32BE(EBImageMaskPNG.computeCRC(typeAndData), typeAndData.length + 4);
+        return chunk;
+    }
+
+
+    /**
+     * This method computes the CRC32 checksum that PNG chunks end with.
+     *
+     * @param {Buffer} data The type and contents of the chunk
+     * @return {number} The checksum
+     */
+    static computeCRC(data)
+    {
+        let crc = 0xFFFFFFFF;
+        for (let index = 0; index < data.length; index += 1)
+        {
+            crc = crcTable[(crc ^ data[index]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+
+    /**
+     * This method formats a color as a css hex color.
+     *
+     * @param {number} red The red value, from 0 to 255
+     * @param {number} green The green value, from 0 to 255
+     * @param {number} blue The blue value, from 0 to 255
+     * @return {string} The color, as "#rrggbb"
+     */
+    static toHexColor(red, green, blue)
+    {
+        return '#' + [red, green, blue].map((value) => (value < 16 ? '0' : '') + value.toString(16)).join('');
+    }
+}
+
+module.exports = EBImageMaskPNG;
@@ -0,0 +1,91 @@
+/*
+ Electric Brain is an easy to use platform for machine learning.
+ Copyright (C) 2016 Electric Brain Software Corporation
+
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU Affero General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU Affero General Public License for more details.
+
+ You should have received a copy of the GNU Affero General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+/**
+ * This class computes perceptual hashes of images. A perceptual hash stays the same, or
+ * nearly the same, when an image is resized, recompressed or lightly edited, so the number of
+ * bits that differ between two hashes, their hamming distance, measures how alike the images look.
+ *
+ * The hash used is the difference hash (dHash). The image is shrunk to a 9x8 greyscale grid,
+ * and each of the 64 bits records whether a pixel is brighter than its right neighbour. The
+ * EXIF orientation is applied first, so a photo stored sideways with an EXIF rotation matches
+ * the same photo stored upright.
+ * Hashes are written as 16 character hex strings.
+ *
+ * The shrinking is done with sharp by EBImageProcessor.computePerceptualHash, and this class
+ * computes the hash from the grid, so that it doesn't need sharp itself.
+ */
+class EBImagePerceptualHash
+{
+    /**
+     * This method computes the perceptual hash of an image that was shrunk to the grid size.
+     *
+     * @param {Buffer} data The greyscale pixels of the grid, row by row
+     * @param {number} channels The number of bytes per pixel, of which only the first is used
+     * @return {string} The hash, as a hex string
+     */
+    static hashGrid(data, channels)
+    {
+        const width = EBImagePerceptualHash.gridWidth;
+        let hash = '';
+        for (let y = 0; y < EBImagePerceptualHash.gridHeight; y += 1)
+        {
+            let byte = 0;
+            for (let x = 0; x < width - 1; x += 1)
+            {
+                const left = data[(y * width + x) * channels];
+                const right = data[(y * width + x + 1) * channels];
+                byte = (byte << 1) | (left > right ? 1 : 0);
+            }
+            hash += (byte < 16 ? '0' : '') + byte.toString(16);
+        }
+        return hash;
+    }
+
+
+    /**
+     * This method counts the bits that differ between two hashes.
+     *
+     * @param {string} first A hash from hashGrid
+     * @param {string} second Another hash from hashGrid
+     * @return {number} The hamming distance, from 0 for identical hashes to 64
+     */
+    static hammingDistance(first, second)
+    {
+        let distance = 0;
+        for (let index = 0; index < first.length; index += 8)
+        {
+            let difference = (parseInt(first.substr(index, 8), 16) ^ parseInt(second.substr(index, 8), 16)) >>> 0;
+            while (difference !== 0)
+            {
+                difference &= difference - 1;
+                distance += 1;
+            }
+        }
+        return distance;
+    }
+}
+
+// The size of the grid that the image is reduced to. The difference hash compares each
+// pixel with its right neighbour, so the grid is one pixel wider than the number of bits per row.
+EBImagePerceptualHash.gridWidth = 9;
+EBImagePerceptualHash.gridHeight = 8;
+
+module.exports = EBImagePerceptualHash;
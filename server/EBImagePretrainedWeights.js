@@ -0,0 +1,132 @@
+/*
+ Electric Brain is an easy to use platform for machine learning.
+ Copyright (C) 2016 Electric Brain Software Corporation
+
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU Affero General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU Affero General Public License for more details.
+
+ You should have received a copy of the GNU Affero General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const
+    EBImageTorchFile = require('./EBImageTorchFile'),
+    EBImageWeightsCompatibility = require('../client/js/image_weights_compatibility'),
+    fs = require('fs'),
+    path = require('path'),
+    Promise = require('bluebird');
+
+/**
+ * This class finds the pretrained weights that the image layers of a field start from.
+ *
+ * Weights files are Torch files, written with torch.save, holding a module whose top level
+ * modules match the configured layers one for one, such as the layers of a network that was
+ * trained earlier with the same configuration. They can come from:
+ *
+ *  - A file chosen by the user. Relative paths are resolved against the pretrained directory.
+ *  - The weights for an architecture preset, stored in the pretrained directory as <preset name>.t7
+ *
+ * The pretrained directory defaults to the EB_IMAGE_PRETRAINED_DIRECTORY environment variable,
+ * or the pretrained folder of this plugin if that isn't set. When weights are chosen, checkWeights
+ * compares the number of parameters in each of their layers with what EBImageWeightsCompatibility
+ * expects for the configured layers. Torch checks the exact sizes again as it loads them.
+ */
+class EBImagePretrainedWeights
+{
+    /**
+     * This method returns the weights file to load for a field, checking that it can be used.
+     *
+     * @param {object} configuration The interpretation configuration of the field
+     * @return {string} The absolute path of the weights file, or null if the field doesn't use pretrained weights
+     */
+    static getWeightsFileForConfiguration(configuration)
+    {
+        const source = configuration.pretrainedWeights || 'none';
+        if (source === 'none')
+        {
+            return null;
+        }
+
+        const errors = EBImageWeightsCompatibility.checkSettings(configuration);
+        if (errors.length > 0)
+        {
+            throw new Error(errors.join(' '));
+        }
+
+        const weightsFile = source === 'file'
+            ? path.resolve(EBImagePretrainedWeights.pretrainedDirectory, configuration.pretrainedWeightsFile)
+            : EBImagePretrainedWeights.getPresetWeightsFile(configuration.pretrainedPreset);
+        if (!fs.existsSync(weightsFile))
+        {
+            throw new Error(`The pretrained weights file ${weightsFile} does not exist.`);
+        }
+
+        return weightsFile;
+    }
+
+
+    /**
+     * This method checks that the pretrained weights chosen for a field match its layers.
+     *
+     * @param {object} configuration The interpretation configuration of the field
+     * @param {object} inputShape The shape of the images going into the layers, as {planes, width, height}
+     * @return {Promise} A promise that resolves to the absolute path of the weights file, or null if the
+     *                   field doesn't use pretrained weights. It rejects if the weights can't be used.
+     */
+    static checkWeights(configuration, inputShape)
+    {
+        return Promise.try(() => EBImagePretrainedWeights.getWeightsFileForConfiguration(configuration)).then((weightsFile) =>
+        {
+            if (!weightsFile)
+            {
+                return null;
+            }
+
+            return Promise.fromCallback((next) => fs.readFile(weightsFile, next)).then((buffer) =>
+            {
+                let modules = null;
+                try
+                {
+                    modules = EBImageTorchFile.readModuleParameterCounts(buffer);
+                }
+                catch (err)
+                {
+                    throw new Error(`The pretrained weights file ${weightsFile} could not be read: ${err.message}`);
+                }
+
+                const errors = EBImageWeightsCompatibility.compareWeights(modules, configuration.layers, inputShape);
+                if (errors.length > 0)
+                {
+                    throw new Error(`The pretrained weights in ${weightsFile} don't match the configured layers:\n${errors.join('\n')}`);
+                }
+                return weightsFile;
+            });
+        });
+    }
+
+
+    /**
+     * This method returns where the weights for an architecture preset are stored.
+     *
+     * @param {string} presetName The name of the preset
+     * @return {string} The path of the weights file, which may not exist
+     */
+    static getPresetWeightsFile(presetName)
+    {
+        return path.join(EBImagePretrainedWeights.pretrainedDirectory, `${presetName}.t7`);
+    }
+
+}
+
+EBImagePretrainedWeights.pretrainedDirectory = path.resolve(process.env.EB_IMAGE_PRETRAINED_DIRECTORY || path.join(__dirname, '..', 'pretrained'));
+
+module.exports = EBImagePretrainedWeights;
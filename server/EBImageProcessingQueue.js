@@ -0,0 +1,133 @@
+/*
+ Electric Brain is an easy to use platform for machine learning.
+ Copyright (C) 2016 Electric Brain Software Corporation
+
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU Affero General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU Affero General Public License for more details.
+
+ You should have received a copy of the GNU Affero General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const
+    os = require('os'),
+    Promise = require('bluebird');
+
+// The queues of the configured fields, keyed by their configuration, see forConfiguration
+const configurationQueues = new WeakMap();
+
+/**
+ * This class is a queue that limits how many promise-returning tasks run at the same time. It
+ * doesn't start any threads or processes of its own: tasks run on the main event loop as usual,
+ * and the queue only holds back the ones over the limit until earlier tasks settle.
+ *
+ * It is used for image processing because sharp already does its decoding, resizing and encoding
+ * on the libuv thread pool, so starting a pipeline for every sample in a batch at once just
+ * queues them up there while holding all of the decoded images in memory. Going through a queue
+ * keeps the number of images in flight bounded instead. The per-pixel work done in javascript
+ * on the small network sized bitmaps still runs on the main thread.
+ *
+ * Every field has its own queue, given by forConfiguration, which runs as many tasks at the same
+ * time as the processingConcurrency of the field's configuration.
+ */
+class EBImageProcessingQueue
+{
+    /**
+     * Constructor
+     *
+     * @param {number} concurrency The maximum number of tasks that can run at the same time
+     */
+    constructor(concurrency)
+    {
+        this.concurrency = concurrency;
+        this.running = 0;
+        this.waiting = [];
+    }
+
+
+    /**
+     * This method returns the queue for a field, creating it the first time. The concurrency
+     * is the processingConcurrency of the configuration, or defaultConcurrency if it isn't set,
+     * and is updated when the setting changes.
+     *
+     * @param {object} configuration The configuration of the field
+     * @return {EBImageProcessingQueue} The queue of the field
+     */
+    static forConfiguration(configuration)
+    {
+        const concurrency = configuration.processingConcurrency || EBImageProcessingQueue.defaultConcurrency;
+        if (!configurationQueues.has(configuration))
+        {
+            configurationQueues.set(configuration, new EBImageProcessingQueue(concurrency));
+        }
+
+        const queue = configurationQueues.get(configuration);
+        if (queue.concurrency !== concurrency)
+        {
+            queue.setConcurrency(concurrency);
+        }
+        return queue;
+    }
+
+
+    /**
+     * This method changes the maximum number of tasks that can run at the same time. Tasks
+     * that are already running are not affected.
+     *
+     * @param {number} concurrency The maximum number of tasks that can run at the same time
+     */
+    setConcurrency(concurrency)
+    {
+        this.concurrency = concurrency;
+        this.startWaitingTasks();
+    }
+
+
+    /**
+     * This method runs the given task as soon as there is room in the queue.
+     *
+     * @param {function} task A function that returns a promise
+     * @return {Promise} A promise that resolves or rejects with the result of the task
+     */
+    run(task)
+    {
+        return new Promise((resolve, reject) =>
+        {
+            this.waiting.push({task, resolve, reject});
+            this.startWaitingTasks();
+        });
+    }
+
+
+    /**
+     * This method starts as many waiting tasks as there is room for.
+     */
+    startWaitingTasks()
+    {
+        while (this.running < this.concurrency && this.waiting.length > 0)
+        {
+            const next = this.waiting.shift();
+            this.running += 1;
+
+            Promise.try(next.task).then(next.resolve, next.reject).finally(() =>
+            {
+                this.running -= 1;
+                this.startWaitingTasks();
+            });
+        }
+    }
+}
+
+// By default, process as many images at the same time as there are cores
+EBImageProcessingQueue.defaultConcurrency = Number(process.env.EB_IMAGE_PROCESSING_CONCURRENCY) || os.cpus().length;
+
+module.exports = EBImageProcessingQueue;
@@ -0,0 +1,474 @@
+/*
+ Electric Brain is an easy to use platform for machine learning.
+ Copyright (C) 2016 Electric Brain Software Corporation
+
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU Affero General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU Affero General Public License for more details.
+
+ You should have received a copy of the GNU Affero General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const
+    EBImagePerceptualHash = require('./EBImagePerceptualHash'),
+    EBImageRawBitmap = require('./EBImageRawBitmap'),
+    EBImageRejection = require('./EBImageRejection'),
+    sharp = require('sharp'),
+    Promise = require('bluebird');
+
+/**
+ * This class contains the sharp based operations used to prepare images for the neural network.
+ *
+ * Between operations, images are held as bitmaps, which are objects of the form
+ * {data, width, height}, where data is a Buffer with 4 bytes of RGBA for every pixel.
+ * sharp is used for the expensive work of decoding, resizing and encoding, while the
+ * cheap per-pixel work on the small network sized bitmaps is done directly in javascript.
+ */
+class EBImageProcessor
+{
+    /**
+     * This method decodes an image and resizes it to the network size using the given fit mode.
+     *
+     * @param {Buffer} value The encoded image
+     * @param {string} resizeMode One of 'stretch', 'centerCrop', 'letterbox' or 'randomCrop'
+     * @param {object} size An object with the width and height that the image should have
+     * @param {object} background The {r, g, b, a} color used to pad letterboxed images
+     * @param {EBImageRandom} [random] The random generator used for random crops
+     * @return {Promise} A promise that resolves to a bitmap
+     */
+    static decodeToSize(value, resizeMode, size, background, random)
+    {
+        return EBImageProcessor.decodeBaseImage(value, resizeMode, size, background).then((base) =>
+        {
+            return EBImageProcessor.finishBaseImage(base, resizeMode, size, random);
+        });
+    }
+
+
+    /**
+     * This method does the deterministic part of decodeToSize, which is all of it except for the
+     * random window of random crops. The result only depends on the image and the arguments,
+     * so it can be cached. Images are turned the right way up based on their EXIF orientation.
+     *
+     * @param {Buffer} value The encoded image
+     * @param {string} resizeMode One of 'stretch', 'centerCrop', 'letterbox' or 'randomCrop'
+     * @param {object} size An object with the width and height that the image should have
+     * @param {object} background The {r, g, b, a} color used to pad letterboxed images
+     * @return {Promise} A promise that resolves to a bitmap. For random crops, it covers the size rather than matching it.
+     */
+    static decodeBaseImage(value, resizeMode, size, background)
+    {
+        let image = null;
+        if (resizeMode === 'stretch')
+        {
+            image = sharp(value).rotate().resize(size.width, size.height).ignoreAspectRatio();
+        }
+        else if (resizeMode === 'centerCrop')
+        {
+            image = sharp(value).rotate().resize(size.width, size.height).crop(sharp.gravity.centre);
+        }
+        else if (resizeMode === 'letterbox')
+        {
+            image = sharp(value).rotate().resize(size.width, size.height).background(EBImageProcessor.toSharpColor(background)).embed();
+        }
+        else if (resizeMode === 'randomCrop')
+        {
+            // Scale the image so that it covers the network size. The window is taken from it afterwards.
+            image = sharp(value).rotate().resize(size.width, size.height).min();
+        }
+        else
+        {
+            return Promise.reject(new Error(`Unknown image resize mode: ${resizeMode}`));
+        }
+
+        return EBImageProcessor.toBitmap(image).catch((err) =>
+        {
+            throw EBImageRejection.create('corrupt', `The image could not be decoded: ${err.message}`);
+        });
+    }
+
+
+    /**
+     * This method decodes the header of an image, without decoding its pixels.
+     *
+     * @param {Buffer} image The encoded image
+     * @return {Promise} A promise that resolves to the sharp metadata for the image
+     */
+    static readHeader(image)
+    {
+        return Promise.resolve(sharp(image).metadata()).then((metadata) =>
+        {
+            if (!(metadata.width > 0 && metadata.height > 0))
+            {
+                throw new Error("The image has no dimensions.");
+            }
+            return metadata;
+        }).catch((err) =>
+        {
+            throw EBImageRejection.create('corrupt', `The image header could not be decoded: ${err.message}`);
+        });
+    }
+
+
+    /**
+     * This method checks an image against size limits, using only its header. This guards
+     * against decompression bombs, which are small files that decode to enormous images.
+     *
+     * @param {Buffer} image The encoded image
+     * @param {object} limits An object with maxBytes and maxPixels
+     * @return {Promise} A promise that resolves to the sharp metadata for the image
+     */
+    static validate(image, limits)
+    {
+        if (image.length > limits.maxBytes)
+        {
+            return Promise.reject(EBImageRejection.create('tooManyBytes', `The image is ${image.length} bytes, which is more than the limit of ${limits.maxBytes}.`));
+        }
+
+        return EBImageProcessor.readHeader(image).then((metadata) =>
+        {
+            const pixels = metadata.width * metadata.height;
+            if (pixels > limits.maxPixels)
+            {
+                throw EBImageRejection.create('tooManyPixels', `The image is ${metadata.width}x${metadata.height}, which is more than the limit of ${limits.maxPixels} pixels.`);
+            }
+            return metadata;
+        });
+    }
+
+
+    /**
+     * This method creates a bitmap filled with a single color.
+     *
+     * @param {object} size An object with the width and height of the bitmap
+     * @param {object} color The {r, g, b, a} color to fill it with
+     * @return {object} A new bitmap
+     */
+    static createBlankBitmap(size, color)
+    {
+        const data = new Buffer(size.width * size.height * 4);
+        for (let index = 0; index < data.length; index += 4)
+        {
+            data[index] = color.r;
+            data[index + 1] = color.g;
+            data[index + 2] = color.b;
+            data[index + 3] = color.a;
+        }
+        return {data, width: size.width, height: size.height};
+    }
+
+
+    /**
+     * This method turns a base image from decodeBaseImage into one of the network size.
+     *
+     * @param {object} base The bitmap produced by decodeBaseImage
+     * @param {string} resizeMode The resize mode that the base image was produced with
+     * @param {object} size An object with the width and height that the image should have
+     * @param {EBImageRandom} [random] The random generator used for random crops
+     * @return {object} A bitmap of the network size
+     */
+    static finishBaseImage(base, resizeMode, size, random)
+    {
+        if (resizeMode !== 'randomCrop')
+        {
+            return base;
+        }
+
+        const cropPointX = Math.floor(random.random() * (base.width - size.width + 1));
+        const cropPointY = Math.floor(random.random() * (base.height - size.height + 1));
+        return EBImageProcessor.cropBitmap(base, cropPointX, cropPointY, size.width, size.height);
+    }
+
+
+    /**
+     * This method copies a rectangle out of a bitmap.
+     *
+     * @param {object} bitmap The bitmap to crop
+     * @param {number} x The left edge of the rectangle
+     * @param {number} y The top edge of the rectangle
+     * @param {number} width The width of the rectangle
+     * @param {number} height The height of the rectangle
+     * @return {object} A new bitmap
+     */
+    static cropBitmap(bitmap, x, y, width, height)
+    {
+        const data = new Buffer(width * height * 4);
+        for (let row = 0; row < height; row += 1)
+        {
+            const start = ((y + row) * bitmap.width + x) * 4;
+            bitmap.data.copy(data, row * width * 4, start, start + width * 4);
+        }
+        return {data, width, height};
+    }
+
+
+    /**
+     * This method resizes a bitmap to exactly the given size, ignoring its aspect ratio.
+     *
+     * @param {object} bitmap The bitmap to resize
+     * @param {number} width The new width
+     * @param {number} height The new height
+     * @return {Promise} A promise that resolves to a new bitmap
+     */
+    static resizeBitmap(bitmap, width, height)
+    {
+        return EBImageProcessor.toBitmap(EBImageProcessor.fromBitmap(bitmap).resize(width, height).ignoreAspectRatio());
+    }
+
+
+    /**
+     * This method applies a gaussian blur to a bitmap.
+     *
+     * @param {object} bitmap The bitmap to blur
+     * @param {number} sigma The standard deviation of the gaussian, in pixels
+     * @return {Promise} A promise that resolves to a new bitmap
+     */
+    static blurBitmap(bitmap, sigma)
+    {
+        return EBImageProcessor.toBitmap(EBImageProcessor.fromBitmap(bitmap).blur(sigma));
+    }
+
+
+    /**
+     * This method computes the grey value of a pixel, using the Rec. 709 luma weights
+     *
+     * @param {number} red The red value of the pixel
+     * @param {number} green The green value of the pixel
+     * @param {number} blue The blue value of the pixel
+     * @return {number} The grey value of the pixel
+     */
+    static computeGreyValue(red, green, blue)
+    {
+        return 0.2126 * red + 0.7152 * green + 0.0722 * blue;
+    }
+
+
+    /**
+     * This method converts a bitmap to greyscale in place.
+     *
+     * @param {object} bitmap The bitmap to convert
+     * @return {object} The same bitmap
+     */
+    static greyscaleBitmap(bitmap)
+    {
+        const data = bitmap.data;
+        for (let index = 0; index < data.length; index += 4)
+        {
+            const grey = Math.round(EBImageProcessor.computeGreyValue(data[index], data[index + 1], data[index + 2]));
+            data[index] = grey;
+            data[index + 1] = grey;
+            data[index + 2] = grey;
+        }
+        return bitmap;
+    }
+
+
+    /**
+     * This method encodes a bitmap into the format that gets sent to the Lua code.
+     *
+     * @param {object} bitmap The bitmap to encode
+     * @param {string} encoding One of 'jpeg', 'png' or 'raw'
+     * @param {number} channels The number of channels to encode, either 1, 3 or 4
+     * @return {Promise} A promise that resolves to a Buffer
+     */
+    static encodeBitmap(bitmap, encoding, channels)
+    {
+        if (encoding === 'raw')
+        {
+            return Promise.resolve(EBImageRawBitmap.encode(bitmap, channels));
+        }
+
+        const image = sharp(EBImageProcessor.extractChannels(bitmap, channels), {
+            raw: {
+                width: bitmap.width,
+                height: bitmap.height,
+                channels: channels
+            }
+        });
+
+        if (channels === 1)
+        {
+            image.toColourspace('b-w');
+        }
+
+        if (encoding === 'png')
+        {
+            image.png();
+        }
+        else if (encoding === 'jpeg')
+        {
+            image.jpeg();
+        }
+        else
+        {
+            return Promise.reject(new Error(`Unknown image encoding: ${encoding}`));
+        }
+
+        return Promise.fromCallback((next) => image.toBuffer(next));
+    }
+
+
+    /**
+     * This method computes the perceptual hash of an image, as described in EBImagePerceptualHash.
+     *
+     * @param {Buffer} image The encoded image
+     * @return {Promise} A promise that resolves to the hash, as a hex string
+     */
+    static computePerceptualHash(image)
+    {
+        return Promise.fromCallback((next) =>
+        {
+            sharp(image).rotate().resize(EBImagePerceptualHash.gridWidth, EBImagePerceptualHash.gridHeight).ignoreAspectRatio().greyscale().raw().toBuffer(next);
+        }, {multiArgs: true}).spread((data, info) =>
+        {
+            // Images with alpha still come out with an extra channel, of which only the first is used
+            return EBImagePerceptualHash.hashGrid(data, info.channels);
+        });
+    }
+
+
+    /**
+     * This method produces a small thumbnail of an image, for storing as an example. The
+     * thumbnail is turned the right way up, and has none of the metadata of the image.
+     *
+     * @param {Buffer} value The encoded image
+     * @param {number} size The largest width or height of the thumbnail
+     * @return {Promise} A promise that resolves to a Buffer containing a JPEG
+     */
+    static createThumbnail(value, size)
+    {
+        return Promise.fromCallback((next) =>
+        {
+            sharp(value).rotate().resize(size, size).max().jpeg().toBuffer(next);
+        });
+    }
+
+
+    /**
+     * This method creates a sharp pipeline that reads from a bitmap.
+     *
+     * @param {object} bitmap The bitmap to read
+     * @return {sharp} The sharp pipeline
+     */
+    static fromBitmap(bitmap)
+    {
+        return sharp(bitmap.data, {
+            raw: {
+                width: bitmap.width,
+                height: bitmap.height,
+                channels: 4
+            }
+        });
+    }
+
+
+    /**
+     * This method runs a sharp pipeline and converts its output into a bitmap.
+     *
+     * @param {sharp} image The sharp pipeline to run
+     * @return {Promise} A promise that resolves to a bitmap
+     */
+    static toBitmap(image)
+    {
+        return Promise.fromCallback((next) =>
+        {
+            image.raw().toBuffer(next);
+        }, {multiArgs: true}).spread((data, info) =>
+        {
+            return {
+                data: EBImageProcessor.expandToRGBA(data, info.channels),
+                width: info.width,
+                height: info.height
+            };
+        });
+    }
+
+
+    /**
+     * This method converts raw pixels with any number of channels into RGBA.
+     *
+     * @param {Buffer} data The raw pixels
+     * @param {number} channels The number of channels in the data. 1 is grey, 2 is grey and alpha, 3 is RGB and 4 is RGBA.
+     * @return {Buffer} The RGBA pixels
+     */
+    static expandToRGBA(data, channels)
+    {
+        if (channels === 4)
+        {
+            return data;
+        }
+
+        const pixels = data.length / channels;
+        const rgba = new Buffer(pixels * 4);
+        for (let pixel = 0; pixel < pixels; pixel += 1)
+        {
+            const source = pixel * channels;
+            const target = pixel * 4;
+            if (channels >= 3)
+            {
+                rgba[target] = data[source];
+                rgba[target + 1] = data[source + 1];
+                rgba[target + 2] = data[source + 2];
+            }
+            else
+            {
+                rgba[target] = data[source];
+                rgba[target + 1] = data[source];
+                rgba[target + 2] = data[source];
+            }
+            rgba[target + 3] = channels === 2 ? data[source + 1] : 255;
+        }
+        return rgba;
+    }
+
+
+    /**
+     * This method takes the first channels of an RGBA bitmap as interleaved raw pixels
+     *
+     * @param {object} bitmap The bitmap to extract from
+     * @param {number} channels The number of channels to take, either 1, 3 or 4
+     * @return {Buffer} The raw pixels
+     */
+    static extractChannels(bitmap, channels)
+    {
+        if (channels === 4)
+        {
+            return bitmap.data;
+        }
+
+        const pixels = bitmap.width * bitmap.height;
+        const data = new Buffer(pixels * channels);
+        for (let pixel = 0; pixel < pixels; pixel += 1)
+        {
+            for (let channel = 0; channel < channels; channel += 1)
+            {
+                data[pixel * channels + channel] = bitmap.data[pixel * 4 + channel];
+            }
+        }
+        return data;
+    }
+
+
+    /**
+     * This method converts an {r, g, b, a} color with every component in the range 0-255
+     * into the form that sharp expects, where alpha is in the range 0-1.
+     *
+     * @param {object} color The color to convert
+     * @return {object} The color for sharp
+     */
+    static toSharpColor(color)
+    {
+        return {r: color.r, g: color.g, b: color.b, alpha: color.a / 255};
+    }
+}
+
+module.exports = EBImageProcessor;
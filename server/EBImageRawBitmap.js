@@ -0,0 +1,63 @@
+/*
+ Electric Brain is an easy to use platform for machine learning.
+ Copyright (C) 2016 Electric Brain Software Corporation
+
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU Affero General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU Affero General Public License for more details.
+
+ You should have received a copy of the GNU Affero General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+/**
+ * This class encodes bitmaps as raw uint8 pixels, the 'raw' encoding that images can be sent to
+ * the Lua code in. The Lua side is generated by EBNeuralNetworkImageComponent.generateTensorInputCode.
+ *
+ * It is kept apart from EBImageProcessor since it doesn't need sharp.
+ */
+class EBImageRawBitmap
+{
+    /**
+     * This method encodes a bitmap as raw uint8 pixels, with a small header in front. The
+     * header is the width and the height as big-endian uint16s, followed by the number of
+     * channels as a uint8. The pixels follow in planar order, that is channel by channel,
+     * then row by row, which matches the layout of Torch image tensors.
+     *
+     * @param {object} bitmap The bitmap to encode, as described in EBImageProcessor
+     * @param {number} channels The number of channels to encode, either 1, 3 or 4
+     * @return {Buffer} The encoded image
+     */
+    static encode(bitmap, channels)
+    {
+        const planeSize = bitmap.width * bitmap.height;
+        const buffer = new Buffer(EBImageRawBitmap.headerSize + channels * planeSize);
+        buffer.writeUInt16BE(bitmap.width, 0);
+        buffer.writeUInt16BE(bitmap.height, 2);
+        buffer.writeUInt8(channels, 4);
+
+        for (let pixel = 0; pixel < planeSize; pixel += 1)
+        {
+            for (let channel = 0; channel < channels; channel += 1)
+            {
+                // For greyscale images, the red channel holds the grey value
+                buffer[EBImageRawBitmap.headerSize + channel * planeSize + pixel] = bitmap.data[pixel * 4 + channel];
+            }
+        }
+
+        return buffer;
+    }
+}
+
+// The number of bytes in the header of raw encoded images
+EBImageRawBitmap.headerSize = 5;
+
+module.exports = EBImageRawBitmap;
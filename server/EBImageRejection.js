@@ -0,0 +1,50 @@
+/*
+ Electric Brain is an easy to use platform for machine learning.
+ Copyright (C) 2016 Electric Brain Software Corporation
+
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU Affero General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU Affero General Public License for more details.
+
+ You should have received a copy of the GNU Affero General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+/**
+ * This class creates the errors used to report images and masks that can't be used, such as
+ * files that aren't images or images that are over the size limits. These errors have a
+ * rejectionReason property, which is one of EBImageRejection.reasons. Any other error is a
+ * real failure. Masks can also be rejected with 'unknownLabel', see EBImageMaskInterpretation,
+ * but since that depends on the configured classes it never happens during analysis.
+ *
+ * It is kept apart from EBImageProcessor so that the modules decoding images without sharp,
+ * such as EBImageMaskPNG, can report rejections without loading it.
+ */
+class EBImageRejection
+{
+    /**
+     * This method creates the error used to report an image that can't be used.
+     *
+     * @param {string} reason One of the EBImageRejection.reasons
+     * @param {string} message The message for the error
+     * @return {Error} The error
+     */
+    static create(reason, message)
+    {
+        const error = new Error(message);
+        error.rejectionReason = reason;
+        return error;
+    }
+}
+
+EBImageRejection.reasons = ['unrecognized', 'corrupt', 'tooManyBytes', 'tooManyPixels'];
+
+module.exports = EBImageRejection;
@@ -0,0 +1,347 @@
+/*
+ Electric Brain is an easy to use platform for machine learning.
+ Copyright (C) 2016 Electric Brain Software Corporation
+
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU Affero General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU Affero General Public License for more details.
+
+ You should have received a copy of the GNU Affero General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const
+    EBImageRejection = require('./EBImageRejection'),
+    fileType = require('file-type'),
+    fs = require('fs'),
+    path = require('path'),
+    Promise = require('bluebird');
+
+// Matches data URIs holding base64 encoded images, capturing the data
+const dataURIExpression = /^data:image\/[a-zA-Z0-9.+-]+(;[a-zA-Z0-9=.+-]+)*;base64,([\s\S]*)$/;
+
+// Matches strings made only of base64 characters
+const base64Expression = /^[A-Za-z0-9+/\s]+={0,2}\s*$/;
+
+// Strings longer than this are never treated as file paths
+const maxPathLength = 4096;
+
+// The file extensions of the image formats that can be decoded, used to pick out file paths while detecting interpretations
+const imageFileExtensions = ['.bmp', '.gif', '.jpe', '.jpeg', '.jpg', '.png', '.tif', '.tiff', '.webp'];
+
+/**
+ * This class turns the different forms that an image can be stored in into the Buffer of
+ * encoded image bytes that the rest of the plugin works with. Images can be given as:
+ *
+ *  - A Buffer, used as is
+ *  - A data URI, such as "data:image/png;base64,iVBORw0..."
+ *  - A plain base64 string
+ *  - The path of an image file. When a field sets a root directory, paths are resolved
+ *    against it, and paths that lead outside of it are not accepted. Without one, absolute
+ *    paths are used as they are, and relative paths are resolved against the default root
+ *    directory in the same way.
+ *
+ * The default root directory is the EB_IMAGE_ROOT_DIRECTORY environment variable, or the
+ * working directory of the server if that isn't set.
+ *
+ * Images that can't be used are reported with the errors from EBImageRejection.
+ */
+class EBImageSource
+{
+    /**
+     * This method loads the image bytes for a value.
+     *
+     * @param {*} value The value holding the image
+     * @param {string} [rootDirectory] The directory that file paths are resolved against
+     * @return {Promise} A promise that resolves to a Buffer with the encoded image, or null
+     *                   if the value isn't an image in any of the supported forms.
+     */
+    static load(value, rootDirectory)
+    {
+        if (value instanceof Buffer)
+        {
+            return Promise.resolve(EBImageSource.isImage(value) ? value : null);
+        }
+        else if (typeof value !== 'string')
+        {
+            return Promise.resolve(null);
+        }
+
+        const dataURIMatch = dataURIExpression.exec(value);
+        if (dataURIMatch)
+        {
+            return Promise.resolve(EBImageSource.decodeBase64(dataURIMatch[2]));
+        }
+
+        if (base64Expression.test(value))
+        {
+            const decoded = EBImageSource.decodeBase64(value);
+            if (decoded)
+            {
+                return Promise.resolve(decoded);
+            }
+        }
+
+        return EBImageSource.loadFile(value, rootDirectory);
+    }
+
+
+    /**
+     * This method loads the image bytes for a value while detecting which interpretation a
+     * field has. It is the same as load, except that strings are only treated as file paths
+     * when they end with the extension of an image format, so that detection doesn't try to
+     * read a file for every string in the data.
+     *
+     * @param {*} value The value holding the image
+     * @param {string} [rootDirectory] The directory that file paths are resolved against
+     * @return {Promise} A promise that resolves to a Buffer with the encoded image, or null
+     *                   if the value isn't an image in any of the supported forms.
+     */
+    static loadForDetection(value, rootDirectory)
+    {
+        if (typeof value === 'string' && !EBImageSource.hasImageFileExtension(value))
+        {
+            const dataURIMatch = dataURIExpression.exec(value);
+            if (dataURIMatch)
+            {
+                return Promise.resolve(EBImageSource.decodeBase64(dataURIMatch[2]));
+            }
+            return Promise.resolve(base64Expression.test(value) ? EBImageSource.decodeBase64(value) : null);
+        }
+
+        return EBImageSource.load(value, rootDirectory);
+    }
+
+
+    /**
+     * This method returns whether a string ends with the file extension of an image format.
+     *
+     * @param {string} value The string to check
+     * @return {boolean} True if the string ends with an image file extension
+     */
+    static hasImageFileExtension(value)
+    {
+        return value.length <= maxPathLength && imageFileExtensions.indexOf(path.extname(value).toLowerCase()) !== -1;
+    }
+
+
+    /**
+     * This method loads the image bytes for a value, rejecting if it isn't an image.
+     *
+     * @param {*} value The value holding the image
+     * @param {string} [rootDirectory] The directory that file paths are resolved against
+     * @return {Promise} A promise that resolves to a Buffer with the encoded image
+     */
+    static loadRequired(value, rootDirectory)
+    {
+        return EBImageSource.load(value, rootDirectory).then((buffer) =>
+        {
+            if (!buffer)
+            {
+                throw EBImageRejection.create('unrecognized', `The value is not an image, a base64 encoded image, a data URI or the path of an image file: ${EBImageSource.describeValue(value)}`);
+            }
+            return buffer;
+        });
+    }
+
+
+    /**
+     * This method returns the format of an image, based on its leading bytes.
+     *
+     * @param {Buffer} image The encoded image
+     * @return {object} An object with the file extension as ext and the mime-type as mime, or null if it isn't recognized
+     */
+    static getFormat(image)
+    {
+        return fileType(image) || null;
+    }
+
+
+    /**
+     * This method checks whether an image holds an animation, meaning more than one frame.
+     * Only the first frame of an animation is used for the neural network. GIF files are
+     * animated when they contain more than one image descriptor, PNG files when they have
+     * an APNG animation control chunk, and WebP files when they have an animation chunk.
+     *
+     * @param {Buffer} image The encoded image
+     * @return {boolean} True if the image is animated
+     */
+    static isAnimated(image)
+    {
+        const format = EBImageSource.getFormat(image);
+        if (!format)
+        {
+            return false;
+        }
+        else if (format.ext === 'gif')
+        {
+            return EBImageSource.countGIFFrames(image) > 1;
+        }
+        else if (format.ext === 'png')
+        {
+            // The acTL chunk has to come before the image data, so only that part needs searching
+            const imageDataStart = image.indexOf('IDAT');
+            const animationControl = image.indexOf('acTL');
+            return animationControl !== -1 && (imageDataStart === -1 || animationControl < imageDataStart);
+        }
+        else if (format.ext === 'webp')
+        {
+            return image.indexOf('ANIM', 12) !== -1;
+        }
+        return false;
+    }
+
+
+    /**
+     * This method counts the frames in a GIF file by walking through its blocks.
+     *
+     * @param {Buffer} image The GIF file
+     * @return {number} The number of frames
+     */
+    static countGIFFrames(image)
+    {
+        // Skip the header, the logical screen descriptor and the global color table
+        const skipColorTable = (flags) => (flags & 0x80) ? 3 * Math.pow(2, (flags & 0x07) + 1) : 0;
+        const skipSubBlocks = (position) =>
+        {
+            while (position < image.length && image[position] !== 0)
+            {
+                position += image[position] + 1;
+            }
+            return position + 1;
+        };
+
+        let position = 13 + skipColorTable(image[10]);
+        let frames = 0;
+        while (position < image.length)
+        {
+            const blockType = image[position];
+            if (blockType === 0x2C)
+            {
+                // An image descriptor, followed by an optional local color table and the image data
+                frames += 1;
+                position = skipSubBlocks(position + 10 + skipColorTable(image[position + 9]) + 1);
+            }
+            else if (blockType === 0x21)
+            {
+                // An extension, made of sub-blocks after its label
+                position = skipSubBlocks(position + 2);
+            }
+            else
+            {
+                // The trailer, or bytes that can't be understood
+                break;
+            }
+        }
+        return frames;
+    }
+
+
+    /**
+     * This method decodes a base64 string, if it holds an image.
+     *
+     * @param {string} data The base64 string
+     * @return {Buffer} The image bytes, or null if they aren't an image
+     */
+    static decodeBase64(data)
+    {
+        const buffer = new Buffer(data.replace(/\s/g, ''), 'base64');
+        return EBImageSource.isImage(buffer) ? buffer : null;
+    }
+
+
+    /**
+     * This method reads an image file.
+     *
+     * @param {string} filePath The path of the file
+     * @param {string} [rootDirectory] The directory that the path is resolved against
+     * @return {Promise} A promise that resolves to the image bytes, or null if the file doesn't exist or isn't an image
+     */
+    static loadFile(filePath, rootDirectory)
+    {
+        const resolvedPath = EBImageSource.resolvePath(filePath, rootDirectory);
+        if (!resolvedPath)
+        {
+            return Promise.resolve(null);
+        }
+
+        return Promise.fromCallback((next) => fs.readFile(resolvedPath, next)).then((buffer) =>
+        {
+            return EBImageSource.isImage(buffer) ? buffer : null;
+        }, () => null);
+    }
+
+
+    /**
+     * This method resolves a file path against the root directory. Absolute paths are only
+     * checked against a root directory that was given, so that data sets which store absolute
+     * paths can be used without configuring one.
+     *
+     * @param {string} filePath The path of the file
+     * @param {string} [rootDirectory] The directory that the path is resolved against
+     * @return {string} The absolute path, or null if the string can't be a path within the root directory
+     */
+    static resolvePath(filePath, rootDirectory)
+    {
+        if (filePath.length === 0 || filePath.length > maxPathLength || /[\0\r\n]/.test(filePath))
+        {
+            return null;
+        }
+
+        if (!rootDirectory && path.isAbsolute(filePath))
+        {
+            return path.normalize(filePath);
+        }
+
+        const root = path.resolve(rootDirectory || EBImageSource.defaultRootDirectory);
+        const resolvedPath = path.resolve(root, filePath);
+        const relativePath = path.relative(root, resolvedPath);
+        if (relativePath.length === 0 || relativePath.split(path.sep)[0] === '..' || path.isAbsolute(relativePath))
+        {
+            return null;
+        }
+
+        return resolvedPath;
+    }
+
+
+    /**
+     * This method checks whether a Buffer holds an image, based on its leading bytes.
+     *
+     * @param {Buffer} buffer The data to check
+     * @return {boolean} True if the data has an image mime-type
+     */
+    static isImage(buffer)
+    {
+        const type = EBImageSource.getFormat(buffer);
+        return Boolean(type && type.mime.indexOf('image') === 0);
+    }
+
+
+    /**
+     * This method produces a short description of a value for error messages.
+     *
+     * @param {*} value The value to describe
+     * @return {string} The description
+     */
+    static describeValue(value)
+    {
+        if (typeof value === 'string')
+        {
+            return value.length > 64 ? `"${value.substr(0, 64)}..."` : `"${value}"`;
+        }
+        return value instanceof Buffer ? `Buffer of ${value.length} bytes` : String(value);
+    }
+}
+
+EBImageSource.defaultRootDirectory = process.env.EB_IMAGE_ROOT_DIRECTORY || process.cwd();
+
+module.exports = EBImageSource;
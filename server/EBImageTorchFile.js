@@ -0,0 +1,378 @@
+/*
+ Electric Brain is an easy to use platform for machine learning.
+ Copyright (C) 2016 Electric Brain Software Corporation
+
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU Affero General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU Affero General Public License for more details.
+
+ You should have received a copy of the GNU Affero General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+// The type tags that start every object in a Torch file, from torch7's File.lua
+const typeNil = 0;
+const typeNumber = 1;
+const typeString = 2;
+const typeTable = 3;
+const typeTorch = 4;
+const typeBoolean = 5;
+const typeFunction = 6;
+const typeLegacyRecurFunction = 7;
+const typeRecurFunction = 8;
+
+// The number of bytes in each element of each kind of storage, by the name of the storage type
+// without the "torch." and "Cuda" parts. Plain CudaStorage holds floats.
+const storageElementSizes = {
+    Byte: 1,
+    Char: 1,
+    Short: 2,
+    Int: 4,
+    Long: 8,
+    Float: 4,
+    Double: 8,
+    Half: 2,
+    '': 4
+};
+
+/**
+ * This class reads the structure of modules saved with torch.save, in the default binary
+ * format, so that pretrained weights can be checked against the configured layers without
+ * going through Torch.
+ *
+ * Only the structure is read. Tensors are given as objects of the form {torchClass, size},
+ * without their data, and other Torch objects, such as modules, as {torchClass, fields}.
+ * Lua tables become plain objects, with numeric keys turned into strings.
+ */
+class EBImageTorchFile
+{
+    /**
+     * Constructor
+     *
+     * @param {Buffer} buffer The contents of the Torch file
+     */
+    constructor(buffer)
+    {
+        this.buffer = buffer;
+        this.position = 0;
+
+        // The tables and Torch objects read so far, by their index, since later references to the same object only give the index
+        this.objects = new Map();
+    }
+
+
+    /**
+     * This method reads the first object in a Torch file.
+     *
+     * @param {Buffer} buffer The contents of the Torch file
+     * @return {*} The object
+     */
+    static read(buffer)
+    {
+        return new EBImageTorchFile(buffer).readObject();
+    }
+
+
+    /**
+     * This method reads a saved module and counts the parameters of each of the modules directly inside of it,
+     * the same way module:parameters() would find them.
+     *
+     * @param {Buffer} buffer The contents of the Torch file
+     * @return {[object]} An array with an entry of the form {torchClass, parameterCount} for each module in the saved container
+     */
+    static readModuleParameterCounts(buffer)
+    {
+        const container = EBImageTorchFile.read(buffer);
+        if (!container || !container.fields || !container.fields.modules)
+        {
+            throw new Error("The Torch file doesn't hold a container of modules.");
+        }
+
+        return EBImageTorchFile.listTable(container.fields.modules).map((module) =>
+        {
+            return {
+                torchClass: module && module.torchClass,
+                parameterCount: EBImageTorchFile.countParameters(module)
+            };
+        });
+    }
+
+
+    /**
+     * This method counts the parameters of a saved module. Like nn.Module:parameters(), these are the
+     * weight and bias of plain modules, and the parameters of all of the modules within containers.
+     *
+     * @param {object} module The module, as read by readObject
+     * @return {number} The number of parameter values
+     */
+    static countParameters(module)
+    {
+        if (!module || !module.fields)
+        {
+            return 0;
+        }
+        else if (module.fields.modules)
+        {
+            return EBImageTorchFile.listTable(module.fields.modules).reduce((total, nested) => total + EBImageTorchFile.countParameters(nested), 0);
+        }
+
+        return [module.fields.weight, module.fields.bias].reduce((total, tensor) =>
+        {
+            if (!tensor || !tensor.size)
+            {
+                return total;
+            }
+            return total + tensor.size.reduce((product, dimension) => product * dimension, tensor.size.length > 0 ? 1 : 0);
+        }, 0);
+    }
+
+
+    /**
+     * This method turns a Lua table used as a list, with the keys 1 to n, into an array.
+     *
+     * @param {object} table The table, as read by readObject
+     * @return {[*]} The values, in order
+     */
+    static listTable(table)
+    {
+        const values = [];
+        while (Object.prototype.hasOwnProperty.call(table, String(values.length + 1)))
+        {
+            values.push(table[String(values.length + 1)]);
+        }
+        return values;
+    }
+
+
+    /**
+     * This method reads the next object in the file.
+     *
+     * @return {*} The object
+     */
+    readObject()
+    {
+        const type = this.readInt();
+        if (type === typeNil)
+        {
+            return null;
+        }
+        else if (type === typeNumber)
+        {
+            return this.readDouble();
+        }
+        else if (type === typeString)
+        {
+            return this.readString();
+        }
+        else if (type === typeBoolean)
+        {
+            return this.readInt() === 1;
+        }
+        else if (type === typeTable || type === typeTorch || type === typeRecurFunction || type === typeLegacyRecurFunction)
+        {
+            const index = this.readInt();
+            if (this.objects.has(index))
+            {
+                return this.objects.get(index);
+            }
+
+            if (type === typeTable)
+            {
+                return this.readTable(index);
+            }
+            else if (type === typeTorch)
+            {
+                return this.readTorchObject(index);
+            }
+            return this.readFunction(index);
+        }
+        else if (type === typeFunction)
+        {
+            return this.readFunction(null);
+        }
+
+        throw new Error(`The Torch file has an object of unknown type ${type} at byte ${this.position - 4}.`);
+    }
+
+
+    /**
+     * This method reads the contents of a table.
+     *
+     * @param {number} index The index of the table, for later references to it
+     * @return {object} The table
+     */
+    readTable(index)
+    {
+        const table = {};
+        this.objects.set(index, table);
+
+        const size = this.readInt();
+        for (let entry = 0; entry < size; entry += 1)
+        {
+            const key = this.readObject();
+            table[String(key)] = this.readObject();
+        }
+        return table;
+    }
+
+
+    /**
+     * This method reads a Torch object, which is a tensor, a storage, or an object of a class such as a module.
+     *
+     * @param {number} index The index of the object, for later references to it
+     * @return {object} The object
+     */
+    readTorchObject(index)
+    {
+        // Files from Torch versions that didn't write a version give the class name straight away
+        let torchClass = this.readString();
+        if (torchClass.indexOf('V ') === 0)
+        {
+            torchClass = this.readString();
+        }
+
+        const object = {torchClass};
+        this.objects.set(index, object);
+
+        if (/Tensor$/.test(torchClass))
+        {
+            const dimensions = this.readInt();
+            object.size = [];
+            for (let dimension = 0; dimension < dimensions; dimension += 1)
+            {
+                object.size.push(this.readLong());
+            }
+
+            // The strides and the storage offset, followed by the storage itself
+            this.skip(dimensions * 8 + 8);
+            this.readObject();
+        }
+        else if (/Storage$/.test(torchClass))
+        {
+            const elementType = torchClass.replace(/^torch\./, '').replace(/^Cuda/, '').replace(/Storage$/, '');
+            if (!storageElementSizes.hasOwnProperty(elementType))
+            {
+                throw new Error(`The Torch file has a storage of unknown type ${torchClass}.`);
+            }
+            this.skip(this.readLong() * storageElementSizes[elementType]);
+        }
+        else
+        {
+            object.fields = this.readObject();
+        }
+        return object;
+    }
+
+
+    /**
+     * This method reads a Lua function, which is kept as compiled bytecode along with its upvalues.
+     *
+     * @param {number} index The index of the function, for later references to it, or null for functions that can't be referenced
+     * @return {object} An object standing in for the function
+     */
+    readFunction(index)
+    {
+        const fn = {torchClass: 'function'};
+        if (index !== null)
+        {
+            this.objects.set(index, fn);
+        }
+
+        this.skip(this.readInt());
+        this.readObject();
+        return fn;
+    }
+
+
+    /**
+     * This method reads a string, stored as its length followed by its bytes.
+     *
+     * @return {string} The string
+     */
+    readString()
+    {
+        const length = this.readInt();
+        this.checkAvailable(length);
+        const value = this.buffer.toString('binary', this.position, this.position + length);
+        this.position += length;
+        return value;
+    }
+
+
+    /**
+     * This method reads a 32 bit integer.
+     *
+     * @return {number} The integer
+     */
+    readInt()
+    {
+        this.checkAvailable(4);
+        const value = this.buffer.readInt32LE(this.position);
+        this.position += 4;
+        return value;
+    }
+
+
+    /**
+     * This method reads a 64 bit integer. Values beyond 2^53 lose precision, which doesn't matter for sizes.
+     *
+     * @return {number} The integer
+     */
+    readLong()
+    {
+        this.checkAvailable(8);
+        const value = this.buffer.readInt32LE(this.position + 4) * 4294967296 + this.buffer.readUInt32LE(this.position);
+        this.position += 8;
+        return value;
+    }
+
+
+    /**
+     * This method reads a double.
+     *
+     * @return {number} The number
+     */
+    readDouble()
+    {
+        this.checkAvailable(8);
+        const value = this.buffer.readDoubleLE(this.position);
+        this.position += 8;
+        return value;
+    }
+
+
+    /**
+     * This method moves past the given number of bytes.
+     *
+     * @param {number} length The number of bytes
+     */
+    skip(length)
+    {
+        this.checkAvailable(length);
+        this.position += length;
+    }
+
+
+    /**
+     * This method checks that the given number of bytes is left in the file.
+     *
+     * @param {number} length The number of bytes
+     */
+    checkAvailable(length)
+    {
+        if (length < 0 || this.position + length > this.buffer.length)
+        {
+            throw new Error("The Torch file ends unexpectedly. It may be truncated, or not a file written by torch.save.");
+        }
+    }
+}
+
+module.exports = EBImageTorchFile;
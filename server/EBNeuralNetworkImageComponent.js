@@ -20,7 +20,11 @@
 
 const
     assert = require('assert'),
+    EBImageInterpretation = require('./EBImageInterpretation'),
+    EBImageLayerShapeInference = require('../client/js/image_layer_shape_inference'),
+    EBImagePretrainedWeights = require('./EBImagePretrainedWeights'),
     EBNeuralNetworkComponentBase = require('./../../../shared/components/architecture/EBNeuralNetworkComponentBase'),
+    EBTorchCustomModule = require('../../../shared/models/EBTorchCustomModule'),
     EBTorchModule = require('../../../shared/models/EBTorchModule'),
     EBTorchNode = require('../../../shared/models/EBTorchNode'),
     EBTensorSchema = require('../../../shared/models/EBTensorSchema'),
@@ -91,24 +95,87 @@ class EBNeuralNetworkImageComponent extends EBNeuralNetworkComponentBase
         assert(schema.isField);
         assert(schema.metadata.mainInterpretation === 'image');
 
+        const channels = EBNeuralNetworkImageComponent.getImageChannelsForSchema(schema);
+        const normalization = EBImageInterpretation.getNormalizationForSchema(schema);
+        const encoding = EBImageInterpretation.getEncodingForSchema(schema);
+
         let code = '';
         code += `local ${name} = function (input)\n`;
         code += `    local decoded = mime.unb64(input)\n`;
         code += `    local bytes = torch.ByteStorage()\n`;
         code += `    bytes:string(decoded)\n`;
         code += `    local tensor = torch.ByteTensor(bytes)\n`;
-        code += `    return image.decompress(tensor, 3)\n`;
+        if (encoding === 'raw')
+        {
+            // See EBImageRawBitmap.encode for the layout of the header
+            code += `    local width = tensor[1] * 256 + tensor[2]\n`;
+            code += `    local height = tensor[3] * 256 + tensor[4]\n`;
+            code += `    local channels = tensor[5]\n`;
+            code += `    local pixels = tensor:narrow(1, 6, channels * height * width):view(channels, height, width):float()\n`;
+        }
+        else
+        {
+            code += `    local pixels = image.decompress(tensor, ${channels}, 'byte'):float()\n`;
+        }
+        if (normalization)
+        {
+            code += `    local mean = {${normalization.mean.join(', ')}}\n`;
+            code += `    local std = {${normalization.std.join(', ')}}\n`;
+            code += `    for channel = 1, ${channels} do\n`;
+            code += `        pixels[channel]:add(-mean[channel]):div(std[channel])\n`;
+            code += `    end\n`;
+        }
+        code += `    return pixels\n`;
         code += `end\n`;
         return code;
     }
 
 
     /**
-     * Method generates Lua code to turn this variable back into a tensor
+     * Method generates Lua code to turn the tensor the network produces for this variable back into
+     * its JSON value, which is the image encoded as a base64 PNG or JPEG. See
+     * EBImageInterpretation.getOutputEncodingForSchema for which format is used.
+     *
+     * The normalization applied to input images is undone, so that a network trained to reproduce
+     * its target images produces images with the same colors.
+     *
+     * @param {EBSchema} schema The schema to generate this conversion code for.
+     * @param {string} name The name of the lua function to be generated.
      */
-    generateTensorOutputCode()
+    generateTensorOutputCode(schema, name)
     {
-        throw new Error("Cant create output code for the image neural network component");
+        // First, ensure that the schema we are dealing with is an image
+        assert(schema.isField);
+        assert(schema.metadata.mainInterpretation === 'image');
+
+        const channels = EBNeuralNetworkImageComponent.getImageChannelsForSchema(schema);
+        const normalization = EBImageInterpretation.getNormalizationForSchema(schema);
+        const outputEncoding = EBImageInterpretation.getOutputEncodingForSchema(schema);
+
+        let code = '';
+        code += `local ${name} = function (output)\n`;
+        code += `    local pixels = output:float():clone()\n`;
+        if (normalization)
+        {
+            code += `    local mean = {${normalization.mean.join(', ')}}\n`;
+            code += `    local std = {${normalization.std.join(', ')}}\n`;
+            code += `    for channel = 1, ${channels} do\n`;
+            code += `        pixels[channel]:mul(std[channel]):add(mean[channel])\n`;
+            code += `    end\n`;
+        }
+        // Torch's image compression expects values between 0 and 1
+        code += `    pixels:clamp(0, 255):div(255)\n`;
+        if (outputEncoding.format === 'jpeg')
+        {
+            code += `    local compressed = image.compressJPG(pixels, ${outputEncoding.quality})\n`;
+        }
+        else
+        {
+            code += `    local compressed = image.compressPNG(pixels)\n`;
+        }
+        code += `    return mime.b64(compressed:storage():string())\n`;
+        code += `end\n`;
+        return code;
     }
 
 
@@ -125,13 +192,15 @@ class EBNeuralNetworkImageComponent extends EBNeuralNetworkComponentBase
         assert(schema.isField);
         assert(schema.metadata.mainInterpretation === 'image');
 
+        const channels = EBNeuralNetworkImageComponent.getImageChannelsForSchema(schema);
+
         let code = '';
 
         code += `local ${name} = function (input)\n`;
         code += `    local height, width = input[1]:size(2), input[1]:size(3)\n`;
-        code += `    local batch = torch.zeros(#samples,3,height ,width )\n`;
+        code += `    local batch = torch.zeros(#input, ${channels}, height, width)\n`;
         code += `    for k,v in pairs(input) do\n`;
-        code += `        batch:narrow(1, k , 1):copy(input[k]:view(1, 3, height, width))\n`;
+        code += `        batch:narrow(1, k , 1):copy(input[k]:view(1, ${channels}, height, width))\n`;
         code += `    end\n`;
         code += `    return batch\n`;
         code += `end\n`;
@@ -157,8 +226,8 @@ class EBNeuralNetworkImageComponent extends EBNeuralNetworkComponentBase
 
         code += `local ${name} = function (input)\n`;
         code += `    local samples = {}\n`;
-        code += `    for k,v in pairs(input) do\n`;
-        code += `        table.insert(samples, input[k]:narrow(2, k, 1))\n`;
+        code += `    for k = 1, input:size(1) do\n`;
+        code += `        table.insert(samples, input[k])\n`;
         code += `    end\n`;
         code += `    return samples\n`;
         code += `end\n`;
@@ -182,20 +251,187 @@ class EBNeuralNetworkImageComponent extends EBNeuralNetworkComponentBase
     generateInputStack(schema, inputNode)
     {
         const name = schema.variableName;
-        const Nconfiguration = schema.configuration.interpretation;
+        const Nconfiguration = EBImageInterpretation.getConfigurationForSchema(schema);
 
         const size = EBNeuralNetworkImageComponent.getImageSizeForSchema(schema);
-        let width = size.width;
-        let height = size.height;
-        let lastConvLayerKernelSize = null;
+        const channels = EBNeuralNetworkImageComponent.getImageChannelsForSchema(schema);
+
+        // Check the whole stack of layers before generating anything, so that
+        // impossible configurations are reported clearly rather than failing inside Torch
+        const inputShape = {
+            planes: channels,
+            width: size.width,
+            height: size.height
+        };
+        const outputShape = EBImageLayerShapeInference.computeOutputShape(Nconfiguration.layers, inputShape);
+
+        const torchModules = EBNeuralNetworkImageComponent.generateLayerModules(Nconfiguration.layers, inputShape);
+
+        // With pretrained weights, the layers go into a container that loads the weights and freezes the first layers
+        const weightsFile = EBImagePretrainedWeights.getWeightsFileForConfiguration(Nconfiguration);
+        const additionalModules = [];
+        let stackModule = null;
+        if (weightsFile)
+        {
+            stackModule = new EBTorchModule("nn.EBPretrainedImageStack", [weightsFile, Nconfiguration.frozenLayerCount || 0], torchModules);
+            additionalModules.push(new EBTorchCustomModule("EBPretrainedImageStack", EBNeuralNetworkImageComponent.generatePretrainedStackCode()));
+        }
+        else
+        {
+            stackModule = new EBTorchModule("nn.Sequential", [], torchModules);
+        }
+
+        const convStack = new EBTorchNode(stackModule, inputNode, `${name}_convStack`);
+
+        const outputSize = outputShape.planes * outputShape.width * outputShape.height;
+
+        const reshape = new EBTorchNode(new EBTorchModule("nn.Reshape", [outputSize]), convStack, `${name}_reshape`);
+
+        return {
+            outputNode: reshape,
+            outputTensorSchema: EBTensorSchema.generateDataTensorSchema(outputSize, `${name}_convNetOutput`),
+            additionalModules: additionalModules
+        };
+    }
+
+
+    /**
+     * This method generates the Lua code for nn.EBPretrainedImageStack, a container that runs its
+     * layers in sequence like nn.Sequential. Before its first forward pass, it loads the layers'
+     * parameters from a weights file, after checking that every layer in the file has the same type
+     * and parameter sizes as the configured layer.
+     *
+     * The first frozenLayerCount layers are frozen by never accumulating gradients for their parameters,
+     * so the optimizer leaves them alone, while gradients still flow through them. Frozen layers also
+     * stay in evaluation mode, so batch normalization keeps its pretrained running statistics.
+     *
+     * @returns {string} The Lua code
+     */
+    static generatePretrainedStackCode()
+    {
+        let code = '';
+        code += `-- The class is only created once, even when several image fields use pretrained weights\n`;
+        code += `if nn.EBPretrainedImageStack == nil then\n`;
+        code += `    local EBPretrainedImageStack, parent = torch.class('nn.EBPretrainedImageStack', 'nn.Sequential')\n`;
+        code += `\n`;
+        code += `    function EBPretrainedImageStack:__init(weightsFile, frozenLayerCount)\n`;
+        code += `        parent.__init(self)\n`;
+        code += `        self.weightsFile = weightsFile\n`;
+        code += `        self.frozenLayerCount = frozenLayerCount\n`;
+        code += `        self.weightsLoaded = false\n`;
+        code += `    end\n`;
+        code += `\n`;
+        code += `    local describeSize = function (tensor)\n`;
+        code += `        return table.concat(tensor:size():totable(), 'x')\n`;
+        code += `    end\n`;
+        code += `\n`;
+        code += `    function EBPretrainedImageStack:loadWeights()\n`;
+        code += `        local loaded, pretrained = pcall(torch.load, self.weightsFile)\n`;
+        code += `        if not loaded then\n`;
+        code += `            error('Could not load the pretrained image weights from ' .. self.weightsFile .. ': ' .. tostring(pretrained))\n`;
+        code += `        end\n`;
+        code += `        if type(pretrained) ~= 'table' or type(pretrained.modules) ~= 'table' or #pretrained.modules ~= #self.modules then\n`;
+        code += `            error(string.format('The pretrained image weights in %s must be a module holding %d layers, to match the configured layers', self.weightsFile, #self.modules))\n`;
+        code += `        end\n`;
+        code += `\n`;
+        code += `        -- Check every layer before copying anything, so that a bad file leaves the layers untouched\n`;
+        code += `        for index, module in ipairs(self.modules) do\n`;
+        code += `            local source = pretrained.modules[index]\n`;
+        code += `            if torch.typename(source) ~= torch.typename(module) then\n`;
+        code += `                error(string.format('Layer %d of the pretrained image weights is %s, but the configured layer is %s', index, tostring(torch.typename(source)), torch.typename(module)))\n`;
+        code += `            end\n`;
+        code += `            local parameters = module:parameters() or {}\n`;
+        code += `            local sourceParameters = source:parameters() or {}\n`;
+        code += `            if #parameters ~= #sourceParameters then\n`;
+        code += `                error(string.format('Layer %d (%s) of the pretrained image weights has %d parameter tensors, but the configured layer has %d', index, torch.typename(module), #sourceParameters, #parameters))\n`;
+        code += `            end\n`;
+        code += `            for parameterIndex = 1, #parameters do\n`;
+        code += `                if not parameters[parameterIndex]:isSameSizeAs(sourceParameters[parameterIndex]) then\n`;
+        code += `                    error(string.format('Layer %d (%s) of the pretrained image weights has parameters of size %s, but the configured layer needs %s', index, torch.typename(module), describeSize(sourceParameters[parameterIndex]), describeSize(parameters[parameterIndex])))\n`;
+        code += `                end\n`;
+        code += `            end\n`;
+        code += `        end\n`;
+        code += `\n`;
+        code += `        for index, module in ipairs(self.modules) do\n`;
+        code += `            local source = pretrained.modules[index]\n`;
+        code += `            local parameters = module:parameters() or {}\n`;
+        code += `            local sourceParameters = source:parameters() or {}\n`;
+        code += `            for parameterIndex = 1, #parameters do\n`;
+        code += `                parameters[parameterIndex]:copy(sourceParameters[parameterIndex])\n`;
+        code += `            end\n`;
+        code += `            -- Batch normalization keeps its running statistics outside of its parameters\n`;
+        code += `            if module.running_mean and source.running_mean then\n`;
+        code += `                module.running_mean:copy(source.running_mean)\n`;
+        code += `                module.running_var:copy(source.running_var)\n`;
+        code += `            end\n`;
+        code += `        end\n`;
+        code += `        self.weightsLoaded = true\n`;
+        code += `    end\n`;
+        code += `\n`;
+        code += `    function EBPretrainedImageStack:updateOutput(input)\n`;
+        code += `        if not self.weightsLoaded then\n`;
+        code += `            self:loadWeights()\n`;
+        code += `        end\n`;
+        code += `        return parent.updateOutput(self, input)\n`;
+        code += `    end\n`;
+        code += `\n`;
+        code += `    function EBPretrainedImageStack:backward(input, gradOutput, scale)\n`;
+        code += `        local currentGradOutput = gradOutput\n`;
+        code += `        for index = #self.modules, 1, -1 do\n`;
+        code += `            local previousOutput = index > 1 and self.modules[index - 1].output or input\n`;
+        code += `            if index > self.frozenLayerCount then\n`;
+        code += `                currentGradOutput = self.modules[index]:backward(previousOutput, currentGradOutput, scale)\n`;
+        code += `            else\n`;
+        code += `                currentGradOutput = self.modules[index]:updateGradInput(previousOutput, currentGradOutput)\n`;
+        code += `            end\n`;
+        code += `        end\n`;
+        code += `        self.gradInput = currentGradOutput\n`;
+        code += `        return currentGradOutput\n`;
+        code += `    end\n`;
+        code += `\n`;
+        code += `    function EBPretrainedImageStack:accGradParameters(input, gradOutput, scale)\n`;
+        code += `        local currentGradOutput = gradOutput\n`;
+        code += `        for index = #self.modules, 1, -1 do\n`;
+        code += `            local previousOutput = index > 1 and self.modules[index - 1].output or input\n`;
+        code += `            if index > self.frozenLayerCount then\n`;
+        code += `                self.modules[index]:accGradParameters(previousOutput, currentGradOutput, scale)\n`;
+        code += `            end\n`;
+        code += `            currentGradOutput = self.modules[index].gradInput\n`;
+        code += `        end\n`;
+        code += `    end\n`;
+        code += `\n`;
+        code += `    function EBPretrainedImageStack:training()\n`;
+        code += `        parent.training(self)\n`;
+        code += `        for index = 1, math.min(self.frozenLayerCount, #self.modules) do\n`;
+        code += `            self.modules[index]:evaluate()\n`;
+        code += `        end\n`;
+        code += `    end\n`;
+        code += `end\n`;
+        return code;
+    }
+
+
+
+    /**
+     * This method generates the Torch modules for a list of layers. Blocks are
+     * generated recursively, with their nested layers wrapped in nn.Sequential containers.
+     *
+     * @param {[object]} layers The layers from the interpretation configuration
+     * @param {object} inputShape The shape going into the first layer, as {planes, width, height}
+     * @returns {[EBTorchModule]} The modules, in order
+     */
+    static generateLayerModules(layers, inputShape)
+    {
+        const layerShapes = EBImageLayerShapeInference.computeLayerShapes(layers, inputShape).shapes;
+        const generateSequential = (nestedLayers, nestedInputShape) => new EBTorchModule('nn.Sequential', [], EBNeuralNetworkImageComponent.generateLayerModules(nestedLayers, nestedInputShape));
+
         const torchModules = [];
-        Nconfiguration.layers.forEach(function(entry) {
+        layers.forEach(function(entry, index) {
+            const entryInputShape = index === 0 ? inputShape : layerShapes[index - 1];
             if (entry.layerType === 'convolution')
             {
                 const convModule = new EBTorchModule('nn.SpatialConvolution', [entry.nInputPlane, entry.nOutputPlane, entry.kernelWidth,entry.kernelHeight,entry.stepWidth,entry.stepHeight,entry.paddingWidth,entry.paddingHeight]);
-                // console.log(convModule);
                 torchModules.push(convModule);
-                lastConvLayerKernelSize = entry.nOutputPlane;
             }
             else if (entry.layerType === 'batchnormalization')
             {
@@ -216,36 +452,145 @@ class EBNeuralNetworkImageComponent extends EBNeuralNetworkComponentBase
             {
                 const maxpoolModule = new EBTorchModule('nn.SpatialMaxPooling', [entry.nKernelWidth, entry.nKernelHeight, entry.nStepWidth,entry.nStepHeight]);
                 torchModules.push(maxpoolModule);
-
-                // Chop width and height in half after the pooling
-                width = Math.floor(width / 2);
-                height = Math.floor(height / 2);
+            }
+            else if (entry.layerType === 'averagepooling')
+            {
+                torchModules.push(new EBTorchModule('nn.SpatialAveragePooling', [entry.nKernelWidth, entry.nKernelHeight, entry.nStepWidth, entry.nStepHeight]));
+            }
+            else if (entry.layerType === 'globalaveragepooling')
+            {
+                // Average over a window the size of the whole input, leaving one value per plane
+                torchModules.push(new EBTorchModule('nn.SpatialAveragePooling', [entryInputShape.width, entryInputShape.height, 1, 1]));
+            }
+            else if (entry.layerType === 'leakyrelu')
+            {
+                torchModules.push(new EBTorchModule('nn.LeakyReLU', [entry.nNegativeSlope]));
+            }
+            else if (entry.layerType === 'elu')
+            {
+                torchModules.push(new EBTorchModule('nn.ELU', [entry.nAlpha]));
+            }
+            else if (entry.layerType === 'prelu')
+            {
+                torchModules.push(new EBTorchModule('nn.PReLU', [entry.nOutputPlane]));
+            }
+            else if (entry.layerType === 'tanh')
+            {
+                torchModules.push(new EBTorchModule('nn.Tanh', []));
+            }
+            else if (entry.layerType === 'sigmoid')
+            {
+                torchModules.push(new EBTorchModule('nn.Sigmoid', []));
+            }
+            else if (entry.layerType === 'spatialdropout')
+            {
+                torchModules.push(new EBTorchModule('nn.SpatialDropout', [entry.nRatio]));
+            }
+            else if (entry.layerType === 'dilatedconvolution')
+            {
+                torchModules.push(new EBTorchModule('nn.SpatialDilatedConvolution', [entry.nInputPlane, entry.nOutputPlane, entry.kernelWidth, entry.kernelHeight, entry.stepWidth, entry.stepHeight, entry.paddingWidth, entry.paddingHeight, entry.dilationWidth, entry.dilationHeight]));
+            }
+            else if (entry.layerType === 'depthwiseconvolution')
+            {
+                // Torch calls the depth multiplier nOutputPlane, giving nInputPlane * nOutputPlane planes in total
+                torchModules.push(new EBTorchModule('nn.SpatialDepthWiseConvolution', [entry.nInputPlane, entry.depthMultiplier, entry.kernelWidth, entry.kernelHeight, entry.stepWidth, entry.stepHeight, entry.paddingWidth, entry.paddingHeight]));
+            }
+            else if (entry.layerType === 'fullconvolution')
+            {
+                torchModules.push(new EBTorchModule('nn.SpatialFullConvolution', [entry.nInputPlane, entry.nOutputPlane, entry.kernelWidth, entry.kernelHeight, entry.stepWidth, entry.stepHeight, entry.paddingWidth, entry.paddingHeight, entry.adjWidth, entry.adjHeight]));
+            }
+            else if (entry.layerType === 'upsampling')
+            {
+                torchModules.push(new EBTorchModule('nn.SpatialUpSamplingNearest', [entry.scaleFactor]));
+            }
+            else if (entry.layerType === 'lrn')
+            {
+                torchModules.push(new EBTorchModule('nn.SpatialCrossMapLRN', [entry.size, entry.alpha, entry.beta, entry.k]));
+            }
+            else if (entry.layerType === 'residual')
+            {
+                // Run the input through both paths, then add their outputs together
+                const shortcutLayers = entry.shortcutLayers || [];
+                const shortcut = shortcutLayers.length > 0 ? generateSequential(shortcutLayers, entryInputShape) : new EBTorchModule('nn.Identity', []);
+                const paths = new EBTorchModule('nn.ConcatTable', [], [generateSequential(entry.layers, entryInputShape), shortcut]);
+                torchModules.push(new EBTorchModule('nn.Sequential', [], [paths, new EBTorchModule('nn.CAddTable', [])]));
+            }
+            else if (entry.layerType === 'concat')
+            {
+                // Run the input through every branch, then join their outputs along the planes. JoinTable
+                // is told that a single image has 3 dimensions, so that it joins along the first dimension
+                // of unbatched images and the second dimension of batched ones.
+                const branches = entry.layers.map((branch) => generateSequential(branch.layers, entryInputShape));
+                const paths = new EBTorchModule('nn.ConcatTable', [], branches);
+                torchModules.push(new EBTorchModule('nn.Sequential', [], [paths, new EBTorchModule('nn.JoinTable', [1, 3])]));
             }
         });
+        return torchModules;
+    }
+
+
+    /**
+     * This method generates the output stack for this variable, which turns the values coming out of
+     * the rest of the network into an image of the configured size and channels. The values go
+     * through a linear layer, are reshaped into the seed image, and are then upsampled by the
+     * output layers. See EBImageInterpretation.getOutputStackForSchema.
+     *
+     * @param {EBSchema} schema The schema to generate this stack for
+     * @param {EBTorchNode} inputNode The node producing the values this stack starts from
+     * @param {EBTensorSchema} inputTensorSchema The tensor schema of the values coming out of the input node
+     * @returns {object} An object with the following structure:
+     *                      {
+     *                          "outputNode": EBTorchNode || null,
+     *                          "outputTensorSchema": EBTensorSchema || null,
+     *                          "additionalModules": [EBCustomModule]
+     *                      }
+     */
+    generateOutputStack(schema, inputNode, inputTensorSchema)
+    {
+        const name = schema.variableName;
+        const size = EBNeuralNetworkImageComponent.getImageSizeForSchema(schema);
+        const channels = EBNeuralNetworkImageComponent.getImageChannelsForSchema(schema);
+        const outputStack = EBImageInterpretation.getOutputStackForSchema(schema);
+
+        // Check the output layers before generating anything, the same as the input layers
+        const imageShape = {
+            planes: channels,
+            width: size.width,
+            height: size.height
+        };
+        const errors = EBImageLayerShapeInference.summarizeOutputStack(outputStack.layers, outputStack.seedShape, imageShape).errors;
+        if (errors.length > 0)
+        {
+            throw new Error(`Invalid image output layer configuration:\n${errors.join('\n')}`);
+        }
 
-        const convStack = new EBTorchNode(new EBTorchModule("nn.Sequential", [], torchModules), inputNode, `${name}_convStack`);
+        const seedShape = outputStack.seedShape;
+        const inputSize = EBNeuralNetworkImageComponent.getTensorSchemaSize(inputTensorSchema);
+        const seedSize = seedShape.planes * seedShape.height * seedShape.width;
 
-        const outputSize = lastConvLayerKernelSize * width * height;
+        const linear = new EBTorchNode(new EBTorchModule("nn.Linear", [inputSize, seedSize]), inputNode, `${name}_seedLinear`);
+        const seed = new EBTorchNode(new EBTorchModule("nn.Reshape", [seedShape.planes, seedShape.height, seedShape.width]), linear, `${name}_seed`);
 
-        const reshape = new EBTorchNode(new EBTorchModule("nn.Reshape", [outputSize]), convStack, `${name}_reshape`);
+        const torchModules = EBNeuralNetworkImageComponent.generateLayerModules(outputStack.layers, seedShape);
+        const outputLayers = new EBTorchNode(new EBTorchModule("nn.Sequential", [], torchModules), seed, `${name}_outputStack`);
 
         return {
-            outputNode: reshape,
-            outputTensorSchema: EBTensorSchema.generateDataTensorSchema(outputSize, `${name}_convNetOutput`),
+            outputNode: outputLayers,
+            outputTensorSchema: this.getTensorSchema(schema),
             additionalModules: []
         };
     }
 
 
-
     /**
-     * This method should generate the output stack for this variable
+     * This method returns the number of values described by a tensor schema.
      *
-     * @param {EBTorchNode} input The input node for this variable
+     * @param {EBTensorSchema} tensorSchema The tensor schema
+     * @return {number} The product of the sizes of its dimensions
      */
-    generateOutputStack(input)
+    static getTensorSchemaSize(tensorSchema)
     {
-        throw new Error("Cant create output stack for the image neural network component");
+        return tensorSchema.tensorDimensions.reduce((total, dimension) => total * dimension.size, 1);
     }
 
 
@@ -256,12 +601,7 @@ class EBNeuralNetworkImageComponent extends EBNeuralNetworkComponentBase
      */
     static getImageSizeForSchema(schema)
     {
-        // TODO: Fix this.
-        // Should be derived from the data.
-        return {
-            width: 100,
-            height: 100
-        };
+        return EBImageInterpretation.getImageSizeForSchema(schema);
     }
 
 
@@ -272,9 +612,7 @@ class EBNeuralNetworkImageComponent extends EBNeuralNetworkComponentBase
      */
     static getImageChannelsForSchema(schema)
     {
-        // TODO: Fix this.
-        // Should be derived from the data.
-        return 3;
+        return EBImageInterpretation.getImageChannelsForSchema(schema);
     }
 }
 
@@ -0,0 +1,348 @@
+/*
+ Electric Brain is an easy to use platform for machine learning.
+ Copyright (C) 2016 Electric Brain Software Corporation
+
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU Affero General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU Affero General Public License for more details.
+
+ You should have received a copy of the GNU Affero General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const
+    assert = require('assert'),
+    EBImageLayerShapeInference = require('../client/js/image_layer_shape_inference'),
+    EBImageMaskInterpretation = require('./EBImageMaskInterpretation'),
+    EBNeuralNetworkComponentBase = require('./../../../shared/components/architecture/EBNeuralNetworkComponentBase'),
+    EBNeuralNetworkImageComponent = require('./EBNeuralNetworkImageComponent'),
+    EBTorchCustomModule = require('../../../shared/models/EBTorchCustomModule'),
+    EBTorchModule = require('../../../shared/models/EBTorchModule'),
+    EBTorchNode = require('../../../shared/models/EBTorchNode'),
+    EBTensorSchema = require('../../../shared/models/EBTensorSchema');
+
+/**
+ * The neural network image mask component produces segmentation masks, with a class for every pixel.
+ *
+ * The output stack produces a plane of scores for each class, at the size of the mask. It is trained
+ * with a per-pixel cross entropy, from generateCriterion, against the class maps that
+ * EBImageMaskInterpretation.transformValueForNeuralNetwork produces from the masks.
+ *
+ * Together with an image field as an input, this makes an encoder-decoder network, where the image
+ * layers are the encoder and the output layers are the decoder. When the seed image of the output
+ * stack has the same shape as the output of the image layers, the linear layer producing the seed can
+ * be turned off, so that the encoder's feature maps go straight into the decoder and the whole
+ * network is fully convolutional.
+ */
+class EBNeuralNetworkImageMaskComponent extends EBNeuralNetworkComponentBase
+{
+    /**
+     * Constructor
+     */
+    constructor()
+    {
+        super();
+    }
+
+
+    /**
+     * Method returns the tensor schema data of this format, which is the scores for every class at every pixel
+     *
+     * @param {EBSchema} schema The regular schema from which we will determine the tensor schema
+     * @returns {EBTensorSchema} The mapping of tensors.
+     */
+    getTensorSchema(schema)
+    {
+        const size = EBImageMaskInterpretation.getMaskSizeForSchema(schema);
+        const classCount = EBImageMaskInterpretation.getClassesForSchema(schema).length;
+
+        return new EBTensorSchema({
+            "type": "tensor",
+            "variableName": schema.variableName,
+            "tensorDimensions": [
+                {
+                    "size": size.width,
+                    "label": "width"
+                },
+                {
+                    "size": size.height,
+                    "label": "height"
+                },
+                {
+                    "size": classCount,
+                    "label": "classes"
+                }
+            ],
+            "tensorMap": {
+                [schema.variableName]: {
+                    start: 1,
+                    size: size.width * size.height * classCount
+                }
+            }
+        });
+    }
+
+
+    /**
+     * Method generates Lua code to create a tensor from the JSON of this variable. The tensor holds
+     * the class of every pixel, numbered from 1, as the targets for the per-pixel cross entropy.
+     * Ignored pixels get EBImageMaskInterpretation.ignoredClassIndex + 1, which the criterion skips.
+     *
+     * @param {EBSchema} schema The schema to generate this conversion code for.
+     * @param {string} name The name of the lua function to be generated.
+     */
+    generateTensorInputCode(schema, name)
+    {
+        // First, ensure that the schema we are dealing with is an image mask
+        assert(schema.isField);
+        assert(schema.metadata.mainInterpretation === 'imageMask');
+
+        // See EBImageMaskInterpretation.encodeClassMap for the layout
+        let code = '';
+        code += `local ${name} = function (input)\n`;
+        code += `    local decoded = mime.unb64(input)\n`;
+        code += `    local bytes = torch.ByteStorage()\n`;
+        code += `    bytes:string(decoded)\n`;
+        code += `    local tensor = torch.ByteTensor(bytes)\n`;
+        code += `    local width = tensor[1] * 256 + tensor[2]\n`;
+        code += `    local height = tensor[3] * 256 + tensor[4]\n`;
+        code += `    return tensor:narrow(1, 6, height * width):view(height, width):float():add(1)\n`;
+        code += `end\n`;
+        return code;
+    }
+
+
+    /**
+     * Method generates Lua code to turn the scores the network produces for this variable back into
+     * its JSON value. The class with the highest score is picked for every pixel, and the result is
+     * encoded as a class map in base64, which EBImageMaskInterpretation.transformValueBackFromNeuralNetwork
+     * turns into a mask PNG.
+     *
+     * @param {EBSchema} schema The schema to generate this conversion code for.
+     * @param {string} name The name of the lua function to be generated.
+     */
+    generateTensorOutputCode(schema, name)
+    {
+        // First, ensure that the schema we are dealing with is an image mask
+        assert(schema.isField);
+        assert(schema.metadata.mainInterpretation === 'imageMask');
+
+        let code = '';
+        code += `local ${name} = function (output)\n`;
+        code += `    local height, width = output:size(2), output:size(3)\n`;
+        code += `    local _, classes = output:float():max(1)\n`;
+        code += `    local classMap = torch.ByteTensor(5 + height * width)\n`;
+        code += `    classMap[1] = math.floor(width / 256)\n`;
+        code += `    classMap[2] = width % 256\n`;
+        code += `    classMap[3] = math.floor(height / 256)\n`;
+        code += `    classMap[4] = height % 256\n`;
+        code += `    classMap[5] = 1\n`;
+        code += `    classMap:narrow(1, 6, height * width):copy(classes:view(height * width):add(-1))\n`;
+        code += `    return mime.b64(classMap:storage():string())\n`;
+        code += `end\n`;
+        return code;
+    }
+
+
+    /**
+     * Method generates Lua code that can prepare a combined batch tensor from
+     * multiple samples.
+     *
+     * @param {EBSchema} schema The schema to generate this conversion code for
+     * @param {string} name The name of the Lua function to be generated
+     */
+    generatePrepareBatchCode(schema, name)
+    {
+        // First, ensure that the schema we are dealing with is an image mask
+        assert(schema.isField);
+        assert(schema.metadata.mainInterpretation === 'imageMask');
+
+        let code = '';
+
+        code += `local ${name} = function (input)\n`;
+        code += `    local height, width = input[1]:size(1), input[1]:size(2)\n`;
+        code += `    local batch = torch.zeros(#input, height, width)\n`;
+        code += `    for k = 1, #input do\n`;
+        code += `        batch[k]:copy(input[k])\n`;
+        code += `    end\n`;
+        code += `    return batch\n`;
+        code += `end\n`;
+
+        return code;
+    }
+
+
+    /**
+     * Method generates Lua code that can takes a batch and breaks it apart
+     * into the individual samples
+     *
+     * @param {EBSchema} schema The schema to generate this unwinding code for
+     * @param {string} name The name of the Lua function to be generated
+     */
+    generateUnwindBatchCode(schema, name)
+    {
+        // First, ensure that the schema we are dealing with is an image mask
+        assert(schema.isField);
+        assert(schema.metadata.mainInterpretation === 'imageMask');
+
+        let code = '';
+
+        code += `local ${name} = function (input)\n`;
+        code += `    local samples = {}\n`;
+        code += `    for k = 1, input:size(1) do\n`;
+        code += `        table.insert(samples, input[k])\n`;
+        code += `    end\n`;
+        code += `    return samples\n`;
+        code += `end\n`;
+
+        return code;
+    }
+
+
+    /**
+     * This method should generate an input stack for this variable
+     */
+    generateInputStack()
+    {
+        throw new Error("Image masks can only be outputs of the network, so there is no input stack for the image mask neural network component");
+    }
+
+
+    /**
+     * This method generates the output stack for this variable, which produces the scores for every
+     * class at every pixel of the mask. The values coming into the stack become the seed image, either
+     * through a linear layer or, when seedLinearLayer is turned off, by only being reshaped. The
+     * output layers then turn the seed into the scores.
+     *
+     * @param {EBSchema} schema The schema to generate this stack for
+     * @param {EBTorchNode} inputNode The node producing the values this stack starts from
+     * @param {EBTensorSchema} inputTensorSchema The tensor schema of the values coming out of the input node
+     * @returns {object} An object with the following structure:
+     *                      {
+     *                          "outputNode": EBTorchNode || null,
+     *                          "outputTensorSchema": EBTensorSchema || null,
+     *                          "additionalModules": [EBCustomModule]
+     *                      }
+     */
+    generateOutputStack(schema, inputNode, inputTensorSchema)
+    {
+        const name = schema.variableName;
+        const configuration = schema.configuration.interpretation;
+        const size = EBImageMaskInterpretation.getMaskSizeForSchema(schema);
+        const classCount = EBImageMaskInterpretation.getClassesForSchema(schema).length;
+
+        // Check the output layers before generating anything
+        const seedShape = {
+            planes: configuration.outputSeedPlanes,
+            width: configuration.outputSeedWidth,
+            height: configuration.outputSeedHeight
+        };
+        const scoresShape = {
+            planes: classCount,
+            width: size.width,
+            height: size.height
+        };
+        const errors = EBImageLayerShapeInference.summarizeOutputStack(configuration.outputLayers, seedShape, scoresShape).errors;
+        if (errors.length > 0)
+        {
+            throw new Error(`Invalid image mask output layer configuration:\n${errors.join('\n')}`);
+        }
+
+        const inputSize = EBNeuralNetworkImageComponent.getTensorSchemaSize(inputTensorSchema);
+        const seedSize = seedShape.planes * seedShape.height * seedShape.width;
+
+        let seedInput = inputNode;
+        if (configuration.seedLinearLayer !== false)
+        {
+            seedInput = new EBTorchNode(new EBTorchModule("nn.Linear", [inputSize, seedSize]), inputNode, `${name}_seedLinear`);
+        }
+        else if (inputSize !== seedSize)
+        {
+            throw new Error(`Without the linear layer, the ${inputSize} values coming into the image mask output stack must fill the ${seedShape.planes}x${seedShape.height}x${seedShape.width} seed image exactly.`);
+        }
+
+        const seed = new EBTorchNode(new EBTorchModule("nn.Reshape", [seedShape.planes, seedShape.height, seedShape.width]), seedInput, `${name}_seed`);
+
+        const torchModules = EBNeuralNetworkImageComponent.generateLayerModules(configuration.outputLayers, seedShape);
+        const scores = new EBTorchNode(new EBTorchModule("nn.Sequential", [], torchModules), seed, `${name}_outputStack`);
+
+        return {
+            outputNode: scores,
+            outputTensorSchema: this.getTensorSchema(schema),
+            additionalModules: [new EBTorchCustomModule("EBSpatialCrossEntropyCriterion", EBNeuralNetworkImageMaskComponent.generateCriterionCode())]
+        };
+    }
+
+
+    /**
+     * This method generates the criterion that the scores for this variable are trained with, which
+     * is a cross entropy averaged over every pixel, with the class weights from
+     * EBImageMaskInterpretation.getClassWeightsForSchema. Pixels with the ignore label don't count
+     * towards the loss. The criterion is defined in one of the additionalModules of the output stack.
+     *
+     * @param {EBSchema} schema The schema to generate the criterion for
+     * @returns {EBTorchModule} The criterion
+     */
+    generateCriterion(schema)
+    {
+        return new EBTorchModule("nn.EBSpatialCrossEntropyCriterion", [EBImageMaskInterpretation.getClassWeightsForSchema(schema), EBImageMaskInterpretation.ignoredClassIndex + 1]);
+    }
+
+
+    /**
+     * This method generates the Lua code for nn.EBSpatialCrossEntropyCriterion. It takes a batch of
+     * scores, shaped batch x classes x height x width, and a batch of targets holding the class of
+     * every pixel, shaped batch x height x width. Every pixel is treated as a separate sample for a
+     * log softmax followed by nn.ClassNLLCriterion, so that the loss is averaged over all the pixels.
+     * Pixels whose target is the ignoreIndex given to the constructor are left out of the average.
+     *
+     * @returns {string} The Lua code
+     */
+    static generateCriterionCode()
+    {
+        let code = '';
+        code += `-- The class is only created once, even when several fields are image masks\n`;
+        code += `if nn.EBSpatialCrossEntropyCriterion == nil then\n`;
+        code += `    local EBSpatialCrossEntropyCriterion, parent = torch.class('nn.EBSpatialCrossEntropyCriterion', 'nn.Criterion')\n`;
+        code += `\n`;
+        code += `    function EBSpatialCrossEntropyCriterion:__init(weights, ignoreIndex)\n`;
+        code += `        parent.__init(self)\n`;
+        code += `        self.logSoftMax = nn.LogSoftMax()\n`;
+        code += `        self.classNLL = nn.ClassNLLCriterion(weights and torch.Tensor(weights) or nil, true, ignoreIndex)\n`;
+        code += `    end\n`;
+        code += `\n`;
+        code += `    -- Moves the classes to the last dimension, then makes every pixel its own row\n`;
+        code += `    local flattenScores = function (input)\n`;
+        code += `        return input:transpose(2, 3):transpose(3, 4):contiguous():view(-1, input:size(2))\n`;
+        code += `    end\n`;
+        code += `\n`;
+        code += `    function EBSpatialCrossEntropyCriterion:updateOutput(input, target)\n`;
+        code += `        self.flatScores = flattenScores(input)\n`;
+        code += `        self.flatTarget = target:contiguous():view(-1)\n`;
+        code += `        local logProbabilities = self.logSoftMax:updateOutput(self.flatScores)\n`;
+        code += `        self.output = self.classNLL:updateOutput(logProbabilities, self.flatTarget)\n`;
+        code += `        return self.output\n`;
+        code += `    end\n`;
+        code += `\n`;
+        code += `    function EBSpatialCrossEntropyCriterion:updateGradInput(input, target)\n`;
+        code += `        local batchSize, classCount, height, width = input:size(1), input:size(2), input:size(3), input:size(4)\n`;
+        code += `        local gradLogProbabilities = self.classNLL:updateGradInput(self.logSoftMax.output, self.flatTarget)\n`;
+        code += `        local gradScores = self.logSoftMax:updateGradInput(self.flatScores, gradLogProbabilities)\n`;
+        code += `        -- Undo the flattening, putting the classes back in the second dimension\n`;
+        code += `        self.gradInput = gradScores:view(batchSize, height, width, classCount):transpose(3, 4):transpose(2, 3):contiguous()\n`;
+        code += `        return self.gradInput\n`;
+        code += `    end\n`;
+        code += `end\n`;
+        return code;
+    }
+}
+
+module.exports = EBNeuralNetworkImageMaskComponent;
@@ -0,0 +1,150 @@
+/*
+ Electric Brain is an easy to use platform for machine learning.
+ Copyright (C) 2016 Electric Brain Software Corporation
+
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU Affero General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU Affero General Public License for more details.
+
+ You should have received a copy of the GNU Affero General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const
+    assert = require('assert'),
+    EBImageArchitectureFile = require('../client/js/image_architecture_file'),
+    EBImageArchitecturePresets = require('../client/js/image_architecture_presets'),
+    EBImageAugmentationTypes = require('../client/js/image_augmentation_types'),
+    EBImageConfigurationMigrations = require('../client/js/image_configuration_migrations'),
+    path = require('path');
+
+const fixtures = path.join(__dirname, 'fixtures');
+
+/**
+ * This function loads a fresh copy of one of the saved configurations in the fixtures folder
+ *
+ * @param {string} name The name of the fixture, without the extension
+ * @return {object} The configuration
+ */
+function loadFixture(name)
+{
+    return JSON.parse(JSON.stringify(require(path.join(fixtures, `${name}.json`))));
+}
+
+/**
+ * This function creates a configuration of the current version for greyscale images with the LeNet preset
+ *
+ * @return {object} The configuration
+ */
+function createLeNetConfiguration()
+{
+    const configuration = EBImageConfigurationMigrations.upgrade(loadFixture('configuration-v1-greyscale'));
+    configuration.inputWidth = 28;
+    configuration.inputHeight = 28;
+    configuration.layers = EBImageArchitecturePresets.generateLayers('lenet', {width: 28, height: 28}, 1);
+    configuration.augmentations = [EBImageAugmentationTypes.createAugmentation('rotate'), EBImageAugmentationTypes.createAugmentation('blur')];
+    return configuration;
+}
+
+describe('EBImageArchitectureFile', () =>
+{
+    describe('createFromConfiguration', () =>
+    {
+        it('holds the layers and augmentations of the configuration, and nothing else', () =>
+        {
+            const configuration = createLeNetConfiguration();
+            const architecture = EBImageArchitectureFile.createFromConfiguration(configuration, 'LeNet digits');
+            assert.deepEqual(architecture, {
+                format: 'eb-image-architecture',
+                configVersion: EBImageConfigurationMigrations.currentVersion,
+                name: 'LeNet digits',
+                layers: configuration.layers,
+                augmentations: configuration.augmentations
+            });
+        });
+
+        it('upgrades configurations from older versions first', () =>
+        {
+            const architecture = EBImageArchitectureFile.createFromConfiguration(loadFixture('configuration-v1'));
+            assert.strictEqual(architecture.name, null);
+            assert.strictEqual(architecture.configVersion, EBImageConfigurationMigrations.currentVersion);
+            assert.deepEqual(architecture.augmentations.map((augmentation) => augmentation.type), ['horizontalFlip', 'rotate']);
+        });
+    });
+
+    describe('read', () =>
+    {
+        it('reads back the files it creates', () =>
+        {
+            const configuration = createLeNetConfiguration();
+            const architecture = JSON.parse(JSON.stringify(EBImageArchitectureFile.createFromConfiguration(configuration)));
+            assert.deepEqual(EBImageArchitectureFile.read(architecture), {layers: configuration.layers, augmentations: configuration.augmentations});
+        });
+
+        it('reads files from older versions', () =>
+        {
+            const legacy = loadFixture('configuration-v1');
+            const architecture = {format: 'eb-image-architecture', configVersion: 2, layers: legacy.layers, augmentations: [{type: 'horizontalFlip', probability: 0.5}]};
+            const contents = EBImageArchitectureFile.read(architecture);
+            assert.deepEqual(contents.layers, legacy.layers);
+            assert.deepEqual(contents.augmentations, architecture.augmentations);
+        });
+
+        it('rejects other JSON files', () =>
+        {
+            assert.throws(() => EBImageArchitectureFile.read({layers: []}), /not an image architecture file/);
+            assert.throws(() => EBImageArchitectureFile.read(null), /not an image architecture file/);
+        });
+
+        it('rejects files without layers or augmentations', () =>
+        {
+            const augmentations = [];
+            const layers = loadFixture('configuration-v1').layers;
+            assert.throws(() => EBImageArchitectureFile.read({format: 'eb-image-architecture', layers: [], augmentations}), /has no layers/);
+            assert.throws(() => EBImageArchitectureFile.read({format: 'eb-image-architecture', layers}), /has no list of augmentations/);
+        });
+
+        it('rejects unknown augmentation types', () =>
+        {
+            const architecture = {format: 'eb-image-architecture', layers: loadFixture('configuration-v1').layers, augmentations: [{type: 'sepia'}]};
+            assert.throws(() => EBImageArchitectureFile.read(architecture), /unknown augmentation type: sepia/);
+        });
+
+        it('rejects files from newer versions of the plugin', () =>
+        {
+            const architecture = {format: 'eb-image-architecture', configVersion: EBImageConfigurationMigrations.currentVersion + 1, layers: loadFixture('configuration-v1').layers, augmentations: []};
+            assert.throws(() => EBImageArchitectureFile.read(architecture), /newer than the newest version/);
+        });
+    });
+
+    describe('applyToConfiguration', () =>
+    {
+        it('takes the layers and augmentations from the file and keeps every other setting', () =>
+        {
+            const architecture = EBImageArchitectureFile.createFromConfiguration(createLeNetConfiguration());
+            const configuration = Object.assign(createLeNetConfiguration(), {layers: loadFixture('configuration-v1').layers, augmentations: [], normalization: 'none', paddingColor: '#ff0000'});
+            const original = JSON.parse(JSON.stringify(configuration));
+
+            const merged = EBImageArchitectureFile.applyToConfiguration(configuration, architecture, {planes: 1, width: 28, height: 28});
+            assert.deepEqual(merged, Object.assign({}, original, {layers: architecture.layers, augmentations: architecture.augmentations}));
+            assert.deepEqual(configuration, original);
+        });
+
+        it('rejects layers that do not fit the images of the field', () =>
+        {
+            const architecture = EBImageArchitectureFile.createFromConfiguration(createLeNetConfiguration());
+            assert.throws(() =>
+            {
+                EBImageArchitectureFile.applyToConfiguration(createLeNetConfiguration(), architecture, {planes: 3, width: 28, height: 28});
+            }, /doesn't fit this field's 28x28 images with 3 channels/);
+        });
+    });
+});
@@ -0,0 +1,156 @@
+/*
+ Electric Brain is an easy to use platform for machine learning.
+ Copyright (C) 2016 Electric Brain Software Corporation
+
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU Affero General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU Affero General Public License for more details.
+
+ You should have received a copy of the GNU Affero General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const
+    Ajv = require('ajv'),
+    assert = require('assert'),
+    EBImageArchitecturePresets = require('../client/js/image_architecture_presets'),
+    EBImageLayerSchema = require('../server/EBImageLayerSchema'),
+    EBImageLayerShapeInference = require('../client/js/image_layer_shape_inference');
+
+// A few image sizes, from tiny to large and from square to very wide
+const sizes = [
+    {width: 1, height: 1},
+    {width: 7, height: 5},
+    {width: 28, height: 28},
+    {width: 64, height: 48},
+    {width: 101, height: 37},
+    {width: 224, height: 224},
+    {width: 640, height: 24}
+];
+
+const validateLayers = new Ajv({allErrors: true}).compile({
+    "definitions": EBImageLayerSchema.definitions(),
+    "type": "array",
+    "items": {"$ref": "#/definitions/layer"}
+});
+
+/**
+ * This function checks that every layer matches the layer schema, failing with the validation errors
+ *
+ * @param {[object]} layers The layers to check
+ */
+function assertValidLayers(layers)
+{
+    assert(validateLayers(layers), JSON.stringify(validateLayers.errors, null, 4));
+}
+
+/**
+ * This function collects the ids of the layers, including the nested layers, in the order they appear
+ *
+ * @param {[object]} layers The layers
+ * @return {[number]} The ids
+ */
+function collectIds(layers)
+{
+    return layers.reduce((ids, layer) => ids.concat([layer.id], collectIds(layer.layers || []), collectIds(layer.shortcutLayers || [])), []);
+}
+
+describe('EBImageArchitecturePresets', () =>
+{
+    describe('generateLayers', () =>
+    {
+        EBImageArchitecturePresets.presets.forEach((preset) =>
+        {
+            [1, 3, 4].forEach((channels) =>
+            {
+                it(`generates ${preset.name} layers with ${channels} channels that fit every image size`, () =>
+                {
+                    sizes.forEach((size) =>
+                    {
+                        const layers = EBImageArchitecturePresets.generateLayers(preset.name, size, channels);
+                        const inputShape = {planes: channels, width: size.width, height: size.height};
+                        const errors = EBImageLayerShapeInference.computeLayerShapes(layers, inputShape).errors;
+                        assert.deepEqual(errors, [], `${size.width}x${size.height}`);
+                        assertValidLayers(layers);
+                    });
+                });
+            });
+        });
+
+        it('numbers the layers, including the nested ones, in the order they appear', () =>
+        {
+            const ids = collectIds(EBImageArchitecturePresets.generateLayers('resnet18', {width: 64, height: 64}, 3));
+            assert.deepEqual(ids, ids.map((id, index) => index + 1));
+        });
+
+        it('throws for unknown presets', () =>
+        {
+            assert.throws(() => EBImageArchitecturePresets.generateLayers('magic', {width: 32, height: 32}, 3), /Unknown architecture preset: magic/);
+        });
+    });
+
+    describe('getPresets', () =>
+    {
+        it('lists the presets without their generators', () =>
+        {
+            const presets = EBImageArchitecturePresets.getPresets();
+            assert.deepEqual(presets.map((preset) => preset.name), ['default', 'lenet', 'smallVGG', 'resnet18', 'depthwise']);
+            presets.forEach((preset) => assert.deepEqual(Object.keys(preset), ['name', 'title', 'description']));
+        });
+    });
+
+    describe('generateOutputStack', () =>
+    {
+        [1, 3, 4].forEach((channels) =>
+        {
+            it(`generates output layers that produce exactly the image size with ${channels} channels`, () =>
+            {
+                sizes.forEach((size) =>
+                {
+                    const stack = EBImageArchitecturePresets.generateOutputStack(size, channels);
+                    const seedShape = {planes: stack.outputSeedPlanes, width: stack.outputSeedWidth, height: stack.outputSeedHeight};
+                    const imageShape = {planes: channels, width: size.width, height: size.height};
+                    const summary = EBImageLayerShapeInference.summarizeOutputStack(stack.outputLayers, seedShape, imageShape);
+                    assert.deepEqual(summary.errors, [], `${size.width}x${size.height}`);
+                    assertValidLayers(stack.outputLayers);
+                });
+            });
+        });
+
+        it('starts from a seed an eighth of the image size for large images', () =>
+        {
+            const stack = EBImageArchitecturePresets.generateOutputStack({width: 101, height: 37}, 3);
+            assert.strictEqual(stack.outputSeedWidth, 12);
+            assert.strictEqual(stack.outputSeedHeight, 4);
+            assert.strictEqual(stack.outputSeedPlanes, 128);
+        });
+
+        it('uses the image itself as the seed for single pixel images', () =>
+        {
+            const stack = EBImageArchitecturePresets.generateOutputStack({width: 1, height: 1}, 3);
+            assert.strictEqual(stack.outputSeedWidth, 1);
+            assert.strictEqual(stack.outputSeedHeight, 1);
+            assert.deepEqual(stack.outputLayers.map((layer) => layer.layerType), ['convolution']);
+        });
+    });
+
+    describe('countHalvings', () =>
+    {
+        it('counts how many times a side can be halved while staying at the minimum', () =>
+        {
+            assert.strictEqual(EBImageArchitecturePresets.countHalvings(1, 1), 0);
+            assert.strictEqual(EBImageArchitecturePresets.countHalvings(2, 1), 1);
+            assert.strictEqual(EBImageArchitecturePresets.countHalvings(7, 1), 2);
+            assert.strictEqual(EBImageArchitecturePresets.countHalvings(224, 1), 7);
+            assert.strictEqual(EBImageArchitecturePresets.countHalvings(224, 8), 4);
+        });
+    });
+});
@@ -0,0 +1,171 @@
+/*
+ Electric Brain is an easy to use platform for machine learning.
+ Copyright (C) 2016 Electric Brain Software Corporation
+
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU Affero General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU Affero General Public License for more details.
+
+ You should have received a copy of the GNU Affero General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const
+    assert = require('assert'),
+    bitmapProcessor = require('./helpers/bitmapProcessor'),
+    EBImageAugmentation = require('../client/js/image_augmentation'),
+    EBImageAugmentationTypes = require('../client/js/image_augmentation_types'),
+    EBImageRandom = require('../client/js/image_random'),
+    Promise = require('bluebird');
+
+const size = {width: 6, height: 4};
+const red = {r: 255, g: 0, b: 0, a: 255};
+
+/**
+ * This function creates a bitmap where the red value of each pixel is its index, so that
+ * it can be seen where every pixel ends up
+ *
+ * @return {object} The bitmap
+ */
+function createNumberedBitmap()
+{
+    const data = new Buffer(size.width * size.height * 4);
+    for (let pixel = 0; pixel < size.width * size.height; pixel += 1)
+    {
+        data.writeUInt32BE(((pixel * 10) << 24 | 0x808080FF) >>> 0, pixel * 4);
+    }
+    return {data, width: size.width, height: size.height};
+}
+
+/**
+ * This function returns the red values of a bitmap, row by row
+ *
+ * @param {object} bitmap The bitmap
+ * @return {[[number]]} The red values
+ */
+function redRows(bitmap)
+{
+    const rows = [];
+    for (let y = 0; y < bitmap.height; y += 1)
+    {
+        rows.push(Array.from({length: bitmap.width}, (value, x) => bitmap.data[(y * bitmap.width + x) * 4]));
+    }
+    return rows;
+}
+
+/**
+ * This function applies a single augmentation, which is always applied
+ *
+ * @param {object} bitmap The bitmap to augment
+ * @param {object} augmentation The augmentation, without its probability
+ * @param {EBImageRandom} [random] The random generator. Defaults to a seeded one.
+ * @return {Promise} A promise that resolves to the augmented bitmap
+ */
+function augment(bitmap, augmentation, random)
+{
+    return EBImageAugmentation.applyAugmentations(bitmap, [Object.assign({probability: 1}, augmentation)], size, random || new EBImageRandom(1), red, bitmapProcessor);
+}
+
+describe('EBImageAugmentation', () =>
+{
+    describe('applyAugmentations', () =>
+    {
+        it('flips images', () =>
+        {
+            const original = redRows(createNumberedBitmap());
+            return Promise.all([augment(createNumberedBitmap(), {type: 'horizontalFlip'}), augment(createNumberedBitmap(), {type: 'verticalFlip'})]).then((flipped) =>
+            {
+                assert.deepEqual(redRows(flipped[0]), original.map((row) => row.slice().reverse()));
+                assert.deepEqual(redRows(flipped[1]), original.slice().reverse());
+            });
+        });
+
+        it('fills the uncovered area with the background when translating', () =>
+        {
+            // A generator that always draws the top of the range moves the image right by a third of its width
+            const highest = {random: () => 0.999, uniform: (minimum, maximum) => maximum, chance: () => true};
+            return augment(createNumberedBitmap(), {type: 'translate', maxTranslateX: 1 / 3, maxTranslateY: 0}, highest).then((bitmap) =>
+            {
+                const original = redRows(createNumberedBitmap());
+                assert.deepEqual(redRows(bitmap), original.map((row) => [255, 255].concat(row.slice(0, 4))));
+            });
+        });
+
+        it('skips augmentations according to their probability', () =>
+        {
+            const augmentations = [{type: 'horizontalFlip', probability: 0}, {type: 'verticalFlip', probability: 0}];
+            return EBImageAugmentation.applyAugmentations(createNumberedBitmap(), augmentations, size, new EBImageRandom(1), red, bitmapProcessor).then((bitmap) =>
+            {
+                assert.deepEqual(redRows(bitmap), redRows(createNumberedBitmap()));
+            });
+        });
+
+        it('keeps every type of augmentation at the network size', () =>
+        {
+            return Promise.mapSeries(EBImageAugmentationTypes.augmentationTypes, (augmentationType) =>
+            {
+                const augmentation = EBImageAugmentationTypes.createAugmentation(augmentationType.type);
+                return augment(createNumberedBitmap(), augmentation).then((bitmap) =>
+                {
+                    assert.deepEqual([bitmap.width, bitmap.height, bitmap.data.length], [size.width, size.height, size.width * size.height * 4], augmentationType.type);
+                });
+            });
+        });
+
+        it('gives the same output for the same seed', () =>
+        {
+            const augmentations = EBImageAugmentationTypes.augmentationTypes.map((augmentationType) => EBImageAugmentationTypes.createAugmentation(augmentationType.type));
+            const apply = (seed) => EBImageAugmentation.applyAugmentations(createNumberedBitmap(), augmentations, size, new EBImageRandom(seed), red, bitmapProcessor);
+            return Promise.all([apply(9), apply(9), apply(10)]).then((bitmaps) =>
+            {
+                assert.deepEqual(bitmaps[0].data, bitmaps[1].data);
+                assert.notDeepEqual(bitmaps[0].data, bitmaps[2].data);
+            });
+        });
+
+        it('works on the bitmaps of a canvas', () =>
+        {
+            const bitmap = createNumberedBitmap();
+            const canvasBitmap = {data: new Uint8ClampedArray(bitmap.data), width: bitmap.width, height: bitmap.height};
+            return Promise.all([augment(bitmap, {type: 'horizontalFlip'}), augment(canvasBitmap, {type: 'horizontalFlip'})]).then((flipped) =>
+            {
+                assert.deepEqual(redRows(flipped[1]), redRows(flipped[0]));
+            });
+        });
+
+        it('rejects unknown types of augmentation', () =>
+        {
+            return augment(createNumberedBitmap(), {type: 'sepia'}).then(() =>
+            {
+                throw new Error("The augmentation should have been rejected.");
+            }, (err) =>
+            {
+                assert(/Unknown image augmentation type: sepia/.test(err.message), err.message);
+            });
+        });
+    });
+
+    describe('parseColor', () =>
+    {
+        it('parses colors with and without alpha', () =>
+        {
+            assert.deepEqual(EBImageAugmentation.parseColor('#102030'), {r: 16, g: 32, b: 48, a: 255});
+            assert.deepEqual(EBImageAugmentation.parseColor('#10203040'), {r: 16, g: 32, b: 48, a: 64});
+            assert.deepEqual(EBImageAugmentation.parseColor(null), {r: 0, g: 0, b: 0, a: 255});
+        });
+
+        it('rejects colors that are not hex', () =>
+        {
+            assert.throws(() => EBImageAugmentation.parseColor('#zzzzzz'), /Invalid color/);
+            assert.throws(() => EBImageAugmentation.parseColor('red'), /Invalid color/);
+        });
+    });
+});
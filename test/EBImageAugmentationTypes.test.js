@@ -0,0 +1,122 @@
+/*
+ Electric Brain is an easy to use platform for machine learning.
+ Copyright (C) 2016 Electric Brain Software Corporation
+
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU Affero General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU Affero General Public License for more details.
+
+ You should have received a copy of the GNU Affero General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const
+    Ajv = require('ajv'),
+    assert = require('assert'),
+    EBImageAugmentationTypes = require('../client/js/image_augmentation_types');
+
+const validateAugmentation = new Ajv({allErrors: true}).compile({
+    "definitions": EBImageAugmentationTypes.definitions(),
+    "$ref": "#/definitions/augmentation"
+});
+
+describe('EBImageAugmentationTypes', () =>
+{
+    describe('augmentationTypes', () =>
+    {
+        EBImageAugmentationTypes.augmentationTypes.forEach((augmentationType) =>
+        {
+            it(`has valid default parameters for ${augmentationType.type}`, () =>
+            {
+                const augmentation = EBImageAugmentationTypes.createAugmentation(augmentationType.type);
+                assert(validateAugmentation(augmentation), JSON.stringify(validateAugmentation.errors, null, 4));
+                assert.deepEqual(EBImageAugmentationTypes.validateAugmentation(augmentation), []);
+            });
+        });
+
+        it('has a definition for every type', () =>
+        {
+            const definitions = EBImageAugmentationTypes.definitions();
+            const types = EBImageAugmentationTypes.augmentationTypes.map((augmentationType) => augmentationType.type);
+            assert.deepEqual(Object.keys(definitions).filter((name) => name !== 'augmentation'), types.map((type) => `${type}Augmentation`));
+        });
+
+        it('only has range parameters that belong to their type', () =>
+        {
+            Object.keys(EBImageAugmentationTypes.rangeParameters).forEach((type) =>
+            {
+                const augmentation = EBImageAugmentationTypes.createAugmentation(type);
+                EBImageAugmentationTypes.rangeParameters[type].forEach((range) =>
+                {
+                    assert(range[0] in augmentation && range[1] in augmentation, `${type} ${range.join(' ')}`);
+                });
+            });
+        });
+    });
+
+    describe('createAugmentation', () =>
+    {
+        it('returns a copy that can be changed without changing the defaults', () =>
+        {
+            const augmentation = EBImageAugmentationTypes.createAugmentation('rotate');
+            augmentation.maxDegrees = 90;
+            assert.equal(EBImageAugmentationTypes.createAugmentation('rotate').maxDegrees, 15);
+        });
+
+        it('rejects unknown types', () =>
+        {
+            assert.throws(() => EBImageAugmentationTypes.createAugmentation('sepia'), /Unknown image augmentation type: sepia/);
+        });
+    });
+
+    describe('getAugmentationsForConfiguration', () =>
+    {
+        it('returns the list of augmentations when there is one', () =>
+        {
+            const augmentations = [EBImageAugmentationTypes.createAugmentation('blur')];
+            assert.strictEqual(EBImageAugmentationTypes.getAugmentationsForConfiguration({augmentations, rotateImage: true}), augmentations);
+        });
+
+        it('converts the flags from before the list existed', () =>
+        {
+            const augmentations = EBImageAugmentationTypes.getAugmentationsForConfiguration({mirrorHorizontally: true, stretchImage: false, rotateImage: true});
+            assert.deepEqual(augmentations.map((augmentation) => augmentation.type), ['horizontalFlip', 'rotate']);
+        });
+    });
+
+    describe('validateAugmentations', () =>
+    {
+        it('accepts ranges where the minimum equals the maximum', () =>
+        {
+            const augmentation = Object.assign(EBImageAugmentationTypes.createAugmentation('brightness'), {min: 0.1, max: 0.1});
+            assert.deepEqual(EBImageAugmentationTypes.validateAugmentations([augmentation]), []);
+        });
+
+        it('reports every range with its minimum above its maximum', () =>
+        {
+            const augmentations = [
+                EBImageAugmentationTypes.createAugmentation('horizontalFlip'),
+                Object.assign(EBImageAugmentationTypes.createAugmentation('rotate'), {minDegrees: 20, maxDegrees: 10}),
+                Object.assign(EBImageAugmentationTypes.createAugmentation('cutout'), {minSize: 0.5, maxSize: 0.2})
+            ];
+            assert.deepEqual(EBImageAugmentationTypes.validateAugmentations(augmentations), [
+                "Augmentation 2 (Rotate): minDegrees (20) is above maxDegrees (10)",
+                "Augmentation 3 (Cutout): minSize (0.5) is above maxSize (0.2)"
+            ]);
+        });
+
+        it('ignores types without ranges', () =>
+        {
+            const augmentation = Object.assign(EBImageAugmentationTypes.createAugmentation('translate'), {maxTranslateX: 0.5, maxTranslateY: 0});
+            assert.deepEqual(EBImageAugmentationTypes.validateAugmentations([augmentation]), []);
+        });
+    });
+});
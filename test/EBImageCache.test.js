@@ -0,0 +1,209 @@
+/*
+ Electric Brain is an easy to use platform for machine learning.
+ Copyright (C) 2016 Electric Brain Software Corporation
+
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU Affero General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU Affero General Public License for more details.
+
+ You should have received a copy of the GNU Affero General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const
+    assert = require('assert'),
+    EBImageCache = require('../server/EBImageCache'),
+    fs = require('fs'),
+    os = require('os'),
+    path = require('path'),
+    Promise = require('bluebird');
+
+/**
+ * This function makes a bitmap whose pixels all have the given value
+ *
+ * @param {number} width The width of the bitmap
+ * @param {number} height The height of the bitmap
+ * @param {number} value The value of every byte of the pixels
+ * @return {object} The bitmap
+ */
+function createBitmap(width, height, value)
+{
+    const data = new Buffer(width * height * 4);
+    data.fill(value);
+    return {width, height, data};
+}
+
+/**
+ * This function creates a cache that is ready to use with the given configuration
+ *
+ * @param {string} directory The directory of the cache
+ * @param {number} maxBytes The size limit of the cache
+ * @param {object} configuration The preprocessing configuration
+ * @return {Promise} A promise that resolves to the cache, once it has scanned its directory
+ */
+function openCache(directory, maxBytes, configuration)
+{
+    const cache = new EBImageCache(directory, maxBytes);
+    cache.setConfiguration(configuration);
+    return cache.ready.then(() => cache);
+}
+
+describe('EBImageCache', () =>
+{
+    let directory = null;
+
+    beforeEach(() =>
+    {
+        directory = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'eb-image-cache-test-')), 'nested', 'cache');
+    });
+
+    afterEach(() =>
+    {
+        const root = path.dirname(path.dirname(directory));
+        const remove = (target) =>
+        {
+            // Entries that the cache evicted may still be in the middle of being deleted
+            if (!fs.existsSync(target))
+            {
+                return;
+            }
+            else if (fs.statSync(target).isDirectory())
+            {
+                fs.readdirSync(target).forEach((fileName) => remove(path.join(target, fileName)));
+                fs.rmdirSync(target);
+            }
+            else
+            {
+                fs.unlinkSync(target);
+            }
+        };
+        remove(root);
+    });
+
+    it('creates its directory, including the missing parents', () =>
+    {
+        return openCache(directory, 1024 * 1024, {size: 1}).then(() =>
+        {
+            assert(fs.statSync(directory).isDirectory());
+        });
+    });
+
+    it('gives back the bitmaps that were stored in it', () =>
+    {
+        return openCache(directory, 1024 * 1024, {size: 1}).then((cache) =>
+        {
+            const fileName = cache.getFileName(new Buffer('image'), 'stretch');
+            return cache.put(fileName, createBitmap(3, 2, 7)).then(() => cache.get(fileName));
+        }).then((bitmap) =>
+        {
+            assert.deepEqual(bitmap, createBitmap(3, 2, 7));
+        });
+    });
+
+    it('misses images that were never stored', () =>
+    {
+        return openCache(directory, 1024 * 1024, {size: 1}).then((cache) =>
+        {
+            return cache.get(cache.getFileName(new Buffer('image'), 'stretch'));
+        }).then((bitmap) =>
+        {
+            assert.strictEqual(bitmap, null);
+        });
+    });
+
+    it('keeps the variants of the same image apart', () =>
+    {
+        return openCache(directory, 1024 * 1024, {size: 1}).then((cache) =>
+        {
+            const value = new Buffer('image');
+            assert.notStrictEqual(cache.getFileName(value, 'stretch'), cache.getFileName(value, 'centerCrop'));
+        });
+    });
+
+    it('refuses to name entries before the configuration is set', () =>
+    {
+        const cache = new EBImageCache(directory, 1024 * 1024);
+        assert.throws(() => cache.getFileName(new Buffer('image'), 'stretch'), /configuration must be set/);
+        return cache.ready;
+    });
+
+    it('picks up the entries written by an earlier instance with the same configuration', () =>
+    {
+        let fileName = null;
+        return openCache(directory, 1024 * 1024, {size: 1}).then((cache) =>
+        {
+            fileName = cache.getFileName(new Buffer('image'), 'stretch');
+            return cache.put(fileName, createBitmap(2, 2, 1));
+        }).then(() => openCache(directory, 1024 * 1024, {size: 1})).then((cache) =>
+        {
+            assert.strictEqual(cache.totalBytes, 4 + 2 * 2 * 4);
+            return cache.get(fileName);
+        }).then((bitmap) =>
+        {
+            assert.deepEqual(bitmap, createBitmap(2, 2, 1));
+        });
+    });
+
+    it('deletes the entries of a different configuration', () =>
+    {
+        let fileName = null;
+        return openCache(directory, 1024 * 1024, {size: 1}).then((cache) =>
+        {
+            fileName = cache.getFileName(new Buffer('image'), 'stretch');
+            return cache.put(fileName, createBitmap(2, 2, 1));
+        }).then(() => openCache(directory, 1024 * 1024, {size: 2})).then((cache) =>
+        {
+            assert.strictEqual(cache.entries.size, 0);
+            assert.strictEqual(cache.totalBytes, 0);
+            return cache.get(fileName);
+        }).then((bitmap) =>
+        {
+            assert.strictEqual(bitmap, null);
+        });
+    });
+
+    it('deletes the least recently used entries when it grows beyond its size limit', () =>
+    {
+        const entrySize = 4 + 2 * 2 * 4;
+        return openCache(directory, entrySize * 2, {size: 1}).then((cache) =>
+        {
+            const names = ['first', 'second', 'third'].map((name) => cache.getFileName(new Buffer(name), 'stretch'));
+            return cache.put(names[0], createBitmap(2, 2, 1))
+                .then(() => cache.put(names[1], createBitmap(2, 2, 2)))
+                .then(() => cache.get(names[0]))
+                .then(() => cache.put(names[2], createBitmap(2, 2, 3)))
+                .then(() => Promise.map(names, (name) => cache.get(name)));
+        }).then((bitmaps) =>
+        {
+            assert.deepEqual(bitmaps, [createBitmap(2, 2, 1), null, createBitmap(2, 2, 3)]);
+        });
+    });
+
+    it('deletes temporary files left behind by unfinished writes, but not ones that could still be being written', () =>
+    {
+        return EBImageCache.makeDirectory(directory).then(() =>
+        {
+            const stale = path.join(directory, 'stale.bin.1.0000.tmp');
+            const fresh = path.join(directory, 'fresh.bin.1.0000.tmp');
+            fs.writeFileSync(stale, 'partial');
+            fs.writeFileSync(fresh, 'partial');
+
+            const anHourAgo = new Date(Date.now() - 60 * 60 * 1000);
+            fs.utimesSync(stale, anHourAgo, anHourAgo);
+
+            return openCache(directory, 1024 * 1024, {size: 1});
+        }).then((cache) =>
+        {
+            assert.deepEqual(fs.readdirSync(directory), ['fresh.bin.1.0000.tmp']);
+            assert.strictEqual(cache.entries.size, 0);
+        });
+    });
+});
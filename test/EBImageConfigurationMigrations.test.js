@@ -0,0 +1,152 @@
+/*
+ Electric Brain is an easy to use platform for machine learning.
+ Copyright (C) 2016 Electric Brain Software Corporation
+
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU Affero General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU Affero General Public License for more details.
+
+ You should have received a copy of the GNU Affero General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const
+    Ajv = require('ajv'),
+    assert = require('assert'),
+    EBImageConfigurationMigrations = require('../client/js/image_configuration_migrations'),
+    EBImageConfigurationSchema = require('../server/EBImageConfigurationSchema'),
+    EBImageLayerShapeInference = require('../client/js/image_layer_shape_inference'),
+    path = require('path');
+
+const fixtures = path.join(__dirname, 'fixtures');
+
+/**
+ * This function loads one of the saved configurations in the fixtures folder
+ *
+ * @param {string} name The name of the fixture, without the extension
+ * @return {object} The configuration
+ */
+function loadFixture(name)
+{
+    return require(path.join(fixtures, `${name}.json`));
+}
+
+/**
+ * This function checks a configuration against the configuration schema, failing with the validation errors
+ *
+ * @param {object} configuration The configuration to check
+ */
+function assertValid(configuration)
+{
+    const validate = new Ajv({allErrors: true}).compile(EBImageConfigurationSchema.configurationSchema());
+    assert(validate(configuration), JSON.stringify(validate.errors, null, 4));
+}
+
+describe('EBImageConfigurationMigrations', () =>
+{
+    describe('upgrade', () =>
+    {
+        ['configuration-v1', 'configuration-v1-greyscale', 'configuration-v2'].forEach((name) =>
+        {
+            it(`upgrades ${name} into a valid configuration of the current version`, () =>
+            {
+                const upgraded = EBImageConfigurationMigrations.upgrade(loadFixture(name));
+                assert.strictEqual(upgraded.configVersion, EBImageConfigurationMigrations.currentVersion);
+                assertValid(upgraded);
+            });
+
+            it(`gives ${name} layers that fit its images`, () =>
+            {
+                const upgraded = EBImageConfigurationMigrations.upgrade(loadFixture(name));
+                const inputShape = {planes: upgraded.channels, width: upgraded.inputWidth, height: upgraded.inputHeight};
+                assert.deepEqual(EBImageLayerShapeInference.computeLayerShapes(upgraded.layers, inputShape).errors, []);
+            });
+        });
+
+        it('gives baseline configurations the fixed size and channels they used to have', () =>
+        {
+            const upgraded = EBImageConfigurationMigrations.upgrade(loadFixture('configuration-v1'));
+            assert.strictEqual(upgraded.inputWidth, 100);
+            assert.strictEqual(upgraded.inputHeight, 100);
+            assert.strictEqual(upgraded.channels, 3);
+            assert.strictEqual(upgraded.layers[0].nInputPlane, 3);
+        });
+
+        it('gives greyscale baseline configurations one channel', () =>
+        {
+            const upgraded = EBImageConfigurationMigrations.upgrade(loadFixture('configuration-v1-greyscale'));
+            assert.strictEqual(upgraded.channels, 1);
+            assert.strictEqual(upgraded.layers[0].nInputPlane, 1);
+        });
+
+        it('keeps the size and channels of configurations that have them', () =>
+        {
+            const upgraded = EBImageConfigurationMigrations.upgrade(loadFixture('configuration-v2'));
+            assert.strictEqual(upgraded.inputWidth, 64);
+            assert.strictEqual(upgraded.inputHeight, 48);
+            assert.strictEqual(upgraded.channels, 3);
+        });
+
+        it('replaces the augmentation flags with the list of augmentations', () =>
+        {
+            const upgraded = EBImageConfigurationMigrations.upgrade(loadFixture('configuration-v1'));
+            assert.deepEqual(upgraded.augmentations.map((augmentation) => augmentation.type), ['horizontalFlip', 'rotate']);
+            assert.strictEqual(upgraded.rotateImage, undefined);
+            assert.strictEqual(upgraded.stretchImage, undefined);
+            assert.strictEqual(upgraded.mirrorHorizontally, undefined);
+        });
+
+        it('keeps the augmentations of configurations that have them', () =>
+        {
+            const configuration = loadFixture('configuration-v2');
+            assert.deepEqual(EBImageConfigurationMigrations.upgrade(configuration).augmentations, configuration.augmentations);
+        });
+
+        it('scales pixels to [0, 1] for configurations from before the normalization could be chosen', () =>
+        {
+            assert.strictEqual(EBImageConfigurationMigrations.upgrade(loadFixture('configuration-v1')).normalization, 'scale');
+            assert.strictEqual(EBImageConfigurationMigrations.upgrade(loadFixture('configuration-v2')).normalization, 'scale');
+        });
+
+        it('keeps the number of images processed in parallel', () =>
+        {
+            const upgraded = EBImageConfigurationMigrations.upgrade(Object.assign({processingConcurrency: 4}, loadFixture('configuration-v2')));
+            assert.strictEqual(upgraded.processingConcurrency, 4);
+            assertValid(upgraded);
+        });
+
+        it('keeps the bad sample policy of configurations that skipped bad samples', () =>
+        {
+            const upgraded = EBImageConfigurationMigrations.upgrade(Object.assign({badSamplePolicy: 'skip'}, loadFixture('configuration-v2')));
+            assert.strictEqual(upgraded.badSamplePolicy, 'skip');
+            assertValid(upgraded);
+        });
+
+        it('leaves the given configuration untouched', () =>
+        {
+            const configuration = loadFixture('configuration-v1-greyscale');
+            const copy = JSON.parse(JSON.stringify(configuration));
+            EBImageConfigurationMigrations.upgrade(configuration);
+            assert.deepEqual(configuration, copy);
+        });
+
+        it('leaves configurations of the current version as they are', () =>
+        {
+            const upgraded = EBImageConfigurationMigrations.upgrade(loadFixture('configuration-v1'));
+            assert.deepEqual(EBImageConfigurationMigrations.upgrade(upgraded), upgraded);
+        });
+
+        it('rejects configurations that are newer than the plugin', () =>
+        {
+            assert.throws(() => EBImageConfigurationMigrations.upgrade({configVersion: EBImageConfigurationMigrations.currentVersion + 1}), /newer than the newest version/);
+        });
+    });
+});
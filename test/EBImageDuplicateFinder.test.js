@@ -0,0 +1,163 @@
+/*
+ Electric Brain is an easy to use platform for machine learning.
+ Copyright (C) 2016 Electric Brain Software Corporation
+
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU Affero General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU Affero General Public License for more details.
+
+ You should have received a copy of the GNU Affero General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const
+    assert = require('assert'),
+    EBImageDuplicateFinder = require('../server/EBImageDuplicateFinder'),
+    EBImagePerceptualHash = require('../server/EBImagePerceptualHash');
+
+/**
+ * This function flips the given bits of a hash
+ *
+ * @param {string} hash The hash
+ * @param {[number]} bits The indexes of the bits to flip, from 0 for the highest bit
+ * @return {string} The new hash
+ */
+function flipBits(hash, bits)
+{
+    const digits = hash.split('').map((digit) => parseInt(digit, 16));
+    bits.forEach((bit) =>
+    {
+        digits[Math.floor(bit / 4)] ^= 8 >> (bit % 4);
+    });
+    return digits.map((digit) => digit.toString(16)).join('');
+}
+
+/**
+ * This function makes a generator of pseudo random hashes, so that the tests are the same every time
+ *
+ * @param {number} seed The seed of the generator
+ * @return {function} A function returning a new hash each time it is called
+ */
+function createHashGenerator(seed)
+{
+    let state = seed;
+    const next = () =>
+    {
+        state = (Math.imul(state, 1103515245) + 12345) >>> 0;
+        return state >>> 16;
+    };
+    return () =>
+    {
+        let hash = '';
+        for (let index = 0; index < 4; index += 1)
+        {
+            hash += ('0000' + next().toString(16)).substr(-4);
+        }
+        return hash;
+    };
+}
+
+describe('EBImageDuplicateFinder', () =>
+{
+    const hash = 'a5a5a5a5a5a5a5a5';
+
+    it('finds no clusters in images that are all different', () =>
+    {
+        const finder = new EBImageDuplicateFinder(4, 10);
+        finder.addImage('a', hash);
+        finder.addImage('b', flipBits(hash, [0, 1, 2, 3, 4, 5, 6, 7]));
+        assert.deepEqual(finder.getClusters(10, 10), {
+            duplicateImageCount: 0,
+            exactDuplicateImageCount: 0,
+            duplicateClusterCount: 0,
+            duplicateClusters: []
+        });
+    });
+
+    it('groups exact copies by their content hash', () =>
+    {
+        const finder = new EBImageDuplicateFinder(0, 10);
+        finder.addImage('a', hash, 'first');
+        finder.addImage('a', hash, 'second');
+        finder.addImage('a', hash, 'third');
+        assert.deepEqual(finder.getClusters(10, 10), {
+            duplicateImageCount: 2,
+            exactDuplicateImageCount: 2,
+            duplicateClusterCount: 1,
+            duplicateClusters: [{size: 3, exactDuplicates: 2, thumbnails: ['first', 'second', 'third']}]
+        });
+    });
+
+    it('groups near duplicates within the maximum distance, and no further', () =>
+    {
+        const finder = new EBImageDuplicateFinder(3, 10);
+        finder.addImage('a', hash);
+        finder.addImage('b', flipBits(hash, [10, 20, 30]));
+        finder.addImage('c', flipBits(hash, [40, 41, 42, 43]));
+        const clusters = finder.getClusters(10, 10);
+        assert.strictEqual(clusters.duplicateClusterCount, 1);
+        assert.strictEqual(clusters.duplicateImageCount, 1);
+        assert.strictEqual(clusters.exactDuplicateImageCount, 0);
+        assert.strictEqual(clusters.duplicateClusters[0].size, 2);
+    });
+
+    it('chains near duplicates into one cluster', () =>
+    {
+        // The first and last images are 4 bits apart, but each is 2 bits from the middle one
+        const finder = new EBImageDuplicateFinder(2, 10);
+        finder.addImage('a', hash);
+        finder.addImage('c', flipBits(hash, [0, 1, 2, 3]));
+        finder.addImage('b', flipBits(hash, [0, 1]));
+        assert.strictEqual(finder.getClusters(10, 10).duplicateClusters[0].size, 3);
+    });
+
+    it('describes the largest clusters first, within the limits', () =>
+    {
+        const finder = new EBImageDuplicateFinder(0, 3);
+        const other = flipBits(hash, [0, 8, 16, 24, 32, 40, 48, 56]);
+        finder.addImage('a', hash, 'a1');
+        finder.addImage('a', hash, 'a2');
+        finder.addImage('b', other, 'b1');
+        finder.addImage('b', other, 'b2');
+        finder.addImage('b', other, 'b3');
+        const clusters = finder.getClusters(1, 2);
+        assert.strictEqual(clusters.duplicateClusterCount, 2);
+        assert.strictEqual(clusters.duplicateImageCount, 3);
+
+        // Only the first three thumbnails are kept, and two are shown per cluster
+        assert.deepEqual(clusters.duplicateClusters, [{size: 3, exactDuplicates: 2, thumbnails: ['b1']}]);
+        assert.deepEqual(finder.getClusters(2, 2).duplicateClusters[1].thumbnails, ['a1', 'a2']);
+    });
+
+    it('finds the same matches as comparing against every hash', () =>
+    {
+        const maxDistance = 24;
+        const nextHash = createHashGenerator(7);
+        const finder = new EBImageDuplicateFinder(maxDistance, 0);
+        const hashes = [];
+        for (let index = 0; index < 300; index += 1)
+        {
+            const newHash = nextHash();
+            const expected = [];
+            hashes.forEach((otherHash, otherIndex) =>
+            {
+                if (EBImagePerceptualHash.hammingDistance(newHash, otherHash) <= maxDistance)
+                {
+                    expected.push(otherIndex);
+                }
+            });
+
+            assert.deepEqual(finder.findWithinDistance(newHash).sort((a, b) => a - b), expected);
+            finder.addImage(String(index), newHash);
+            hashes.push(newHash);
+        }
+    });
+});
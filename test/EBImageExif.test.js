@@ -0,0 +1,247 @@
+/*
+ Electric Brain is an easy to use platform for machine learning.
+ Copyright (C) 2016 Electric Brain Software Corporation
+
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU Affero General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU Affero General Public License for more details.
+
+ You should have received a copy of the GNU Affero General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const
+    assert = require('assert'),
+    EBImageExif = require('../server/EBImageExif'),
+    EBImageMaskPNG = require('../server/EBImageMaskPNG'),
+    exif = require('./helpers/exif');
+
+// The directories of a photo taken in the south west of the world, below sea level
+const photo = {
+    image: [
+        {tag: 0x010F, type: 2, values: 'Canon'},
+        {tag: 0x0110, type: 2, values: 'EOS 5D'},
+        {tag: 0x0112, type: 3, values: [6]}
+    ],
+    exif: [
+        {tag: 0x829A, type: 5, values: [[1, 250]]},
+        {tag: 0x829D, type: 5, values: [[28, 10]]},
+        {tag: 0x8827, type: 3, values: [400]},
+        {tag: 0x9003, type: 2, values: '2016:08:21 14:05:33'},
+        {tag: 0x920A, type: 5, values: [[50, 1]]}
+    ],
+    gps: [
+        {tag: 1, type: 2, values: 'S'},
+        {tag: 2, type: 5, values: [[33, 1], [52, 1], [3600, 100]]},
+        {tag: 3, type: 2, values: 'W'},
+        {tag: 4, type: 5, values: [[70, 1], [30, 1], [0, 1]]},
+        {tag: 5, type: 1, values: [1]},
+        {tag: 6, type: 5, values: [[25, 2]]}
+    ]
+};
+
+const expectedFields = {
+    cameraMake: 'Canon',
+    cameraModel: 'EOS 5D',
+    captureTime: '2016-08-21T14:05:33',
+    exposureTime: 0.004,
+    fNumber: 2.8,
+    isoSpeed: 400,
+    focalLength: 50,
+    gpsLatitude: -(33 + 52 / 60 + 36 / 3600),
+    gpsLongitude: -70.5,
+    gpsAltitude: -12.5
+};
+
+/**
+ * This function creates a JPEG segment
+ *
+ * @param {number} marker The marker of the segment
+ * @param {Buffer} payload The contents of the segment
+ * @return {Buffer} The segment
+ */
+function jpegSegment(marker, payload)
+{
+    const header = new Buffer([0xFF, marker, 0, 0]);
+    header.writeUInt16BE(payload.length + 2, 2);
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * This function checks that two objects have the same numbers, up to rounding errors, and the same strings
+ *
+ * @param {object} actual The object to check
+ * @param {object} expected The expected object
+ */
+function assertFieldsEqual(actual, expected)
+{
+    assert.deepEqual(Object.keys(actual).sort(), Object.keys(expected).sort());
+    Object.keys(expected).forEach((name) =>
+    {
+        if (typeof expected[name] === 'number')
+        {
+            assert(Math.abs(actual[name] - expected[name]) < 1e-9, `${name}: ${actual[name]} is not ${expected[name]}`);
+        }
+        else
+        {
+            assert.equal(actual[name], expected[name], name);
+        }
+    });
+}
+
+describe('EBImageExif', () =>
+{
+    describe('parse', () =>
+    {
+        it('reads every field from big endian data', () =>
+        {
+            assertFieldsEqual(EBImageExif.parse(exif.write(photo, false)), expectedFields);
+        });
+
+        it('reads every field from little endian data', () =>
+        {
+            assertFieldsEqual(EBImageExif.parse(exif.write(photo, true)), expectedFields);
+        });
+
+        it('reads data without the Exif identifier', () =>
+        {
+            assertFieldsEqual(EBImageExif.parse(exif.write(photo, true).slice(6)), expectedFields);
+        });
+
+        it('only returns fields that are in the list of fields', () =>
+        {
+            const names = EBImageExif.fields.map((field) => field.name);
+            Object.keys(EBImageExif.parse(exif.write(photo, false))).forEach((name) =>
+            {
+                assert.notEqual(names.indexOf(name), -1, name);
+            });
+        });
+
+        it('reads positive coordinates in the north east', () =>
+        {
+            const gps = [
+                {tag: 1, type: 2, values: 'N'},
+                {tag: 2, type: 5, values: [[10, 1], [30, 1], [0, 1]]},
+                {tag: 3, type: 2, values: 'E'},
+                {tag: 4, type: 5, values: [[20, 1], [15, 1], [0, 1]]},
+                {tag: 6, type: 5, values: [[100, 1]]}
+            ];
+            assertFieldsEqual(EBImageExif.parse(exif.write({gps}, false)), {gpsLatitude: 10.5, gpsLongitude: 20.25, gpsAltitude: 100});
+        });
+
+        it('leaves out a latitude without a longitude', () =>
+        {
+            const gps = [{tag: 2, type: 5, values: [[10, 1], [30, 1], [0, 1]]}];
+            assert.deepEqual(EBImageExif.parse(exif.write({gps}, false)), {});
+        });
+
+        it('leaves out values with a zero denominator and dates that can not be read', () =>
+        {
+            const directories = {
+                exif: [
+                    {tag: 0x829A, type: 5, values: [[1, 0]]},
+                    {tag: 0x9003, type: 2, values: 'yesterday'},
+                    {tag: 0x8827, type: 3, values: [100]}
+                ]
+            };
+            assert.deepEqual(EBImageExif.parse(exif.write(directories, true)), {isoSpeed: 100});
+        });
+
+        it('skips values that point past the end of the data', () =>
+        {
+            const data = exif.write({image: [{tag: 0x0112, type: 3, values: [1]}, {tag: 0x010F, type: 2, values: 'A long camera make'}]}, false);
+            assert.deepEqual(EBImageExif.parse(data.slice(0, data.length - 4)), {});
+        });
+
+        it('returns no fields for missing or damaged data', () =>
+        {
+            assert.deepEqual(EBImageExif.parse(null), {});
+            assert.deepEqual(EBImageExif.parse(new Buffer('Exif\0\0XX*\0', 'binary')), {});
+            assert.deepEqual(EBImageExif.parse(exif.write(photo, false).slice(0, 20)), {});
+        });
+    });
+
+    describe('parseDateTime', () =>
+    {
+        it('converts EXIF dates to ISO 8601 without a time zone', () =>
+        {
+            assert.equal(EBImageExif.parseDateTime('2001:02:03 04:05:06'), '2001-02-03T04:05:06');
+        });
+
+        it('returns null for dates that can not be read', () =>
+        {
+            assert.strictEqual(EBImageExif.parseDateTime('0000:00:00'), null);
+            assert.strictEqual(EBImageExif.parseDateTime(undefined), null);
+        });
+    });
+
+    describe('strip', () =>
+    {
+        const scan = Buffer.concat([jpegSegment(0xDA, new Buffer([1, 2, 3])), new Buffer([0xFF, 0xE1, 9, 9, 0xFF, 0xD9])]);
+        const jfif = jpegSegment(0xE0, new Buffer('JFIF\0\x01\x01', 'binary'));
+        const xmp = jpegSegment(0xE1, new Buffer('http://ns.adobe.com/xap/1.0/\0<x/>', 'binary'));
+        const jpeg = Buffer.concat([new Buffer([0xFF, 0xD8]), jfif, jpegSegment(0xE1, exif.write(photo, false)), xmp, scan]);
+
+        it('removes the EXIF segments of a JPEG and keeps every other segment and the scan', () =>
+        {
+            assert.deepEqual(EBImageExif.strip(jpeg), Buffer.concat([new Buffer([0xFF, 0xD8]), jfif, xmp, scan]));
+        });
+
+        it('keeps the orientation of a JPEG in a minimal EXIF segment', () =>
+        {
+            const stripped = EBImageExif.strip(jpeg, 6);
+            const segment = EBImageExif.createOrientationSegment(6);
+            assert.deepEqual(stripped, Buffer.concat([new Buffer([0xFF, 0xD8]), segment, jfif, xmp, scan]));
+
+            const reader = EBImageExif.createTiffReader(segment.slice(10));
+            assert.equal(reader.readIFD(8)[0x0112], 6);
+            assert.deepEqual(EBImageExif.parse(segment.slice(4)), {});
+        });
+
+        it('does not add an orientation segment for the normal orientation', () =>
+        {
+            assert.deepEqual(EBImageExif.strip(jpeg, 1), EBImageExif.strip(jpeg));
+        });
+
+        it('removes the eXIf chunks of a PNG', () =>
+        {
+            const ihdr = EBImageMaskPNG.createChunk('IHDR', new Buffer(13).fill(1));
+            const idat = EBImageMaskPNG.createChunk('IDAT', new Buffer([1, 2, 3]));
+            const iend = EBImageMaskPNG.createChunk('IEND', new Buffer(0));
+            const signature = new Buffer([137, 80, 78, 71, 13, 10, 26, 10]);
+            const png = Buffer.concat([signature, ihdr, EBImageMaskPNG.createChunk('eXIf', exif.write(photo, false).slice(6)), idat, iend]);
+            assert.deepEqual(EBImageExif.strip(png), Buffer.concat([signature, ihdr, idat, iend]));
+        });
+
+        it('returns images in other formats unchanged', () =>
+        {
+            const gif = new Buffer('GIF89a\x01\0\x01\0', 'binary');
+            assert.strictEqual(EBImageExif.strip(gif), gif);
+        });
+    });
+
+    describe('getOrientedSize', () =>
+    {
+        it('swaps the width and height for orientations with a quarter turn', () =>
+        {
+            [1, 2, 3, 4, 5, 6, 7, 8].forEach((orientation) =>
+            {
+                const size = EBImageExif.getOrientedSize({width: 40, height: 30, orientation});
+                assert.deepEqual(size, orientation >= 5 ? {width: 30, height: 40} : {width: 40, height: 30}, `orientation ${orientation}`);
+            });
+        });
+
+        it('keeps the size of images without an orientation', () =>
+        {
+            assert.deepEqual(EBImageExif.getOrientedSize({width: 40, height: 30}), {width: 40, height: 30});
+        });
+    });
+});
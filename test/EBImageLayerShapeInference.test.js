@@ -0,0 +1,305 @@
+/*
+ Electric Brain is an easy to use platform for machine learning.
+ Copyright (C) 2016 Electric Brain Software Corporation
+
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU Affero General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU Affero General Public License for more details.
+
+ You should have received a copy of the GNU Affero General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const
+    assert = require('assert'),
+    EBImageLayerShapeInference = require('../client/js/image_layer_shape_inference');
+
+/**
+ * This function creates a convolution layer, in the form layers take in the interpretation configuration
+ */
+function convolution(nInputPlane, nOutputPlane, kernel, step, padding)
+{
+    return {
+        layerType: 'convolution',
+        nInputPlane: nInputPlane,
+        nOutputPlane: nOutputPlane,
+        kernelWidth: kernel,
+        kernelHeight: kernel,
+        stepWidth: step,
+        stepHeight: step,
+        paddingWidth: padding,
+        paddingHeight: padding
+    };
+}
+
+/**
+ * This function creates a max pooling layer with square windows that don't overlap
+ */
+function maxPooling(size)
+{
+    return {layerType: 'maxpooling', nKernelWidth: size, nKernelHeight: size, nStepWidth: size, nStepHeight: size};
+}
+
+/**
+ * This function creates a batch normalization layer
+ */
+function batchNormalization(planes)
+{
+    return {layerType: 'batchnormalization', nInputFeatures: planes};
+}
+
+describe('EBImageLayerShapeInference', () =>
+{
+    const rgb = {planes: 3, width: 32, height: 24};
+
+    describe('computeLayerShapes', () =>
+    {
+        it('computes the shape coming out of convolutions and pooling the same way Torch does', () =>
+        {
+            const result = EBImageLayerShapeInference.computeLayerShapes([
+                convolution(3, 16, 3, 1, 1),
+                maxPooling(2),
+                convolution(16, 32, 5, 2, 0)
+            ], rgb);
+
+            assert.deepEqual(result.errors, []);
+            assert.deepEqual(result.shapes, [
+                {planes: 16, width: 32, height: 24},
+                {planes: 16, width: 16, height: 12},
+                {planes: 32, width: 6, height: 4}
+            ]);
+        });
+
+        it('uses the area covered by the kernel for dilated convolutions', () =>
+        {
+            const layer = Object.assign(convolution(3, 8, 3, 1, 0), {layerType: 'dilatedconvolution', dilationWidth: 2, dilationHeight: 3});
+            const result = EBImageLayerShapeInference.computeLayerShapes([layer], rgb);
+            assert.deepEqual(result.shapes, [{planes: 8, width: 28, height: 18}]);
+        });
+
+        it('multiplies the planes for depthwise convolutions', () =>
+        {
+            const layer = Object.assign(convolution(3, 3, 3, 1, 1), {layerType: 'depthwiseconvolution', depthMultiplier: 4});
+            const result = EBImageLayerShapeInference.computeLayerShapes([layer], rgb);
+            assert.deepEqual(result.shapes, [{planes: 12, width: 32, height: 24}]);
+        });
+
+        it('grows the image for full convolutions and upsampling', () =>
+        {
+            const fullConvolution = Object.assign(convolution(3, 8, 4, 2, 1), {layerType: 'fullconvolution', adjWidth: 1, adjHeight: 0});
+            const result = EBImageLayerShapeInference.computeLayerShapes([
+                fullConvolution,
+                {layerType: 'upsampling', scaleFactor: 3}
+            ], rgb);
+
+            assert.deepEqual(result.errors, []);
+            assert.deepEqual(result.shapes, [
+                {planes: 8, width: 65, height: 48},
+                {planes: 8, width: 195, height: 144}
+            ]);
+        });
+
+        it('rejects full convolutions whose adjustment is not smaller than their step', () =>
+        {
+            const layer = Object.assign(convolution(3, 8, 4, 2, 1), {layerType: 'fullconvolution', adjWidth: 2, adjHeight: 0});
+            const result = EBImageLayerShapeInference.computeLayerShapes([layer], rgb);
+            assert.strictEqual(result.shapes[0], null);
+            assert.strictEqual(result.errors.length, 1);
+        });
+
+        it('reduces the image to a single pixel for global average pooling', () =>
+        {
+            const result = EBImageLayerShapeInference.computeLayerShapes([{layerType: 'globalaveragepooling'}], rgb);
+            assert.deepEqual(result.shapes, [{planes: 3, width: 1, height: 1}]);
+        });
+
+        it('reports planes that do not match the previous layer', () =>
+        {
+            const result = EBImageLayerShapeInference.computeLayerShapes([
+                convolution(3, 16, 3, 1, 1),
+                batchNormalization(32),
+                convolution(32, 8, 3, 1, 1)
+            ], rgb);
+
+            assert.strictEqual(result.errors.length, 2);
+            assert(/^Layer 2 \(batchnormalization\): nInputFeatures is 32/.test(result.errors[0]));
+            assert(/^Layer 3 \(convolution\): nInputPlane is 32/.test(result.errors[1]));
+        });
+
+        it('reports kernels that are larger than the image and stops at them', () =>
+        {
+            const result = EBImageLayerShapeInference.computeLayerShapes([
+                maxPooling(16),
+                maxPooling(2),
+                batchNormalization(3)
+            ], rgb);
+
+            assert.deepEqual(result.shapes, [{planes: 3, width: 2, height: 1}, null, null]);
+            assert.strictEqual(result.errors.length, 1);
+            assert(/kernel is larger than/.test(result.errors[0]));
+        });
+
+        it('reports missing and invalid parameters', () =>
+        {
+            const layer = convolution(3, 16, 3, 1, 1);
+            layer.kernelWidth = 1.5;
+            delete layer.stepHeight;
+            const result = EBImageLayerShapeInference.computeLayerShapes([layer, {layerType: 'dropout', nRatio: 1}], rgb);
+
+            assert.strictEqual(result.shapes[0], null);
+            assert.strictEqual(result.errors.length, 2);
+            assert(/kernelWidth must be an integer/.test(result.errors[0]));
+            assert(/stepHeight must be an integer/.test(result.errors[1]));
+        });
+
+        it('reports unknown layer types', () =>
+        {
+            const result = EBImageLayerShapeInference.computeLayerShapes([{layerType: 'magic'}], rgb);
+            assert.deepEqual(result.errors, ['Layer 1 (magic): Unknown layer type magic']);
+        });
+
+        it('adds the layers and the shortcut of residual blocks together', () =>
+        {
+            const block = {
+                layerType: 'residual',
+                layers: [convolution(3, 3, 3, 1, 1), batchNormalization(3)],
+                shortcutLayers: []
+            };
+            const result = EBImageLayerShapeInference.computeLayerShapes([block], rgb);
+            assert.deepEqual(result.errors, []);
+            assert.deepEqual(result.shapes, [rgb]);
+        });
+
+        it('rejects residual blocks whose layers and shortcut produce different shapes', () =>
+        {
+            const block = {
+                layerType: 'residual',
+                layers: [convolution(3, 8, 3, 2, 1)],
+                shortcutLayers: [convolution(3, 8, 1, 1, 0)]
+            };
+            const result = EBImageLayerShapeInference.computeLayerShapes([block], rgb);
+            assert.strictEqual(result.shapes[0], null);
+            assert(/can't be added together/.test(result.errors[0]));
+        });
+
+        it('stacks the planes of the branches of concat blocks', () =>
+        {
+            const block = {
+                layerType: 'concat',
+                layers: [
+                    {layerType: 'branch', layers: [convolution(3, 8, 1, 1, 0)]},
+                    {layerType: 'branch', layers: [convolution(3, 4, 3, 1, 1)]},
+                    {layerType: 'branch', layers: []}
+                ]
+            };
+            const result = EBImageLayerShapeInference.computeLayerShapes([block], rgb);
+            assert.deepEqual(result.errors, []);
+            assert.deepEqual(result.shapes, [{planes: 15, width: 32, height: 24}]);
+        });
+
+        it('rejects concat blocks whose branches produce different sizes', () =>
+        {
+            const block = {
+                layerType: 'concat',
+                layers: [
+                    {layerType: 'branch', layers: [maxPooling(2)]},
+                    {layerType: 'branch', layers: []}
+                ]
+            };
+            const result = EBImageLayerShapeInference.computeLayerShapes([block], rgb);
+            assert.strictEqual(result.shapes[0], null);
+            assert(/same width and height/.test(result.errors[0]));
+        });
+
+        it('describes where the errors in nested layers are', () =>
+        {
+            const block = {
+                layerType: 'residual',
+                layers: [convolution(4, 3, 3, 1, 1)],
+                shortcutLayers: [batchNormalization(5)]
+            };
+            const errors = EBImageLayerShapeInference.computeLayerShapes([block], rgb).errors;
+            assert.deepEqual(errors, [
+                'Layer 1 (residual): layer 1 (convolution): nInputPlane is 4 but the previous layer outputs 3 planes',
+                'Layer 1 (residual): shortcut, layer 1 (batchnormalization): nInputFeatures is 5 but the previous layer outputs 3 planes'
+            ]);
+        });
+    });
+
+    describe('computeOutputShape', () =>
+    {
+        it('returns the shape coming out of the last layer', () =>
+        {
+            assert.deepEqual(EBImageLayerShapeInference.computeOutputShape([convolution(3, 16, 3, 1, 1), maxPooling(2)], rgb), {planes: 16, width: 16, height: 12});
+        });
+
+        it('returns the input shape when there are no layers', () =>
+        {
+            assert.deepEqual(EBImageLayerShapeInference.computeOutputShape([], rgb), rgb);
+        });
+
+        it('throws with every problem when the layers are impossible', () =>
+        {
+            assert.throws(() => EBImageLayerShapeInference.computeOutputShape([convolution(1, 16, 3, 1, 1)], rgb), /Invalid image layer configuration:\nLayer 1/);
+        });
+    });
+
+    describe('summarizeStack', () =>
+    {
+        it('counts the parameters and the memory of every layer', () =>
+        {
+            const summary = EBImageLayerShapeInference.summarizeStack([convolution(3, 16, 3, 1, 1), batchNormalization(16), maxPooling(2)], rgb);
+
+            assert.deepEqual(summary.layers.map((layer) => layer.parameterCount), [16 * (3 * 3 * 3 + 1), 2 * 16, 0]);
+            assert.strictEqual(summary.parameterCount, 16 * 28 + 32);
+            assert.strictEqual(summary.parameterBytes, summary.parameterCount * 4);
+            assert.strictEqual(summary.activationBytes, (16 * 32 * 24 * 2 + 16 * 16 * 12) * 4);
+            assert.deepEqual(summary.outputShape, {planes: 16, width: 16, height: 12});
+            assert.deepEqual(summary.errors, []);
+        });
+
+        it('includes the nested layers in the counts of blocks', () =>
+        {
+            const block = {
+                layerType: 'residual',
+                layers: [convolution(3, 3, 1, 1, 0)],
+                shortcutLayers: [convolution(3, 3, 1, 1, 0)]
+            };
+            const summary = EBImageLayerShapeInference.summarizeStack([block], rgb);
+            assert.strictEqual(summary.layers[0].layers.length, 1);
+            assert.strictEqual(summary.layers[0].shortcutLayers.length, 1);
+            assert.strictEqual(summary.parameterCount, 2 * 3 * (3 + 1));
+        });
+
+        it('gives no shape or counts to the layers after an impossible one', () =>
+        {
+            const summary = EBImageLayerShapeInference.summarizeStack([maxPooling(64), convolution(3, 16, 3, 1, 1)], rgb);
+            assert.strictEqual(summary.layers[1].shape, null);
+            assert.strictEqual(summary.layers[1].parameterCount, 0);
+            assert.strictEqual(summary.outputShape, null);
+        });
+    });
+
+    describe('summarizeOutputStack', () =>
+    {
+        it('accepts output layers that produce exactly the image shape', () =>
+        {
+            const summary = EBImageLayerShapeInference.summarizeOutputStack([{layerType: 'upsampling', scaleFactor: 2}, convolution(8, 3, 3, 1, 1)], {planes: 8, width: 16, height: 12}, rgb);
+            assert.deepEqual(summary.errors, []);
+        });
+
+        it('reports output layers that produce the wrong shape', () =>
+        {
+            const summary = EBImageLayerShapeInference.summarizeOutputStack([convolution(8, 3, 3, 1, 1)], {planes: 8, width: 16, height: 12}, rgb);
+            assert.deepEqual(summary.errors, ['The output layers produce 3x12x16 images, but the images are 3x24x32']);
+        });
+    });
+});
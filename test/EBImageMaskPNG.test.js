@@ -0,0 +1,180 @@
+/*
+ Electric Brain is an easy to use platform for machine learning.
+ Copyright (C) 2016 Electric Brain Software Corporation
+
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU Affero General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU Affero General Public License for more details.
+
+ You should have received a copy of the GNU Affero General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const
+    assert = require('assert'),
+    EBImageMaskPNG = require('../server/EBImageMaskPNG'),
+    maskPNG = require('./helpers/maskPNG');
+
+/**
+ * This function creates labels that vary in every direction, so that every filter has
+ * differences to store.
+ *
+ * @param {number} count The number of labels
+ * @param {number} bitDepth The number of bits per label
+ * @return {[number]} The labels
+ */
+function createLabels(count, bitDepth)
+{
+    const labels = [];
+    let state = 12345;
+    for (let index = 0; index < count; index += 1)
+    {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        labels.push(state % (1 << bitDepth));
+    }
+    return labels;
+}
+
+/**
+ * This function asserts that a promise rejects with the given rejection reason
+ *
+ * @param {Promise} promise The promise
+ * @param {string} reason The expected rejection reason
+ * @return {Promise} A promise that resolves once the rejection has been checked
+ */
+function assertRejects(promise, reason)
+{
+    return promise.then(() =>
+    {
+        throw new Error("Expected the mask to be rejected");
+    }, (err) =>
+    {
+        assert.strictEqual(err.rejectionReason, reason, err.message);
+    });
+}
+
+describe('EBImageMaskPNG', () =>
+{
+    describe('decode', () =>
+    {
+        // An odd width, so that the last byte of the packed rows is only partly used
+        const width = 13;
+        const height = 7;
+
+        [1, 2, 4, 8].forEach((bitDepth) =>
+        {
+            [0, 1, 2, 3, 4].forEach((filterType) =>
+            {
+                it(`reads ${bitDepth} bit greyscale masks with the filter type ${filterType}`, () =>
+                {
+                    const labels = createLabels(width * height, bitDepth);
+                    return EBImageMaskPNG.decode(maskPNG.write(width, height, labels, bitDepth, filterType)).then((mask) =>
+                    {
+                        assert.strictEqual(mask.width, width);
+                        assert.strictEqual(mask.height, height);
+                        assert.strictEqual(mask.maskType, 'greyscale');
+                        assert.strictEqual(mask.palette, null);
+                        assert.deepEqual(Array.from(mask.labels), labels);
+                    });
+                });
+            });
+        });
+
+        it('reads masks with a different filter type on every row', () =>
+        {
+            const labels = createLabels(width * height, 4);
+            return EBImageMaskPNG.decode(maskPNG.write(width, height, labels, 4, [4, 3, 2, 1, 0, 4, 2])).then((mask) =>
+            {
+                assert.deepEqual(Array.from(mask.labels), labels);
+            });
+        });
+
+        it('rejects images that are not PNGs', () =>
+        {
+            return assertRejects(EBImageMaskPNG.decode(new Buffer('not a png')), 'unrecognized');
+        });
+
+        it('rejects unknown filter types', () =>
+        {
+            return assertRejects(EBImageMaskPNG.decode(maskPNG.write(width, height, createLabels(width * height, 8), 8, 5)), 'corrupt');
+        });
+
+        it('rejects masks with data that is not compressed', () =>
+        {
+            const image = maskPNG.write(width, height, createLabels(width * height, 8), 8, 0);
+
+            // Overwrite the start of the IDAT data, which comes after the signature, the IHDR chunk and the IDAT length and type
+            image.fill(0xFF, 8 + 25 + 8, 8 + 25 + 12);
+            return assertRejects(EBImageMaskPNG.decode(image), 'corrupt');
+        });
+
+        it('rejects masks with fewer rows than their height', () =>
+        {
+            const labels = createLabels(width * height, 8);
+            const image = maskPNG.write(width, height, labels, 8, 0);
+            image.writeUInt32BE(height + 1, 8 + 8 + 4);
+            return assertRejects(EBImageMaskPNG.decode(image), 'corrupt');
+        });
+    });
+
+    describe('encode', () =>
+    {
+        it('writes greyscale masks that decode to the same labels', () =>
+        {
+            const labels = new Buffer(createLabels(30, 8));
+            return EBImageMaskPNG.decode(EBImageMaskPNG.encode(6, 5, labels)).then((mask) =>
+            {
+                assert.strictEqual(mask.maskType, 'greyscale');
+                assert.deepEqual(mask.labels, labels);
+            });
+        });
+
+        it('writes indexed masks that decode to the same labels and palette', () =>
+        {
+            const labels = new Buffer([0, 1, 2, 2, 1, 0]);
+            const palette = ['#000000', '#ff0000', '#00ff80'];
+            return EBImageMaskPNG.decode(EBImageMaskPNG.encode(3, 2, labels, palette)).then((mask) =>
+            {
+                assert.strictEqual(mask.maskType, 'palette');
+                assert.deepEqual(mask.palette, palette);
+                assert.deepEqual(mask.labels, labels);
+            });
+        });
+    });
+
+    describe('readHeader', () =>
+    {
+        it('does not accept 16 bit images', () =>
+        {
+            const image = maskPNG.write(2, 2, [0, 1, 2, 3], 8, 0);
+            image[8 + 8 + 8] = 16;
+            assert.strictEqual(EBImageMaskPNG.readHeader(image), null);
+        });
+    });
+
+    describe('countLabels', () =>
+    {
+        it('counts each label once', () =>
+        {
+            assert.strictEqual(EBImageMaskPNG.countLabels(new Buffer([0, 255, 0, 3, 3, 255])), 3);
+            assert.strictEqual(EBImageMaskPNG.countLabels(new Buffer(0)), 0);
+        });
+    });
+
+    describe('resize', () =>
+    {
+        it('picks the nearest label without blending', () =>
+        {
+            const mask = {width: 2, height: 1, labels: new Buffer([3, 7])};
+            assert.deepEqual(Array.from(EBImageMaskPNG.resize(mask, 4, 2).labels), [3, 3, 7, 7, 3, 3, 7, 7]);
+        });
+    });
+});
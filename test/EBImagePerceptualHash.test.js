@@ -0,0 +1,101 @@
+/*
+ Electric Brain is an easy to use platform for machine learning.
+ Copyright (C) 2016 Electric Brain Software Corporation
+
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU Affero General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU Affero General Public License for more details.
+
+ You should have received a copy of the GNU Affero General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const
+    assert = require('assert'),
+    EBImagePerceptualHash = require('../server/EBImagePerceptualHash');
+
+/**
+ * This function makes a grid of the hash size from a function giving the grey value of each pixel
+ *
+ * @param {function} value A function taking x and y, and returning the grey value
+ * @param {number} [channels] The number of bytes per pixel, all set to the grey value
+ * @return {Buffer} The grid
+ */
+function createGrid(value, channels)
+{
+    channels = channels || 1;
+    const width = EBImagePerceptualHash.gridWidth;
+    const height = EBImagePerceptualHash.gridHeight;
+    const data = new Buffer(width * height * channels);
+    for (let y = 0; y < height; y += 1)
+    {
+        for (let x = 0; x < width; x += 1)
+        {
+            data.fill(value(x, y), (y * width + x) * channels, (y * width + x + 1) * channels);
+        }
+    }
+    return data;
+}
+
+describe('EBImagePerceptualHash', () =>
+{
+    describe('hashGrid', () =>
+    {
+        it('sets the bits where a pixel is brighter than its right neighbour', () =>
+        {
+            assert.strictEqual(EBImagePerceptualHash.hashGrid(createGrid((x) => 255 - x * 10), 1), 'ffffffffffffffff');
+            assert.strictEqual(EBImagePerceptualHash.hashGrid(createGrid((x) => x * 10), 1), '0000000000000000');
+            assert.strictEqual(EBImagePerceptualHash.hashGrid(createGrid(() => 128), 1), '0000000000000000');
+        });
+
+        it('writes one byte per row, from the top row and the leftmost pixel', () =>
+        {
+            // Only the first pixel of the first and last rows is brighter than its neighbour
+            const grid = createGrid((x, y) => (x === 0 && (y === 0 || y === 7)) ? 200 : 100);
+            assert.strictEqual(EBImagePerceptualHash.hashGrid(grid, 1), '8000000000000080');
+        });
+
+        it('only uses the first of the channels of each pixel', () =>
+        {
+            const value = (x, y) => (x + y) % 3 * 50;
+            const withAlpha = createGrid(value, 2);
+            for (let index = 1; index < withAlpha.length; index += 2)
+            {
+                withAlpha[index] = 255 - withAlpha[index];
+            }
+            assert.strictEqual(EBImagePerceptualHash.hashGrid(withAlpha, 2), EBImagePerceptualHash.hashGrid(createGrid(value), 1));
+        });
+
+        it('changes in few bits when a pixel changes', () =>
+        {
+            const value = (x, y) => (x * 37 + y * 91) % 256;
+            const original = EBImagePerceptualHash.hashGrid(createGrid(value), 1);
+            const edited = EBImagePerceptualHash.hashGrid(createGrid((x, y) => (x === 4 && y === 3) ? 255 - value(x, y) : value(x, y)), 1);
+            assert(EBImagePerceptualHash.hammingDistance(original, edited) <= 2);
+        });
+    });
+
+    describe('hammingDistance', () =>
+    {
+        it('counts the bits that differ', () =>
+        {
+            assert.strictEqual(EBImagePerceptualHash.hammingDistance('0000000000000000', '0000000000000000'), 0);
+            assert.strictEqual(EBImagePerceptualHash.hammingDistance('0000000000000000', 'ffffffffffffffff'), 64);
+            assert.strictEqual(EBImagePerceptualHash.hammingDistance('8000000000000001', '0000000000000000'), 2);
+            assert.strictEqual(EBImagePerceptualHash.hammingDistance('0f0f0f0f00000000', 'ff0f0f0f00000000'), 4);
+        });
+
+        it('is the same in both directions', () =>
+        {
+            assert.strictEqual(EBImagePerceptualHash.hammingDistance('0123456789abcdef', 'fedcba9876543210'), EBImagePerceptualHash.hammingDistance('fedcba9876543210', '0123456789abcdef'));
+        });
+    });
+});
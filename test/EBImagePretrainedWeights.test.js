@@ -0,0 +1,161 @@
+/*
+ Electric Brain is an easy to use platform for machine learning.
+ Copyright (C) 2016 Electric Brain Software Corporation
+
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU Affero General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU Affero General Public License for more details.
+
+ You should have received a copy of the GNU Affero General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const
+    assert = require('assert'),
+    EBImagePretrainedWeights = require('../server/EBImagePretrainedWeights'),
+    fs = require('fs'),
+    os = require('os'),
+    path = require('path'),
+    torchFile = require('./helpers/torchFile');
+
+/**
+ * This function creates the configuration of a field with a small stack of layers, using the given weights file
+ *
+ * @param {string} weightsFile The name of the weights file in the pretrained directory
+ * @return {object} The interpretation configuration
+ */
+function createConfiguration(weightsFile)
+{
+    return {
+        pretrainedWeights: 'file',
+        pretrainedWeightsFile: weightsFile,
+        frozenLayerCount: 1,
+        layers: [
+            {
+                layerType: 'convolution',
+                nInputPlane: 3,
+                nOutputPlane: 8,
+                kernelWidth: 3,
+                kernelHeight: 3,
+                stepWidth: 1,
+                stepHeight: 1,
+                paddingWidth: 1,
+                paddingHeight: 1
+            },
+            {layerType: 'batchnormalization', nInputFeatures: 8},
+            {layerType: 'relu'}
+        ]
+    };
+}
+
+/**
+ * This function creates the weights for the layers from createConfiguration, trained with the given number of input planes
+ *
+ * @param {number} inputPlanes The number of input planes of the first convolution
+ * @return {object} The saved container
+ */
+function createWeights(inputPlanes)
+{
+    return torchFile.container('nn.Sequential', [
+        torchFile.nnModule('nn.SpatialConvolution', {weight: torchFile.tensor([8, inputPlanes, 3, 3]), bias: torchFile.tensor([8])}),
+        torchFile.nnModule('nn.SpatialBatchNormalization', {weight: torchFile.tensor([8]), bias: torchFile.tensor([8]), running_mean: torchFile.tensor([8])}),
+        torchFile.nnModule('nn.ReLU', {inplace: false})
+    ]);
+}
+
+describe('EBImagePretrainedWeights', () =>
+{
+    const inputShape = {planes: 3, width: 16, height: 16};
+    const originalDirectory = EBImagePretrainedWeights.pretrainedDirectory;
+    let directory = null;
+
+    before(() =>
+    {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'eb-image-pretrained-test-'));
+        EBImagePretrainedWeights.pretrainedDirectory = directory;
+
+        fs.writeFileSync(path.join(directory, 'matching.t7'), torchFile.write(createWeights(3)));
+        fs.writeFileSync(path.join(directory, 'greyscale.t7'), torchFile.write(createWeights(1)));
+        fs.writeFileSync(path.join(directory, 'short.t7'), torchFile.write(torchFile.container('nn.Sequential', [torchFile.nnModule('nn.ReLU', {})])));
+        fs.writeFileSync(path.join(directory, 'corrupt.t7'), new Buffer('not a torch file'));
+    });
+
+    after(() =>
+    {
+        fs.readdirSync(directory).forEach((fileName) => fs.unlinkSync(path.join(directory, fileName)));
+        fs.rmdirSync(directory);
+        EBImagePretrainedWeights.pretrainedDirectory = originalDirectory;
+    });
+
+    describe('checkWeights', () =>
+    {
+        it('accepts weights that match the layers', () =>
+        {
+            return EBImagePretrainedWeights.checkWeights(createConfiguration('matching.t7'), inputShape).then((weightsFile) =>
+            {
+                assert.strictEqual(weightsFile, path.join(directory, 'matching.t7'));
+            });
+        });
+
+        it('does nothing for fields without pretrained weights', () =>
+        {
+            const configuration = Object.assign(createConfiguration(null), {pretrainedWeights: 'none'});
+            return EBImagePretrainedWeights.checkWeights(configuration, inputShape).then((weightsFile) =>
+            {
+                assert.strictEqual(weightsFile, null);
+            });
+        });
+
+        it('rejects weights whose layers have a different number of parameters', () =>
+        {
+            return EBImagePretrainedWeights.checkWeights(createConfiguration('greyscale.t7'), inputShape).then(() =>
+            {
+                throw new Error("The weights should have been rejected.");
+            }, (err) =>
+            {
+                assert(/Layer 1 \(convolution\) has 224 parameters, but the layer in the weights \(nn.SpatialConvolution\) has 80/.test(err.message), err.message);
+            });
+        });
+
+        it('rejects weights with a different number of layers', () =>
+        {
+            return EBImagePretrainedWeights.checkWeights(createConfiguration('short.t7'), inputShape).then(() =>
+            {
+                throw new Error("The weights should have been rejected.");
+            }, (err) =>
+            {
+                assert(/hold 1 layers, but there are 3 configured layers/.test(err.message), err.message);
+            });
+        });
+
+        it('rejects files that are not Torch files', () =>
+        {
+            return EBImagePretrainedWeights.checkWeights(createConfiguration('corrupt.t7'), inputShape).then(() =>
+            {
+                throw new Error("The weights should have been rejected.");
+            }, (err) =>
+            {
+                assert(/could not be read/.test(err.message), err.message);
+            });
+        });
+
+        it('rejects weights files that do not exist', () =>
+        {
+            return EBImagePretrainedWeights.checkWeights(createConfiguration('missing.t7'), inputShape).then(() =>
+            {
+                throw new Error("The weights should have been rejected.");
+            }, (err) =>
+            {
+                assert(/does not exist/.test(err.message), err.message);
+            });
+        });
+    });
+});
@@ -0,0 +1,117 @@
+/*
+ Electric Brain is an easy to use platform for machine learning.
+ Copyright (C) 2016 Electric Brain Software Corporation
+
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU Affero General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU Affero General Public License for more details.
+
+ You should have received a copy of the GNU Affero General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const
+    assert = require('assert'),
+    EBImageProcessingQueue = require('../server/EBImageProcessingQueue'),
+    Promise = require('bluebird');
+
+/**
+ * This function runs the given number of tasks through a queue, recording how many were running at most
+ *
+ * @param {EBImageProcessingQueue} queue The queue to run the tasks through
+ * @param {number} count The number of tasks
+ * @return {Promise} A promise that resolves to an object with the results and the most tasks running at once
+ */
+function runTasks(queue, count)
+{
+    let running = 0;
+    let mostRunning = 0;
+    const tasks = [];
+    for (let index = 0; index < count; index += 1)
+    {
+        tasks.push(queue.run(() =>
+        {
+            running += 1;
+            mostRunning = Math.max(mostRunning, running);
+            return Promise.delay(1).then(() =>
+            {
+                running -= 1;
+                return index;
+            });
+        }));
+    }
+
+    return Promise.all(tasks).then((results) => ({results, mostRunning}));
+}
+
+describe('EBImageProcessingQueue', () =>
+{
+    it('never runs more tasks at the same time than its concurrency', () =>
+    {
+        return runTasks(new EBImageProcessingQueue(3), 10).then((outcome) =>
+        {
+            assert.strictEqual(outcome.mostRunning, 3);
+            assert.deepEqual(outcome.results, [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+        });
+    });
+
+    it('rejects with the error of a failing task and carries on with the others', () =>
+    {
+        const queue = new EBImageProcessingQueue(1);
+        const failing = queue.run(() => Promise.reject(new Error('corrupt image')));
+        const succeeding = queue.run(() => 'done');
+
+        return Promise.all([failing.reflect(), succeeding]).then((outcomes) =>
+        {
+            assert.strictEqual(outcomes[0].reason().message, 'corrupt image');
+            assert.strictEqual(outcomes[1], 'done');
+        });
+    });
+
+    it('starts waiting tasks when the concurrency is raised', () =>
+    {
+        const queue = new EBImageProcessingQueue(0);
+        const result = queue.run(() => 'done');
+        assert.strictEqual(queue.running, 0);
+
+        queue.setConcurrency(1);
+        return result.then((value) => assert.strictEqual(value, 'done'));
+    });
+
+    it('gives each configuration its own queue, with the concurrency it sets', () =>
+    {
+        const configuration = {processingConcurrency: 2};
+        const queue = EBImageProcessingQueue.forConfiguration(configuration);
+        assert.strictEqual(queue.concurrency, 2);
+        assert.strictEqual(EBImageProcessingQueue.forConfiguration(configuration), queue);
+        assert.notStrictEqual(EBImageProcessingQueue.forConfiguration({processingConcurrency: 2}), queue);
+        assert.strictEqual(EBImageProcessingQueue.forConfiguration({}).concurrency, EBImageProcessingQueue.defaultConcurrency);
+    });
+
+    it('follows changes to the concurrency of a configuration', () =>
+    {
+        const configuration = {processingConcurrency: 2};
+        const queue = EBImageProcessingQueue.forConfiguration(configuration);
+        configuration.processingConcurrency = 5;
+        assert.strictEqual(EBImageProcessingQueue.forConfiguration(configuration), queue);
+        assert.strictEqual(queue.concurrency, 5);
+    });
+
+    it('bounds the tasks of a field across all of the calls for it', () =>
+    {
+        const configuration = {processingConcurrency: 2};
+        const queue = {run: (task) => EBImageProcessingQueue.forConfiguration(configuration).run(task)};
+        return runTasks(queue, 6).then((outcome) =>
+        {
+            assert.strictEqual(outcome.mostRunning, 2);
+        });
+    });
+});
@@ -0,0 +1,161 @@
+/*
+ Electric Brain is an easy to use platform for machine learning.
+ Copyright (C) 2016 Electric Brain Software Corporation
+
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU Affero General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU Affero General Public License for more details.
+
+ You should have received a copy of the GNU Affero General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const
+    assert = require('assert'),
+    EBImageRandom = require('../client/js/image_random'),
+    underscore = require('underscore');
+
+/**
+ * This function draws a few numbers from a random generator
+ *
+ * @param {EBImageRandom} random The random generator
+ * @return {[number]} The numbers
+ */
+function draw(random)
+{
+    return underscore.range(8).map(() => random.random());
+}
+
+describe('EBImageRandom', () =>
+{
+    describe('random', () =>
+    {
+        it('produces the same sequence for the same seed', () =>
+        {
+            assert.deepEqual(draw(new EBImageRandom(42)), draw(new EBImageRandom(42)));
+        });
+
+        it('produces different sequences for different seeds', () =>
+        {
+            assert.notDeepEqual(draw(new EBImageRandom(42)), draw(new EBImageRandom(43)));
+        });
+
+        it('stays within [0, 1)', () =>
+        {
+            const random = new EBImageRandom(7);
+            underscore.range(10000).forEach(() =>
+            {
+                const value = random.random();
+                assert(value >= 0 && value < 1, value);
+            });
+        });
+
+        it('falls back to Math.random without a seed', () =>
+        {
+            const random = new EBImageRandom();
+            assert.strictEqual(random.seeded, false);
+            assert.notDeepEqual(draw(random), draw(random));
+        });
+    });
+
+    describe('uniform', () =>
+    {
+        it('stays within the given range', () =>
+        {
+            const random = new EBImageRandom(7);
+            underscore.range(1000).forEach(() =>
+            {
+                const value = random.uniform(-3, 5);
+                assert(value >= -3 && value < 5, value);
+            });
+        });
+    });
+
+    describe('chance', () =>
+    {
+        it('never happens with a probability of 0 and always happens with a probability of 1', () =>
+        {
+            const random = new EBImageRandom(7);
+            underscore.range(1000).forEach(() =>
+            {
+                assert.strictEqual(random.chance(0), false);
+                assert.strictEqual(random.chance(1), true);
+            });
+        });
+    });
+
+    describe('combineSeeds', () =>
+    {
+        it('depends on every value and on their order', () =>
+        {
+            const seed = EBImageRandom.combineSeeds([1, 2, 3]);
+            assert.strictEqual(seed, EBImageRandom.combineSeeds([1, 2, 3]));
+            assert.notStrictEqual(seed, EBImageRandom.combineSeeds([1, 2, 4]));
+            assert.notStrictEqual(seed, EBImageRandom.combineSeeds([3, 2, 1]));
+        });
+
+        it('produces 32 bit unsigned integers', () =>
+        {
+            const seed = EBImageRandom.combineSeeds([-1, 0xFFFFFFFF, 12345]);
+            assert(Number.isInteger(seed) && seed >= 0 && seed <= 0xFFFFFFFF, seed);
+        });
+    });
+
+    describe('createForSample', () =>
+    {
+        const image = new Buffer('first image');
+        const otherImage = new Buffer('second image');
+
+        it('reproduces the same augmentations for the same seed, sample and epoch', () =>
+        {
+            assert.deepEqual(draw(EBImageRandom.createForSample(5, image, 3)), draw(EBImageRandom.createForSample(5, image, 3)));
+        });
+
+        it('does not depend on what was augmented before', () =>
+        {
+            const first = draw(EBImageRandom.createForSample(5, image, 0));
+            draw(EBImageRandom.createForSample(5, otherImage, 0));
+            draw(EBImageRandom.createForSample(5, image, 1));
+            assert.deepEqual(draw(EBImageRandom.createForSample(5, image, 0)), first);
+        });
+
+        it('augments differently in every epoch', () =>
+        {
+            assert.notDeepEqual(draw(EBImageRandom.createForSample(5, image, 0)), draw(EBImageRandom.createForSample(5, image, 1)));
+        });
+
+        it('augments different samples differently', () =>
+        {
+            assert.notDeepEqual(draw(EBImageRandom.createForSample(5, image, 0)), draw(EBImageRandom.createForSample(5, otherImage, 0)));
+        });
+
+        it('augments differently with a different seed', () =>
+        {
+            assert.notDeepEqual(draw(EBImageRandom.createForSample(5, image, 0)), draw(EBImageRandom.createForSample(6, image, 0)));
+        });
+
+        it('treats a missing epoch as the first epoch', () =>
+        {
+            assert.deepEqual(draw(EBImageRandom.createForSample(5, image)), draw(EBImageRandom.createForSample(5, image, 0)));
+        });
+
+        it('is unseeded without a seed', () =>
+        {
+            assert.strictEqual(EBImageRandom.createForSample(null, image, 0).seeded, false);
+            assert.strictEqual(EBImageRandom.createForSample(undefined, image, 0).seeded, false);
+        });
+
+        it('is seeded with a seed of 0', () =>
+        {
+            assert.strictEqual(EBImageRandom.createForSample(0, image, 0).seeded, true);
+        });
+    });
+});
@@ -0,0 +1,134 @@
+/*
+ Electric Brain is an easy to use platform for machine learning.
+ Copyright (C) 2016 Electric Brain Software Corporation
+
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU Affero General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU Affero General Public License for more details.
+
+ You should have received a copy of the GNU Affero General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const
+    assert = require('assert'),
+    EBImageRawBitmap = require('../server/EBImageRawBitmap');
+
+/**
+ * This function decodes a raw image the way the Lua code from
+ * EBNeuralNetworkImageComponent.generateTensorInputCode does, with Torch's indexes starting from 1:
+ *
+ *     local width = tensor[1] * 256 + tensor[2]
+ *     local height = tensor[3] * 256 + tensor[4]
+ *     local channels = tensor[5]
+ *     local pixels = tensor:narrow(1, 6, channels * height * width):view(channels, height, width)
+ *
+ * @param {Buffer} buffer The encoded image
+ * @return {[[[number]]]} The pixels, indexed by channel, row and column
+ */
+function decodeLikeLua(buffer)
+{
+    const tensor = (index) => buffer[index - 1];
+    const width = tensor(1) * 256 + tensor(2);
+    const height = tensor(3) * 256 + tensor(4);
+    const channels = tensor(5);
+    assert.strictEqual(buffer.length, 5 + channels * height * width, 'narrow would run past the end of the tensor');
+
+    // A view of a contiguous tensor takes the elements in order, with the last dimension changing fastest
+    const pixels = [];
+    let index = 6;
+    for (let channel = 0; channel < channels; channel += 1)
+    {
+        const plane = [];
+        for (let y = 0; y < height; y += 1)
+        {
+            const row = [];
+            for (let x = 0; x < width; x += 1)
+            {
+                row.push(tensor(index));
+                index += 1;
+            }
+            plane.push(row);
+        }
+        pixels.push(plane);
+    }
+    return pixels;
+}
+
+/**
+ * This function makes a bitmap where every byte tells its pixel and channel apart, so that any
+ * mix up of the layout shows up in the decoded planes.
+ *
+ * @param {number} width The width of the bitmap
+ * @param {number} height The height of the bitmap
+ * @return {object} The bitmap
+ */
+function createBitmap(width, height)
+{
+    const data = new Buffer(width * height * 4);
+    for (let pixel = 0; pixel < width * height; pixel += 1)
+    {
+        for (let channel = 0; channel < 4; channel += 1)
+        {
+            data[pixel * 4 + channel] = (pixel * 4 + channel) % 256;
+        }
+    }
+    return {width, height, data};
+}
+
+describe('EBImageRawBitmap', () =>
+{
+    describe('encode', () =>
+    {
+        it('writes a header with the width, height and channels', () =>
+        {
+            const encoded = EBImageRawBitmap.encode(createBitmap(300, 2), 3);
+            assert.strictEqual(encoded.length, EBImageRawBitmap.headerSize + 3 * 300 * 2);
+            assert.strictEqual(encoded.readUInt16BE(0), 300);
+            assert.strictEqual(encoded.readUInt16BE(2), 2);
+            assert.strictEqual(encoded[4], 3);
+        });
+
+        it('decodes in Lua to the planes of the bitmap', () =>
+        {
+            const bitmap = createBitmap(3, 2);
+            const pixels = decodeLikeLua(EBImageRawBitmap.encode(bitmap, 3));
+            for (let channel = 0; channel < 3; channel += 1)
+            {
+                for (let y = 0; y < bitmap.height; y += 1)
+                {
+                    for (let x = 0; x < bitmap.width; x += 1)
+                    {
+                        assert.strictEqual(pixels[channel][y][x], bitmap.data[(y * bitmap.width + x) * 4 + channel], `channel ${channel} at ${x}, ${y}`);
+                    }
+                }
+            }
+        });
+
+        it('keeps the width and height apart for images that are not square', () =>
+        {
+            const pixels = decodeLikeLua(EBImageRawBitmap.encode(createBitmap(4, 1), 1));
+            assert.deepEqual(pixels, [[[0, 4, 8, 12]]]);
+        });
+
+        it('uses the red channel as the grey value of single channel images', () =>
+        {
+            const bitmap = {width: 2, height: 1, data: new Buffer([10, 20, 30, 255, 40, 50, 60, 255])};
+            assert.deepEqual(decodeLikeLua(EBImageRawBitmap.encode(bitmap, 1)), [[[10, 40]]]);
+        });
+
+        it('includes the alpha channel of four channel images', () =>
+        {
+            const bitmap = {width: 2, height: 1, data: new Buffer([10, 20, 30, 128, 40, 50, 60, 255])};
+            assert.deepEqual(decodeLikeLua(EBImageRawBitmap.encode(bitmap, 4)), [[[10, 40]], [[20, 50]], [[30, 60]], [[128, 255]]]);
+        });
+    });
+});
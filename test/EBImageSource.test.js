@@ -0,0 +1,278 @@
+/*
+ Electric Brain is an easy to use platform for machine learning.
+ Copyright (C) 2016 Electric Brain Software Corporation
+
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU Affero General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU Affero General Public License for more details.
+
+ You should have received a copy of the GNU Affero General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const
+    assert = require('assert'),
+    EBImageMaskPNG = require('../server/EBImageMaskPNG'),
+    EBImageSource = require('../server/EBImageSource'),
+    fs = require('fs'),
+    os = require('os'),
+    path = require('path');
+
+/**
+ * This function writes a GIF with the given number of frames, each a single pixel.
+ *
+ * @param {number} frameCount The number of frames
+ * @return {Buffer} The GIF file
+ */
+function createGIF(frameCount)
+{
+    // The header and a logical screen descriptor without a global color table
+    const parts = [new Buffer('GIF89a'), new Buffer([1, 0, 1, 0, 0, 0, 0])];
+    for (let frame = 0; frame < frameCount; frame += 1)
+    {
+        // A graphic control extension, then an image descriptor with one sub-block of image data
+        parts.push(new Buffer([0x21, 0xF9, 4, 0, 10, 0, 0, 0]));
+        parts.push(new Buffer([0x2C, 0, 0, 0, 0, 1, 0, 1, 0, 0, 2, 2, 0x44, 0x01, 0]));
+    }
+    parts.push(new Buffer([0x3B]));
+    return Buffer.concat(parts);
+}
+
+describe('EBImageSource', () =>
+{
+    const png = EBImageMaskPNG.encode(2, 2, new Buffer([0, 1, 1, 0]));
+    let directory = null;
+
+    beforeEach(() =>
+    {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'eb-image-source-test-'));
+        fs.mkdirSync(path.join(directory, 'root'));
+        fs.mkdirSync(path.join(directory, 'root', 'images'));
+        fs.writeFileSync(path.join(directory, 'root', 'images', 'a.png'), png);
+        fs.writeFileSync(path.join(directory, 'root', 'notes.png'), new Buffer('not an image'));
+        fs.writeFileSync(path.join(directory, 'outside.png'), png);
+    });
+
+    afterEach(() =>
+    {
+        const remove = (target) =>
+        {
+            if (fs.statSync(target).isDirectory())
+            {
+                fs.readdirSync(target).forEach((fileName) => remove(path.join(target, fileName)));
+                fs.rmdirSync(target);
+            }
+            else
+            {
+                fs.unlinkSync(target);
+            }
+        };
+        remove(directory);
+    });
+
+    describe('load', () =>
+    {
+        it('uses Buffers holding images as they are', () =>
+        {
+            return EBImageSource.load(png).then((image) =>
+            {
+                assert.strictEqual(image, png);
+            });
+        });
+
+        it('decodes data URIs', () =>
+        {
+            return EBImageSource.load(`data:image/png;base64,${png.toString('base64')}`).then((image) =>
+            {
+                assert.deepEqual(image, png);
+            });
+        });
+
+        it('decodes base64 strings, including ones broken over several lines', () =>
+        {
+            const encoded = png.toString('base64').replace(/(.{16})/g, '$1\n');
+            return EBImageSource.load(encoded).then((image) =>
+            {
+                assert.deepEqual(image, png);
+            });
+        });
+
+        it('gives null for values that are not images', () =>
+        {
+            const root = path.join(directory, 'root');
+            return Promise.all([
+                EBImageSource.load(new Buffer('not an image')),
+                EBImageSource.load(new Buffer('not an image').toString('base64')),
+                EBImageSource.load('data:image/png;base64,bm90IGFuIGltYWdl'),
+                EBImageSource.load('notes.png', root),
+                EBImageSource.load('missing.png', root),
+                EBImageSource.load(12),
+                EBImageSource.load(null)
+            ]).then((images) =>
+            {
+                assert.deepEqual(images, [null, null, null, null, null, null, null]);
+            });
+        });
+
+        it('reads relative paths from the root directory', () =>
+        {
+            return EBImageSource.load('images/a.png', path.join(directory, 'root')).then((image) =>
+            {
+                assert.deepEqual(image, png);
+            });
+        });
+
+        it('reads relative paths from the default root directory when none is given', () =>
+        {
+            const defaultRootDirectory = EBImageSource.defaultRootDirectory;
+            EBImageSource.defaultRootDirectory = path.join(directory, 'root');
+            return EBImageSource.load('images/a.png').then((image) =>
+            {
+                assert.deepEqual(image, png);
+            }).finally(() =>
+            {
+                EBImageSource.defaultRootDirectory = defaultRootDirectory;
+            });
+        });
+
+        it('reads absolute paths when no root directory is given', () =>
+        {
+            return EBImageSource.load(path.join(directory, 'outside.png')).then((image) =>
+            {
+                assert.deepEqual(image, png);
+            });
+        });
+    });
+
+    describe('resolvePath', () =>
+    {
+        it('resolves paths within the root directory', () =>
+        {
+            const root = path.join(directory, 'root');
+            assert.strictEqual(EBImageSource.resolvePath('images/a.png', root), path.join(root, 'images', 'a.png'));
+            assert.strictEqual(EBImageSource.resolvePath('images/../images/a.png', root), path.join(root, 'images', 'a.png'));
+            assert.strictEqual(EBImageSource.resolvePath(path.join(root, 'images', 'a.png'), root), path.join(root, 'images', 'a.png'));
+        });
+
+        it('refuses paths that lead outside of the root directory', () =>
+        {
+            const root = path.join(directory, 'root');
+            assert.strictEqual(EBImageSource.resolvePath('../outside.png', root), null);
+            assert.strictEqual(EBImageSource.resolvePath('images/../../outside.png', root), null);
+            assert.strictEqual(EBImageSource.resolvePath(path.join(directory, 'outside.png'), root), null);
+            assert.strictEqual(EBImageSource.resolvePath('.', root), null);
+        });
+
+        it('refuses relative paths that lead outside of the default root directory', () =>
+        {
+            const defaultRootDirectory = EBImageSource.defaultRootDirectory;
+            EBImageSource.defaultRootDirectory = path.join(directory, 'root');
+            try
+            {
+                assert.strictEqual(EBImageSource.resolvePath('../outside.png'), null);
+            }
+            finally
+            {
+                EBImageSource.defaultRootDirectory = defaultRootDirectory;
+            }
+        });
+
+        it('refuses strings that cannot be paths', () =>
+        {
+            assert.strictEqual(EBImageSource.resolvePath('', directory), null);
+            assert.strictEqual(EBImageSource.resolvePath('a.png\0.txt', directory), null);
+            assert.strictEqual(EBImageSource.resolvePath('a\nb.png', directory), null);
+        });
+    });
+
+    describe('loadForDetection', () =>
+    {
+        it('only reads files for strings with the extension of an image format', () =>
+        {
+            const root = path.join(directory, 'root');
+            fs.writeFileSync(path.join(root, 'images', 'b'), png);
+            return Promise.all([
+                EBImageSource.loadForDetection('images/a.png', root),
+                EBImageSource.loadForDetection('images/b', root),
+                EBImageSource.loadForDetection('some text', root)
+            ]).then((images) =>
+            {
+                assert.deepEqual(images[0], png);
+                assert.strictEqual(images[1], null);
+                assert.strictEqual(images[2], null);
+            });
+        });
+
+        it('still decodes data URIs and base64 strings', () =>
+        {
+            return Promise.all([
+                EBImageSource.loadForDetection(`data:image/png;base64,${png.toString('base64')}`),
+                EBImageSource.loadForDetection(png.toString('base64'))
+            ]).then((images) =>
+            {
+                assert.deepEqual(images, [png, png]);
+            });
+        });
+    });
+
+    describe('loadRequired', () =>
+    {
+        it('rejects values that are not images as unrecognized', () =>
+        {
+            return EBImageSource.loadRequired('some text', directory).then(() =>
+            {
+                assert.fail('The value should have been rejected');
+            }, (err) =>
+            {
+                assert.strictEqual(err.rejectionReason, 'unrecognized');
+                assert(err.message.indexOf('"some text"') !== -1);
+            });
+        });
+
+        it('rejects paths outside of the root directory as unrecognized', () =>
+        {
+            return EBImageSource.loadRequired('../outside.png', path.join(directory, 'root')).then(() =>
+            {
+                assert.fail('The path should have been rejected');
+            }, (err) =>
+            {
+                assert.strictEqual(err.rejectionReason, 'unrecognized');
+            });
+        });
+    });
+
+    describe('isAnimated', () =>
+    {
+        it('counts the frames of GIF files', () =>
+        {
+            assert.strictEqual(EBImageSource.countGIFFrames(createGIF(1)), 1);
+            assert.strictEqual(EBImageSource.countGIFFrames(createGIF(3)), 3);
+            assert.strictEqual(EBImageSource.isAnimated(createGIF(1)), false);
+            assert.strictEqual(EBImageSource.isAnimated(createGIF(2)), true);
+        });
+
+        it('does not treat still PNG files as animated', () =>
+        {
+            assert.strictEqual(EBImageSource.isAnimated(png), false);
+        });
+    });
+
+    describe('describeValue', () =>
+    {
+        it('shortens long strings and describes Buffers by their size', () =>
+        {
+            const long = new Array(100).join('a');
+            assert.strictEqual(EBImageSource.describeValue('a.png'), '"a.png"');
+            assert.strictEqual(EBImageSource.describeValue(long), `"${long.substr(0, 64)}..."`);
+            assert.strictEqual(EBImageSource.describeValue(new Buffer(10)), 'Buffer of 10 bytes');
+        });
+    });
+});
@@ -0,0 +1,92 @@
+/*
+ Electric Brain is an easy to use platform for machine learning.
+ Copyright (C) 2016 Electric Brain Software Corporation
+
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU Affero General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU Affero General Public License for more details.
+
+ You should have received a copy of the GNU Affero General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const
+    assert = require('assert'),
+    EBImageTorchFile = require('../server/EBImageTorchFile'),
+    torchFile = require('./helpers/torchFile');
+
+describe('EBImageTorchFile', () =>
+{
+    describe('read', () =>
+    {
+        it('reads numbers, strings, booleans and tables', () =>
+        {
+            const file = torchFile.write({1: 2.5, 2: 'text', name: true, nested: {flag: false, missing: null}});
+            assert.deepEqual(EBImageTorchFile.read(file), {1: 2.5, 2: 'text', name: true, nested: {flag: false, missing: null}});
+        });
+
+        it('reads the size of tensors without their data', () =>
+        {
+            const file = torchFile.write(torchFile.nnModule('nn.Linear', {weight: torchFile.tensor([3, 4]), bias: torchFile.tensor([3])}));
+            const linear = EBImageTorchFile.read(file);
+            assert.strictEqual(linear.torchClass, 'nn.Linear');
+            assert.deepEqual(linear.fields.weight, {torchClass: 'torch.FloatTensor', size: [3, 4]});
+            assert.deepEqual(linear.fields.bias, {torchClass: 'torch.FloatTensor', size: [3]});
+        });
+
+        it('rejects files that end too early', () =>
+        {
+            const file = torchFile.write(torchFile.nnModule('nn.Linear', {weight: torchFile.tensor([3, 4])}));
+            assert.throws(() => EBImageTorchFile.read(file.slice(0, file.length - 10)), /ends unexpectedly/);
+        });
+
+        it('rejects files that are not Torch files', () =>
+        {
+            assert.throws(() => EBImageTorchFile.read(new Buffer('{"layers": []}')), /unknown type|ends unexpectedly/);
+        });
+    });
+
+    describe('readModuleParameterCounts', () =>
+    {
+        it('counts the weight and bias of each module in the container', () =>
+        {
+            const file = torchFile.write(torchFile.container('nn.Sequential', [
+                torchFile.nnModule('nn.SpatialConvolution', {weight: torchFile.tensor([16, 3, 5, 5]), bias: torchFile.tensor([16]), gradWeight: torchFile.tensor([16, 3, 5, 5])}),
+                torchFile.nnModule('nn.ReLU', {inplace: false}),
+                torchFile.nnModule('nn.SpatialBatchNormalization', {weight: torchFile.tensor([16]), bias: torchFile.tensor([16]), running_mean: torchFile.tensor([16])})
+            ]));
+
+            assert.deepEqual(EBImageTorchFile.readModuleParameterCounts(file), [
+                {torchClass: 'nn.SpatialConvolution', parameterCount: 16 * 3 * 5 * 5 + 16},
+                {torchClass: 'nn.ReLU', parameterCount: 0},
+                {torchClass: 'nn.SpatialBatchNormalization', parameterCount: 32}
+            ]);
+        });
+
+        it('counts the parameters of nested containers', () =>
+        {
+            const file = torchFile.write(torchFile.container('nn.Sequential', [
+                torchFile.container('nn.ConcatTable', [
+                    torchFile.nnModule('nn.SpatialConvolution', {weight: torchFile.tensor([4, 4, 3, 3]), bias: torchFile.tensor([4])}),
+                    torchFile.container('nn.Sequential', [torchFile.nnModule('nn.PReLU', {weight: torchFile.tensor([1])})])
+                ])
+            ]));
+
+            assert.deepEqual(EBImageTorchFile.readModuleParameterCounts(file), [{torchClass: 'nn.ConcatTable', parameterCount: 4 * 4 * 3 * 3 + 4 + 1}]);
+        });
+
+        it('rejects files that do not hold a container', () =>
+        {
+            const file = torchFile.write(torchFile.nnModule('nn.Linear', {weight: torchFile.tensor([3, 4])}));
+            assert.throws(() => EBImageTorchFile.readModuleParameterCounts(file), /container of modules/);
+        });
+    });
+});
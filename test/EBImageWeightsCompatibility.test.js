@@ -0,0 +1,121 @@
+/*
+ Electric Brain is an easy to use platform for machine learning.
+ Copyright (C) 2016 Electric Brain Software Corporation
+
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU Affero General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU Affero General Public License for more details.
+
+ You should have received a copy of the GNU Affero General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const
+    assert = require('assert'),
+    EBImageArchitecturePresets = require('../client/js/image_architecture_presets'),
+    EBImageWeightsCompatibility = require('../client/js/image_weights_compatibility');
+
+describe('EBImageWeightsCompatibility', () =>
+{
+    const inputShape = {planes: 3, width: 32, height: 32};
+
+    /**
+     * This function creates the configuration of a field that uses the weights of a preset
+     *
+     * @param {string} presetName The name of the preset
+     * @return {object} The interpretation configuration
+     */
+    function createConfiguration(presetName)
+    {
+        return {
+            pretrainedWeights: 'preset',
+            pretrainedPreset: presetName,
+            frozenLayerCount: 2,
+            layers: EBImageArchitecturePresets.generateLayers(presetName, {width: 32, height: 32}, 3)
+        };
+    }
+
+    describe('checkSettings', () =>
+    {
+        it('accepts fields without pretrained weights', () =>
+        {
+            assert.deepEqual(EBImageWeightsCompatibility.checkSettings({}), []);
+            assert.deepEqual(EBImageWeightsCompatibility.checkSettings({pretrainedWeights: 'none', frozenLayerCount: -1}), []);
+        });
+
+        it('accepts the weights of a known preset', () =>
+        {
+            assert.deepEqual(EBImageWeightsCompatibility.checkSettings(createConfiguration('lenet')), []);
+        });
+
+        it('requires a weights file to be chosen', () =>
+        {
+            const errors = EBImageWeightsCompatibility.checkSettings({pretrainedWeights: 'file', layers: []});
+            assert.deepEqual(errors, ["No pretrained weights file was chosen for the image layers."]);
+        });
+
+        it('rejects unknown presets and sources', () =>
+        {
+            assert(/Unknown architecture preset/.test(EBImageWeightsCompatibility.checkSettings({pretrainedWeights: 'preset', pretrainedPreset: 'alexnet', layers: []})[0]));
+            assert(/Unknown source of pretrained weights: url/.test(EBImageWeightsCompatibility.checkSettings({pretrainedWeights: 'url', layers: []})[0]));
+        });
+
+        it('rejects frozen layer counts outside of the configured layers', () =>
+        {
+            [-1, 1.5, 100].forEach((frozenLayerCount) =>
+            {
+                const configuration = Object.assign(createConfiguration('lenet'), {frozenLayerCount: frozenLayerCount});
+                const errors = EBImageWeightsCompatibility.checkSettings(configuration);
+                assert.equal(errors.length, 1, frozenLayerCount);
+                assert(/The number of frozen layers must be an integer/.test(errors[0]), errors[0]);
+            });
+        });
+    });
+
+    describe('compareWeights', () =>
+    {
+        it('accepts the layers of every preset against the weights for that preset', () =>
+        {
+            EBImageArchitecturePresets.presets.forEach((preset) =>
+            {
+                const modules = EBImageWeightsCompatibility.getPresetModules(preset.name, inputShape);
+                const errors = EBImageWeightsCompatibility.compareWeights(modules, createConfiguration(preset.name).layers, inputShape);
+                assert.deepEqual(errors, [], preset.name);
+            });
+        });
+
+        it('rejects layers that were edited after the preset was applied', () =>
+        {
+            const configuration = createConfiguration('lenet');
+            configuration.layers[0].nOutputPlane *= 2;
+            const modules = EBImageWeightsCompatibility.getPresetModules('lenet', inputShape);
+            const errors = EBImageWeightsCompatibility.compareWeights(modules, configuration.layers, inputShape);
+            assert(errors.length > 0);
+        });
+
+        it('rejects a different number of layers', () =>
+        {
+            const layers = createConfiguration('lenet').layers;
+            const modules = EBImageWeightsCompatibility.getPresetModules('lenet', inputShape).slice(1);
+            const errors = EBImageWeightsCompatibility.compareWeights(modules, layers, inputShape);
+            assert.deepEqual(errors, [`The weights hold ${layers.length - 1} layers, but there are ${layers.length} configured layers.`]);
+        });
+
+        it('reports the layers that don\'t fit the images instead of comparing them', () =>
+        {
+            const layers = createConfiguration('lenet').layers;
+            const modules = EBImageWeightsCompatibility.getPresetModules('lenet', inputShape);
+            const errors = EBImageWeightsCompatibility.compareWeights(modules, layers, {planes: 1, width: 32, height: 32});
+            assert(errors.length > 0);
+            assert(!errors.some((error) => /in the weights/.test(error)), errors.join('\n'));
+        });
+    });
+});
@@ -0,0 +1,103 @@
+/*
+ Electric Brain is an easy to use platform for machine learning.
+ Copyright (C) 2016 Electric Brain Software Corporation
+
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU Affero General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU Affero General Public License for more details.
+
+ You should have received a copy of the GNU Affero General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const
+    Promise = require('bluebird');
+
+/**
+ * This module is a processor for EBImageAugmentation that works without sharp. It has the same
+ * methods as EBImageProcessor, but resizes with the nearest pixel and doesn't blur at all.
+ */
+
+/**
+ * This function creates a bitmap filled with a single color
+ *
+ * @param {object} size An object with the width and height of the bitmap
+ * @param {object} color The {r, g, b, a} color to fill it with
+ * @return {object} A new bitmap
+ */
+function createBlankBitmap(size, color)
+{
+    const data = new Buffer(size.width * size.height * 4);
+    for (let index = 0; index < data.length; index += 4)
+    {
+        data[index] = color.r;
+        data[index + 1] = color.g;
+        data[index + 2] = color.b;
+        data[index + 3] = color.a;
+    }
+    return {data, width: size.width, height: size.height};
+}
+
+/**
+ * This function copies a rectangle out of a bitmap
+ *
+ * @param {object} bitmap The bitmap to crop
+ * @param {number} x The left edge of the rectangle
+ * @param {number} y The top edge of the rectangle
+ * @param {number} width The width of the rectangle
+ * @param {number} height The height of the rectangle
+ * @return {object} A new bitmap
+ */
+function cropBitmap(bitmap, x, y, width, height)
+{
+    const data = new Buffer(width * height * 4);
+    for (let row = 0; row < height; row += 1)
+    {
+        const start = ((y + row) * bitmap.width + x) * 4;
+        bitmap.data.copy(data, row * width * 4, start, start + width * 4);
+    }
+    return {data, width, height};
+}
+
+/**
+ * This function resizes a bitmap by taking the nearest pixel
+ *
+ * @param {object} bitmap The bitmap to resize
+ * @param {number} width The new width
+ * @param {number} height The new height
+ * @return {Promise} A promise that resolves to a new bitmap
+ */
+function resizeBitmap(bitmap, width, height)
+{
+    const data = new Buffer(width * height * 4);
+    for (let y = 0; y < height; y += 1)
+    {
+        for (let x = 0; x < width; x += 1)
+        {
+            const source = (Math.floor(y * bitmap.height / height) * bitmap.width + Math.floor(x * bitmap.width / width)) * 4;
+            bitmap.data.copy(data, (y * width + x) * 4, source, source + 4);
+        }
+    }
+    return Promise.resolve({data, width, height});
+}
+
+/**
+ * This function returns a copy of a bitmap, in place of blurring it
+ *
+ * @param {object} bitmap The bitmap to blur
+ * @return {Promise} A promise that resolves to a new bitmap
+ */
+function blurBitmap(bitmap)
+{
+    return Promise.resolve({data: new Buffer(bitmap.data), width: bitmap.width, height: bitmap.height});
+}
+
+module.exports = {createBlankBitmap, cropBitmap, resizeBitmap, blurBitmap};
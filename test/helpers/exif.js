@@ -0,0 +1,161 @@
+/*
+ Electric Brain is an easy to use platform for machine learning.
+ Copyright (C) 2016 Electric Brain Software Corporation
+
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU Affero General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU Affero General Public License for more details.
+
+ You should have received a copy of the GNU Affero General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+/**
+ * This module writes the raw EXIF data of images, in the TIFF layout that cameras use, so that
+ * reading it can be tested. Each directory is a list of entries with a tag, a TIFF type and the
+ * values. Strings are given as a single string, and rationals as [numerator, denominator] pairs.
+ */
+
+// The number of bytes in each component of each TIFF field type
+const typeSizes = {1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8};
+
+// The tags in the first directory that point to the EXIF and GPS directories
+const exifPointerTag = 0x8769;
+const gpsPointerTag = 0x8825;
+
+/**
+ * This function encodes the values of one entry
+ *
+ * @param {object} entry The entry, with its type and values
+ * @param {boolean} littleEndian Whether to write the values in little endian byte order
+ * @return {Buffer} The encoded values
+ */
+function encodeValues(entry, littleEndian)
+{
+    if (entry.type === 2)
+    {
+        return new Buffer(`${entry.values}\0`, 'binary');
+    }
+
+    const size = typeSizes[entry.type];
+    const buffer = new Buffer(entry.values.length * size).fill(0);
+    const write = (method, value, offset) => buffer[`write${method}${littleEndian ? 'LE' : 'BE'}`](value, offset);
+    entry.values.forEach((value, index) =>
+    {
+        const offset = index * size;
+        if (entry.type === 1 || entry.type === 7)
+        {
+            buffer[offset] = value;
+        }
+        else if (entry.type === 3)
+        {
+            write('UInt16', value, offset);
+        }
+        else if (entry.type === 4)
+        {
+            write('UInt32', value, offset);
+        }
+        else if (entry.type === 9)
+        {
+            write('Int32', value, offset);
+        }
+        else if (entry.type === 5)
+        {
+            write('UInt32', value[0], offset);
+            write('UInt32', value[1], offset + 4);
+        }
+        else if (entry.type === 10)
+        {
+            write('Int32', value[0], offset);
+            write('Int32', value[1], offset + 4);
+        }
+    });
+    return buffer;
+}
+
+/**
+ * This function writes an image file directory, followed by the values that don't fit in its entries
+ *
+ * @param {[object]} entries The entries of the directory
+ * @param {number} offset The position of the directory in the TIFF data
+ * @param {boolean} littleEndian Whether to write in little endian byte order
+ * @return {Buffer} The directory and its values
+ */
+function writeDirectory(entries, offset, littleEndian)
+{
+    const directory = new Buffer(2 + entries.length * 12 + 4).fill(0);
+    const write = (method, value, position) => directory[`write${method}${littleEndian ? 'LE' : 'BE'}`](value, position);
+    const values = [];
+    let valuesOffset = offset + directory.length;
+
+    write('UInt16', entries.length, 0);
+    entries.forEach((entry, index) =>
+    {
+        const position = 2 + index * 12;
+        const encoded = encodeValues(entry, littleEndian);
+        write('UInt16', entry.tag, position);
+        write('UInt16', entry.type, position + 2);
+        write('UInt32', encoded.length / typeSizes[entry.type], position + 4);
+        if (encoded.length <= 4)
+        {
+            encoded.copy(directory, position + 8);
+        }
+        else
+        {
+            write('UInt32', valuesOffset, position + 8);
+            values.push(encoded);
+            valuesOffset += encoded.length;
+        }
+    });
+
+    return Buffer.concat([directory].concat(values));
+}
+
+/**
+ * This function writes EXIF data with an image directory, and optionally EXIF and GPS directories
+ *
+ * @param {object} directories An object with the image, exif and gps lists of entries
+ * @param {boolean} littleEndian Whether to write in little endian byte order
+ * @return {Buffer} The EXIF data, starting with the "Exif" identifier
+ */
+function write(directories, littleEndian)
+{
+    const header = new Buffer(8);
+    header.write(littleEndian ? 'II' : 'MM', 0, 'binary');
+    header[`writeUInt16${littleEndian ? 'LE' : 'BE'}`](42, 2);
+    header[`writeUInt32${littleEndian ? 'LE' : 'BE'}`](8, 4);
+
+    // The size of each directory doesn't depend on the pointer values, so the image directory is written twice
+    const pointers = (exifOffset, gpsOffset) =>
+    {
+        const entries = [];
+        if (directories.exif)
+        {
+            entries.push({tag: exifPointerTag, type: 4, values: [exifOffset]});
+        }
+        if (directories.gps)
+        {
+            entries.push({tag: gpsPointerTag, type: 4, values: [gpsOffset]});
+        }
+        return entries;
+    };
+
+    const imageSize = writeDirectory((directories.image || []).concat(pointers(0, 0)), 8, littleEndian).length;
+    const exifOffset = 8 + imageSize;
+    const exif = directories.exif ? writeDirectory(directories.exif, exifOffset, littleEndian) : new Buffer(0);
+    const gpsOffset = exifOffset + exif.length;
+    const gps = directories.gps ? writeDirectory(directories.gps, gpsOffset, littleEndian) : new Buffer(0);
+    const image = writeDirectory((directories.image || []).concat(pointers(exifOffset, gpsOffset)), 8, littleEndian);
+
+    return Buffer.concat([new Buffer('Exif\0\0', 'binary'), header, image, exif, gps]);
+}
+
+module.exports = {write};
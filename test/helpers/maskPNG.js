@@ -0,0 +1,125 @@
+/*
+ Electric Brain is an easy to use platform for machine learning.
+ Copyright (C) 2016 Electric Brain Software Corporation
+
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU Affero General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU Affero General Public License for more details.
+
+ You should have received a copy of the GNU Affero General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const
+    EBImageMaskPNG = require('../../server/EBImageMaskPNG'),
+    zlib = require('zlib');
+
+/**
+ * This module writes greyscale PNGs with any of the bit depths and filter types that masks can be
+ * stored with, so that decoding them can be tested. EBImageMaskPNG.encode only writes 8 bit masks
+ * with the filter type 0.
+ */
+
+/**
+ * This function packs one row of labels into bytes, starting from the highest bits
+ *
+ * @param {[number]} labels The labels of the row
+ * @param {number} bitDepth The number of bits per label
+ * @return {Buffer} The packed row
+ */
+function packRow(labels, bitDepth)
+{
+    const row = new Buffer(Math.ceil(labels.length * bitDepth / 8)).fill(0);
+    labels.forEach((label, x) =>
+    {
+        const bit = x * bitDepth;
+        row[Math.floor(bit / 8)] |= label << (8 - bitDepth - bit % 8);
+    });
+    return row;
+}
+
+/**
+ * This function predicts a byte from its neighbours, as defined by the PNG specification
+ *
+ * @param {number} left The byte to the left
+ * @param {number} up The byte above
+ * @param {number} upLeft The byte above and to the left
+ * @return {number} The predicted byte
+ */
+function paeth(left, up, upLeft)
+{
+    const estimate = left + up - upLeft;
+    const distances = [left, up, upLeft].map((value) => Math.abs(estimate - value));
+    if (distances[0] <= distances[1] && distances[0] <= distances[2])
+    {
+        return left;
+    }
+    return distances[1] <= distances[2] ? up : upLeft;
+}
+
+/**
+ * This function applies a PNG filter to a row
+ *
+ * @param {Buffer} row The packed row
+ * @param {Buffer} previous The packed row above it, all zeros for the first row
+ * @param {number} filterType The filter type, from 0 to 4
+ * @return {Buffer} The filter type followed by the filtered row
+ */
+function filterRow(row, previous, filterType)
+{
+    const filtered = new Buffer(row.length + 1);
+    filtered[0] = filterType;
+    for (let index = 0; index < row.length; index += 1)
+    {
+        const left = index > 0 ? row[index - 1] : 0;
+        const up = previous[index];
+        const upLeft = index > 0 ? previous[index - 1] : 0;
+        const predicted = [0, left, up, Math.floor((left + up) / 2), paeth(left, up, upLeft)][filterType];
+        filtered[index + 1] = (row[index] - predicted) & 0xFF;
+    }
+    return filtered;
+}
+
+/**
+ * This function writes a greyscale PNG
+ *
+ * @param {number} width The width of the image
+ * @param {number} height The height of the image
+ * @param {[number]} labels One label per pixel, row by row
+ * @param {number} bitDepth The number of bits per pixel, one of 1, 2, 4 or 8
+ * @param {number|[number]} filterType The filter type for every row, or a list with one for each row
+ * @return {Buffer} The PNG
+ */
+function write(width, height, labels, bitDepth, filterType)
+{
+    const ihdr = new Buffer(13).fill(0);
+    ihdr.writeUInt32BE(width, 0);
+    ihdr.writeUInt32BE(height, 4);
+    ihdr[8] = bitDepth;
+
+    const rows = [];
+    let previous = new Buffer(Math.ceil(width * bitDepth / 8)).fill(0);
+    for (let y = 0; y < height; y += 1)
+    {
+        const row = packRow(labels.slice(y * width, (y + 1) * width), bitDepth);
+        rows.push(filterRow(row, previous, Array.isArray(filterType) ? filterType[y] : filterType));
+        previous = row;
+    }
+
+    return Buffer.concat([
+        new Buffer([137, 80, 78, 71, 13, 10, 26, 10]),
+        EBImageMaskPNG.createChunk('IHDR', ihdr),
+        EBImageMaskPNG.createChunk('IDAT', zlib.deflateSync(Buffer.concat(rows))),
+        EBImageMaskPNG.createChunk('IEND', new Buffer(0))
+    ]);
+}
+
+module.exports = {write};
@@ -0,0 +1,160 @@
+/*
+ Electric Brain is an easy to use platform for machine learning.
+ Copyright (C) 2016 Electric Brain Software Corporation
+
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU Affero General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU Affero General Public License for more details.
+
+ You should have received a copy of the GNU Affero General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+/**
+ * This module writes small Torch files in the format torch.save uses, so that reading them can be tested without Torch.
+ */
+
+/**
+ * This function encodes a 32 bit integer
+ *
+ * @param {number} value The integer
+ * @return {Buffer} The encoded integer
+ */
+function int(value)
+{
+    const buffer = new Buffer(4);
+    buffer.writeInt32LE(value, 0);
+    return buffer;
+}
+
+/**
+ * This function encodes a 64 bit integer
+ *
+ * @param {number} value The integer, which must fit in 32 bits
+ * @return {Buffer} The encoded integer
+ */
+function long(value)
+{
+    return Buffer.concat([int(value), int(0)]);
+}
+
+/**
+ * This function encodes a string as its length followed by its bytes
+ *
+ * @param {string} value The string
+ * @return {Buffer} The encoded string
+ */
+function string(value)
+{
+    return Buffer.concat([int(value.length), new Buffer(value, 'binary')]);
+}
+
+/**
+ * This function creates a tensor, filled with zeros when written
+ *
+ * @param {[number]} size The size of every dimension
+ * @return {object} The tensor
+ */
+function tensor(size)
+{
+    return {torchClass: 'torch.FloatTensor', size};
+}
+
+/**
+ * This function creates a module
+ *
+ * @param {string} torchClass The name of the class of the module
+ * @param {object} fields The fields of the module
+ * @return {object} The module
+ */
+function nnModule(torchClass, fields)
+{
+    return {torchClass, fields};
+}
+
+/**
+ * This function creates a container holding the given modules
+ *
+ * @param {string} torchClass The name of the class of the container
+ * @param {[object]} modules The modules in the container
+ * @return {object} The container
+ */
+function container(torchClass, modules)
+{
+    const list = {};
+    modules.forEach((nested, index) =>
+    {
+        list[index + 1] = nested;
+    });
+    return nnModule(torchClass, {modules: list, train: true});
+}
+
+/**
+ * This function encodes an object the way torch.save does. Plain objects become tables, whose keys
+ * are written as numbers when they look like numbers. Objects with a torchClass become tensors when
+ * they have a size, and Torch objects with the given fields otherwise.
+ *
+ * @param {*} value The object
+ * @return {Buffer} The contents of the Torch file
+ */
+function write(value)
+{
+    let nextIndex = 1;
+    const writeObject = (object) =>
+    {
+        if (object === null || object === undefined)
+        {
+            return int(0);
+        }
+        else if (typeof object === 'number')
+        {
+            const buffer = new Buffer(8);
+            buffer.writeDoubleLE(object, 0);
+            return Buffer.concat([int(1), buffer]);
+        }
+        else if (typeof object === 'string')
+        {
+            return Buffer.concat([int(2), string(object)]);
+        }
+        else if (typeof object === 'boolean')
+        {
+            return Buffer.concat([int(5), int(object ? 1 : 0)]);
+        }
+        else if (object.torchClass && object.size)
+        {
+            const elements = object.size.reduce((product, dimension) => product * dimension, object.size.length > 0 ? 1 : 0);
+            const storage = Buffer.concat([int(4), int(nextIndex + 1), string('V 1'), string('torch.FloatStorage'), long(elements), new Buffer(elements * 4).fill(0)]);
+            const parts = [int(4), int(nextIndex), string('V 1'), string(object.torchClass), int(object.size.length)];
+            nextIndex += 2;
+            object.size.forEach((dimension) => parts.push(long(dimension)));
+            object.size.forEach(() => parts.push(long(1)));
+            parts.push(long(1), storage);
+            return Buffer.concat(parts);
+        }
+        else if (object.torchClass)
+        {
+            const header = Buffer.concat([int(4), int(nextIndex++), string('V 1'), string(object.torchClass)]);
+            return Buffer.concat([header, writeObject(object.fields)]);
+        }
+
+        const keys = Object.keys(object);
+        const parts = [int(3), int(nextIndex++), int(keys.length)];
+        keys.forEach((key) =>
+        {
+            parts.push(writeObject(/^\d+$/.test(key) ? Number(key) : key), writeObject(object[key]));
+        });
+        return Buffer.concat(parts);
+    };
+
+    return writeObject(value);
+}
+
+module.exports = {container, nnModule, tensor, write};